@@ -0,0 +1,139 @@
+"use strict";
+
+/** Stand-in for db.js under test: the same query / connect / end interface
+ * as a pg Pool, backed by PGlite (Postgres compiled to WebAssembly, running
+ * in-process), so the tests need no database server.
+ *
+ * Each test file gets a fresh database, loaded from a snapshot of the
+ * migrated schema. The snapshot is built by the first test file to need it
+ * and kept in the OS temp directory, keyed by a hash of migrations/, so it's
+ * rebuilt whenever a migration changes.
+ *
+ * PGlite is a single connection, so transactions can't really be separate:
+ * a BEGIN while one is already open becomes a savepoint (and its COMMIT /
+ * ROLLBACK a release / rollback to it). That lets a test wrap everything in
+ * BEGIN ... ROLLBACK (see models/_testCommon.js) while the code under test
+ * opens and commits transactions of its own.
+ *
+ * PGlite loads parts of itself with import(), which jest only allows with
+ * node's --experimental-vm-modules flag; `npm test` sets it.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PGlite, types } = require("@electric-sql/pglite");
+const { pg_trgm } = require("@electric-sql/pglite/contrib/pg_trgm");
+const { loadMigrations, migrateUp } = require("./helpers/migrations");
+
+/** Parse what pg parses differently from PGlite the way pg does: 64-bit
+ * integers (like COUNT(*)) stay strings. */
+
+const PARSERS = {
+  [types.INT8]: value => value,
+};
+
+/** Return the path of the migrated-schema snapshot for the migrations on
+ * disk, building it first if it doesn't exist yet. */
+
+async function snapshotPath() {
+  const migrations = loadMigrations();
+  const hash = crypto.createHash("sha256")
+      .update(JSON.stringify(migrations))
+      .digest("hex")
+      .slice(0, 16);
+  const file = path.join(os.tmpdir(), `fuzzy-phids-test-${hash}.tar.gz`);
+  if (fs.existsSync(file)) return file;
+
+  const pg = await PGlite.create({ extensions: { pg_trgm } });
+  await migrateUp({ query: (text, params) => runQuery(pg, text, params) }, {}, migrations);
+  const dump = await pg.dumpDataDir("gzip");
+  await pg.close();
+
+  // Write then rename, so a concurrent test file never reads half a file.
+  const partial = `${file}.${process.pid}`;
+  fs.writeFileSync(partial, Buffer.from(await dump.arrayBuffer()));
+  fs.renameSync(partial, file);
+  return file;
+}
+
+let database;
+
+/** Return the PGlite instance, starting it on first use. */
+
+function getDatabase() {
+  if (!database) {
+    database = snapshotPath().then(file => PGlite.create({
+      extensions: { pg_trgm },
+      parsers: PARSERS,
+      loadDataDir: new Blob([fs.readFileSync(file)]),
+    }));
+  }
+  return database;
+}
+
+/** How many BEGINs are open; past the first they're savepoints. */
+
+let depth = 0;
+
+/** Return the SQL to run for `text`, rewriting transaction control as
+ * described above. */
+
+function transactionControl(text) {
+  const command = text.trim().replace(/;$/, "").toUpperCase();
+  if (command === "BEGIN") {
+    depth += 1;
+    return depth === 1 ? "BEGIN" : `SAVEPOINT nested_${depth}`;
+  }
+  if (command === "COMMIT" || command === "ROLLBACK") {
+    if (depth === 0) return text;
+    depth -= 1;
+    if (depth === 0) return command;
+    return command === "COMMIT"
+        ? `RELEASE SAVEPOINT nested_${depth + 1}`
+        : `ROLLBACK TO SAVEPOINT nested_${depth + 1}; RELEASE SAVEPOINT nested_${depth + 1}`;
+  }
+  return null;
+}
+
+/** Run a query on PGlite instance pg and return a result shaped like pg's.
+ * Without params the text may hold several statements (as migrations do),
+ * like pg's simple query protocol. */
+
+async function runQuery(pg, text, params) {
+  const result = params === undefined || params.length === 0
+      ? (await pg.exec(text)).pop()
+      : await pg.query(text, params);
+  return {
+    rows: result.rows,
+    rowCount: result.fields.length > 0 ? result.rows.length : (result.affectedRows || 0),
+    fields: result.fields,
+  };
+}
+
+async function query(text, params) {
+  const pg = await getDatabase();
+  return runQuery(pg, transactionControl(text) || text, params);
+}
+
+const db = {
+  query,
+
+  /** Like Pool.connect: a "client" to run a transaction on. */
+  async connect() {
+    return { query, release() {} };
+  },
+
+  /** Like Pool.end: shut the database down. */
+  async end() {
+    if (database) {
+      const pg = await database;
+      database = undefined;
+      depth = 0;
+      await pg.close();
+    }
+  },
+};
+
+module.exports = db;
@@ -0,0 +1,17 @@
+"use strict";
+
+/** Runs before each test file (see "jest" in package.json). */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The database is the in-process one in _testDb.js.
+jest.mock("./db", () => require("./_testDb"));
+
+// Uploaded files and sent mail go to a scratch directory, not the repo.
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "fuzzy-phids-test-"));
+process.env.UPLOAD_DIR = path.join(scratch, "uploads");
+process.env.MAIL_OUTBOX_DIR = path.join(scratch, "outbox");
+
+afterAll(() => fs.rmSync(scratch, { recursive: true, force: true }));
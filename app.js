@@ -6,28 +6,60 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { UPLOAD_DIR } = require("./config");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { idempotency } = require("./middleware/idempotency");
 const authRoutes = require("./routes/auth");
 const insectsRoutes = require("./routes/insects");
 const usersRoutes = require("./routes/users");
 const ordersRoutes = require("./routes/orders");
-
-require("./seedDatabase"); // Gathering data and seeding database when the server starts
+const cartRoutes = require("./routes/cart");
+const addressesRoutes = require("./routes/addresses");
+const pricingRoutes = require("./routes/pricing");
+const promotionsRoutes = require("./routes/promotions");
+const categoriesRoutes = require("./routes/categories");
+const reviewsRoutes = require("./routes/reviews");
+const adminRoutes = require("./routes/admin");
+const paymentsRoutes = require("./routes/payments");
+const shippingRoutes = require("./routes/shipping");
 
 const morgan = require("morgan");
 
 const app = express();
 
+// In production we run behind Heroku's router; trust its X-Forwarded-For so
+// req.ip is the client's address (login throttling counts by IP).
+if (process.env.NODE_ENV === "production") app.set("trust proxy", 1);
+
 app.use(cors());
-app.use(express.json());
+// Keep the raw body too: payment webhook signatures are over the exact bytes.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(morgan("tiny"));
+// Uploads are never documents: don't let a browser sniff or run one as such.
+app.use("/uploads", express.static(UPLOAD_DIR, {
+  setHeaders(res) {
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Content-Security-Policy", "default-src 'none'; sandbox");
+  },
+}));
 app.use(authenticateJWT);
 
+// Ahead of idempotency: its responses are tokens, which mustn't be stored.
 app.use("/auth", authRoutes);
+app.use(idempotency);
+app.use("/users/:username/cart", cartRoutes);
+app.use("/users/:username/addresses", addressesRoutes);
 app.use("/users", usersRoutes);
 app.use("/orders", ordersRoutes);
+app.use("/insects/:id/reviews", reviewsRoutes);
 app.use("/insects", insectsRoutes);
+app.use("/categories", categoriesRoutes);
+app.use("/admin", adminRoutes);
+app.use("/pricing", pricingRoutes);
+app.use("/promotions", promotionsRoutes);
+app.use("/payments", paymentsRoutes);
+app.use("/shipping", shippingRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
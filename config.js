@@ -9,6 +9,71 @@ const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Access tokens are short-lived JWTs (any jsonwebtoken expiresIn value);
+// refresh tokens, stored server-side, last this many days.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+// Where uploaded files (insect images) are kept; see helpers/storage.js
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "local";
+const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
+
+// How outgoing mail is sent; see helpers/mail.js. The "outbox" transport
+// just writes each message to a file under MAIL_OUTBOX_DIR.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "outbox";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || "outbox";
+const MAIL_FROM = process.env.MAIL_FROM || "Fuzzy Phids <no-reply@fuzzyphids.com>";
+
+// Front end base URL, for links sent in emails
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+const PASSWORD_RESET_TTL_MINUTES = +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
+// Email verification links last EMAIL_VERIFICATION_TTL (a jsonwebtoken
+// expiresIn value); a new one can be requested every so many seconds.
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || "24h";
+const VERIFICATION_RESEND_SECONDS = +process.env.VERIFICATION_RESEND_SECONDS || 60;
+
+// Login throttling; see models/loginThrottle.js. Failures within the window
+// count towards a lockout, per username and per IP address, and each failure
+// slows the next attempt down a bit more (doubling from the base delay).
+const LOGIN_FAILURE_WINDOW_MINUTES = +process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15;
+const LOGIN_MAX_FAILURES_PER_USER = +process.env.LOGIN_MAX_FAILURES_PER_USER || 5;
+const LOGIN_MAX_FAILURES_PER_IP = +process.env.LOGIN_MAX_FAILURES_PER_IP || 20;
+const LOGIN_LOCKOUT_MINUTES = +process.env.LOGIN_LOCKOUT_MINUTES || 15;
+const LOGIN_DELAY_BASE_MS = process.env.NODE_ENV === "test" ? 0 : 250;
+
+// Where seedDatabase.js gets insect pictures; see seed/imageProviders.js.
+// "placeholder" works offline; "pexels" needs PEXELS_API_KEY.
+const SEED_IMAGE_PROVIDER = process.env.SEED_IMAGE_PROVIDER || "placeholder";
+const PEXELS_API_KEY = process.env.PEXELS_API_KEY;
+
+// Payments; see helpers/payments.js. The "mock" provider approves every
+// payment method except "pm_card_declined". Provider webhooks are signed
+// with PAYMENT_WEBHOOK_SECRET and refused if the signature is older than
+// the tolerance.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || "mock";
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "usd";
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || "whsec-dev";
+const PAYMENT_WEBHOOK_TOLERANCE_SECONDS = +process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS || 300;
+
+// Idempotency-Key headers on mutating requests are remembered (with the
+// response to replay) for this many hours; see middleware/idempotency.js.
+// A key whose request hasn't finished after the lock timeout is taken to
+// have died with its server and can be used again.
+const IDEMPOTENCY_KEY_TTL_HOURS = +process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24;
+const IDEMPOTENCY_LOCK_TIMEOUT_SECONDS = +process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS || 60;
+
+// Live-animal shipping; see helpers/shipping.js. Orders placed after the
+// cutoff hour (warehouse time) can't ship until the next day, and ship
+// dates are looked for this many days ahead.
+const SHIPPING_TIMEZONE = process.env.SHIPPING_TIMEZONE || "America/Los_Angeles";
+// 0 (midnight) is a real cutoff, so only an unset SHIPPING_CUTOFF_HOUR means 12.
+const SHIPPING_CUTOFF_HOUR = process.env.SHIPPING_CUTOFF_HOUR === undefined
+    ? 12
+    : +process.env.SHIPPING_CUTOFF_HOUR;
+const SHIPPING_LOOKAHEAD_DAYS = +process.env.SHIPPING_LOOKAHEAD_DAYS || 30;
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
@@ -26,11 +91,41 @@ console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
 console.log("Database:".yellow, getDatabaseUri());
+console.log("Storage:".yellow, `${STORAGE_BACKEND} (${UPLOAD_DIR})`);
+console.log("Mail:".yellow, MAIL_TRANSPORT);
+console.log("Payments:".yellow, PAYMENT_PROVIDER);
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
   BCRYPT_WORK_FACTOR,
+  STORAGE_BACKEND,
+  UPLOAD_DIR,
+  MAIL_TRANSPORT,
+  MAIL_OUTBOX_DIR,
+  MAIL_FROM,
+  FRONTEND_URL,
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL,
+  VERIFICATION_RESEND_SECONDS,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_MAX_FAILURES_PER_USER,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_DELAY_BASE_MS,
+  SEED_IMAGE_PROVIDER,
+  PEXELS_API_KEY,
+  PAYMENT_PROVIDER,
+  PAYMENT_CURRENCY,
+  PAYMENT_WEBHOOK_SECRET,
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_LOCK_TIMEOUT_SECONDS,
+  SHIPPING_TIMEZONE,
+  SHIPPING_CUTOFF_HOUR,
+  SHIPPING_LOOKAHEAD_DAYS,
   getDatabaseUri,
 };
\ No newline at end of file
@@ -1,23 +1,24 @@
 "use strict";
 /** Database setup for jobly. */
-const { Client } = require("pg");
+const { Pool } = require("pg");
 const { getDatabaseUri } = require("./config");
 
 let db;
 
+// A pool (rather than a single client) lets helpers/transaction.js check out a
+// dedicated connection, so concurrent requests can't interleave inside a
+// BEGIN ... COMMIT block. db.query() works the same as on a client.
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
+  db = new Pool({
     connectionString: getDatabaseUri(),
     ssl: {
       rejectUnauthorized: false
     }
   });
 } else {
-  db = new Client({
+  db = new Pool({
     connectionString: getDatabaseUri()
   });
 }
 
-db.connect();
-
-module.exports = db;
\ No newline at end of file
+module.exports = db;
@@ -44,10 +44,37 @@ class ExpressError extends Error {
     }
   }
   
+  /** 409 CONFLICT error. */
+  
+  class ConflictError extends ExpressError {
+    constructor(message = "Conflict") {
+      super(message, 409);
+    }
+  }
+  
+  /** 422 UNPROCESSABLE ENTITY error. */
+  
+  class UnprocessableEntityError extends ExpressError {
+    constructor(message = "Unprocessable Entity") {
+      super(message, 422);
+    }
+  }
+  
+  /** 429 TOO MANY REQUESTS error. */
+  
+  class TooManyRequestsError extends ExpressError {
+    constructor(message = "Too Many Requests") {
+      super(message, 429);
+    }
+  }
+  
   module.exports = {
     ExpressError,
     NotFoundError,
     UnauthorizedError,
     BadRequestError,
     ForbiddenError,
+    ConflictError,
+    UnprocessableEntityError,
+    TooManyRequestsError,
   };
\ No newline at end of file
@@ -1,3 +1,6 @@
+-- Creates the dev and test databases (psql -f fuzzy.sql); then create the
+-- schema in each with `npm run migrate` (NODE_ENV=test for the test one).
+
 DROP DATABASE fuzzy_phids;
 CREATE DATABASE fuzzy_phids;
 -- Log the creation of the database
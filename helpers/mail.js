@@ -0,0 +1,66 @@
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { MAIL_TRANSPORT, MAIL_OUTBOX_DIR, MAIL_FROM } = require("../config");
+
+/**
+ * Pluggable outgoing mail.
+ *
+ * A transport is any object with:
+ *   - send({ from, to, subject, text }) => Promise
+ *
+ * The transport in use is picked by the MAIL_TRANSPORT setting; add new ones
+ * (SMTP, a mail API) with registerTransport.
+ */
+
+/** Writes each message as a JSON file in a directory, for development and
+ * tests: read the outbox instead of a real inbox.
+ */
+
+class OutboxTransport {
+  constructor({ directory = MAIL_OUTBOX_DIR } = {}) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+    const sentAt = new Date().toISOString();
+    await fs.writeFile(path.join(this.directory, name),
+        JSON.stringify({ ...message, sentAt }, null, 2));
+  }
+}
+
+const transports = {
+  outbox: () => new OutboxTransport(),
+};
+
+let transport;
+
+/** Register a factory for a mail transport under `name`. */
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  transport = undefined;
+}
+
+/** Return the configured mail transport (created on first use). */
+
+function getTransport() {
+  if (!transport) {
+    const factory = transports[MAIL_TRANSPORT];
+    if (!factory) throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+    transport = factory();
+  }
+  return transport;
+}
+
+/** Send a plain-text email: { to, subject, text }. */
+
+async function sendMail({ to, subject, text }) {
+  await getTransport().send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { OutboxTransport, registerTransport, getTransport, sendMail };
@@ -0,0 +1,183 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Versioned schema migrations.
+ *
+ * Each migration is a pair of SQL files in migrations/ named
+ * "<version>_<name>.up.sql" and "<version>_<name>.down.sql", where version is
+ * a zero-padded number (001, 002, ...) giving the order they run in. Applied
+ * versions are recorded in the schema_migrations table. Every migration runs
+ * in its own transaction, so a failing one leaves nothing half-applied.
+ *
+ * Run them with migrate.js; see `node migrate.js help`.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+/** Arbitrary key for the advisory lock that stops two migrators running at once. */
+
+const LOCK_KEY = 7043218;
+
+/** Return every migration on disk, oldest first:
+ *   [{ version, name, up, down }, ...] where up / down are SQL text.
+ *
+ * Throws if a migration is missing its up or down file.
+ */
+
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(directory)) {
+    const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) migrations.set(version, { version, name });
+    migrations.get(version)[direction] =
+        fs.readFileSync(path.join(directory, file), "utf8");
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => +a.version - +b.version);
+  for (const m of sorted) {
+    if (m.up === undefined || m.down === undefined) {
+      throw new Error(`Migration ${m.version}_${m.name} needs both .up.sql and .down.sql`);
+    }
+  }
+  return sorted;
+}
+
+/** Create schema_migrations if it doesn't exist yet. */
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+       )`);
+}
+
+/** Return a list of every migration with whether it's applied:
+ *   [{ version, name, applied_at }, ...]  (applied_at null if pending)
+ *
+ * Also lists versions recorded as applied whose files are gone, with
+ * missing: true.
+ */
+
+async function status(client, migrations = loadMigrations()) {
+  await ensureMigrationsTable(client);
+  const result = await client.query(
+      `SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+  const applied = new Map(result.rows.map(r => [r.version, r]));
+
+  const rows = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+  }));
+
+  const known = new Set(migrations.map(m => m.version));
+  for (const r of result.rows) {
+    if (!known.has(r.version)) rows.push({ ...r, missing: true });
+  }
+  return rows;
+}
+
+/** Return the migrations not yet applied, oldest first. */
+
+async function pending(client, migrations = loadMigrations()) {
+  const rows = await status(client, migrations);
+  const pendingVersions = new Set(rows.filter(r => !r.applied_at).map(r => r.version));
+  return migrations.filter(m => pendingVersions.has(m.version));
+}
+
+/** Run fn holding the migration lock. */
+
+async function withLock(client, fn) {
+  await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+  try {
+    return await fn();
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]);
+  }
+}
+
+/** Apply pending migrations, oldest first, up to and including version `to`
+ * (default: all of them).
+ *
+ * Returns the list of migrations applied.
+ */
+
+async function migrateUp(client, { to } = {}, migrations = loadMigrations()) {
+  return withLock(client, async () => {
+    const todo = (await pending(client, migrations))
+        .filter(m => to === undefined || +m.version <= +to);
+
+    for (const m of todo) {
+      await client.query("BEGIN");
+      try {
+        await client.query(m.up);
+        await client.query(
+            `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+            [m.version, m.name]);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        err.message = `Migration ${m.version}_${m.name} failed: ${err.message}`;
+        throw err;
+      }
+    }
+    return todo;
+  });
+}
+
+/** Roll back the most recently applied migrations, newest first.
+ *
+ * steps is how many to roll back (default 1).
+ *
+ * Returns the list of migrations rolled back.
+ *
+ * Throws if an applied migration's files are missing.
+ */
+
+async function migrateDown(client, { steps = 1 } = {}, migrations = loadMigrations()) {
+  return withLock(client, async () => {
+    const rows = await status(client, migrations);
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+    const applied = rows
+        .filter(r => r.applied_at)
+        .sort((a, b) => +b.version - +a.version)
+        .slice(0, steps);
+
+    const done = [];
+    for (const r of applied) {
+      const m = byVersion.get(r.version);
+      if (!m) throw new Error(`No files for applied migration ${r.version}_${r.name}`);
+
+      await client.query("BEGIN");
+      try {
+        await client.query(m.down);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version]);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        err.message = `Rollback of ${m.version}_${m.name} failed: ${err.message}`;
+        throw err;
+      }
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  status,
+  pending,
+  migrateUp,
+  migrateDown,
+};
@@ -0,0 +1,130 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("../db.js");
+const {
+  loadMigrations,
+  status,
+  pending,
+  migrateUp,
+  migrateDown,
+} = require("./migrations");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Return the names of the tables in the public schema, sorted. */
+
+async function tableNames() {
+  const result = await db.query(
+      `SELECT table_name
+       FROM information_schema.tables
+       WHERE table_schema = 'public'
+       ORDER BY table_name`);
+  return result.rows.map(r => r.table_name);
+}
+
+/** Return a migration made up for a test (versions from 900 up, past any
+ * real one). */
+
+function testMigration(version, up, down = "SELECT 1") {
+  return { version: String(version), name: `test_${version}`, up, down };
+}
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  test("works: oldest first, up and down paired", function () {
+    const migrations = loadMigrations();
+    expect(migrations[0]).toEqual({
+      version: "001",
+      name: "initial_schema",
+      up: expect.stringContaining("CREATE TABLE"),
+      down: expect.stringContaining("DROP TABLE"),
+    });
+    const versions = migrations.map(m => +m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+  });
+
+  test("throws if a migration is missing its down file", function () {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    try {
+      fs.writeFileSync(path.join(directory, "001_only_up.up.sql"), "SELECT 1");
+      expect(() => loadMigrations(directory)).toThrow(/needs both/);
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+});
+
+/************************************** status / pending */
+
+describe("status / pending", function () {
+  test("the test database has every migration applied", async function () {
+    const rows = await status(db);
+    expect(rows.length).toEqual(loadMigrations().length);
+    expect(rows.every(r => r.applied_at instanceof Date)).toBe(true);
+    expect(await pending(db)).toEqual([]);
+  });
+});
+
+/************************************** migrateDown / migrateUp */
+
+describe("migrateDown / migrateUp", function () {
+  test("every migration rolls back and reapplies cleanly", async function () {
+    const migrations = loadMigrations();
+    const tablesBefore = await tableNames();
+
+    const rolledBack = await migrateDown(db, { steps: migrations.length });
+    expect(rolledBack.map(m => m.version)).toEqual(migrations.map(m => m.version).reverse());
+    expect(await tableNames()).toEqual(["schema_migrations"]);
+
+    const applied = await migrateUp(db);
+    expect(applied.map(m => m.version)).toEqual(migrations.map(m => m.version));
+    expect(await tableNames()).toEqual(tablesBefore);
+  });
+
+  test("up to a version, and down one step at a time", async function () {
+    const migrations = loadMigrations();
+    const last = migrations[migrations.length - 1];
+    const secondLast = migrations[migrations.length - 2];
+
+    expect((await migrateDown(db)).map(m => m.version)).toEqual([last.version]);
+    expect((await pending(db)).map(m => m.version)).toEqual([last.version]);
+
+    await migrateDown(db);
+    expect((await migrateUp(db, { to: secondLast.version })).map(m => m.version))
+        .toEqual([secondLast.version]);
+    expect((await migrateUp(db)).map(m => m.version)).toEqual([last.version]);
+  });
+
+  test("a failing migration leaves nothing half-applied", async function () {
+    const migrations = [
+      testMigration(900, "CREATE TABLE test_ok (id INTEGER)", "DROP TABLE test_ok"),
+      testMigration(901, "CREATE TABLE test_half (id INTEGER); SELECT no_such_column FROM test_half"),
+    ];
+
+    await expect(migrateUp(db, {}, migrations)).rejects.toThrow(/Migration 901_test_901 failed/);
+
+    const tables = await tableNames();
+    expect(tables).toContain("test_ok");
+    expect(tables).not.toContain("test_half");
+    expect((await pending(db, migrations)).map(m => m.version)).toEqual(["901"]);
+  });
+
+  test("down throws if an applied migration's files are gone", async function () {
+    await migrateUp(db, {}, [testMigration(900, "SELECT 1")]);
+    await expect(migrateDown(db, {}, [])).rejects.toThrow(/No files/);
+  });
+});
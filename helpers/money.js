@@ -0,0 +1,29 @@
+"use strict";
+
+/**
+ * Helpers for doing money arithmetic in whole cents.
+ *
+ * Postgres hands NUMERIC columns back as strings ("12.50"), and adding floats
+ * drifts (0.1 + 0.2), so prices are converted to integer cents before any
+ * math is done and converted back only when stored or returned.
+ */
+
+/** Convert a dollar amount (number or numeric string) to integer cents.
+ *
+ * @example toCents("12.5") => 1250
+ */
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/** Convert integer cents back to a dollar amount with two decimals.
+ *
+ * @example fromCents(1250) => 12.5
+ */
+
+function fromCents(cents) {
+  return Math.round(cents) / 100;
+}
+
+module.exports = { toCents, fromCents };
@@ -0,0 +1,19 @@
+"use strict";
+
+const { toCents, fromCents } = require("./money");
+
+describe("toCents", function () {
+  test("works on numbers and numeric strings", function () {
+    expect(toCents("12.5")).toEqual(1250);
+    expect(toCents(0.1 + 0.2)).toEqual(30);
+    expect(toCents("19.99")).toEqual(1999);
+  });
+});
+
+describe("fromCents", function () {
+  test("works", function () {
+    expect(fromCents(1250)).toEqual(12.5);
+    expect(fromCents(1999)).toEqual(19.99);
+    expect(fromCents(0)).toEqual(0);
+  });
+});
@@ -0,0 +1,166 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Cursor (keyset) pagination for list endpoints.
+ *
+ * Rows are ordered by a whitelisted sort column with the row id as a
+ * tie-breaker, and a cursor records the (sort value, id) of the row a page
+ * ended on. The next page is "rows after that pair", which stays correct
+ * when rows are inserted or deleted between requests, unlike OFFSET.
+ *
+ * Sort columns must be NOT NULL; a NULL sort value can't be compared.
+ */
+
+/** Sort column types => test for a cursor key (the column cast to text) of
+ * that type, so a tampered cursor is a 400 rather than a failed cast. */
+
+const MAX_INTEGER = 2147483647;
+
+const KEY_VALIDATORS = {
+  text: () => true,
+  integer: key => /^-?\d+$/.test(key) && Math.abs(+key) <= MAX_INTEGER,
+  numeric: key => /^-?\d+(\.\d+)?$/.test(key),
+  timestamp: (key) => {
+    const match = key.match(
+        /^(\d{4}-\d{2}-\d{2})( \d{2}:\d{2}:\d{2}(\.\d{1,6})?)?([+-]\d{2}(:\d{2})?)?$/);
+    if (!match) return false;
+    const date = new Date(`${match[1]}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === match[1];
+  },
+};
+
+/** Turn a row's sort key and id into an opaque cursor string. */
+
+function encodeCursor(sort, key, id) {
+  return Buffer.from(JSON.stringify([sort, key, id])).toString("base64url");
+}
+
+/** Decode a cursor made by encodeCursor for the same sort, whose column is
+ * of type keyType (see KEY_VALIDATORS).
+ *
+ * Throws BadRequestError if the cursor is malformed, its values aren't of
+ * the sort column's and id's types, or it was made for a different sort
+ * order.
+ */
+
+function decodeCursor(cursor, sort, keyType) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  const [cursorSort, key, id] = decoded;
+  if (cursorSort !== sort) {
+    throw new BadRequestError("Cursor was made for a different sort");
+  }
+  if (typeof key !== "string" || !KEY_VALIDATORS[keyType](key)
+      || !Number.isInteger(id) || Math.abs(id) > MAX_INTEGER) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  return { key, id };
+}
+
+/**
+ * Run a paginated SELECT.
+ *
+ * @param options {Object}
+ *   - select {String} columns to select, e.g. "id, species, price"
+ *   - from {String} FROM clause (table name, or table with joins)
+ *   - whereExpressions {Array} filter conditions using $1, $2, ...
+ *   - queryValues {Array} values for those placeholders
+ *   - sortFields {Object} maps sort names to their SQL and its type (text,
+ *     integer, numeric or timestamp), like
+ *     { price: { sql: "price", type: "numeric" } }
+ *   - idColumn {String} unique integer tie-breaker column (default "id")
+ *   - sort {String} sort name, prefixed with "-" for descending
+ *   - limit {Number} page size (default 50)
+ *   - after / before {String} cursor from a previous page's next / prev
+ *
+ * @returns {Object} { rows, total, next, prev }
+ *   where total counts every row matching the filters (not just this page)
+ *   and next / prev are cursors, or null when there is no such page.
+ *
+ * @example
+ *   paginate({ select: "id, species", from: "insects",
+ *              sortFields: { species: { sql: "species", type: "text" } },
+ *              sort: "-species", limit: 2 })
+ *     => { rows: [...2 rows], total: 5, next: "WyItc3...", prev: null }
+ */
+
+async function paginate({
+  select, from, whereExpressions = [], queryValues = [], sortFields,
+  idColumn = "id", sort, limit = DEFAULT_LIMIT, after, before,
+}) {
+  if (after && before) {
+    throw new BadRequestError("Cannot page both after and before a cursor");
+  }
+
+  const descending = sort.startsWith("-");
+  const sortField = sortFields[descending ? sort.slice(1) : sort];
+  if (!sortField) throw new BadRequestError(`Cannot sort by: ${sort}`);
+  const sortExpr = sortField.sql;
+
+  const where = whereExpressions.length > 0
+      ? " WHERE " + whereExpressions.join(" AND ")
+      : "";
+
+  const countRes = await db.query(
+      `SELECT COUNT(*)::int AS total FROM ${from}${where}`, queryValues);
+  const total = countRes.rows[0].total;
+
+  // Paging backwards walks the order in reverse from the cursor, then flips
+  // the page back round before returning it.
+  const backwards = Boolean(before);
+  const reverse = descending !== backwards;
+  const cursorValues = [...queryValues];
+  const pageWhere = [...whereExpressions];
+
+  const cursor = after || before;
+  if (cursor) {
+    const { key, id } = decodeCursor(cursor, sort, sortField.type);
+    cursorValues.push(key, id);
+    const keyIdx = cursorValues.length - 1;
+    pageWhere.push(
+        `(${sortExpr}, ${idColumn}) ${reverse ? "<" : ">"} ($${keyIdx}, $${keyIdx + 1})`);
+  }
+
+  const direction = reverse ? "DESC" : "ASC";
+  cursorValues.push(limit + 1);
+  const query = `SELECT ${select},
+                        (${sortExpr})::text AS "_cursorKey",
+                        ${idColumn} AS "_cursorId"
+                 FROM ${from}
+                 ${pageWhere.length > 0 ? "WHERE " + pageWhere.join(" AND ") : ""}
+                 ORDER BY ${sortExpr} ${direction}, ${idColumn} ${direction}
+                 LIMIT $${cursorValues.length}`;
+  const result = await db.query(query, cursorValues);
+
+  const hasMore = result.rows.length > limit;
+  const page = result.rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const cursors = page.map(row => encodeCursor(sort, row._cursorKey, row._cursorId));
+  const rows = page.map(({ _cursorKey, _cursorId, ...row }) => row);
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(after);
+
+  return {
+    rows,
+    total,
+    next: hasNext && rows.length > 0 ? cursors[cursors.length - 1] : null,
+    prev: hasPrev && rows.length > 0 ? cursors[0] : null,
+  };
+}
+
+module.exports = { paginate };
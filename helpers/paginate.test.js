@@ -0,0 +1,106 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const { paginate } = require("./paginate");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Page through the fixture insects (i1 $10, i2 $20.50, i3 $3). */
+
+function page(options) {
+  return paginate({
+    select: "id, species",
+    from: "insects",
+    sortFields: {
+      species: { sql: "species", type: "text" },
+      price: { sql: "price", type: "numeric" },
+    },
+    sort: "species",
+    ...options,
+  });
+}
+
+function species(result) {
+  return result.rows.map(r => r.species);
+}
+
+describe("paginate", function () {
+  test("works: one page", async function () {
+    const result = await page({});
+    expect(species(result)).toEqual(["i1", "i2", "i3"]);
+    expect(result).toEqual(expect.objectContaining({ total: 3, next: null, prev: null }));
+  });
+
+  test("works: forwards and back again", async function () {
+    const first = await page({ limit: 2 });
+    expect(species(first)).toEqual(["i1", "i2"]);
+    expect(first.total).toEqual(3);
+    expect(first.prev).toBeNull();
+
+    const second = await page({ limit: 2, after: first.next });
+    expect(species(second)).toEqual(["i3"]);
+    expect(second.next).toBeNull();
+
+    const back = await page({ limit: 2, before: second.prev });
+    expect(species(back)).toEqual(["i1", "i2"]);
+    expect(back.prev).toBeNull();
+  });
+
+  test("works: descending", async function () {
+    const first = await page({ sort: "-price", limit: 2 });
+    expect(species(first)).toEqual(["i2", "i1"]);
+    const second = await page({ sort: "-price", limit: 2, after: first.next });
+    expect(species(second)).toEqual(["i3"]);
+  });
+
+  test("works: filters, and total counts them all", async function () {
+    const result = await page({
+      whereExpressions: ["price > $1"], queryValues: [5], limit: 1,
+    });
+    expect(species(result)).toEqual(["i1"]);
+    expect(result.total).toEqual(2);
+  });
+
+  test("stays put when rows before the cursor go away", async function () {
+    const first = await page({ limit: 1 });
+    await db.query(`DELETE FROM insects WHERE species = 'i1'`);
+    const second = await page({ limit: 1, after: first.next });
+    expect(species(second)).toEqual(["i2"]);
+  });
+
+  test("bad request with an unknown sort", async function () {
+    await expect(page({ sort: "stock" })).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with both after and before", async function () {
+    const first = await page({ limit: 1 });
+    await expect(page({ after: first.next, before: first.next }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with a malformed or tampered cursor", async function () {
+    const tampered = Buffer.from(JSON.stringify(["price", "ten", 1])).toString("base64url");
+    const hugeId = Buffer.from(JSON.stringify(["price", "10", 2 ** 40])).toString("base64url");
+    const stringId = Buffer.from(JSON.stringify(["price", "1", "1"])).toString("base64url");
+
+    for (const after of ["nope", tampered, hugeId, stringId]) {
+      await expect(page({ sort: "price", after })).rejects.toThrow(BadRequestError);
+    }
+  });
+
+  test("bad request with a cursor from another sort", async function () {
+    const first = await page({ limit: 1 });
+    await expect(page({ sort: "price", after: first.next }))
+        .rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,124 @@
+"use strict";
+
+const crypto = require("crypto");
+const {
+  PAYMENT_PROVIDER,
+  PAYMENT_WEBHOOK_SECRET,
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS,
+} = require("../config");
+
+/**
+ * Pluggable payment providers.
+ *
+ * A provider is any object with:
+ *   - name
+ *   - createIntent({ amount, currency, reference, paymentMethod })
+ *       => Promise<{ id, status, failureReason }>
+ *   - capture(intentId, { amount }) => Promise<{ id, status, failureReason }>
+ *   - refund(intentId, { amount }) => Promise<{ id, status }>
+ *   - cancel(intentId) => Promise<{ id, status }>, releasing an authorized
+ *       intent that won't be captured
+ *
+ * Amounts are integer cents. An intent's status is "requires_capture"
+ * (authorized, money not yet taken), "succeeded" or "failed"; a provider
+ * that settles asynchronously may instead return "processing" and report
+ * the outcome later through the webhook (see routes/payments.js).
+ *
+ * The provider in use is picked by the PAYMENT_PROVIDER setting; add new
+ * ones with registerProvider.
+ */
+
+/** Approves every payment method except "pm_card_declined", without
+ * talking to anyone. For development and tests. */
+
+class MockPaymentProvider {
+  constructor() {
+    this.name = "mock";
+  }
+
+  async createIntent({ paymentMethod }) {
+    const id = `mock_pi_${crypto.randomBytes(12).toString("hex")}`;
+    if (paymentMethod === "pm_card_declined") {
+      return { id, status: "failed", failureReason: "card_declined" };
+    }
+    return { id, status: "requires_capture" };
+  }
+
+  async capture(intentId) {
+    return { id: intentId, status: "succeeded" };
+  }
+
+  async refund() {
+    return { id: `mock_re_${crypto.randomBytes(12).toString("hex")}`, status: "succeeded" };
+  }
+
+  async cancel(intentId) {
+    return { id: intentId, status: "cancelled" };
+  }
+}
+
+const providers = {
+  mock: () => new MockPaymentProvider(),
+};
+
+let provider;
+
+/** Register a factory for a payment provider under `name`. */
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+  provider = undefined;
+}
+
+/** Return the configured payment provider (created on first use). */
+
+function getPaymentProvider() {
+  if (!provider) {
+    const factory = providers[PAYMENT_PROVIDER];
+    if (!factory) throw new Error(`Unknown payment provider: ${PAYMENT_PROVIDER}`);
+    provider = factory();
+  }
+  return provider;
+}
+
+/** Return the Payment-Signature header value for a webhook body:
+ * "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+ *
+ * What a provider (or a test) sends; the timestamp is signed too, so an old
+ * delivery can't be replayed later.
+ */
+
+function signWebhook(body, { secret = PAYMENT_WEBHOOK_SECRET, timestamp } = {}) {
+  const t = timestamp === undefined ? Math.floor(Date.now() / 1000) : timestamp;
+  const signature = crypto.createHmac("sha256", secret)
+      .update(`${t}.${body}`)
+      .digest("hex");
+  return `t=${t},v1=${signature}`;
+}
+
+/** Return whether header is a valid, recent signature of body (a Buffer
+ * or string, exactly as received). */
+
+function verifyWebhookSignature(body, header, {
+  secret = PAYMENT_WEBHOOK_SECRET,
+  toleranceSeconds = PAYMENT_WEBHOOK_TOLERANCE_SECONDS,
+} = {}) {
+  if (!header) return false;
+
+  const parts = Object.fromEntries(header.split(",").map(p => p.split("=", 2)));
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - t) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhook(body, { secret, timestamp: t }).split("v1=")[1]);
+  const given = Buffer.from(parts.v1);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  MockPaymentProvider,
+  registerProvider,
+  getPaymentProvider,
+  signWebhook,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,81 @@
+"use strict";
+
+const {
+  MockPaymentProvider,
+  signWebhook,
+  verifyWebhookSignature,
+} = require("./payments");
+
+const body = JSON.stringify({ id: "evt_1", type: "payment.succeeded" });
+
+/************************************** MockPaymentProvider */
+
+describe("MockPaymentProvider", function () {
+  test("authorizes, captures and refunds", async function () {
+    const provider = new MockPaymentProvider();
+    const intent = await provider.createIntent({ amount: 1000, paymentMethod: "pm_card_visa" });
+    expect(intent).toEqual({ id: expect.stringMatching(/^mock_pi_/), status: "requires_capture" });
+    expect(await provider.capture(intent.id)).toEqual({ id: intent.id, status: "succeeded" });
+    expect((await provider.refund(intent.id)).status).toEqual("succeeded");
+  });
+
+  test("cancels an authorization", async function () {
+    const provider = new MockPaymentProvider();
+    const intent = await provider.createIntent({ amount: 1000, paymentMethod: "pm_card_visa" });
+    expect(await provider.cancel(intent.id)).toEqual({ id: intent.id, status: "cancelled" });
+  });
+
+  test("declines pm_card_declined", async function () {
+    const provider = new MockPaymentProvider();
+    const intent = await provider.createIntent({ amount: 1000, paymentMethod: "pm_card_declined" });
+    expect(intent).toEqual(expect.objectContaining({
+      status: "failed", failureReason: "card_declined",
+    }));
+  });
+});
+
+/************************************** verifyWebhookSignature */
+
+describe("verifyWebhookSignature", function () {
+  test("accepts its own signature, as a string or a Buffer", function () {
+    const header = signWebhook(body);
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature(body, header)).toEqual(true);
+    expect(verifyWebhookSignature(Buffer.from(body), header)).toEqual(true);
+  });
+
+  test("rejects a changed body", function () {
+    const header = signWebhook(body);
+    expect(verifyWebhookSignature(body.replace("succeeded", "failed"), header)).toEqual(false);
+  });
+
+  test("rejects a different secret", function () {
+    const header = signWebhook(body, { secret: "someone-else" });
+    expect(verifyWebhookSignature(body, header)).toEqual(false);
+  });
+
+  test("rejects a timestamp moved to replay the signature", function () {
+    const header = signWebhook(body, { timestamp: 1000 });
+    const now = Math.floor(Date.now() / 1000);
+    const moved = header.replace("t=1000", `t=${now}`);
+    expect(verifyWebhookSignature(body, moved)).toEqual(false);
+  });
+
+  test("rejects a signature older or newer than the tolerance", function () {
+    const now = Math.floor(Date.now() / 1000);
+    expect(verifyWebhookSignature(
+        body, signWebhook(body, { timestamp: now - 60 }), { toleranceSeconds: 120 })).toEqual(true);
+    expect(verifyWebhookSignature(
+        body, signWebhook(body, { timestamp: now - 180 }), { toleranceSeconds: 120 })).toEqual(false);
+    expect(verifyWebhookSignature(
+        body, signWebhook(body, { timestamp: now + 180 }), { toleranceSeconds: 120 })).toEqual(false);
+  });
+
+  test("rejects missing and malformed headers", function () {
+    expect(verifyWebhookSignature(body, undefined)).toEqual(false);
+    expect(verifyWebhookSignature(body, "")).toEqual(false);
+    expect(verifyWebhookSignature(body, "v1=abc")).toEqual(false);
+    expect(verifyWebhookSignature(body, `t=${Math.floor(Date.now() / 1000)}`)).toEqual(false);
+    expect(verifyWebhookSignature(body, `t=${Math.floor(Date.now() / 1000)},v1=abc`)).toEqual(false);
+  });
+});
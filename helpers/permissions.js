@@ -0,0 +1,78 @@
+"use strict";
+
+/**
+ * Roles and the permissions they grant.
+ *
+ * A user has one or more roles (users.roles); what they may do is the union
+ * of their roles' permissions. Routes check permissions, not roles, with
+ * requirePermission in middleware/auth.js, so a new role only needs adding
+ * here.
+ */
+
+const PERMISSIONS = [
+  "insects:create",
+  "insects:update",
+  "insects:delete",
+  "categories:manage",
+  "reviews:moderate",
+  "stock:read",
+  "stock:adjust",
+  "orders:read",
+  "orders:update-status",
+  "orders:delete",
+  "shipping:manage",
+  "users:create",
+  "users:read",
+  "users:update",
+  "users:delete",
+  "users:assign-roles",
+  "pricing:manage",
+  "promotions:manage",
+  "logins:read",
+  "logins:unlock",
+  "audit:read",
+];
+
+const ROLE_PERMISSIONS = {
+  customer: [],
+  fulfillment: ["stock:read", "orders:read", "orders:update-status", "shipping:manage"],
+  catalog_manager: [
+    "insects:create",
+    "insects:update",
+    "insects:delete",
+    "categories:manage",
+    "reviews:moderate",
+    "stock:read",
+    "stock:adjust",
+  ],
+  admin: PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/** Return the Set of permissions granted by a list of role names. */
+
+function permissionsFor(roles = []) {
+  const permissions = new Set();
+  for (const role of roles) {
+    for (const permission of ROLE_PERMISSIONS[role] || []) {
+      permissions.add(permission);
+    }
+  }
+  return permissions;
+}
+
+/** Return whether user ({ roles }) has every one of the given permissions. */
+
+function hasPermissions(user, permissions) {
+  const granted = permissionsFor(user && user.roles);
+  return permissions.every(p => granted.has(p));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  permissionsFor,
+  hasPermissions,
+};
@@ -0,0 +1,49 @@
+"use strict";
+
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermissions,
+} = require("./permissions");
+
+describe("ROLE_PERMISSIONS", function () {
+  test("every role grants only known permissions", function () {
+    for (const permissions of Object.values(ROLE_PERMISSIONS)) {
+      for (const permission of permissions) {
+        expect(PERMISSIONS).toContain(permission);
+      }
+    }
+  });
+
+  test("customers get none, admins get all", function () {
+    expect(ROLE_PERMISSIONS.customer).toEqual([]);
+    expect(ROLE_PERMISSIONS.admin).toEqual(PERMISSIONS);
+  });
+});
+
+describe("permissionsFor", function () {
+  test("works: unions the roles", function () {
+    const permissions = permissionsFor(["fulfillment", "catalog_manager"]);
+    expect(permissions.has("orders:update-status")).toBe(true);
+    expect(permissions.has("insects:create")).toBe(true);
+    expect(permissions.has("users:delete")).toBe(false);
+  });
+
+  test("works: unknown or no roles grant nothing", function () {
+    expect(permissionsFor(["wizard"]).size).toEqual(0);
+    expect(permissionsFor().size).toEqual(0);
+  });
+});
+
+describe("hasPermissions", function () {
+  test("needs every one", function () {
+    const user = { roles: ["fulfillment"] };
+    expect(hasPermissions(user, ["orders:read"])).toBe(true);
+    expect(hasPermissions(user, ["orders:read", "insects:create"])).toBe(false);
+  });
+
+  test("false for anon", function () {
+    expect(hasPermissions(undefined, ["orders:read"])).toBe(false);
+  });
+});
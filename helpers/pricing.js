@@ -0,0 +1,124 @@
+"use strict";
+
+const { toCents, fromCents } = require("./money");
+
+/**
+ * Pricing engine: turns order lines plus the tax and shipping rules that
+ * apply to the destination into a { subtotal, tax, shipping, total }
+ * breakdown.
+ *
+ * All math is done in integer cents; rates are applied in basis points so a
+ * half cent is always rounded up, never lost to floating point.
+ *
+ * Rules are plain rows from tax_rules / shipping_rules / promotions; looking
+ * them up is the caller's job (see TaxRule.forRegion, ShippingRule.forRegion
+ * and Promotion.forOrder).
+ */
+
+/** Shipping in cents for an order.
+ *
+ * Any matching free_over rule whose threshold the subtotal reaches makes
+ * shipping free. Otherwise the fees of every flat and weight rule are added.
+ */
+
+function calculateShipping(subtotalCents, weightGrams, shippingRules) {
+  const freeShipping = shippingRules.some(rule =>
+      rule.kind === "free_over" && subtotalCents >= toCents(rule.min_subtotal));
+  if (freeShipping) return 0;
+
+  return shippingRules.reduce((sum, rule) => {
+    if (rule.kind === "flat") return sum + toCents(rule.fee);
+    if (rule.kind === "weight") {
+      return sum + toCents(rule.fee)
+          + Math.round(toCents(rule.per_kg_fee) * weightGrams / 1000);
+    }
+    return sum;
+  }, 0);
+}
+
+/** Whether a promotion's insect / category restrictions cover a line. */
+
+function promotionAppliesTo(promotion, line) {
+  const { insect_ids, category_ids } = promotion;
+  if (!insect_ids && !category_ids) return true;
+  if (insect_ids && insect_ids.includes(line.id)) return true;
+  return Boolean(category_ids
+      && (line.categoryIds || []).some(id => category_ids.includes(id)));
+}
+
+/** Discount in cents a promotion gives on `lines`.
+ *
+ * Only lines the promotion applies to count towards it. A fixed discount
+ * never exceeds what it applies to.
+ */
+
+function calculateDiscount(lines, promotion) {
+  const eligibleCents = lines
+      .filter(l => promotionAppliesTo(promotion, l))
+      .reduce((sum, l) => sum + l.unitCents * l.quantity, 0);
+
+  if (promotion.discount_type === "percent") {
+    return Math.round(eligibleCents * toCents(promotion.discount_value) / 10000);
+  }
+  return Math.min(toCents(promotion.discount_value), eligibleCents);
+}
+
+/** Tax in cents on `taxableCents` at a NUMERIC(6, 4) rate like "0.0825". */
+
+function calculateTax(taxableCents, rate) {
+  const basisPoints = Math.round(Number(rate) * 10000);
+  return Math.round(taxableCents * basisPoints / 10000);
+}
+
+/** Price an order.
+ *
+ * A promotion's discount comes off the subtotal before shipping and tax are
+ * worked out, so free-shipping thresholds and tax use the discounted amount.
+ *
+ * The shipping method's rate is added to the shipping rules' fees; a
+ * free_over rule waives the fees but not the rate.
+ *
+ * @param lines {Array} [{ id, unitCents, quantity, weightGrams, categoryIds }, ...]
+ * @param taxRule {Object|null} tax_rules row, or null for no tax
+ * @param shippingRules {Array} shipping_rules rows for the destination
+ * @param promotion {Object|null} promotions row, already validated
+ * @param shippingMethod {Object|null} shipping_methods row, or null for none
+ *
+ * @returns {Object} { subtotal, discount, tax, shipping, total } in dollars
+ *
+ * @example
+ *   priceOrder({
+ *     lines: [{ unitCents: 1250, quantity: 2, weightGrams: 100 }],
+ *     taxRule: { rate: "0.0825", tax_shipping: false },
+ *     shippingRules: [{ kind: "flat", fee: "5.00" }],
+ *   }) => { subtotal: 25, discount: 0, tax: 2.06, shipping: 5, total: 32.06 }
+ */
+
+function priceOrder({ lines, taxRule, shippingRules, promotion = null, shippingMethod = null }) {
+  const subtotalCents = lines.reduce(
+      (sum, l) => sum + l.unitCents * l.quantity, 0);
+  const weightGrams = lines.reduce(
+      (sum, l) => sum + (l.weightGrams || 0) * l.quantity, 0);
+
+  const discountCents = promotion ? calculateDiscount(lines, promotion) : 0;
+  const discountedCents = subtotalCents - discountCents;
+
+  const shippingCents = calculateShipping(discountedCents, weightGrams, shippingRules)
+      + (shippingMethod ? toCents(shippingMethod.rate) : 0);
+
+  let taxCents = 0;
+  if (taxRule) {
+    const taxable = discountedCents + (taxRule.tax_shipping ? shippingCents : 0);
+    taxCents = calculateTax(taxable, taxRule.rate);
+  }
+
+  return {
+    subtotal: fromCents(subtotalCents),
+    discount: fromCents(discountCents),
+    tax: fromCents(taxCents),
+    shipping: fromCents(shippingCents),
+    total: fromCents(discountedCents + taxCents + shippingCents),
+  };
+}
+
+module.exports = { priceOrder, calculateShipping, calculateDiscount, calculateTax };
@@ -0,0 +1,126 @@
+"use strict";
+
+const {
+  priceOrder,
+  calculateShipping,
+  calculateDiscount,
+  calculateTax,
+} = require("./pricing");
+
+describe("calculateShipping", function () {
+  const flat = { kind: "flat", fee: "5.00" };
+  const weight = { kind: "weight", fee: "1.00", per_kg_fee: "2.50" };
+  const freeOver = { kind: "free_over", min_subtotal: "50.00" };
+
+  test("adds flat and weight fees", function () {
+    // 5.00 + 1.00 + 2.50/kg * 1.5kg
+    expect(calculateShipping(1000, 1500, [flat, weight])).toEqual(975);
+  });
+
+  test("rounds weight fees to the cent", function () {
+    expect(calculateShipping(1000, 333, [weight])).toEqual(183);
+  });
+
+  test("free once a free_over threshold is reached", function () {
+    expect(calculateShipping(4999, 1000, [flat, freeOver])).toEqual(500);
+    expect(calculateShipping(5000, 1000, [flat, freeOver])).toEqual(0);
+  });
+
+  test("nothing with no rules", function () {
+    expect(calculateShipping(1000, 1000, [])).toEqual(0);
+  });
+});
+
+describe("calculateTax", function () {
+  test("rounds half a cent up", function () {
+    // 8.25% of 10.10 is 0.83325; of 10.06 is 0.82995
+    expect(calculateTax(1010, "0.0825")).toEqual(83);
+    expect(calculateTax(1006, "0.0825")).toEqual(83);
+    expect(calculateTax(200, "0.0625")).toEqual(13);
+  });
+
+  test("doesn't drift on rates floats can't hold", function () {
+    expect(calculateTax(10000, "0.0700")).toEqual(700);
+    expect(calculateTax(3, "0.5")).toEqual(2);
+  });
+});
+
+describe("calculateDiscount", function () {
+  const lines = [
+    { id: 1, unitCents: 1000, quantity: 2, categoryIds: [7] },
+    { id: 2, unitCents: 550, quantity: 1, categoryIds: [] },
+  ];
+
+  test("percent of the whole order", function () {
+    expect(calculateDiscount(lines, { discount_type: "percent", discount_value: "15" }))
+        .toEqual(383);
+  });
+
+  test("only on the insects or categories it names", function () {
+    expect(calculateDiscount(lines, {
+      discount_type: "percent", discount_value: "10", insect_ids: [2],
+    })).toEqual(55);
+    expect(calculateDiscount(lines, {
+      discount_type: "percent", discount_value: "10", category_ids: [7],
+    })).toEqual(200);
+  });
+
+  test("a fixed discount never exceeds what it applies to", function () {
+    expect(calculateDiscount(lines, {
+      discount_type: "fixed", discount_value: "5.00",
+    })).toEqual(500);
+    expect(calculateDiscount(lines, {
+      discount_type: "fixed", discount_value: "10.00", insect_ids: [2],
+    })).toEqual(550);
+  });
+});
+
+describe("priceOrder", function () {
+  test("works: the documented example", function () {
+    expect(priceOrder({
+      lines: [{ unitCents: 1250, quantity: 2, weightGrams: 100 }],
+      taxRule: { rate: "0.0825", tax_shipping: false },
+      shippingRules: [{ kind: "flat", fee: "5.00" }],
+    })).toEqual({ subtotal: 25, discount: 0, tax: 2.06, shipping: 5, total: 32.06 });
+  });
+
+  test("taxes shipping if the rule says so", function () {
+    expect(priceOrder({
+      lines: [{ unitCents: 1000, quantity: 1 }],
+      taxRule: { rate: "0.1000", tax_shipping: true },
+      shippingRules: [{ kind: "flat", fee: "5.00" }],
+    })).toEqual({ subtotal: 10, discount: 0, tax: 1.5, shipping: 5, total: 16.5 });
+  });
+
+  test("no tax rule, no tax", function () {
+    expect(priceOrder({
+      lines: [{ unitCents: 1000, quantity: 3 }],
+      taxRule: null,
+      shippingRules: [],
+    })).toEqual({ subtotal: 30, discount: 0, tax: 0, shipping: 0, total: 30 });
+  });
+
+  test("adds the shipping method's rate, even when shipping is free", function () {
+    expect(priceOrder({
+      lines: [{ unitCents: 6000, quantity: 1 }],
+      taxRule: null,
+      shippingRules: [
+        { kind: "flat", fee: "5.00" },
+        { kind: "free_over", min_subtotal: "50.00" },
+      ],
+      shippingMethod: { rate: "12.99" },
+    })).toEqual({ subtotal: 60, discount: 0, tax: 0, shipping: 12.99, total: 72.99 });
+  });
+
+  test("discounts before the free-shipping threshold and tax", function () {
+    expect(priceOrder({
+      lines: [{ id: 1, unitCents: 5000, quantity: 1 }],
+      taxRule: { rate: "0.1000", tax_shipping: false },
+      shippingRules: [
+        { kind: "flat", fee: "5.00" },
+        { kind: "free_over", min_subtotal: "50.00" },
+      ],
+      promotion: { discount_type: "percent", discount_value: "10" },
+    })).toEqual({ subtotal: 50, discount: 5, tax: 4.5, shipping: 5, total: 54.5 });
+  });
+});
@@ -0,0 +1,25 @@
+"use strict";
+
+/** Keys holding secrets, left out at any depth of anything stored where it
+ * could be read back later (the audit log, replayable responses):
+ * credentials, and a guest order's lookup_token (which finds the order,
+ * like a password). */
+
+const REDACTED_KEYS = new Set(["password", "token", "refreshToken", "lookup_token"]);
+
+/** Return a JSON-safe copy of value with REDACTED_KEYS removed. */
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === "object") {
+    const copy = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (!REDACTED_KEYS.has(key)) copy[key] = redact(v);
+    }
+    return copy;
+  }
+  return value;
+}
+
+module.exports = { REDACTED_KEYS, redact };
@@ -0,0 +1,109 @@
+"use strict";
+
+const {
+  SHIPPING_TIMEZONE,
+  SHIPPING_CUTOFF_HOUR,
+  SHIPPING_LOOKAHEAD_DAYS,
+} = require("../config");
+
+/**
+ * Delivery scheduling for live insects.
+ *
+ * Dates are "YYYY-MM-DD" strings throughout (calendar days at the
+ * warehouse), so no time zone can shift them by a day.
+ *
+ * A parcel must never sit in a depot, so a carrier method can only ship on a
+ * day when every day from shipping to the latest delivery is a weekday
+ * (Monday to Friday) outside the blackout dates. Pickup orders wait for the
+ * customer at the warehouse, so only the pickup day itself matters.
+ *
+ * Looking up methods and blackout dates is the caller's job (see
+ * ShippingMethod).
+ */
+
+/** Return date plus `days` days. */
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Return the ISO weekday of date: 1 for Monday to 7 for Sunday. */
+
+function isoWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+}
+
+/** Return the first day an order placed at `now` could ship: today in the
+ * warehouse's time zone, or tomorrow once it's past the cutoff hour. */
+
+function earliestShipDate(now = new Date(), {
+  timeZone = SHIPPING_TIMEZONE, cutoffHour = SHIPPING_CUTOFF_HOUR,
+} = {}) {
+  const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        hourCycle: "h23",
+      }).formatToParts(now).map(p => [p.type, p.value]));
+
+  const today = `${parts.year}-${parts.month}-${parts.day}`;
+  return +parts.hour >= cutoffHour ? addDays(today, 1) : today;
+}
+
+/** Find the earliest safe ship date for a shipping method.
+ *
+ * @param method {Object} shipping_methods row: { code, kind, transit_days, ship_days }
+ * @param from {String} first date to consider (see earliestShipDate)
+ * @param blackoutDates {Array} [{ date, method_code }, ...]; a null
+ *   method_code blacks out every method
+ * @param lookaheadDays {Number} how many days past `from` to search
+ *
+ * @returns {Object|null} { ship_date, delivery_window_start,
+ *   delivery_window_end }, or null if nothing is safe within the lookahead.
+ *   For pickup all three are the pickup day.
+ *
+ * @example
+ *   scheduleShipment(
+ *     { code: "two_day", kind: "carrier", transit_days: 2, ship_days: [1, 2, 3] },
+ *     { from: "2024-05-23" })   // a Thursday
+ *   => { ship_date: "2024-05-27", delivery_window_start: "2024-05-28",
+ *        delivery_window_end: "2024-05-29" }
+ */
+
+function scheduleShipment(method, {
+  from, blackoutDates = [], lookaheadDays = SHIPPING_LOOKAHEAD_DAYS,
+}) {
+  const blackedOut = new Set(blackoutDates
+      .filter(b => b.method_code === null || b.method_code === method.code)
+      .map(b => b.date));
+  const isPickup = method.kind === "pickup";
+  const transitDays = isPickup ? 0 : method.transit_days;
+
+  for (let i = 0; i <= lookaheadDays; i++) {
+    const shipDate = addDays(from, i);
+    if (!method.ship_days.includes(isoWeekday(shipDate))) continue;
+
+    let safe = true;
+    for (let d = 0; d <= transitDays && safe; d++) {
+      const day = addDays(shipDate, d);
+      safe = !blackedOut.has(day) && (isPickup || isoWeekday(day) <= 5);
+    }
+
+    if (safe) {
+      return {
+        ship_date: shipDate,
+        delivery_window_start: addDays(shipDate, Math.min(1, transitDays)),
+        delivery_window_end: addDays(shipDate, transitDays),
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = { addDays, isoWeekday, earliestShipDate, scheduleShipment };
@@ -0,0 +1,119 @@
+"use strict";
+
+const {
+  addDays,
+  isoWeekday,
+  earliestShipDate,
+  scheduleShipment,
+} = require("./shipping");
+
+const overnight = { code: "overnight", kind: "carrier", transit_days: 1, ship_days: [1, 2, 3, 4] };
+const twoDay = { code: "two_day", kind: "carrier", transit_days: 2, ship_days: [1, 2, 3] };
+const pickup = { code: "local_pickup", kind: "pickup", transit_days: 0, ship_days: [1, 2, 3, 4, 5, 6] };
+
+/************************************** addDays / isoWeekday */
+
+describe("addDays", function () {
+  test("works across months, years and DST", function () {
+    expect(addDays("2024-05-31", 1)).toEqual("2024-06-01");
+    expect(addDays("2024-12-31", 1)).toEqual("2025-01-01");
+    expect(addDays("2024-02-28", 1)).toEqual("2024-02-29");
+    expect(addDays("2024-03-10", 1)).toEqual("2024-03-11");
+    expect(addDays("2024-05-23", -23)).toEqual("2024-04-30");
+  });
+});
+
+describe("isoWeekday", function () {
+  test("Monday is 1 and Sunday 7", function () {
+    expect(isoWeekday("2024-05-20")).toEqual(1);
+    expect(isoWeekday("2024-05-23")).toEqual(4);
+    expect(isoWeekday("2024-05-26")).toEqual(7);
+  });
+});
+
+/************************************** earliestShipDate */
+
+describe("earliestShipDate", function () {
+  const options = { timeZone: "America/Los_Angeles", cutoffHour: 12 };
+
+  test("today before the cutoff, tomorrow from it", function () {
+    // 11:59 and 12:00 in Los Angeles (UTC-7 in May).
+    expect(earliestShipDate(new Date("2024-05-23T18:59:00Z"), options)).toEqual("2024-05-23");
+    expect(earliestShipDate(new Date("2024-05-23T19:00:00Z"), options)).toEqual("2024-05-24");
+  });
+
+  test("uses the warehouse's date, not UTC's", function () {
+    // Already the 24th in UTC, but 8pm on the 23rd at the warehouse.
+    expect(earliestShipDate(new Date("2024-05-24T03:00:00Z"), options)).toEqual("2024-05-24");
+    // Just after midnight on the 24th at the warehouse.
+    expect(earliestShipDate(new Date("2024-05-24T07:30:00Z"), options)).toEqual("2024-05-24");
+  });
+
+  test("a cutoff of 0 always means tomorrow", function () {
+    const midnight = { ...options, cutoffHour: 0 };
+    expect(earliestShipDate(new Date("2024-05-23T07:00:00Z"), midnight)).toEqual("2024-05-24");
+    expect(earliestShipDate(new Date("2024-05-24T06:59:00Z"), midnight)).toEqual("2024-05-24");
+  });
+});
+
+/************************************** scheduleShipment */
+
+describe("scheduleShipment", function () {
+  test("the documented example", function () {
+    expect(scheduleShipment(twoDay, { from: "2024-05-23" })).toEqual({
+      ship_date: "2024-05-27",
+      delivery_window_start: "2024-05-28",
+      delivery_window_end: "2024-05-29",
+    });
+  });
+
+  test("ships straight away when it's safe", function () {
+    expect(scheduleShipment(overnight, { from: "2024-05-23" })).toEqual({
+      ship_date: "2024-05-23",
+      delivery_window_start: "2024-05-24",
+      delivery_window_end: "2024-05-24",
+    });
+  });
+
+  test("never leaves a parcel in transit over a weekend", function () {
+    // Friday isn't a ship day for overnight, and nothing arrives on Saturday.
+    expect(scheduleShipment(overnight, { from: "2024-05-24" }).ship_date).toEqual("2024-05-27");
+    expect(scheduleShipment({ ...overnight, ship_days: [5] }, { from: "2024-05-24" }))
+        .toBeNull();
+  });
+
+  test("blackout dates block shipping and transit", function () {
+    const blackoutDates = [{ date: "2024-05-28", method_code: null }];
+    // Monday's parcel would be in transit on the 28th; Tuesday ships on it.
+    expect(scheduleShipment(twoDay, { from: "2024-05-23", blackoutDates })).toEqual({
+      ship_date: "2024-05-29",
+      delivery_window_start: "2024-05-30",
+      delivery_window_end: "2024-05-31",
+    });
+  });
+
+  test("only applies a blackout to its own method", function () {
+    const blackoutDates = [{ date: "2024-05-28", method_code: "overnight" }];
+    expect(scheduleShipment(twoDay, { from: "2024-05-23", blackoutDates }).ship_date)
+        .toEqual("2024-05-27");
+    expect(scheduleShipment(overnight, { from: "2024-05-27", blackoutDates }).ship_date)
+        .toEqual("2024-05-29");
+  });
+
+  test("pickup is the same day, Saturdays included", function () {
+    expect(scheduleShipment(pickup, { from: "2024-05-25" })).toEqual({
+      ship_date: "2024-05-25",
+      delivery_window_start: "2024-05-25",
+      delivery_window_end: "2024-05-25",
+    });
+    expect(scheduleShipment(pickup, { from: "2024-05-26" }).ship_date).toEqual("2024-05-27");
+    expect(scheduleShipment(pickup, {
+      from: "2024-05-27", blackoutDates: [{ date: "2024-05-27", method_code: null }],
+    }).ship_date).toEqual("2024-05-28");
+  });
+
+  test("null when nothing is safe within the lookahead", function () {
+    expect(scheduleShipment(twoDay, { from: "2024-05-23", lookaheadDays: 3 })).toBeNull();
+    expect(scheduleShipment(twoDay, { from: "2024-05-23", lookaheadDays: 4 })).not.toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const { STORAGE_BACKEND, UPLOAD_DIR } = require("../config");
+
+/**
+ * Pluggable file storage for uploads.
+ *
+ * A backend is any object with:
+ *   - save(key, buffer, contentType) => Promise<url>
+ *   - remove(key) => Promise (removing a missing key is not an error)
+ *
+ * Keys are relative paths like "insects/12/abc.webp". The backend in use is
+ * picked by the STORAGE_BACKEND setting; add new ones with registerBackend.
+ */
+
+/** Stores files under a local directory, served by app.js at /uploads. */
+
+class LocalDiskStorage {
+  constructor({ directory = UPLOAD_DIR, baseUrl = "/uploads" } = {}) {
+    this.directory = directory;
+    this.baseUrl = baseUrl;
+  }
+
+  async save(key, buffer) {
+    const filePath = path.join(this.directory, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${this.baseUrl}/${key}`;
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(path.join(this.directory, key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+}
+
+const backends = {
+  local: () => new LocalDiskStorage(),
+};
+
+let storage;
+
+/** Register a factory for a storage backend under `name`. */
+
+function registerBackend(name, factory) {
+  backends[name] = factory;
+  storage = undefined;
+}
+
+/** Return the configured storage backend (created on first use). */
+
+function getStorage() {
+  if (!storage) {
+    const factory = backends[STORAGE_BACKEND];
+    if (!factory) throw new Error(`Unknown storage backend: ${STORAGE_BACKEND}`);
+    storage = factory();
+  }
+  return storage;
+}
+
+module.exports = { LocalDiskStorage, registerBackend, getStorage };
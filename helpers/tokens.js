@@ -1,18 +1,89 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const {
+  SECRET_KEY,
+  ACCESS_TOKEN_TTL,
+  EMAIL_VERIFICATION_TTL,
+} = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed, short-lived JWT from user data.
+ *
+ * The token carries the user's roles for clients to read; the server itself
+ * reads current roles from the database on each request.
+ *
+ * sessionId ties the token to a row in sessions, so logging out or changing
+ * password (which revoke the session) also invalidates the access token.
+ */
 
-function createToken(user) {
+function createToken(user, sessionId) {
   console.assert(user.isAdmin !== undefined,
       "createToken passed user without isAdmin property");
 
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    roles: user.roles || [],
+    sid: sessionId,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL });
 }
 
-module.exports = { createToken };
\ No newline at end of file
+/** return a new random opaque token (for refresh tokens and the like). */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return the hash of an opaque token, which is what gets stored. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/** Letters and digits that can't be misread for one another (no 0/O, 1/I/L). */
+
+const ORDER_NUMBER_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+
+/** return a random, human-friendly order number like "FP-7K3M9QX2". */
+
+function createOrderNumber() {
+  let number = "";
+  for (let i = 0; i < 8; i++) {
+    number += ORDER_NUMBER_ALPHABET[crypto.randomInt(ORDER_NUMBER_ALPHABET.length)];
+  }
+  return `FP-${number}`;
+}
+
+/** return signed token for an email verification link.
+ *
+ * It names the email too, so a link stops working if the address changes.
+ */
+
+function createVerificationToken({ username, email }) {
+  return jwt.sign({ purpose: "verify-email", username, email }, SECRET_KEY,
+      { expiresIn: EMAIL_VERIFICATION_TTL });
+}
+
+/** return { username, email } from a verification token, or null if it is
+ * invalid, expired or not a verification token.
+ */
+
+function readVerificationToken(token) {
+  try {
+    const payload = jwt.verify(token, SECRET_KEY);
+    if (payload.purpose !== "verify-email") return null;
+    return { username: payload.username, email: payload.email };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  createToken,
+  createOpaqueToken,
+  hashToken,
+  createOrderNumber,
+  createVerificationToken,
+  readVerificationToken,
+};
@@ -0,0 +1,71 @@
+"use strict";
+
+const db = require("../db");
+
+/** Where withTransaction keeps a client's onCommit / onRollback callbacks. */
+
+const HOOKS = Symbol("transaction hooks");
+
+/**
+ * Run `callback` inside a database transaction.
+ *
+ * A dedicated client is checked out of the pool and passed to the callback;
+ * every query that must be part of the transaction has to go through that
+ * client rather than the shared `db`.
+ *
+ * If the callback throws, the transaction is rolled back, any onRollback
+ * callbacks run and the error is rethrown; otherwise it is committed, any
+ * onCommit callbacks run and the callback's result is returned. Those are
+ * for side effects outside the database, like stored files, which must
+ * follow whatever the transaction's fate turns out to be.
+ *
+ * @param callback {Function} async (client) => result
+ *
+ * @returns {Promise<*>} whatever the callback resolved to
+ *
+ * @example
+ *   const order = await withTransaction(async (client) => {
+ *     await client.query("INSERT INTO orders ...");
+ *     await client.query("INSERT INTO order_items ...");
+ *     return order;
+ *   });
+ */
+
+async function withTransaction(callback) {
+  const client = await db.connect();
+  const hooks = { commit: [], rollback: [] };
+  client[HOOKS] = hooks;
+
+  let result;
+  try {
+    await client.query("BEGIN");
+    result = await callback(client);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    for (const fn of hooks.rollback) await fn();
+    throw err;
+  } finally {
+    delete client[HOOKS];
+    client.release();
+  }
+
+  for (const fn of hooks.commit) await fn();
+  return result;
+}
+
+/** Run async fn once the transaction `client` (from withTransaction) has
+ * committed, e.g. to delete files whose rows it deleted. */
+
+function onCommit(client, fn) {
+  client[HOOKS].commit.push(fn);
+}
+
+/** Run async fn if the transaction `client` (from withTransaction) rolls
+ * back, e.g. to delete files stored for rows it would have added. */
+
+function onRollback(client, fn) {
+  client[HOOKS].rollback.push(fn);
+}
+
+module.exports = { withTransaction, onCommit, onRollback };
@@ -0,0 +1,55 @@
+"use strict";
+
+const db = require("../db.js");
+const { withTransaction, onCommit, onRollback } = require("./transaction");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Return how many insects are named species. */
+
+async function countSpecies(species) {
+  const result = await db.query(
+      `SELECT COUNT(*)::int AS count FROM insects WHERE species = $1`, [species]);
+  return result.rows[0].count;
+}
+
+const INSERT_NEW = `INSERT INTO insects (species, price, url_image)
+                    VALUES ('new', 1, 'http://new.img')`;
+
+describe("withTransaction", function () {
+  test("works: commits, runs onCommit hooks and returns the result", async function () {
+    const events = [];
+    const result = await withTransaction(async (client) => {
+      await client.query(INSERT_NEW);
+      onCommit(client, async () => events.push("committed"));
+      onRollback(client, async () => events.push("rolled back"));
+      return "done";
+    });
+
+    expect(result).toEqual("done");
+    expect(events).toEqual(["committed"]);
+    expect(await countSpecies("new")).toEqual(1);
+  });
+
+  test("rolls back, runs onRollback hooks and rethrows", async function () {
+    const events = [];
+    await expect(withTransaction(async (client) => {
+      await client.query(INSERT_NEW);
+      onCommit(client, async () => events.push("committed"));
+      onRollback(client, async () => events.push("rolled back"));
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+
+    expect(events).toEqual(["rolled back"]);
+    expect(await countSpecies("new")).toEqual(0);
+  });
+});
@@ -4,23 +4,29 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const Session = require("../models/session");
+const { hasPermissions } = require("../helpers/permissions");
 
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it, and, if valid and its session is still
+ * live, store { username, isAdmin, roles, emailVerified, sid } on res.locals. All but
+ * sid are read from the database, so they are current even if the token is not.
  *
- * It's not an error if no token was provided or if the token is not valid.
+ * It's not an error if no token was provided or if the token is not valid,
+ * has expired, or belongs to a revoked session.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
     const authHeader = req.headers && req.headers.authorization;
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const { sid } = jwt.verify(token, SECRET_KEY);
+      const user = sid && await Session.getActive(sid);
+      if (user) res.locals.user = { ...user, sid };
     }
     return next();
   } catch (err) {
@@ -43,15 +49,19 @@ function ensureLoggedIn(req, res, next) {
 }
 
 
-/** Middleware to use when they be logged in as an admin user.
+/** Middleware to use on routes that place orders.
  *
- *  If not, raises Unauthorized.
+ * A logged-in user must have verified their email; admins are exempt.
+ * Guests (no token) pass, so add ensureLoggedIn too where a login is needed.
+ *
+ * If not, raises Forbidden.
  */
 
-function ensureAdmin(req, res, next) {
+function ensureVerified(req, res, next) {
   try {
-    if (!res.locals.user || !res.locals.user.isAdmin) {
-      throw new UnauthorizedError();
+    const user = res.locals.user;
+    if (user && !user.isAdmin && !user.emailVerified) {
+      throw new ForbiddenError("Verify your email address before ordering");
     }
     return next();
   } catch (err) {
@@ -59,17 +69,15 @@ function ensureAdmin(req, res, next) {
   }
 }
 
-/** Middleware to use when they must provide a valid token & be user matching
- *  username provided as route param.
+
+/** Middleware to use when they be logged in as an admin user.
  *
  *  If not, raises Unauthorized.
  */
 
-function ensureCorrectUserOrAdmin(req, res, next) {
+function ensureAdmin(req, res, next) {
   try {
-    console.log("Begin Auth: ",res.locals.user);
-    const user = res.locals.user;
-    if (!(user && (user.isAdmin || user.username === req.params.username))) {
+    if (!res.locals.user || !res.locals.user.isAdmin) {
       throw new UnauthorizedError();
     }
     return next();
@@ -78,10 +86,50 @@ function ensureCorrectUserOrAdmin(req, res, next) {
   }
 }
 
+/** Middleware factory: they must be logged in with every named permission
+ * (see helpers/permissions.js).
+ *
+ * If not logged in, raises Unauthorized; if lacking a permission, Forbidden.
+ */
+
+function requirePermission(...permissions) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (!hasPermissions(user, permissions)) throw new ForbiddenError("Not permitted");
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Middleware factory: like requirePermission, but the user matching the
+ * username route param may also pass (for users' own records).
+ */
+
+function requireSelfOrPermission(...permissions) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (user.username !== req.params.username
+          && !hasPermissions(user, permissions)) {
+        throw new ForbiddenError("Not permitted");
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
+  ensureVerified,
   ensureAdmin,
-  ensureCorrectUserOrAdmin,
+  requirePermission,
+  requireSelfOrPermission,
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const {
+  authenticateJWT,
+  ensureLoggedIn,
+  ensureVerified,
+  requirePermission,
+  requireSelfOrPermission,
+} = require("./auth");
+const Session = require("../models/session");
+const { SECRET_KEY } = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Run middleware with res.locals.user set to user; return what it passed
+ * to next (undefined to carry on, or an error). */
+
+function run(middleware, user, params = {}) {
+  let passed = "next not called";
+  middleware({ params }, { locals: { user } }, (err) => { passed = err; });
+  return passed;
+}
+
+const customer = { username: "u1", isAdmin: false, roles: ["customer"], emailVerified: true };
+const fulfillment = { username: "f", isAdmin: false, roles: ["fulfillment"], emailVerified: true };
+
+describe("authenticateJWT", function () {
+  test("works: loads the user from the token's session", async function () {
+    const { token } = await Session.start({ username: "u1", isAdmin: false });
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, (err) => expect(err).toBeFalsy());
+    expect(res.locals.user).toEqual({
+      username: "u1",
+      isAdmin: false,
+      roles: ["customer"],
+      emailVerified: true,
+      sid: jwt.verify(token, SECRET_KEY).sid,
+    });
+  });
+
+  test("works: no header", async function () {
+    const res = { locals: {} };
+    await authenticateJWT({ headers: {} }, res, (err) => expect(err).toBeFalsy());
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: bad signature or revoked session sets no user", async function () {
+    const { token, refreshToken } = await Session.start({ username: "u1", isAdmin: false });
+    await Session.revokeByRefreshToken(refreshToken);
+    const forged = jwt.sign({ username: "u1", sid: 1 }, "wrong");
+
+    for (const t of [token, forged]) {
+      const res = { locals: {} };
+      await authenticateJWT({ headers: { authorization: `Bearer ${t}` } }, res,
+          (err) => expect(err).toBeFalsy());
+      expect(res.locals).toEqual({});
+    }
+  });
+});
+
+describe("ensureLoggedIn", function () {
+  test("works", function () {
+    expect(run(ensureLoggedIn, customer)).toBeUndefined();
+  });
+
+  test("unauth if no login", function () {
+    expect(run(ensureLoggedIn, undefined)).toBeInstanceOf(UnauthorizedError);
+  });
+});
+
+describe("ensureVerified", function () {
+  test("lets guests, verified users and admins through", function () {
+    expect(run(ensureVerified, undefined)).toBeUndefined();
+    expect(run(ensureVerified, customer)).toBeUndefined();
+    expect(run(ensureVerified, { ...customer, isAdmin: true, emailVerified: false }))
+        .toBeUndefined();
+  });
+
+  test("forbidden for an unverified user", function () {
+    expect(run(ensureVerified, { ...customer, emailVerified: false }))
+        .toBeInstanceOf(ForbiddenError);
+  });
+});
+
+describe("requirePermission", function () {
+  test("works", function () {
+    expect(run(requirePermission("orders:read"), fulfillment)).toBeUndefined();
+  });
+
+  test("forbidden without every permission", function () {
+    expect(run(requirePermission("orders:read", "insects:create"), fulfillment))
+        .toBeInstanceOf(ForbiddenError);
+    expect(run(requirePermission("orders:read"), customer)).toBeInstanceOf(ForbiddenError);
+  });
+
+  test("unauth for anon", function () {
+    expect(run(requirePermission("orders:read"), undefined))
+        .toBeInstanceOf(UnauthorizedError);
+  });
+});
+
+describe("requireSelfOrPermission", function () {
+  const middleware = requireSelfOrPermission("users:read");
+
+  test("works for the user themselves", function () {
+    expect(run(middleware, customer, { username: "u1" })).toBeUndefined();
+  });
+
+  test("works with the permission", function () {
+    const admin = { username: "a", isAdmin: true, roles: ["admin"] };
+    expect(run(middleware, admin, { username: "u1" })).toBeUndefined();
+  });
+
+  test("forbidden for anyone else", function () {
+    expect(run(middleware, fulfillment, { username: "u1" })).toBeInstanceOf(ForbiddenError);
+  });
+
+  test("unauth for anon", function () {
+    expect(run(middleware, undefined, { username: "u1" })).toBeInstanceOf(UnauthorizedError);
+  });
+});
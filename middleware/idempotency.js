@@ -0,0 +1,112 @@
+"use strict";
+
+/** Middleware for Idempotency-Key headers on mutating requests. */
+
+const crypto = require("crypto");
+const { BadRequestError } = require("../expressError");
+const IdempotencyKey = require("../models/idempotencyKey");
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+const MAX_KEY_LENGTH = 255;
+
+/** Return JSON for value with object keys sorted, so bodies that differ only
+ * in key order get the same fingerprint. */
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value).sort()
+        .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/** Return a fingerprint of a request: its method, path and body, plus the
+ * uploaded file's contents if there is one. */
+
+function fingerprint(req) {
+  const hash = crypto.createHash("sha256")
+      .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body || {})}`);
+  if (req.file) hash.update("\n").update(req.file.buffer);
+  return hash.digest("hex");
+}
+
+/** Return who a request is from, for scoping its keys: the user, or a
+ * guest's IP address. */
+
+function keyOwner(req, res) {
+  return res.locals.user ? `user:${res.locals.user.username}` : `guest:${req.ip}`;
+}
+
+/** Middleware: make a mutating request safe to retry.
+ *
+ * If a POST / PUT / PATCH / DELETE has an Idempotency-Key header (any
+ * unique string, e.g. a UUID the client made up for this action), the first
+ * request with that key is handled as usual and its response remembered.
+ * Repeating the request with the same key replays that response (with an
+ * Idempotent-Replayed: true header) rather than doing it again, so a
+ * double-click or a retry after a dropped connection can't, say, place an
+ * order twice.
+ *
+ * Reusing a key for a different request is a 422; repeating it while the
+ * first is still running is a 409. Server errors (5xx) aren't remembered, so
+ * those can be retried with the same key. Keys are per user (per IP address
+ * for guests) and expire after IDEMPOTENCY_KEY_TTL_HOURS.
+ *
+ * Requests without the header are handled as before. Multipart requests
+ * are passed on untouched, as their body isn't parsed yet: uploadImage
+ * checks their key once it is (with checkIdempotencyKey).
+ */
+
+async function idempotency(req, res, next) {
+  if (req.is("multipart/form-data")) return next();
+  return checkIdempotencyKey(req, res, next);
+}
+
+/** Middleware: the work of idempotency, for a request whose body has been
+ * parsed. */
+
+async function checkIdempotencyKey(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined || !MUTATING_METHODS.includes(req.method)) return next();
+
+  try {
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      throw new BadRequestError(
+          `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const owner = keyOwner(req, res);
+    const stored = await IdempotencyKey.begin({
+      owner, key, fingerprint: fingerprint(req),
+    });
+
+    if (stored) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(stored.status_code).json(stored.response_body);
+    }
+
+    // Hold the response back until it's stored (or the key released).
+    const json = res.json.bind(res);
+    res.json = function (body) {
+      const saving = res.statusCode >= 500
+          ? IdempotencyKey.release({ owner, key })
+          : IdempotencyKey.complete({ owner, key, statusCode: res.statusCode, body });
+      saving
+          .catch((err) => {
+            console.error(err.stack);
+            return IdempotencyKey.release({ owner, key }).catch(() => {});
+          })
+          .finally(() => json(body));
+      return res;
+    };
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = { idempotency, checkIdempotencyKey };
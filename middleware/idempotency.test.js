@@ -0,0 +1,152 @@
+"use strict";
+
+const express = require("express");
+const request = require("supertest");
+const { idempotency } = require("./idempotency");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** An app with idempotency in front of a handler, which counts its calls.
+ * A User header stands in for logging in; X-Forwarded-For sets the IP. */
+
+let calls;
+let handler;
+
+const app = express();
+app.set("trust proxy", true);
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.get("User")) res.locals.user = { username: req.get("User") };
+  return next();
+});
+app.use(idempotency);
+app.all("/things", async (req, res, next) => {
+  calls += 1;
+  try {
+    return await handler(req, res);
+  } catch (err) {
+    return next(err);
+  }
+});
+app.use((err, req, res, next) => {
+  const status = err.status || 500;
+  return res.status(status).json({ error: { message: err.message, status } });
+});
+
+beforeEach(function () {
+  calls = 0;
+  handler = (req, res) => res.status(201).json({ thing: { n: calls, ...req.body } });
+});
+
+/** POST /things with Idempotency-Key key (none if null). */
+
+function post(body, { key = "k1", user, ip = "10.0.0.1" } = {}) {
+  const req = request(app).post("/things").set("X-Forwarded-For", ip);
+  if (key !== null) req.set("Idempotency-Key", key);
+  if (user) req.set("User", user);
+  return req.send(body);
+}
+
+/************************************** idempotency */
+
+describe("idempotency", function () {
+  test("replays the first response to a repeat", async function () {
+    const first = await post({ a: 1 }, { user: "u1" });
+    expect(first.statusCode).toEqual(201);
+    expect(first.headers["idempotent-replayed"]).toBeUndefined();
+
+    const repeat = await post({ a: 1 }, { user: "u1" });
+    expect(repeat.statusCode).toEqual(201);
+    expect(repeat.headers["idempotent-replayed"]).toEqual("true");
+    expect(repeat.body).toEqual(first.body);
+    expect(calls).toEqual(1);
+  });
+
+  test("the same body in another key order is the same request", async function () {
+    await post({ a: 1, b: { c: 2, d: 3 } });
+    const repeat = await post({ b: { d: 3, c: 2 }, a: 1 });
+    expect(repeat.statusCode).toEqual(201);
+    expect(calls).toEqual(1);
+  });
+
+  test("422 for the same key with a different body", async function () {
+    await post({ a: 1 });
+    const resp = await post({ a: 2 });
+    expect(resp.statusCode).toEqual(422);
+    expect(calls).toEqual(1);
+  });
+
+  test("409 while the first request is still running", async function () {
+    let finish;
+    let entered;
+    const running = new Promise((resolve) => { entered = resolve; });
+    handler = (req, res) => new Promise((resolve) => {
+      finish = () => resolve(res.status(201).json({ done: true }));
+      entered();
+    });
+
+    const first = post({ a: 1 }).then(r => r);
+    await running;
+    const second = await post({ a: 1 });
+    expect(second.statusCode).toEqual(409);
+
+    finish();
+    expect((await first).statusCode).toEqual(201);
+  });
+
+  test("keys are per user, and per IP address for guests", async function () {
+    await post({ a: 1 }, { user: "u1" });
+    await post({ a: 1 }, { user: "u2" });
+    await post({ a: 1 }, { ip: "10.0.0.1" });
+    await post({ a: 1 }, { ip: "10.0.0.2" });
+    expect(calls).toEqual(4);
+
+    // The same guest, repeating.
+    await post({ a: 1 }, { ip: "10.0.0.2" });
+    expect(calls).toEqual(4);
+  });
+
+  test("client errors are remembered", async function () {
+    handler = (req, res) => res.status(400).json({ error: "nope" });
+    await post({ a: 1 });
+    const repeat = await post({ a: 1 });
+    expect(repeat.statusCode).toEqual(400);
+    expect(repeat.headers["idempotent-replayed"]).toEqual("true");
+    expect(calls).toEqual(1);
+  });
+
+  test("server errors aren't, so a retry runs again", async function () {
+    handler = () => {
+      throw new Error("boom");
+    };
+    expect((await post({ a: 1 })).statusCode).toEqual(500);
+
+    handler = (req, res) => res.status(201).json({ ok: true });
+    const retry = await post({ a: 1 });
+    expect(retry.statusCode).toEqual(201);
+    expect(calls).toEqual(2);
+  });
+
+  test("ignored without the header, or for GET", async function () {
+    await post({ a: 1 }, { key: null });
+    await post({ a: 1 }, { key: null });
+    await request(app).get("/things").set("Idempotency-Key", "k1");
+    await request(app).get("/things").set("Idempotency-Key", "k1");
+    expect(calls).toEqual(4);
+  });
+
+  test("bad request for an empty or overlong key", async function () {
+    expect((await post({ a: 1 }, { key: "" })).statusCode).toEqual(400);
+    expect((await post({ a: 1 }, { key: "k".repeat(256) })).statusCode).toEqual(400);
+    expect(calls).toEqual(0);
+  });
+});
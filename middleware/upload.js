@@ -0,0 +1,45 @@
+"use strict";
+
+/** Middleware for multipart file uploads. */
+
+const multer = require("multer");
+const { BadRequestError } = require("../expressError");
+const { checkIdempotencyKey } = require("./idempotency");
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter(req, file, cb) {
+    if (!file.mimetype.startsWith("image/")) {
+      return cb(new BadRequestError("Upload must be an image"));
+    }
+    return cb(null, true);
+  },
+});
+
+/** Middleware: accept a single image in multipart field `fieldName`.
+ *
+ * The file ends up in memory on req.file. Multer's own errors (too large,
+ * unexpected field, ...) are turned into BadRequestError.
+ *
+ * Then any Idempotency-Key header is checked (see middleware/idempotency.js),
+ * with the file as part of the request's fingerprint.
+ */
+
+function uploadImage(fieldName) {
+  const handler = imageUpload.single(fieldName);
+
+  return function (req, res, next) {
+    handler(req, res, function (err) {
+      if (err instanceof multer.MulterError) {
+        return next(new BadRequestError(err.message));
+      }
+      if (err) return next(err);
+      return checkIdempotencyKey(req, res, next);
+    });
+  };
+}
+
+module.exports = { uploadImage };
@@ -0,0 +1,61 @@
+"use strict";
+
+/** Command line for database migrations (see helpers/migrations.js).
+ *
+ *   node migrate.js up [version]   apply pending migrations (up to version)
+ *   node migrate.js down [steps]   roll back the last `steps` (default 1)
+ *   node migrate.js status         list migrations and whether applied
+ *
+ * Uses the same database as the app (DATABASE_URL, or the test database
+ * when NODE_ENV=test).
+ */
+
+const db = require("./db");
+const {
+  status,
+  migrateUp,
+  migrateDown,
+} = require("./helpers/migrations");
+
+const COMMANDS = ["up", "down", "status"];
+
+async function main(command = "status", arg) {
+  if (!COMMANDS.includes(command)) {
+    console.log("Usage: node migrate.js up [version] | down [steps] | status");
+    process.exitCode = command === "help" ? 0 : 1;
+    return;
+  }
+
+  // One connection for everything: the advisory lock is per connection.
+  const client = await db.connect();
+  try {
+    if (command === "up") {
+      const applied = await migrateUp(client, { to: arg });
+      if (applied.length === 0) console.log("Nothing to migrate.");
+      for (const m of applied) console.log(`Applied ${m.version}_${m.name}`);
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : +arg;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`steps must be a positive integer, got: ${arg}`);
+      }
+      const rolledBack = await migrateDown(client, { steps });
+      if (rolledBack.length === 0) console.log("Nothing to roll back.");
+      for (const m of rolledBack) console.log(`Rolled back ${m.version}_${m.name}`);
+    } else {
+      for (const r of await status(client)) {
+        const state = r.missing ? "applied, files missing"
+            : r.applied_at ? `applied ${r.applied_at.toISOString()}`
+            : "pending";
+        console.log(`${r.version}_${r.name}: ${state}`);
+      }
+    }
+  } finally {
+    client.release();
+    await db.end();
+  }
+}
+
+main(...process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
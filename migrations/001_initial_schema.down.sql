@@ -0,0 +1,25 @@
+-- Drop everything the baseline created.
+
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS login_lockouts CASCADE;
+DROP TABLE IF EXISTS login_attempts CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS sessions CASCADE;
+DROP TABLE IF EXISTS reviews CASCADE;
+DROP TABLE IF EXISTS insect_images CASCADE;
+DROP TABLE IF EXISTS insect_categories CASCADE;
+DROP TABLE IF EXISTS categories CASCADE;
+DROP TABLE IF EXISTS promotion_redemptions CASCADE;
+DROP TABLE IF EXISTS promotions CASCADE;
+DROP TABLE IF EXISTS shipping_rules CASCADE;
+DROP TABLE IF EXISTS tax_rules CASCADE;
+DROP TABLE IF EXISTS cart_items CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+DROP TABLE IF EXISTS stock_movements CASCADE;
+DROP TABLE IF EXISTS order_items CASCADE;
+DROP TABLE IF EXISTS order_status_history CASCADE;
+DROP TABLE IF EXISTS orders CASCADE;
+DROP TABLE IF EXISTS insects CASCADE;
+
+DROP EXTENSION IF EXISTS pg_trgm;
@@ -0,0 +1,274 @@
+-- Baseline: the schema as it stood before migrations were introduced
+-- (formerly fuzzy-schema.sql), with users.username made UNIQUE.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE insects (
+  id SERIAL PRIMARY KEY,
+  species VARCHAR(255) NOT NULL,
+  scientific_name TEXT,
+  common_name TEXT,
+  taxon_order TEXT,
+  family TEXT,
+  description TEXT,
+  price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+  url_image TEXT NOT NULL,
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  weight_grams INTEGER NOT NULL DEFAULT 0 CHECK (weight_grams >= 0),
+  -- Kept up to date from visible reviews by the Review model.
+  average_rating NUMERIC(3, 2) NOT NULL DEFAULT 0,
+  review_count INTEGER NOT NULL DEFAULT 0,
+  -- Names are weighted above taxonomy, which is above the description.
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', species || ' ' || coalesce(common_name, '')
+                                       || ' ' || coalesce(scientific_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(taxon_order, '') || ' '
+                                       || coalesce(family, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) STORED,
+  -- Every name an insect goes by, for trigram (typo-tolerant) matching.
+  search_names TEXT GENERATED ALWAYS AS (
+    species || ' ' || coalesce(common_name, '') || ' ' || coalesce(scientific_name, '')
+      || ' ' || coalesce(taxon_order, '') || ' ' || coalesce(family, '')
+  ) STORED
+);
+
+CREATE INDEX insects_search_vector_idx ON insects USING GIN (search_vector);
+CREATE INDEX insects_search_names_idx ON insects USING GIN (search_names gin_trgm_ops);
+
+CREATE TABLE orders (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  delivery_address TEXT NOT NULL,
+  submit_time TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  region TEXT,
+  subtotal NUMERIC(10, 2) NOT NULL CHECK (subtotal >= 0),
+  promo_code TEXT,
+  discount NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (discount >= 0),
+  tax NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (tax >= 0),
+  shipping NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (shipping >= 0),
+  total NUMERIC(10, 2) NOT NULL CHECK (total >= 0),
+  status TEXT NOT NULL DEFAULT 'pending',
+  user_order_id INTEGER
+);
+
+CREATE TABLE order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  username VARCHAR(25),
+  note TEXT,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders ON DELETE CASCADE,
+  insect_id INTEGER REFERENCES insects ON DELETE SET NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price NUMERIC(10, 2) NOT NULL CHECK (unit_price >= 0)
+);
+
+CREATE TABLE stock_movements (
+  id SERIAL PRIMARY KEY,
+  insect_id INTEGER NOT NULL REFERENCES insects ON DELETE CASCADE,
+  change INTEGER NOT NULL CHECK (change <> 0),
+  reason TEXT NOT NULL,
+  order_id INTEGER REFERENCES orders ON DELETE SET NULL,
+  username VARCHAR(25),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL UNIQUE,
+  password TEXT NOT NULL,
+  email TEXT NOT NULL CHECK (position('@' IN email) > 1),
+  -- role names from helpers/permissions.js
+  roles TEXT[] NOT NULL DEFAULT '{customer}'
+    CHECK (roles <@ ARRAY['customer', 'fulfillment', 'catalog_manager', 'admin']),
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  verification_sent_at TIMESTAMP,
+  orders INTEGER[] NOT NULL
+);
+
+-- insect_id deliberately has no foreign key: when an insect is deleted its
+-- cart rows stay behind so the cart can tell the user it's gone.
+CREATE TABLE cart_items (
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  insect_id INTEGER NOT NULL,
+  species VARCHAR(255) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  added_price NUMERIC(10, 2) NOT NULL,
+  added_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, insect_id)
+);
+
+-- region '*' is the fallback used when no rule matches the order's region.
+CREATE TABLE tax_rules (
+  id SERIAL PRIMARY KEY,
+  region TEXT NOT NULL UNIQUE,
+  rate NUMERIC(6, 4) NOT NULL CHECK (rate >= 0 AND rate < 1),
+  tax_shipping BOOLEAN NOT NULL DEFAULT FALSE,
+  description TEXT
+);
+
+-- kind is 'flat' (fee), 'weight' (fee + per_kg_fee per kilogram) or
+-- 'free_over' (no shipping at all once the subtotal reaches min_subtotal).
+-- A NULL region applies everywhere.
+CREATE TABLE shipping_rules (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('flat', 'weight', 'free_over')),
+  region TEXT,
+  fee NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (fee >= 0),
+  per_kg_fee NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (per_kg_fee >= 0),
+  min_subtotal NUMERIC(10, 2) CHECK (min_subtotal >= 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  CHECK (kind <> 'free_over' OR min_subtotal IS NOT NULL)
+);
+
+-- discount_type 'percent' takes discount_value percent off; 'fixed' takes
+-- discount_value dollars off. A non-NULL insect_ids limits the discount to
+-- those insects and a non-NULL category_ids to insects in those categories
+-- (with both, an insect matching either counts). NULL limits/dates mean
+-- "no limit".
+CREATE TABLE promotions (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),
+  min_subtotal NUMERIC(10, 2) CHECK (min_subtotal >= 0),
+  insect_ids INTEGER[],
+  category_ids INTEGER[],
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  max_uses INTEGER CHECK (max_uses > 0),
+  max_uses_per_user INTEGER CHECK (max_uses_per_user > 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  CHECK (discount_type <> 'percent' OR discount_value <= 100)
+);
+
+CREATE TABLE promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  promotion_id INTEGER NOT NULL REFERENCES promotions ON DELETE CASCADE,
+  order_id INTEGER NOT NULL REFERENCES orders ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users ON DELETE SET NULL,
+  discount NUMERIC(10, 2) NOT NULL,
+  redeemed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE categories (
+  id SERIAL PRIMARY KEY,
+  slug TEXT NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9-]+$'),
+  name TEXT NOT NULL,
+  description TEXT
+);
+
+CREATE TABLE insect_categories (
+  insect_id INTEGER NOT NULL REFERENCES insects ON DELETE CASCADE,
+  category_id INTEGER NOT NULL REFERENCES categories ON DELETE CASCADE,
+  PRIMARY KEY (insect_id, category_id)
+);
+
+-- One row per image in an insect's gallery. The primary image's url is also
+-- copied to insects.url_image for clients that only show one picture.
+CREATE TABLE insect_images (
+  id SERIAL PRIMARY KEY,
+  insect_id INTEGER NOT NULL REFERENCES insects ON DELETE CASCADE,
+  storage_key TEXT NOT NULL,
+  thumbnail_key TEXT NOT NULL,
+  url TEXT NOT NULL,
+  thumbnail_url TEXT NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX insect_images_one_primary_idx
+  ON insect_images (insect_id) WHERE is_primary;
+
+-- status is 'visible', 'flagged' (still shown, awaiting a moderator) or
+-- 'hidden' (removed by a moderator).
+CREATE TABLE reviews (
+  id SERIAL PRIMARY KEY,
+  insect_id INTEGER NOT NULL REFERENCES insects ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  body TEXT,
+  status TEXT NOT NULL DEFAULT 'visible'
+    CHECK (status IN ('visible', 'flagged', 'hidden')),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (insect_id, user_id)
+);
+
+-- A session is one login. Its refresh tokens rotate: each is single-use and
+-- replaced by a new one, and presenting a used one again revokes the whole
+-- session (it has probably been stolen). Only token hashes are stored.
+CREATE TABLE sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE TABLE refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES sessions ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  used_at TIMESTAMP
+);
+
+-- Password reset tokens are single-use and expire; only hashes are stored.
+CREATE TABLE password_reset_tokens (
+  token_hash TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+-- Every login attempt, kept for review; username is as typed, so it may not
+-- name a real user.
+CREATE TABLE login_attempts (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL,
+  ip TEXT,
+  succeeded BOOLEAN NOT NULL,
+  attempted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX login_attempts_attempted_at_idx ON login_attempts (attempted_at);
+
+-- Recent failure counts per username and per IP, and any lockout they led to.
+CREATE TABLE login_lockouts (
+  scope TEXT NOT NULL CHECK (scope IN ('username', 'ip')),
+  key TEXT NOT NULL,
+  failures INTEGER NOT NULL,
+  last_failure_at TIMESTAMP NOT NULL,
+  locked_until TIMESTAMP,
+  PRIMARY KEY (scope, key)
+);
+
+-- Who changed what. actor is a username (NULL for guests) rather than a
+-- foreign key so entries outlive deleted users. before / after hold only the
+-- fields that changed, never passwords or tokens.
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor TEXT,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX audit_log_actor_idx ON audit_log (actor);
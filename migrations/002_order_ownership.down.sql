@@ -0,0 +1,12 @@
+ALTER TABLE users ADD COLUMN orders INTEGER[] NOT NULL DEFAULT '{}';
+
+UPDATE users
+SET orders = ARRAY(SELECT id FROM orders WHERE orders.user_id = users.id ORDER BY id);
+
+ALTER TABLE orders ADD COLUMN user_order_id INTEGER;
+
+UPDATE orders SET user_order_id = user_id;
+
+DROP INDEX orders_user_id_idx;
+
+ALTER TABLE orders DROP COLUMN user_id;
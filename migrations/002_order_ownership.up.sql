@@ -0,0 +1,16 @@
+-- Tie orders to the user who placed them with a real foreign key (NULL for
+-- guest orders), replacing the unchecked user_order_id and the never-updated
+-- users.orders array.
+
+ALTER TABLE orders ADD COLUMN user_id INTEGER REFERENCES users ON DELETE SET NULL;
+
+UPDATE orders
+SET user_id = users.id
+FROM users
+WHERE users.id = orders.user_order_id;
+
+ALTER TABLE orders DROP COLUMN user_order_id;
+
+CREATE INDEX orders_user_id_idx ON orders (user_id, submit_time);
+
+ALTER TABLE users DROP COLUMN orders;
@@ -0,0 +1,10 @@
+DELETE FROM login_lockouts WHERE scope = 'order_number';
+ALTER TABLE login_lockouts DROP CONSTRAINT login_lockouts_scope_check;
+ALTER TABLE login_lockouts ADD CONSTRAINT login_lockouts_scope_check
+  CHECK (scope IN ('username', 'ip'));
+
+DROP INDEX orders_guest_email_idx;
+
+ALTER TABLE orders DROP COLUMN lookup_token_hash;
+ALTER TABLE orders DROP COLUMN guest_email;
+ALTER TABLE orders DROP COLUMN order_number;
@@ -0,0 +1,20 @@
+-- Every order gets a human-friendly number to quote; guest orders also get
+-- the email they were placed with and the hash of a lookup token, which
+-- (with the number) lets the guest see the order again.
+
+ALTER TABLE orders ADD COLUMN order_number TEXT UNIQUE;
+
+UPDATE orders SET order_number = 'FP-' || lpad(id::text, 8, '0');
+
+ALTER TABLE orders ALTER COLUMN order_number SET NOT NULL;
+
+ALTER TABLE orders ADD COLUMN guest_email TEXT;
+ALTER TABLE orders ADD COLUMN lookup_token_hash TEXT;
+
+CREATE INDEX orders_guest_email_idx ON orders (lower(guest_email))
+  WHERE user_id IS NULL;
+
+-- Failed guest order lookups are throttled per order number, like logins.
+ALTER TABLE login_lockouts DROP CONSTRAINT login_lockouts_scope_check;
+ALTER TABLE login_lockouts ADD CONSTRAINT login_lockouts_scope_check
+  CHECK (scope IN ('username', 'ip', 'order_number'));
@@ -0,0 +1,4 @@
+DROP TABLE payment_events;
+DROP TABLE payments;
+
+ALTER TABLE orders DROP COLUMN payment_status;
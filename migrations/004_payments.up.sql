@@ -0,0 +1,31 @@
+-- Payments: every attempt to pay for an order, as known to the payment
+-- provider, plus the provider webhook events already applied (so a redelivered
+-- event is a no-op). orders.payment_status summarises the latest attempt.
+
+ALTER TABLE orders ADD COLUMN payment_status TEXT NOT NULL DEFAULT 'unpaid'
+  CHECK (payment_status IN ('unpaid', 'processing', 'paid', 'failed', 'refunded'));
+
+CREATE TABLE payments (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  provider_payment_id TEXT,
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'authorized', 'captured', 'failed', 'refunded')),
+  failure_reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, provider_payment_id)
+);
+
+CREATE INDEX payments_order_id_idx ON payments (order_id, created_at);
+
+CREATE TABLE payment_events (
+  provider TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  payment_id INTEGER REFERENCES payments ON DELETE SET NULL,
+  received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (provider, event_id)
+);
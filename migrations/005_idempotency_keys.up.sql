@@ -0,0 +1,17 @@
+-- Idempotency-Key headers seen on mutating requests, per owner
+-- ('user:<username>', or 'guest:<ip>' for guests), with a fingerprint of the
+-- request and, once it's finished, the response to replay. status_code is
+-- NULL while the request is in progress.
+
+CREATE TABLE idempotency_keys (
+  owner TEXT NOT NULL,
+  key TEXT NOT NULL,
+  fingerprint TEXT NOT NULL,
+  status_code INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (owner, key)
+);
+
+CREATE INDEX idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
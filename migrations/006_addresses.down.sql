@@ -0,0 +1,3 @@
+ALTER TABLE orders DROP COLUMN shipping_address;
+
+DROP TABLE addresses;
@@ -0,0 +1,26 @@
+-- A structured address book per user, and a snapshot of the shipping address
+-- on each order (so editing or deleting an address doesn't rewrite orders
+-- already placed). delivery_address stays as the one-line form of it.
+
+CREATE TABLE addresses (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  line1 TEXT NOT NULL,
+  line2 TEXT,
+  city TEXT NOT NULL,
+  region TEXT NOT NULL,
+  postal_code TEXT NOT NULL,
+  country CHAR(2) NOT NULL DEFAULT 'US',
+  phone VARCHAR(20),
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX addresses_user_id_idx ON addresses (user_id);
+
+-- At most one default address per user.
+CREATE UNIQUE INDEX addresses_default_idx ON addresses (user_id)
+  WHERE is_default;
+
+ALTER TABLE orders ADD COLUMN shipping_address JSONB;
@@ -0,0 +1,9 @@
+ALTER TABLE orders DROP COLUMN delivery_window_end;
+ALTER TABLE orders DROP COLUMN delivery_window_start;
+ALTER TABLE orders DROP COLUMN ship_date;
+ALTER TABLE orders DROP COLUMN shipping_method;
+
+ALTER TABLE insects DROP COLUMN required_shipping_methods;
+
+DROP TABLE shipping_blackout_dates;
+DROP TABLE shipping_methods;
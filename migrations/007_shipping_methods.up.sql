@@ -0,0 +1,39 @@
+-- Ways an order can reach the customer. We ship live insects, so a parcel
+-- must never sit in a depot over a weekend or holiday: a carrier method only
+-- ships on its ship_days (ISO weekdays, 1 = Monday) and only when every day
+-- from shipping to delivery is a weekday outside the blackout dates. rate is
+-- added to the order's shipping on top of any shipping_rules fees.
+CREATE TABLE shipping_methods (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('carrier', 'pickup')),
+  rate NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (rate >= 0),
+  transit_days INTEGER NOT NULL CHECK (transit_days >= 0),
+  ship_days INTEGER[] NOT NULL
+    CHECK (ship_days <@ ARRAY[1, 2, 3, 4, 5, 6, 7] AND cardinality(ship_days) > 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO shipping_methods (code, name, kind, rate, transit_days, ship_days)
+VALUES ('overnight', 'Overnight', 'carrier', 24.99, 1, '{1,2,3,4}'),
+       ('two_day', '2-Day', 'carrier', 12.99, 2, '{1,2,3}'),
+       ('local_pickup', 'Local pickup', 'pickup', 0, 0, '{1,2,3,4,5,6}');
+
+-- Days nothing ships or is in transit: holidays, heat waves, cold snaps. A
+-- NULL method_code applies to every method.
+CREATE TABLE shipping_blackout_dates (
+  id SERIAL PRIMARY KEY,
+  date DATE NOT NULL,
+  method_code TEXT REFERENCES shipping_methods ON DELETE CASCADE,
+  reason TEXT
+);
+
+CREATE INDEX shipping_blackout_dates_date_idx ON shipping_blackout_dates (date);
+
+-- NULL means any method will do.
+ALTER TABLE insects ADD COLUMN required_shipping_methods TEXT[];
+
+ALTER TABLE orders ADD COLUMN shipping_method TEXT REFERENCES shipping_methods;
+ALTER TABLE orders ADD COLUMN ship_date DATE;
+ALTER TABLE orders ADD COLUMN delivery_window_start DATE;
+ALTER TABLE orders ADD COLUMN delivery_window_end DATE;
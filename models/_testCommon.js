@@ -0,0 +1,50 @@
+"use strict";
+
+const bcrypt = require("bcrypt");
+
+const db = require("../db.js");
+const { BCRYPT_WORK_FACTOR } = require("../config");
+
+/** Ids of the insects made by commonBeforeAll, in order: i1, i2, i3. */
+
+const testInsectIds = [];
+
+async function commonBeforeAll() {
+  const insectsRes = await db.query(`
+        INSERT INTO insects (species, price, url_image, stock, weight_grams)
+        VALUES ('i1', 10.00, 'http://i1.img', 10, 100),
+               ('i2', 20.50, 'http://i2.img', 5, 200),
+               ('i3', 3.00, 'http://i3.img', 0, 50)
+        RETURNING id`);
+  testInsectIds.splice(0, testInsectIds.length, ...insectsRes.rows.map(r => r.id));
+
+  await db.query(`
+        INSERT INTO users (username, password, email, roles, email_verified)
+        VALUES ('u1', $1, 'u1@email.com', '{customer}', TRUE),
+               ('u2', $2, 'u2@email.com', '{customer}', FALSE)`,
+      [
+        await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
+        await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
+      ]);
+}
+
+async function commonBeforeEach() {
+  await db.query("BEGIN");
+}
+
+async function commonAfterEach() {
+  await db.query("ROLLBACK");
+}
+
+async function commonAfterAll() {
+  await db.end();
+}
+
+
+module.exports = {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+};
@@ -0,0 +1,280 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+/** The fields of an address, as stored and as snapshotted onto orders. */
+
+const ADDRESS_FIELDS = [
+  "name", "line1", "line2", "city", "region", "postal_code", "country", "phone",
+];
+
+const ADDRESS_COLUMNS = `id, name, line1, line2, city, region, postal_code,
+                         country, phone, is_default, created_at`;
+
+/** Return the ADDRESS_FIELDS of data, normalized: region and country upper
+ * case, missing optional fields null. */
+
+function normalize(data) {
+  const address = {};
+  for (const field of ADDRESS_FIELDS) {
+    address[field] = data[field] === undefined ? null : data[field];
+  }
+  address.region = address.region && address.region.toUpperCase();
+  address.country = (address.country || "US").toUpperCase();
+  return address;
+}
+
+/** Related functions for users' saved addresses. */
+
+class Address {
+  /** Given a username, return the user's id.
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async getUserId(username, client = db) {
+    const result = await client.query(
+          `SELECT id FROM users WHERE username = $1`, [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.id;
+  }
+
+  /** Lock a user's address book until the transaction on `client` ends, and
+   * return the user's id.
+   *
+   * Every change to the address book takes this lock first, so two at once
+   * can't both see no default and both make one.
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async lockUser(username, client) {
+    const result = await client.query(
+          `SELECT id FROM users WHERE username = $1 FOR UPDATE`, [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.id;
+  }
+
+  /** Add an address to a user's address book.
+   *
+   * data should be { name, line1, line2, city, region, postal_code, country,
+   *                  phone, is_default }
+   *   where line2 and phone are optional and country defaults to "US".
+   *
+   * A user's first address becomes their default; so does one added with
+   * is_default true, replacing the old default.
+   *
+   * Pass `client` to run inside a transaction the caller already opened;
+   * otherwise a new one is started.
+   *
+   * Returns { id, name, line1, line2, city, region, postal_code, country,
+   *           phone, is_default, created_at }
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async create(username, data, client = null) {
+    if (!client) return withTransaction(c => Address.create(username, data, c));
+
+    const userId = await Address.lockUser(username, client);
+
+    const countRes = await client.query(
+          `SELECT COUNT(*)::int AS count FROM addresses WHERE user_id = $1`,
+        [userId]);
+    const isDefault = data.is_default || countRes.rows[0].count === 0;
+
+    if (isDefault) await Address.clearDefault(userId, client);
+
+    const a = normalize(data);
+    const result = await client.query(
+          `INSERT INTO addresses
+           (user_id, name, line1, line2, city, region, postal_code, country,
+            phone, is_default)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING ${ADDRESS_COLUMNS}`,
+        [
+            userId, a.name, a.line1, a.line2, a.city, a.region,
+            a.postal_code, a.country, a.phone, isDefault,
+        ]);
+
+    return result.rows[0];
+  }
+
+  /** Return a user's addresses, default first, then oldest first.
+   *
+   * Returns [{ id, name, line1, line2, city, region, postal_code, country,
+   *            phone, is_default, created_at }, ...]
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async findAll(username) {
+    const userId = await Address.getUserId(username);
+
+    const result = await db.query(
+          `SELECT ${ADDRESS_COLUMNS}
+           FROM addresses
+           WHERE user_id = $1
+           ORDER BY is_default DESC, id`,
+        [userId]);
+
+    return result.rows;
+  }
+
+  /** Given a username and address id, return the address.
+   *
+   * Throws NotFoundError if the user or address doesn't exist, or the
+   * address belongs to someone else.
+   */
+
+  static async get(username, id, client = db) {
+    const result = await client.query(
+          `SELECT ${ADDRESS_COLUMNS}
+           FROM addresses
+           WHERE id = $1
+             AND user_id = (SELECT id FROM users WHERE username = $2)`,
+        [id, username]);
+    const address = result.rows[0];
+
+    if (!address) throw new NotFoundError(`No address: ${id}`);
+
+    return address;
+  }
+
+  /** Update an address with `data`: a partial update, so only the fields
+   * given change.
+   *
+   * Data can include: { name, line1, line2, city, region, postal_code,
+   *                     country, phone, is_default }
+   *
+   * Setting is_default true makes this the user's default in place of the
+   * old one; setting it false leaves them with no default.
+   *
+   * Orders already placed to this address keep the copy taken then. Pass
+   * `client` to run inside a transaction the caller already opened;
+   * otherwise a new one is started.
+   *
+   * Returns { id, name, line1, line2, city, region, postal_code, country,
+   *           phone, is_default, created_at }
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async update(username, id, data, client = null) {
+    if (!client) return withTransaction(c => Address.update(username, id, data, c));
+
+    const userId = await Address.lockUser(username, client);
+    const current = await Address.get(username, id, client);
+
+    const changes = { ...data };
+    if (changes.region) changes.region = changes.region.toUpperCase();
+    if (changes.country) changes.country = changes.country.toUpperCase();
+
+    if (changes.is_default && !current.is_default) {
+      await Address.clearDefault(userId, client);
+    }
+
+    const { setCols, values } = sqlForPartialUpdate(changes, {});
+    const idVarIdx = "$" + (values.length + 1);
+
+    const result = await client.query(
+          `UPDATE addresses
+           SET ${setCols}
+           WHERE id = ${idVarIdx}
+           RETURNING ${ADDRESS_COLUMNS}`,
+        [...values, id]);
+
+    return result.rows[0];
+  }
+
+  /** Delete an address; returns undefined.
+   *
+   * If it was the default, the user's oldest remaining address becomes the
+   * default. Pass `client` to run inside a transaction the caller already
+   * opened; otherwise a new one is started.
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async remove(username, id, client = null) {
+    if (!client) return withTransaction(c => Address.remove(username, id, c));
+
+    const userId = await Address.lockUser(username, client);
+    const current = await Address.get(username, id, client);
+
+    await client.query(`DELETE FROM addresses WHERE id = $1`, [id]);
+
+    if (current.is_default) {
+      await client.query(
+            `UPDATE addresses
+             SET is_default = TRUE
+             WHERE id = (SELECT MIN(id) FROM addresses WHERE user_id = $1)`,
+          [userId]);
+    }
+  }
+
+  /** Unset a user's default address, using the given client. */
+
+  static async clearDefault(userId, client) {
+    await client.query(
+          `UPDATE addresses
+           SET is_default = FALSE
+           WHERE user_id = $1 AND is_default`,
+        [userId]);
+  }
+
+  /** Return the address an order ships to, as a snapshot to store on it.
+   *
+   * Either addressId (one of username's saved addresses) or address (an
+   * inline { name, line1, line2, city, region, postal_code, country, phone })
+   * must be given. Guests (no username) can only give an inline address.
+   *
+   * Returns { name, line1, line2, city, region, postal_code, country, phone }
+   *
+   * Throws BadRequestError if neither is given, or a guest gives an id;
+   * NotFoundError if the id isn't one of the user's addresses.
+   */
+
+  static async forOrder(username, { addressId, address }, client = db) {
+    if (address) return normalize(address);
+
+    if (addressId === undefined || addressId === null) {
+      throw new BadRequestError("Order needs an address_id or an address");
+    }
+    if (!username) {
+      throw new BadRequestError("Guest orders need an inline address");
+    }
+
+    return normalize(await Address.get(username, addressId, client));
+  }
+
+  /** Return an address on one line, e.g. for orders.delivery_address.
+   *
+   * @example format({ name: "Ann Lee", line1: "1 Main St", line2: null,
+   *                   city: "Austin", region: "TX", postal_code: "78701",
+   *                   country: "US" })
+   *   => "Ann Lee, 1 Main St, Austin, TX 78701, US"
+   */
+
+  static format(address) {
+    return [
+      address.name,
+      address.line1,
+      address.line2,
+      address.city,
+      `${address.region} ${address.postal_code}`,
+      address.country,
+    ].filter(Boolean).join(", ");
+  }
+}
+
+module.exports = Address;
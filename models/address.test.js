@@ -0,0 +1,242 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Address = require("./address.js");
+const Order = require("./order.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const home = {
+  name: "Ann Lee",
+  line1: "1 Main St",
+  city: "Austin",
+  region: "tx",
+  postal_code: "78701",
+  phone: "5125551234",
+};
+
+const work = {
+  name: "Ann Lee",
+  line1: "500 Congress Ave",
+  line2: "Suite 2",
+  city: "Austin",
+  region: "TX",
+  postal_code: "78701",
+  country: "us",
+};
+
+/** Return u1's address ids with is_default, in id order. */
+
+async function defaults() {
+  const result = await db.query(
+        `SELECT a.id, a.is_default
+         FROM addresses AS a
+              JOIN users AS u ON u.id = a.user_id
+         WHERE u.username = 'u1'
+         ORDER BY a.id`);
+  return result.rows;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: normalizes, and the first address is the default", async function () {
+    const address = await Address.create("u1", home);
+    expect(address).toEqual({
+      id: expect.any(Number),
+      ...home,
+      region: "TX",
+      line2: null,
+      country: "US",
+      is_default: true,
+      created_at: expect.any(Date),
+    });
+  });
+
+  test("later addresses aren't the default unless asked", async function () {
+    const first = await Address.create("u1", home);
+    const second = await Address.create("u1", work);
+    expect(second.is_default).toEqual(false);
+    expect(second.country).toEqual("US");
+
+    const third = await Address.create("u1", { ...work, is_default: true });
+    expect(await defaults()).toEqual([
+      { id: first.id, is_default: false },
+      { id: second.id, is_default: false },
+      { id: third.id, is_default: true },
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Address.create("nope", home)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: default first, then oldest", async function () {
+    const first = await Address.create("u1", home);
+    const second = await Address.create("u1", work);
+    const third = await Address.create("u1", { ...work, is_default: true });
+    const addresses = await Address.findAll("u1");
+    expect(addresses.map(a => a.id)).toEqual([third.id, first.id, second.id]);
+  });
+
+  test("only the user's own", async function () {
+    await Address.create("u1", home);
+    expect(await Address.findAll("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Address.findAll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const address = await Address.create("u1", home);
+    expect(await Address.get("u1", address.id)).toEqual(address);
+  });
+
+  test("not found for another user's address", async function () {
+    const address = await Address.create("u1", home);
+    await expect(Address.get("u2", address.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works: changes only what's given", async function () {
+    const address = await Address.create("u1", home);
+    const updated = await Address.update("u1", address.id, { line2: "Apt 4", region: "ca" });
+    expect(updated).toEqual({ ...address, line2: "Apt 4", region: "CA" });
+  });
+
+  test("making one the default unsets the old one", async function () {
+    const first = await Address.create("u1", home);
+    const second = await Address.create("u1", work);
+    await Address.update("u1", second.id, { is_default: true });
+    expect(await defaults()).toEqual([
+      { id: first.id, is_default: false },
+      { id: second.id, is_default: true },
+    ]);
+  });
+
+  test("unsetting the default leaves none", async function () {
+    const first = await Address.create("u1", home);
+    await Address.update("u1", first.id, { is_default: false });
+    expect(await defaults()).toEqual([{ id: first.id, is_default: false }]);
+  });
+
+  test("not found for another user's address", async function () {
+    const address = await Address.create("u1", home);
+    await expect(Address.update("u2", address.id, { line2: "x" }))
+        .rejects.toThrow(NotFoundError);
+    expect((await Address.get("u1", address.id)).line2).toBeNull();
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("removing the default makes the oldest left the default", async function () {
+    const first = await Address.create("u1", home);
+    const second = await Address.create("u1", work);
+    const third = await Address.create("u1", work);
+    await Address.update("u1", third.id, { is_default: true });
+
+    await Address.remove("u1", third.id);
+    expect(await defaults()).toEqual([
+      { id: first.id, is_default: true },
+      { id: second.id, is_default: false },
+    ]);
+  });
+
+  test("removing another leaves the default alone", async function () {
+    const first = await Address.create("u1", home);
+    const second = await Address.create("u1", work);
+    await Address.remove("u1", second.id);
+    expect(await defaults()).toEqual([{ id: first.id, is_default: true }]);
+  });
+
+  test("not found for another user's address", async function () {
+    const address = await Address.create("u1", home);
+    await expect(Address.remove("u2", address.id)).rejects.toThrow(NotFoundError);
+    expect(await defaults()).toHaveLength(1);
+  });
+});
+
+/************************************** forOrder */
+
+describe("forOrder", function () {
+  test("works with a saved address or an inline one", async function () {
+    const address = await Address.create("u1", home);
+    const snapshot = {
+      name: "Ann Lee",
+      line1: "1 Main St",
+      line2: null,
+      city: "Austin",
+      region: "TX",
+      postal_code: "78701",
+      country: "US",
+      phone: "5125551234",
+    };
+    expect(await Address.forOrder("u1", { addressId: address.id })).toEqual(snapshot);
+    expect(await Address.forOrder(null, { address: home })).toEqual(snapshot);
+  });
+
+  test("bad request with neither, or a guest with an id", async function () {
+    const address = await Address.create("u1", home);
+    await expect(Address.forOrder("u1", {})).rejects.toThrow(BadRequestError);
+    await expect(Address.forOrder(null, { addressId: address.id }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found for another user's address", async function () {
+    const address = await Address.create("u1", home);
+    await expect(Address.forOrder("u2", { addressId: address.id }))
+        .rejects.toThrow(NotFoundError);
+  });
+
+  test("orders keep the address they were placed with", async function () {
+    const address = await Address.create("u1", home);
+    const order = await Order.create({
+      address_id: address.id,
+      items: [{ id: testInsectIds[0] }],
+      shipping_method: "local_pickup",
+      username: "u1",
+    });
+    await Address.update("u1", address.id, { line1: "9 Elm St" });
+    await Address.remove("u1", address.id);
+
+    const placed = await Order.get(order.id);
+    expect(placed.shipping_address.line1).toEqual("1 Main St");
+    expect(placed.delivery_address).toEqual("Ann Lee, 1 Main St, Austin, TX 78701, US");
+  });
+});
+
+/************************************** format */
+
+describe("format", function () {
+  test("skips an empty line2", function () {
+    expect(Address.format({ ...work, region: "TX", country: "US" }))
+        .toEqual("Ann Lee, 500 Congress Ave, Suite 2, Austin, TX 78701, US");
+    expect(Address.format({ ...home, line2: null, region: "TX", country: "US" }))
+        .toEqual("Ann Lee, 1 Main St, Austin, TX 78701, US");
+  });
+});
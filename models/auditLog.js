@@ -0,0 +1,153 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { paginate } = require("../helpers/paginate");
+const { redact } = require("../helpers/redact");
+
+/** Sort names accepted by findAll => the column they sort on and its type. */
+
+const SORT_FIELDS = {
+  created_at: { sql: "created_at", type: "timestamp" },
+};
+
+/** Reduce before / after to the fields of after whose values changed.
+ *
+ * Only after's keys are compared: before is often a fuller record (with
+ * related rows) than an update returns.
+ */
+
+function changedFields(before, after) {
+  const changed = { before: {}, after: {} };
+  for (const key of Object.keys(after)) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      if (key in before) changed.before[key] = before[key];
+      changed.after[key] = after[key];
+    }
+  }
+  return changed;
+}
+
+/** Related functions for the audit log of changes. */
+
+class AuditLog {
+  /** Record a change; returns undefined.
+   *
+   * entry is { actor, action, entityType, entityId, before, after }
+   *   where actor is the acting username (null for guests), action names
+   *   what happened (like "insect.update"), and before / after are the
+   *   entity's state either side (null for creates / deletes). When both are
+   *   given only the fields of after that changed are kept. Passwords and tokens are
+   *   always dropped (see helpers/redact.js).
+   *
+   * Pass the client of the transaction making the change, so the entry is
+   * only ever written if the change commits.
+   */
+
+  static async record({ actor, action, entityType, entityId, before = null, after = null },
+                      client = db) {
+    let beforeValue = before && redact(before);
+    let afterValue = after && redact(after);
+
+    if (beforeValue && afterValue && !Array.isArray(beforeValue)) {
+      ({ before: beforeValue, after: afterValue } = changedFields(beforeValue, afterValue));
+    }
+
+    await client.query(
+          `INSERT INTO audit_log
+           (actor, action, entity_type, entity_id, before, after)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          actor || null,
+          action,
+          entityType,
+          String(entityId),
+          beforeValue && JSON.stringify(beforeValue),
+          afterValue && JSON.stringify(afterValue),
+        ]);
+  }
+
+  /** Find audit entries, a page at a time, newest first by default.
+   *
+   * searchFilters (all optional):
+   * - actor (username)
+   * - entityType, entityId
+   * - action
+   * - from, to (ISO dates / timestamps; from inclusive, to exclusive)
+   * - sort ("created_at" or "-created_at"; default "-created_at")
+   * - limit, after, before (see helpers/paginate.js)
+   *
+   * Returns { entries, total, next, prev }
+   *   where entries is [{ id, actor, action, entity_type, entity_id,
+   *                       before, after, created_at }, ...]
+   */
+
+  static async findAll(searchFilters = {}) {
+    let whereExpressions = [];
+    let queryValues = [];
+
+    const {
+      actor, entityType, entityId, action, from, to,
+      sort = "-created_at", limit, after, before,
+    } = searchFilters;
+
+    if (from && to && new Date(from) > new Date(to)) {
+      throw new BadRequestError("from cannot be after to");
+    }
+
+    if (actor) {
+      queryValues.push(actor);
+      whereExpressions.push(`actor = $${queryValues.length}`);
+    }
+
+    if (entityType) {
+      queryValues.push(entityType);
+      whereExpressions.push(`entity_type = $${queryValues.length}`);
+    }
+
+    if (entityId !== undefined) {
+      queryValues.push(String(entityId));
+      whereExpressions.push(`entity_id = $${queryValues.length}`);
+    }
+
+    if (action) {
+      queryValues.push(action);
+      whereExpressions.push(`action = $${queryValues.length}`);
+    }
+
+    if (from) {
+      queryValues.push(from);
+      whereExpressions.push(`created_at >= $${queryValues.length}`);
+    }
+
+    if (to) {
+      queryValues.push(to);
+      whereExpressions.push(`created_at < $${queryValues.length}`);
+    }
+
+    const page = await paginate({
+      select: `id,
+               actor,
+               action,
+               entity_type,
+               entity_id,
+               before,
+               after,
+               created_at`,
+      from: "audit_log",
+      whereExpressions,
+      queryValues,
+      sortFields: SORT_FIELDS,
+      sort,
+      limit,
+      after,
+      before,
+    });
+
+    return {
+      entries: page.rows, total: page.total, next: page.next, prev: page.prev,
+    };
+  }
+}
+
+module.exports = AuditLog;
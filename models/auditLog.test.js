@@ -0,0 +1,131 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
+const AuditLog = require("./auditLog.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works: keeps only the fields that changed", async function () {
+    await AuditLog.record({
+      actor: "admin",
+      action: "insect.update",
+      entityType: "insect",
+      entityId: 7,
+      before: { id: 7, species: "old", price: "1.00", categories: [] },
+      after: { id: 7, species: "new", price: "1.00" },
+    });
+
+    const { entries } = await AuditLog.findAll();
+    expect(entries).toEqual([{
+      id: expect.any(Number),
+      actor: "admin",
+      action: "insect.update",
+      entity_type: "insect",
+      entity_id: "7",
+      before: { species: "old" },
+      after: { species: "new" },
+      created_at: expect.any(Date),
+    }]);
+  });
+
+  test("works: creates and deletes keep the whole record", async function () {
+    await AuditLog.record({
+      actor: "admin", action: "address.delete", entityType: "address", entityId: 3,
+      before: { id: 3, city: "Austin" },
+    });
+    const { entries } = await AuditLog.findAll();
+    expect(entries[0]).toEqual(expect.objectContaining({
+      before: { id: 3, city: "Austin" }, after: null,
+    }));
+  });
+
+  test("never stores passwords or tokens, at any depth", async function () {
+    await AuditLog.record({
+      actor: null,
+      action: "order.create",
+      entityType: "order",
+      entityId: 1,
+      after: {
+        id: 1,
+        lookup_token: "secret-1",
+        user: { username: "u1", password: "secret-2" },
+        sessions: [{ token: "secret-3", refreshToken: "secret-4" }],
+      },
+    });
+    const { entries } = await AuditLog.findAll();
+    expect(entries[0].after).toEqual({ id: 1, user: { username: "u1" }, sessions: [{}] });
+    expect(JSON.stringify(entries[0])).not.toContain("secret");
+  });
+
+  test("is rolled back with the change it records", async function () {
+    await expect(withTransaction(async (client) => {
+      await AuditLog.record({
+        actor: "admin", action: "insect.delete", entityType: "insect", entityId: 1,
+      }, client);
+      throw new Error("delete failed");
+    })).rejects.toThrow("delete failed");
+
+    const { total } = await AuditLog.findAll();
+    expect(total).toEqual(0);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    for (const [actor, action, entityType, entityId] of [
+      ["admin", "insect.update", "insect", 1],
+      ["catalog", "insect.update", "insect", 2],
+      ["admin", "user.role.add", "user", "u1"],
+    ]) {
+      await AuditLog.record({ actor, action, entityType, entityId });
+    }
+  });
+
+  test("works: newest first", async function () {
+    const { entries, total } = await AuditLog.findAll();
+    expect(entries.map(e => e.action)).toEqual(
+        ["user.role.add", "insect.update", "insect.update"]);
+    expect(total).toEqual(3);
+  });
+
+  test("works: filters", async function () {
+    let { entries } = await AuditLog.findAll({ actor: "admin", entityType: "insect" });
+    expect(entries.map(e => e.entity_id)).toEqual(["1"]);
+
+    ({ entries } = await AuditLog.findAll({ entityType: "insect", entityId: 2 }));
+    expect(entries.map(e => e.actor)).toEqual(["catalog"]);
+
+    ({ entries } = await AuditLog.findAll({ action: "user.role.add" }));
+    expect(entries.map(e => e.entity_id)).toEqual(["u1"]);
+
+    ({ entries } = await AuditLog.findAll({ from: "2999-01-01" }));
+    expect(entries).toEqual([]);
+  });
+
+  test("works: pages", async function () {
+    const first = await AuditLog.findAll({ limit: 2 });
+    const second = await AuditLog.findAll({ limit: 2, after: first.next });
+    expect([...first.entries, ...second.entries].map(e => e.entity_id))
+        .toEqual(["u1", "2", "1"]);
+  });
+
+  test("bad request if from is after to", async function () {
+    await expect(AuditLog.findAll({ from: "2024-02-01", to: "2024-01-01" }))
+        .rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,218 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
+const { toCents, fromCents } = require("../helpers/money");
+const Order = require("./order");
+
+/** Related functions for a user's saved shopping cart. */
+
+class Cart {
+  /** Given a username, return the user's id.
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async getUserId(username, client = db) {
+    const result = await client.query(
+          `SELECT id
+           FROM users
+           WHERE username = $1`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.id;
+  }
+
+  /** Given a username, return their cart.
+   *
+   * Returns { items, subtotal }
+   *   where items is [{ id, species, url_image, quantity, added_price, price,
+   *                     price_changed, deleted, in_stock }, ...]
+   *
+   * Each item remembers the price it had when it was added. price is the
+   * insect's current price (null if the insect has since been deleted), and
+   * price_changed / deleted flag the lines the user should look at again.
+   * in_stock is false when there aren't enough units for the quantity.
+   *
+   * subtotal is at current prices and leaves out deleted insects.
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async get(username) {
+    const userId = await Cart.getUserId(username);
+
+    const result = await db.query(
+          `SELECT c.insect_id AS id,
+                  c.species,
+                  i.url_image,
+                  c.quantity,
+                  c.added_price,
+                  i.price,
+                  i.price IS NOT NULL AND i.price <> c.added_price AS price_changed,
+                  i.id IS NULL AS deleted,
+                  COALESCE(i.stock >= c.quantity, FALSE) AS in_stock
+           FROM cart_items AS c
+                LEFT JOIN insects AS i ON i.id = c.insect_id
+           WHERE c.user_id = $1
+           ORDER BY c.added_at, c.insect_id`,
+        [userId]);
+    const items = result.rows;
+
+    const subtotalCents = items
+        .filter(item => !item.deleted)
+        .reduce((sum, item) => sum + toCents(item.price) * item.quantity, 0);
+
+    return { items, subtotal: fromCents(subtotalCents) };
+  }
+
+  /** Add `quantity` of an insect to a user's cart.
+   *
+   * If the insect is already in the cart the quantities are added together
+   * and its remembered price is refreshed to the current one.
+   *
+   * Returns the updated cart (see Cart.get).
+   *
+   * Throws NotFoundError if user or insect not found.
+   */
+
+  static async addItem(username, { insectId, quantity = 1 }) {
+    const userId = await Cart.getUserId(username);
+
+    const insectRes = await db.query(
+          `SELECT id, species, price
+           FROM insects
+           WHERE id = $1`,
+        [insectId]);
+    const insect = insectRes.rows[0];
+
+    if (!insect) throw new NotFoundError(`No insect: ${insectId}`);
+
+    await db.query(
+          `INSERT INTO cart_items (user_id, insect_id, species, quantity, added_price)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, insect_id) DO UPDATE
+           SET quantity = cart_items.quantity + EXCLUDED.quantity,
+               species = EXCLUDED.species,
+               added_price = EXCLUDED.added_price`,
+        [userId, insect.id, insect.species, quantity, insect.price]);
+
+    return Cart.get(username);
+  }
+
+  /** Set the quantity of an insect already in a user's cart.
+   *
+   * Returns the updated cart (see Cart.get).
+   *
+   * Throws NotFoundError if user not found or insect isn't in the cart.
+   */
+
+  static async updateItem(username, insectId, quantity) {
+    const userId = await Cart.getUserId(username);
+
+    const result = await db.query(
+          `UPDATE cart_items
+           SET quantity = $1
+           WHERE user_id = $2 AND insect_id = $3
+           RETURNING insect_id`,
+        [quantity, userId, insectId]);
+
+    if (!result.rows[0]) throw new NotFoundError(`Insect not in cart: ${insectId}`);
+
+    return Cart.get(username);
+  }
+
+  /** Remove an insect from a user's cart; returns undefined.
+   *
+   * Throws NotFoundError if user not found or insect isn't in the cart.
+   */
+
+  static async removeItem(username, insectId) {
+    const userId = await Cart.getUserId(username);
+
+    const result = await db.query(
+          `DELETE
+           FROM cart_items
+           WHERE user_id = $1 AND insect_id = $2
+           RETURNING insect_id`,
+        [userId, insectId]);
+
+    if (!result.rows[0]) throw new NotFoundError(`Insect not in cart: ${insectId}`);
+  }
+
+  /** Empty a user's cart; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async clear(username) {
+    const userId = await Cart.getUserId(username);
+
+    await db.query(
+          `DELETE
+           FROM cart_items
+           WHERE user_id = $1`,
+        [userId]);
+  }
+
+  /** Turn a user's cart into an order and empty the cart.
+   *
+   * data should be { address_id } or { address } (see Order.create), and
+   * may include phone, promoCode and total. A total is checked by
+   * Order.create against the computed one (so a client that showed stale
+   * prices finds out before being charged).
+   *
+   * The order is placed at current prices. Creating the order and emptying
+   * the cart happen in one transaction, and the cart rows are locked first so
+   * a double-submitted checkout can't place the same cart twice.
+   *
+   * Returns the new order (see Order.create).
+   *
+   * Throws NotFoundError if user not found, BadRequestError if the cart is
+   * empty or holds insects that have been deleted.
+   */
+
+  static async checkout(username, data) {
+    return withTransaction(async (client) => {
+      const userId = await Cart.getUserId(username, client);
+
+      const cartRes = await client.query(
+            `SELECT c.insect_id AS id, c.quantity, i.id IS NULL AS deleted
+             FROM cart_items AS c
+                  LEFT JOIN insects AS i ON i.id = c.insect_id
+             WHERE c.user_id = $1
+             ORDER BY c.insect_id
+             FOR UPDATE OF c`,
+          [userId]);
+      const items = cartRes.rows;
+
+      if (items.length === 0) throw new BadRequestError("Cart is empty");
+
+      const deleted = items.filter(item => item.deleted).map(item => item.id);
+      if (deleted.length > 0) {
+        throw new BadRequestError(
+            `Cart contains insects that are no longer sold: ${deleted.join(", ")}`);
+      }
+
+      const order = await Order.create({
+        ...data,
+        items: items.map(({ id, quantity }) => ({ id, quantity })),
+        username,
+      }, client);
+
+      await client.query(
+            `DELETE
+             FROM cart_items
+             WHERE user_id = $1`,
+          [userId]);
+
+      return order;
+    });
+  }
+}
+
+module.exports = Cart;
@@ -0,0 +1,148 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Cart = require("./cart.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** addItem */
+
+describe("addItem", function () {
+  test("works", async function () {
+    const cart = await Cart.addItem("u1", { insectId: testInsectIds[0], quantity: 2 });
+    expect(cart).toEqual({
+      items: [{
+        id: testInsectIds[0],
+        species: "i1",
+        url_image: "http://i1.img",
+        quantity: 2,
+        added_price: "10.00",
+        price: "10.00",
+        price_changed: false,
+        deleted: false,
+        in_stock: true,
+      }],
+      subtotal: 20,
+    });
+  });
+
+  test("adding again adds to the quantity", async function () {
+    await Cart.addItem("u1", { insectId: testInsectIds[0] });
+    const cart = await Cart.addItem("u1", { insectId: testInsectIds[0], quantity: 2 });
+    expect(cart.items).toEqual([expect.objectContaining({ quantity: 3 })]);
+  });
+
+  test("not found if no such insect", async function () {
+    await expect(Cart.addItem("u1", { insectId: 0 })).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Cart.addItem("nope", { insectId: testInsectIds[0] }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("flags price changes, deletions and short stock", async function () {
+    await Cart.addItem("u1", { insectId: testInsectIds[0] });
+    await Cart.addItem("u1", { insectId: testInsectIds[1], quantity: 6 });
+    await Cart.addItem("u1", { insectId: testInsectIds[2] });
+    await db.query(`UPDATE insects SET price = 12 WHERE id = $1`, [testInsectIds[0]]);
+    await db.query(`DELETE FROM insects WHERE id = $1`, [testInsectIds[2]]);
+
+    const cart = await Cart.get("u1");
+    expect(cart.items.map(({ id, price, price_changed, deleted, in_stock }) => (
+      { id, price, price_changed, deleted, in_stock }))).toEqual([
+      { id: testInsectIds[0], price: "12.00", price_changed: true, deleted: false, in_stock: true },
+      { id: testInsectIds[1], price: "20.50", price_changed: false, deleted: false, in_stock: false },
+      { id: testInsectIds[2], price: null, price_changed: false, deleted: true, in_stock: false },
+    ]);
+    expect(cart.subtotal).toEqual(135);
+  });
+});
+
+/************************************** updateItem / removeItem / clear */
+
+describe("updateItem", function () {
+  test("works", async function () {
+    await Cart.addItem("u1", { insectId: testInsectIds[0] });
+    const cart = await Cart.updateItem("u1", testInsectIds[0], 4);
+    expect(cart.items[0].quantity).toEqual(4);
+  });
+
+  test("not found if not in the cart", async function () {
+    await expect(Cart.updateItem("u1", testInsectIds[0], 4)).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("removeItem", function () {
+  test("works", async function () {
+    await Cart.addItem("u1", { insectId: testInsectIds[0] });
+    await Cart.removeItem("u1", testInsectIds[0]);
+    expect((await Cart.get("u1")).items).toEqual([]);
+  });
+
+  test("not found if not in the cart", async function () {
+    await expect(Cart.removeItem("u1", testInsectIds[0])).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("clear", function () {
+  test("works", async function () {
+    await Cart.addItem("u1", { insectId: testInsectIds[0] });
+    await Cart.addItem("u1", { insectId: testInsectIds[1] });
+    await Cart.clear("u1");
+    expect(await Cart.get("u1")).toEqual({ items: [], subtotal: 0 });
+  });
+});
+
+/************************************** checkout */
+
+describe("checkout", function () {
+  const address = {
+    name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+    postal_code: "78701", phone: "5125551234",
+  };
+
+  test("works: orders the cart at current prices and empties it", async function () {
+    await Cart.addItem("u1", { insectId: testInsectIds[0], quantity: 2 });
+    await db.query(`UPDATE insects SET price = 12 WHERE id = $1`, [testInsectIds[0]]);
+
+    const order = await Cart.checkout("u1", { address, shipping_method: "local_pickup" });
+    expect(order.items).toEqual([
+      { id: testInsectIds[0], quantity: 2, unit_price: 12, line_total: 24 },
+    ]);
+    expect(order.total).toEqual("24.00");
+    expect((await Cart.get("u1")).items).toEqual([]);
+  });
+
+  test("bad request if the cart is empty", async function () {
+    await expect(Cart.checkout("u1", { address })).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if an insect was deleted", async function () {
+    await Cart.addItem("u1", { insectId: testInsectIds[2] });
+    await db.query(`DELETE FROM insects WHERE id = $1`, [testInsectIds[2]]);
+    await expect(Cart.checkout("u1", { address })).rejects.toThrow(BadRequestError);
+  });
+
+  test("keeps the cart if the order fails", async function () {
+    await Cart.addItem("u1", { insectId: testInsectIds[1], quantity: 6 });
+    await expect(Cart.checkout("u1", { address, shipping_method: "local_pickup" }))
+        .rejects.toThrow(BadRequestError);
+    expect((await Cart.get("u1")).items).toHaveLength(1);
+  });
+});
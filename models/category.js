@@ -0,0 +1,169 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+/** Related functions for categories (feeders, pets, pollinators, ...).
+ *
+ * Categories are addressed by their slug; an insect can be in any number
+ * of them.
+ */
+
+class Category {
+  /** Create a category (from data), update db, return new category data.
+   *
+   * data should be { slug, name, description }
+   *
+   * Returns { id, slug, name, description }
+   *
+   * Throws BadRequestError if the slug is already taken.
+   * */
+
+  static async create({ slug, name, description = null }) {
+    const duplicateCheck = await db.query(
+          `SELECT slug
+           FROM categories
+           WHERE slug = $1`,
+        [slug]);
+
+    if (duplicateCheck.rows[0])
+      throw new BadRequestError(`Duplicate category: ${slug}`);
+
+    const result = await db.query(
+          `INSERT INTO categories
+           (slug, name, description)
+           VALUES ($1, $2, $3)
+           RETURNING id, slug, name, description`,
+        [slug, name, description]);
+
+    return result.rows[0];
+  }
+
+  /** Find all categories, with how many insects are in each.
+   *
+   * Returns [{ id, slug, name, description, insect_count }, ...]
+   * */
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT c.id,
+                  c.slug,
+                  c.name,
+                  c.description,
+                  COUNT(ic.insect_id)::int AS insect_count
+           FROM categories AS c
+                LEFT JOIN insect_categories AS ic ON ic.category_id = c.id
+           GROUP BY c.id
+           ORDER BY c.name`);
+    return result.rows;
+  }
+
+  /** Given a category slug, return data about the category.
+   *
+   * Returns { id, slug, name, description }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(slug) {
+    const result = await db.query(
+          `SELECT id, slug, name, description
+           FROM categories
+           WHERE slug = $1`,
+        [slug]);
+    const category = result.rows[0];
+
+    if (!category) throw new NotFoundError(`No category: ${slug}`);
+
+    return category;
+  }
+
+  /** Update category data with `data` (partial update).
+   *
+   * Data can include: { name, description }
+   *
+   * Returns { id, slug, name, description }
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async update(slug, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const slugVarIdx = "$" + (values.length + 1);
+
+    const result = await db.query(
+          `UPDATE categories
+           SET ${setCols}
+           WHERE slug = ${slugVarIdx}
+           RETURNING id, slug, name, description`,
+        [...values, slug]);
+    const category = result.rows[0];
+
+    if (!category) throw new NotFoundError(`No category: ${slug}`);
+
+    return category;
+  }
+
+  /** Delete given category from database; returns undefined.
+   *
+   * Insects in it are not deleted, only unassigned.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(slug) {
+    const result = await db.query(
+          `DELETE
+           FROM categories
+           WHERE slug = $1
+           RETURNING slug`,
+        [slug]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No category: ${slug}`);
+  }
+
+  /** Put an insect in a category. Doing it twice is harmless.
+   *
+   * Throws NotFoundError if category or insect not found.
+   */
+
+  static async addInsect(slug, insectId) {
+    const category = await Category.get(slug);
+
+    const insectRes = await db.query(
+          `SELECT id
+           FROM insects
+           WHERE id = $1`,
+        [insectId]);
+    if (!insectRes.rows[0]) throw new NotFoundError(`No insect: ${insectId}`);
+
+    await db.query(
+          `INSERT INTO insect_categories (insect_id, category_id)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING`,
+        [insectId, category.id]);
+  }
+
+  /** Take an insect out of a category.
+   *
+   * Throws NotFoundError if category not found or insect isn't in it.
+   */
+
+  static async removeInsect(slug, insectId) {
+    const category = await Category.get(slug);
+
+    const result = await db.query(
+          `DELETE
+           FROM insect_categories
+           WHERE insect_id = $1 AND category_id = $2
+           RETURNING insect_id`,
+        [insectId, category.id]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`Insect ${insectId} is not in category: ${slug}`);
+    }
+  }
+}
+
+module.exports = Category;
@@ -0,0 +1,113 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Category = require("./category.js");
+const Insect = require("./insect.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newCategory = { slug: "beetles", name: "Beetles", description: "Hard wings" };
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const category = await Category.create(newCategory);
+    expect(category).toEqual({ id: expect.any(Number), ...newCategory });
+  });
+
+  test("bad request with dupe slug", async function () {
+    await Category.create(newCategory);
+    await expect(Category.create(newCategory)).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: counts insects, by name", async function () {
+    await Category.create(newCategory);
+    await Category.create({ slug: "ants", name: "Ants" });
+    await Category.addInsect("beetles", testInsectIds[0]);
+    await Category.addInsect("beetles", testInsectIds[1]);
+
+    const categories = await Category.findAll();
+    expect(categories.map(c => [c.slug, c.insect_count])).toEqual([
+      ["ants", 0], ["beetles", 2],
+    ]);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    await Category.create(newCategory);
+    const category = await Category.update("beetles", { name: "Coleoptera" });
+    expect(category).toEqual(expect.objectContaining({ slug: "beetles", name: "Coleoptera" }));
+  });
+
+  test("not found if no such category", async function () {
+    await expect(Category.update("nope", { name: "Nope" })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, and leaves its insects", async function () {
+    await Category.create(newCategory);
+    await Category.addInsect("beetles", testInsectIds[0]);
+    await Category.remove("beetles");
+
+    await expect(Category.get("beetles")).rejects.toThrow(NotFoundError);
+    const insect = await Insect.get(testInsectIds[0]);
+    expect(insect.categories).toEqual([]);
+  });
+
+  test("not found if no such category", async function () {
+    await expect(Category.remove("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** addInsect / removeInsect */
+
+describe("addInsect / removeInsect", function () {
+  test("works, and adding twice is harmless", async function () {
+    const { id } = await Category.create(newCategory);
+    await Category.addInsect("beetles", testInsectIds[0]);
+    await Category.addInsect("beetles", testInsectIds[0]);
+
+    let insect = await Insect.get(testInsectIds[0]);
+    expect(insect.categories).toEqual([{ id, slug: "beetles", name: "Beetles" }]);
+
+    const { insects } = await Insect.findAll({ category: "beetles" });
+    expect(insects.map(i => i.id)).toEqual([testInsectIds[0]]);
+
+    await Category.removeInsect("beetles", testInsectIds[0]);
+    insect = await Insect.get(testInsectIds[0]);
+    expect(insect.categories).toEqual([]);
+  });
+
+  test("not found for an unknown insect or category", async function () {
+    await Category.create(newCategory);
+    await expect(Category.addInsect("beetles", 0)).rejects.toThrow(NotFoundError);
+    await expect(Category.addInsect("nope", testInsectIds[0])).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found removing an insect that isn't in it", async function () {
+    await Category.create(newCategory);
+    await expect(Category.removeInsect("beetles", testInsectIds[0]))
+        .rejects.toThrow(NotFoundError);
+  });
+});
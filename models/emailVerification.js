@@ -0,0 +1,96 @@
+"use strict";
+
+const db = require("../db");
+const {
+  BadRequestError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../expressError");
+const {
+  createVerificationToken,
+  readVerificationToken,
+} = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const { withTransaction } = require("../helpers/transaction");
+const Order = require("./order");
+const { FRONTEND_URL, VERIFICATION_RESEND_SECONDS } = require("../config");
+
+/** Related functions for verifying users' email addresses. */
+
+class EmailVerification {
+  /** Email a verification link to a user; returns undefined.
+   *
+   * A user can be sent one link every VERIFICATION_RESEND_SECONDS.
+   *
+   * Throws NotFoundError if user not found, BadRequestError if already
+   * verified, TooManyRequestsError if a link was sent too recently.
+   */
+
+  static async send(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET verification_sent_at = CURRENT_TIMESTAMP
+           WHERE username = $1
+             AND NOT email_verified
+             AND (verification_sent_at IS NULL
+                  OR verification_sent_at
+                     < CURRENT_TIMESTAMP - make_interval(secs => $2))
+           RETURNING username, email`,
+        [username, VERIFICATION_RESEND_SECONDS]);
+    const user = result.rows[0];
+
+    if (!user) {
+      const userRes = await db.query(
+            `SELECT email_verified FROM users WHERE username = $1`, [username]);
+      if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+      if (userRes.rows[0].email_verified) {
+        throw new BadRequestError("Email already verified");
+      }
+      throw new TooManyRequestsError(
+          "Verification email sent recently; try again later");
+    }
+
+    const token = createVerificationToken(user);
+    await sendMail({
+      to: user.email,
+      subject: "Verify your Fuzzy Phids email",
+      text: `Hi ${user.username},\n\n`
+          + `Confirm this is your email address by going to\n\n`
+          + `${FRONTEND_URL}/verify-email?token=${token}\n`,
+    });
+  }
+
+  /** Mark a user's email verified using the token from their link.
+   *
+   * Guest orders placed with that email now provably belong to the user, so
+   * they're attached to the account.
+   *
+   * Returns { username, email, attachedOrders }
+   *   where attachedOrders is a list of order numbers
+   *
+   * Throws BadRequestError if the token is invalid or expired, or the user's
+   * email has changed since it was sent.
+   */
+
+  static async verify(token) {
+    const claims = readVerificationToken(token);
+    if (!claims) throw new BadRequestError("Invalid or expired verification token");
+
+    return withTransaction(async (client) => {
+      const result = await client.query(
+            `UPDATE users
+             SET email_verified = TRUE
+             WHERE username = $1 AND email = $2
+             RETURNING username, email`,
+          [claims.username, claims.email]);
+      const user = result.rows[0];
+
+      if (!user) throw new BadRequestError("Invalid or expired verification token");
+
+      user.attachedOrders = await Order.attachGuestOrders(user.username, user.email, client);
+      return user;
+    });
+  }
+}
+
+module.exports = EmailVerification;
@@ -0,0 +1,113 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+
+const db = require("../db.js");
+const {
+  BadRequestError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../expressError");
+const { SECRET_KEY } = require("../config");
+const { registerTransport } = require("../helpers/mail");
+const { createToken } = require("../helpers/tokens");
+const EmailVerification = require("./emailVerification.js");
+const Order = require("./order.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Mail sent during the current test. */
+
+const sent = [];
+registerTransport("outbox", () => ({ send: async message => sent.push(message) }));
+beforeEach(() => sent.splice(0));
+
+/** Return the verification token from the last email sent. */
+
+function lastVerificationToken() {
+  return sent[sent.length - 1].text.match(/token=(\S+)/)[1];
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    await EmailVerification.send("u2");
+    expect(sent).toEqual([expect.objectContaining({
+      to: "u2@email.com", text: expect.stringContaining("/verify-email?token="),
+    })]);
+  });
+
+  test("too many requests if sent again too soon", async function () {
+    await EmailVerification.send("u2");
+    await expect(EmailVerification.send("u2")).rejects.toThrow(TooManyRequestsError);
+
+    await db.query(
+        `UPDATE users
+         SET verification_sent_at = CURRENT_TIMESTAMP - INTERVAL '1 hour'
+         WHERE username = 'u2'`);
+    await EmailVerification.send("u2");
+    expect(sent.length).toEqual(2);
+  });
+
+  test("bad request if already verified", async function () {
+    await expect(EmailVerification.send("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(EmailVerification.send("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works, and attaches guest orders made with the email", async function () {
+    const guestOrder = await Order.create({
+      address: {
+        name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+        postal_code: "78701", phone: "5125551234",
+      },
+      items: [{ id: testInsectIds[0] }],
+      shipping_method: "local_pickup",
+      email: "U2@email.com",
+    });
+
+    await EmailVerification.send("u2");
+    const user = await EmailVerification.verify(lastVerificationToken());
+    expect(user).toEqual({
+      username: "u2", email: "u2@email.com", attachedOrders: [guestOrder.order_number],
+    });
+    const result = await db.query(
+        `SELECT email_verified FROM users WHERE username = 'u2'`);
+    expect(result.rows[0].email_verified).toBe(true);
+  });
+
+  test("bad request once the email has changed", async function () {
+    await EmailVerification.send("u2");
+    await db.query(`UPDATE users SET email = 'new@email.com' WHERE username = 'u2'`);
+    await expect(EmailVerification.verify(lastVerificationToken()))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with an expired or other kind of token", async function () {
+    const expired = jwt.sign(
+        { purpose: "verify-email", username: "u2", email: "u2@email.com" },
+        SECRET_KEY, { expiresIn: -1 });
+    const accessToken = createToken({ username: "u2", isAdmin: false }, 1);
+
+    for (const token of [expired, accessToken, "nope"]) {
+      await expect(EmailVerification.verify(token)).rejects.toThrow(BadRequestError);
+    }
+  });
+});
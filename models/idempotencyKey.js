@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db");
+const { ConflictError, UnprocessableEntityError } = require("../expressError");
+const { redact } = require("../helpers/redact");
+const {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_LOCK_TIMEOUT_SECONDS,
+} = require("../config");
+
+/** Related functions for Idempotency-Key records (see
+ * middleware/idempotency.js). */
+
+class IdempotencyKey {
+  /** Claim a key for a request, or find the earlier request that used it.
+   *
+   * owner is who sent the request ("user:<username>", or "guest:<ip>" for
+   * guests), so nobody can see anyone else's responses; fingerprint
+   * identifies the request (method, path and body).
+   *
+   * Keys older than IDEMPOTENCY_KEY_TTL_HOURS are forgotten first, so they
+   * can be used again, as are keys whose request is still unfinished after
+   * IDEMPOTENCY_LOCK_TIMEOUT_SECONDS (its server must have gone down before
+   * it could complete or release the key).
+   *
+   * Returns null if the key is new (the caller should handle the request and
+   * then call complete or release), or { status_code, response_body } to
+   * replay.
+   *
+   * Throws UnprocessableEntityError if the key was used for a different
+   * request; ConflictError if that request hasn't finished yet.
+   */
+
+  static async begin({ owner, key, fingerprint }) {
+    await db.query(
+          `DELETE FROM idempotency_keys
+           WHERE expires_at <= CURRENT_TIMESTAMP
+              OR (status_code IS NULL
+                  AND created_at <= CURRENT_TIMESTAMP - make_interval(secs => $1))`,
+        [IDEMPOTENCY_LOCK_TIMEOUT_SECONDS]);
+
+    const claimRes = await db.query(
+          `INSERT INTO idempotency_keys (owner, key, fingerprint, expires_at)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))
+           ON CONFLICT DO NOTHING
+           RETURNING key`,
+        [owner, key, fingerprint, IDEMPOTENCY_KEY_TTL_HOURS]);
+
+    if (claimRes.rows[0]) return null;
+
+    const existingRes = await db.query(
+          `SELECT fingerprint, status_code, response_body
+           FROM idempotency_keys
+           WHERE owner = $1 AND key = $2`,
+        [owner, key]);
+    const existing = existingRes.rows[0];
+
+    // Expired and deleted by someone else between the two queries: try again.
+    if (!existing) return IdempotencyKey.begin({ owner, key, fingerprint });
+
+    if (existing.fingerprint !== fingerprint) {
+      throw new UnprocessableEntityError(
+          "Idempotency-Key was already used for a different request");
+    }
+    if (existing.status_code === null) {
+      throw new ConflictError(
+          "A request with this Idempotency-Key is still in progress");
+    }
+
+    return {
+      status_code: existing.status_code,
+      response_body: existing.response_body,
+    };
+  }
+
+  /** Store the response to a claimed key's request, for replaying.
+   *
+   * Secrets in it (see helpers/redact.js) aren't stored, so a replay comes
+   * back without them: a replayed guest order has no lookup_token.
+   */
+
+  static async complete({ owner, key, statusCode, body }) {
+    await db.query(
+          `UPDATE idempotency_keys
+           SET status_code = $3, response_body = $4
+           WHERE owner = $1 AND key = $2`,
+        [owner, key, statusCode, JSON.stringify(redact(body))]);
+  }
+
+  /** Give up a claimed key without storing a response, so a retry with it
+   * runs the request again (after a server error, say). */
+
+  static async release({ owner, key }) {
+    await db.query(
+          `DELETE FROM idempotency_keys
+           WHERE owner = $1 AND key = $2 AND status_code IS NULL`,
+        [owner, key]);
+  }
+}
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,115 @@
+"use strict";
+
+const db = require("../db.js");
+const { ConflictError, UnprocessableEntityError } = require("../expressError");
+const IdempotencyKey = require("./idempotencyKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const request = { owner: "user:u1", key: "k1", fingerprint: "f1" };
+
+/************************************** begin */
+
+describe("begin", function () {
+  test("claims a new key", async function () {
+    expect(await IdempotencyKey.begin(request)).toBeNull();
+  });
+
+  test("replays a completed request", async function () {
+    await IdempotencyKey.begin(request);
+    await IdempotencyKey.complete({
+      owner: "user:u1", key: "k1", statusCode: 201, body: { order: { id: 1 } },
+    });
+    expect(await IdempotencyKey.begin(request)).toEqual({
+      status_code: 201, response_body: { order: { id: 1 } },
+    });
+  });
+
+  test("conflict while the first request is running", async function () {
+    await IdempotencyKey.begin(request);
+    await expect(IdempotencyKey.begin(request)).rejects.toThrow(ConflictError);
+  });
+
+  test("unprocessable if used for a different request", async function () {
+    await IdempotencyKey.begin(request);
+    await expect(IdempotencyKey.begin({ ...request, fingerprint: "f2" }))
+        .rejects.toThrow(UnprocessableEntityError);
+  });
+
+  test("keys are per owner", async function () {
+    await IdempotencyKey.begin(request);
+    expect(await IdempotencyKey.begin({ ...request, owner: "user:u2" })).toBeNull();
+    expect(await IdempotencyKey.begin({ ...request, owner: "guest:10.0.0.1" })).toBeNull();
+    expect(await IdempotencyKey.begin({ ...request, owner: "guest:10.0.0.2" })).toBeNull();
+  });
+
+  test("reclaims a key whose request never finished", async function () {
+    await IdempotencyKey.begin(request);
+    await db.query(
+          `UPDATE idempotency_keys
+           SET created_at = created_at - INTERVAL '1 hour'`);
+    expect(await IdempotencyKey.begin({ ...request, fingerprint: "f2" })).toBeNull();
+  });
+
+  test("forgets expired keys", async function () {
+    await IdempotencyKey.begin(request);
+    await IdempotencyKey.complete({ owner: "user:u1", key: "k1", statusCode: 200, body: {} });
+    await db.query(
+          `UPDATE idempotency_keys
+           SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'`);
+    expect(await IdempotencyKey.begin({ ...request, fingerprint: "f2" })).toBeNull();
+  });
+
+  test("doesn't reclaim a completed key, however old", async function () {
+    await IdempotencyKey.begin(request);
+    await IdempotencyKey.complete({ owner: "user:u1", key: "k1", statusCode: 200, body: {} });
+    await db.query(
+          `UPDATE idempotency_keys
+           SET created_at = created_at - INTERVAL '1 hour'`);
+    expect(await IdempotencyKey.begin(request))
+        .toEqual({ status_code: 200, response_body: {} });
+  });
+});
+
+/************************************** complete */
+
+describe("complete", function () {
+  test("doesn't store secrets", async function () {
+    await IdempotencyKey.begin(request);
+    await IdempotencyKey.complete({
+      owner: "user:u1",
+      key: "k1",
+      statusCode: 201,
+      body: { order: { id: 1, lookup_token: "secret" } },
+    });
+    const result = await db.query(`SELECT response_body FROM idempotency_keys`);
+    expect(result.rows).toEqual([{ response_body: { order: { id: 1 } } }]);
+  });
+});
+
+/************************************** release */
+
+describe("release", function () {
+  test("lets the key run again", async function () {
+    await IdempotencyKey.begin(request);
+    await IdempotencyKey.release({ owner: "user:u1", key: "k1" });
+    expect(await IdempotencyKey.begin(request)).toBeNull();
+  });
+
+  test("leaves a completed key alone", async function () {
+    await IdempotencyKey.begin(request);
+    await IdempotencyKey.complete({ owner: "user:u1", key: "k1", statusCode: 200, body: {} });
+    await IdempotencyKey.release({ owner: "user:u1", key: "k1" });
+    expect(await IdempotencyKey.begin(request))
+        .toEqual({ status_code: 200, response_body: {} });
+  });
+});
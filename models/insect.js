@@ -3,18 +3,66 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { withTransaction, onCommit } = require("../helpers/transaction");
+const { paginate } = require("../helpers/paginate");
+const { getStorage } = require("../helpers/storage");
+const InsectImage = require("./insectImage");
+const ShippingMethod = require("./shippingMethod");
+
+/** Columns returned for an insect by create, findAll, get and update. */
+
+const INSECT_COLUMNS = `insects.id,
+                        insects.species,
+                        insects.scientific_name,
+                        insects.common_name,
+                        insects.taxon_order,
+                        insects.family,
+                        insects.description,
+                        insects.price,
+                        insects.url_image,
+                        insects.weight_grams,
+                        insects.required_shipping_methods,
+                        insects.stock,
+                        insects.stock > 0 AS in_stock,
+                        insects.average_rating,
+                        insects.review_count`;
+
+/** Sort names accepted by findAll => the column they sort on and its type. */
+
+const SORT_FIELDS = {
+  species: { sql: "insects.species", type: "text" },
+  price: { sql: "insects.price", type: "numeric" },
+  stock: { sql: "insects.stock", type: "integer" },
+  rating: { sql: "insects.average_rating", type: "numeric" },
+};
 
 class Insect {
      /** Create a insect (from data), update db, return new insect data.
    *
-   * data should be { species, price, url_image }
+   * data should be { species, price, url_image, weight_grams,
+   *                  required_shipping_methods, scientific_name, common_name,
+   *                  taxon_order, family, description }
+   *   where weight_grams (used for weight-based shipping) defaults to 0,
+   *   required_shipping_methods (shipping method codes this species may
+   *   travel by, like ["overnight"]) defaults to null for any, and the
+   *   taxonomy fields and description are optional.
+   *
+   * Returns { id, species, scientific_name, common_name, taxon_order, family,
+   *           description, price, url_image, weight_grams,
+   *           required_shipping_methods, stock, in_stock, average_rating,
+   *           review_count }
    *
-   * Returns { id, species, price, url_image }
+   * New insects start with no stock; use adjustStock to add some.
    *
-   * Throws BadRequestError if insect already in database.
+   * Throws BadRequestError if insect already in database or a required
+   * shipping method doesn't exist.
    * */
-  static async create({ species, price, url_image }) {
-    const duplicateCheck = await db.query(
+  static async create({
+    species, price, url_image, weight_grams = 0, required_shipping_methods = null,
+    scientific_name = null, common_name = null, taxon_order = null, family = null,
+    description = null,
+  }, client = db) {
+    const duplicateCheck = await client.query(
           `SELECT species
            FROM insects
            WHERE species = $1`,
@@ -23,13 +71,19 @@ class Insect {
     if (duplicateCheck.rows[0])
       throw new BadRequestError(`Duplicate insect: ${species}`);
 
-    const result = await db.query(
+    if (required_shipping_methods) {
+      await ShippingMethod.checkCodes(required_shipping_methods, client);
+    }
+
+    const result = await client.query(
           `INSERT INTO insects
-           (species, price, url_image)
-           VALUES ($1, $2, $3)
-           RETURNING id, species, price, url_image`,
+           (species, price, url_image, weight_grams, required_shipping_methods,
+            scientific_name, common_name, taxon_order, family, description)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING ${INSECT_COLUMNS}`,
         [
-            species, price, url_image
+            species, price, url_image, weight_grams, required_shipping_methods,
+            scientific_name, common_name, taxon_order, family, description,
         ],
     );
     const insect = result.rows[0];
@@ -37,26 +91,35 @@ class Insect {
     return insect;
   }
 
-  /** Find all companies (optional filter on searchFilters).
+  /** Find all insects (optional filter on searchFilters), a page at a time.
    *
    * searchFilters (all optional):
    * - minPrice
    * - maxPrice
    * - species (will find case-insensitive, partial matches)
+   * - inStock (true: only insects with stock left; false: only sold out)
+   * - category (category slug)
+   * - order, family (taxonomic order / family, case-insensitive)
+   * - sort (a SORT_FIELDS name, "-" prefix for descending; default species)
+   * - limit, after, before (see helpers/paginate.js)
+   *
+   * Returns { insects, total, next, prev }
+   *   where insects is [{ id, species, scientific_name, common_name,
+   *                       taxon_order, family, description, price,
+   *                       url_image, weight_grams, required_shipping_methods,
+   *                       stock, in_stock, average_rating, review_count }, ...]
    *
-   * Returns [{ id, species, price, url_image }, ...]
+   * average_rating and review_count leave out reviews hidden by moderators.
    * */
 
   static async findAll(searchFilters = {}) {
-    let query = `SELECT id,
-                        species,
-                        price,
-                        url_image
-                 FROM insects`;
     let whereExpressions = [];
     let queryValues = [];
 
-    const { minPrice, maxPrice, species } = searchFilters;
+    const {
+      minPrice, maxPrice, species, inStock, category, order, family,
+      sort = "species", limit, after, before,
+    } = searchFilters;
 
     if (minPrice > maxPrice) {
       throw new BadRequestError("Min price cannot be greater than max");
@@ -80,31 +143,134 @@ class Insect {
       whereExpressions.push(`species ILIKE $${queryValues.length}`);
     }
 
-    if (whereExpressions.length > 0) {
-      query += " WHERE " + whereExpressions.join(" AND ");
+    if (inStock !== undefined) {
+      whereExpressions.push(inStock ? "stock > 0" : "stock = 0");
+    }
+
+    if (category) {
+      queryValues.push(category);
+      whereExpressions.push(`EXISTS (SELECT 1
+                                     FROM insect_categories AS ic
+                                          JOIN categories AS c ON c.id = ic.category_id
+                                     WHERE ic.insect_id = insects.id
+                                       AND c.slug = $${queryValues.length})`);
     }
 
-    // Finalize query and return results
+    if (order) {
+      queryValues.push(order);
+      whereExpressions.push(`taxon_order ILIKE $${queryValues.length}`);
+    }
+
+    if (family) {
+      queryValues.push(family);
+      whereExpressions.push(`family ILIKE $${queryValues.length}`);
+    }
+
+    const page = await paginate({
+      select: INSECT_COLUMNS,
+      from: "insects",
+      whereExpressions,
+      queryValues,
+      sortFields: SORT_FIELDS,
+      idColumn: "insects.id",
+      sort,
+      limit,
+      after,
+      before,
+    });
+
+    return {
+      insects: page.rows, total: page.total, next: page.next, prev: page.prev,
+    };
+  }
+
+  /** Full-text search of the catalog, best matches first.
+   *
+   * Words in `q` are matched (as prefixes, any of them) against names,
+   * taxonomy and description, weighted in that order. Names are also
+   * trigram-matched, so misspellings like "grashopper" still find
+   * "Grasshopper".
+   *
+   * Returns { results, total, facets }
+   *   where results is up to `limit` insects, each with { rank, snippet }
+   *     added; snippet is a piece of the description (or the species when
+   *     there is none) with matches wrapped in <mark></mark>
+   *   and facets is { price: [{ band, min, max, count }, ...] } counting
+   *     every match, not just the returned ones
+   *
+   * Throws BadRequestError if q has nothing searchable in it.
+   */
+
+  static async search(q, { limit = 20 } = {}) {
+    const words = q.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+    if (!words) throw new BadRequestError("Search needs at least one word");
+
+    // Words are letters and digits only, so they're safe to join into
+    // tsquery syntax: "stick bug" => "stick:* | bug:*"
+    const tsquery = words.map(w => `${w}:*`).join(" | ");
+
+    const matches = `WITH query AS (SELECT to_tsquery('english', $1) AS tsq),
+                     matches AS (
+                       SELECT insects.*,
+                              ts_rank_cd(search_vector, query.tsq)
+                                + word_similarity($2, search_names) AS rank
+                       FROM insects, query
+                       WHERE search_vector @@ query.tsq
+                          OR word_similarity($2, search_names) >= 0.4
+                     )`;
+
+    const resultsRes = await db.query(
+          `${matches}
+           SELECT ${INSECT_COLUMNS},
+                  insects.rank,
+                  ts_headline('english',
+                              coalesce(insects.description, insects.species),
+                              query.tsq,
+                              'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10')
+                    AS snippet
+           FROM matches AS insects, query
+           ORDER BY insects.rank DESC, insects.species
+           LIMIT $3`,
+        [tsquery, q, limit]);
+
+    const facetsRes = await db.query(
+          `${matches}
+           SELECT bands.band, bands.min, bands.max, COUNT(matches.id)::int AS count
+           FROM (VALUES ('under-10', 0, 10),
+                        ('10-25', 10, 25),
+                        ('25-50', 25, 50),
+                        ('50-plus', 50, NULL)) AS bands (band, min, max)
+                LEFT JOIN matches
+                  ON matches.price >= bands.min
+                 AND (bands.max IS NULL OR matches.price < bands.max)
+           GROUP BY bands.band, bands.min, bands.max
+           ORDER BY bands.min`,
+        [tsquery, q]);
+
+    const priceFacets = facetsRes.rows;
 
-    query += " ORDER BY species";
-    const insectsRes = await db.query(query, queryValues);
-    return insectsRes.rows;
+    return {
+      results: resultsRes.rows,
+      total: priceFacets.reduce((sum, f) => sum + f.count, 0),
+      facets: { price: priceFacets },
+    };
   }
 
   /** Given an insect id, return data about insect.
    *
-   * Returns { id, salary, price, url_image }
-   *   
+   * Returns { id, species, scientific_name, common_name, taxon_order, family,
+   *           description, price, url_image, weight_grams,
+   *           required_shipping_methods, stock, in_stock, average_rating,
+   *           review_count, categories, images }
+   *   where categories is [{ id, slug, name }, ...]
+   *   and images is the gallery (see InsectImage.findForInsect)
    *
    * Throws NotFoundError if not found.
    **/
 
-  static async get(id) {
-    const insectRes = await db.query(
-          `SELECT id,
-                  species,
-                  price,
-                  url_image
+  static async get(id, client = db) {
+    const insectRes = await client.query(
+          `SELECT ${INSECT_COLUMNS}
            FROM insects
            WHERE id = $1`,
         [id]);
@@ -113,6 +279,17 @@ class Insect {
 
     if (!insect) throw new NotFoundError(`No insect: ${id}`);
 
+    const categoriesRes = await client.query(
+          `SELECT c.id, c.slug, c.name
+           FROM insect_categories AS ic
+                JOIN categories AS c ON c.id = ic.category_id
+           WHERE ic.insect_id = $1
+           ORDER BY c.name`,
+        [id]);
+
+    insect.categories = categoriesRes.rows;
+    insect.images = await InsectImage.findForInsect(id, client);
+
     return insect;
   }
 
@@ -121,31 +298,39 @@ class Insect {
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {species, price, url_image}
+   * Data can include: {species, price, url_image, weight_grams,
+   *                    required_shipping_methods, scientific_name,
+   *                    common_name, taxon_order, family, description}
    *
-   * Returns {id, species, price, url_image}
+   * Returns {id, species, scientific_name, common_name, taxon_order, family,
+   *          description, price, url_image, weight_grams,
+   *          required_shipping_methods, stock, in_stock, average_rating,
+   *          review_count}
+   *
+   * Stock can't be changed here; use adjustStock so the change is recorded.
    *
    * Throws NotFoundError if not found.
    */
 
-  static async update(id, data) {
+  static async update(id, data, client = db) {
+    if (data.required_shipping_methods) {
+      await ShippingMethod.checkCodes(data.required_shipping_methods, client);
+    }
+
     const { setCols, values } = sqlForPartialUpdate(
         data,
         {
             price: "price",
             url_image: "url_image",
+            weight_grams: "weight_grams",
         });
     const idVarIdx = "$" + (values.length + 1);
 
     const querySql = `UPDATE insects 
                       SET ${setCols} 
                       WHERE id = ${idVarIdx} 
-                      RETURNING id, 
-                                species, 
-                                price, 
-                                url_image
-                                `;
-    const result = await db.query(querySql, [...values, id]);
+                      RETURNING ${INSECT_COLUMNS}`;
+    const result = await client.query(querySql, [...values, id]);
     const insect = result.rows[0];
 
     if (!insect) throw new NotFoundError(`No insect: ${id}`);
@@ -154,12 +339,24 @@ class Insect {
   }
 
   /** Delete given insect from database; returns undefined.
+   *
+   * Its gallery images are deleted from storage too, once the deletion has
+   * committed. Pass `client` to run inside a transaction the caller already
+   * opened; otherwise a new one is started.
    *
    * Throws NotFoundError if insect not found.
    **/
 
-  static async remove(id) {
-    const result = await db.query(
+  static async remove(id, client = null) {
+    if (!client) return withTransaction(c => Insect.remove(id, c));
+
+    const imagesRes = await client.query(
+          `SELECT storage_key, thumbnail_key
+           FROM insect_images
+           WHERE insect_id = $1`,
+        [id]);
+
+    const result = await client.query(
           `DELETE
            FROM insects
            WHERE id = $1
@@ -168,6 +365,133 @@ class Insect {
     const insect = result.rows[0];
 
     if (!insect) throw new NotFoundError(`No insect: ${id}`);
+
+    onCommit(client, async () => {
+      const storage = getStorage();
+      for (const image of imagesRes.rows) {
+        await storage.remove(image.storage_key);
+        await storage.remove(image.thumbnail_key);
+      }
+    });
+  }
+
+  /** Manually adjust an insect's stock and record the movement.
+   *
+   * data should be { change, reason, username }
+   *   where change is a positive (received) or negative (lost, miscounted)
+   *   number of units and username is the admin making the change.
+   *
+   * Returns { id, species, stock, in_stock }
+   *
+   * Pass `client` to run inside a transaction the caller already opened;
+   * otherwise a new one is started.
+   *
+   * Throws NotFoundError if insect not found, BadRequestError if the change
+   * would take stock below zero.
+   */
+
+  static async adjustStock(id, { change, reason, username }, client = null) {
+    if (!client) {
+      return withTransaction(c => Insect.adjustStock(id, { change, reason, username }, c));
+    }
+
+    const insectRes = await client.query(
+          `SELECT stock
+           FROM insects
+           WHERE id = $1
+           FOR UPDATE`,
+        [id]);
+    const current = insectRes.rows[0];
+
+    if (!current) throw new NotFoundError(`No insect: ${id}`);
+    if (current.stock + change < 0) {
+      throw new BadRequestError(
+          `Cannot remove ${-change} units; only ${current.stock} in stock`);
+    }
+
+    const result = await client.query(
+          `UPDATE insects
+           SET stock = stock + $1
+           WHERE id = $2
+           RETURNING id, species, stock, stock > 0 AS in_stock`,
+        [change, id]);
+
+    await Insect.recordStockMovement(client, { insectId: id, change, reason, username });
+
+    return result.rows[0];
+  }
+
+  /** Take `quantity` units of an insect out of stock for an order.
+   *
+   * Must be called with the client of an open transaction (see Order.create)
+   * so the reservation is rolled back if anything else about the order fails.
+   * The conditional UPDATE means two concurrent orders can never both take
+   * the last unit: the second one sees stock already decremented.
+   *
+   * Throws BadRequestError if there isn't enough stock.
+   */
+
+  static async reserveStock(client, { insectId, quantity, orderId }) {
+    const result = await client.query(
+          `UPDATE insects
+           SET stock = stock - $1
+           WHERE id = $2 AND stock >= $1
+           RETURNING id`,
+        [quantity, insectId]);
+
+    if (!result.rows[0]) {
+      throw new BadRequestError(`Insufficient stock for insect: ${insectId}`);
+    }
+
+    await Insect.recordStockMovement(client, {
+      insectId, change: -quantity, reason: "order", orderId,
+    });
+  }
+
+  /** Put `quantity` units of an insect back into stock for a cancelled or
+   * refunded order. Like reserveStock, call it inside a transaction.
+   */
+
+  static async releaseStock(client, { insectId, quantity, orderId }) {
+    await client.query(
+          `UPDATE insects
+           SET stock = stock + $1
+           WHERE id = $2`,
+        [quantity, insectId]);
+
+    await Insect.recordStockMovement(client, {
+      insectId, change: quantity, reason: "cancel", orderId,
+    });
+  }
+
+  /** Insert a stock_movements row using the given client. */
+
+  static async recordStockMovement(client, { insectId, change, reason, orderId = null, username = null }) {
+    await client.query(
+          `INSERT INTO stock_movements
+           (insect_id, change, reason, order_id, username)
+           VALUES ($1, $2, $3, $4, $5)`,
+        [insectId, change, reason, orderId, username]);
+  }
+
+  /** Given an insect id, return its stock movements, newest first.
+   *
+   * Returns [{ id, change, reason, order_id, username, created_at }, ...]
+   *
+   * Throws NotFoundError if insect not found.
+   */
+
+  static async getStockMovements(id) {
+    await Insect.get(id);
+
+    const result = await db.query(
+          `SELECT id, change, reason, order_id, username, created_at
+           FROM stock_movements
+           WHERE insect_id = $1
+           ORDER BY created_at DESC, id DESC`,
+        [id]);
+
+    return result.rows;
   }
 }
 
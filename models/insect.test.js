@@ -0,0 +1,259 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Insect = require("./insect.js");
+const Order = require("./order.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** adjustStock */
+
+describe("adjustStock", function () {
+  test("works: adds stock and records who did it", async function () {
+    const insect = await Insect.adjustStock(testInsectIds[2], {
+      change: 4, reason: "restock", username: "u1",
+    });
+    expect(insect).toEqual({ id: testInsectIds[2], species: "i3", stock: 4, in_stock: true });
+
+    const movements = await Insect.getStockMovements(testInsectIds[2]);
+    expect(movements).toEqual([expect.objectContaining({
+      change: 4, reason: "restock", order_id: null, username: "u1",
+    })]);
+  });
+
+  test("works: removes stock", async function () {
+    const insect = await Insect.adjustStock(testInsectIds[0], {
+      change: -10, reason: "loss",
+    });
+    expect(insect.stock).toEqual(0);
+    expect(insect.in_stock).toEqual(false);
+  });
+
+  test("bad request if it would go below zero", async function () {
+    await expect(Insect.adjustStock(testInsectIds[1], { change: -6, reason: "loss" }))
+        .rejects.toThrow(BadRequestError);
+
+    const insect = await Insect.get(testInsectIds[1]);
+    expect(insect.stock).toEqual(5);
+  });
+
+  test("not found if no such insect", async function () {
+    await expect(Insect.adjustStock(0, { change: 1, reason: "restock" }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** ordering against stock */
+
+describe("ordering against stock", function () {
+  const address = {
+    name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+    postal_code: "78701", phone: "5125551234",
+  };
+
+  function order(items) {
+    return Order.create({
+      address, items, shipping_method: "local_pickup", username: "u1",
+    });
+  }
+
+  test("an order reserves its stock", async function () {
+    const { id } = await order([{ id: testInsectIds[1], quantity: 5 }]);
+
+    const insect = await Insect.get(testInsectIds[1]);
+    expect(insect.stock).toEqual(0);
+    const movements = await Insect.getStockMovements(testInsectIds[1]);
+    expect(movements[0]).toEqual(expect.objectContaining({
+      change: -5, reason: "order", order_id: id,
+    }));
+  });
+
+  test("can't oversell, and takes nothing if any line is short", async function () {
+    await expect(order([
+      { id: testInsectIds[0], quantity: 1 },
+      { id: testInsectIds[1], quantity: 6 },
+    ])).rejects.toThrow(BadRequestError);
+
+    const stockRes = await db.query(
+          `SELECT stock FROM insects WHERE id = ANY($1) ORDER BY id`,
+        [[testInsectIds[0], testInsectIds[1]]]);
+    expect(stockRes.rows).toEqual([{ stock: 10 }, { stock: 5 }]);
+    const ordersRes = await db.query(`SELECT COUNT(*) FROM orders`);
+    expect(ordersRes.rows[0].count).toEqual("0");
+  });
+
+  test("can't order a sold-out insect", async function () {
+    await expect(order([{ id: testInsectIds[2] }])).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: no filter, by species", async function () {
+    const { insects, total, next, prev } = await Insect.findAll();
+    expect(insects.map(i => i.species)).toEqual(["i1", "i2", "i3"]);
+    expect(insects[0]).toEqual(expect.objectContaining({
+      id: testInsectIds[0], price: "10.00", stock: 10, in_stock: true,
+    }));
+    expect({ total, next, prev }).toEqual({ total: 3, next: null, prev: null });
+  });
+
+  test("works: filters", async function () {
+    let result = await Insect.findAll({ minPrice: 5, maxPrice: 15 });
+    expect(result.insects.map(i => i.species)).toEqual(["i1"]);
+
+    result = await Insect.findAll({ inStock: false });
+    expect(result.insects.map(i => i.species)).toEqual(["i3"]);
+
+    result = await Insect.findAll({ species: "I2" });
+    expect(result.insects.map(i => i.species)).toEqual(["i2"]);
+  });
+
+  test("works: sorts and pages", async function () {
+    const first = await Insect.findAll({ sort: "-stock", limit: 2 });
+    expect(first.insects.map(i => i.species)).toEqual(["i1", "i2"]);
+    expect(first.total).toEqual(3);
+
+    const second = await Insect.findAll({ sort: "-stock", limit: 2, after: first.next });
+    expect(second.insects.map(i => i.species)).toEqual(["i3"]);
+    expect(second.next).toBeNull();
+  });
+
+  test("bad request if min price is over max", async function () {
+    await expect(Insect.findAll({ minPrice: 20, maxPrice: 10 }))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** create */
+
+describe("create", function () {
+  const newInsect = {
+    species: "new", price: 7, url_image: "http://new.img",
+    scientific_name: "Novus insectus", taxon_order: "Coleoptera", family: "Scarabaeidae",
+  };
+
+  test("works: starts with no stock", async function () {
+    const insect = await Insect.create(newInsect);
+    expect(insect).toEqual(expect.objectContaining({
+      species: "new", price: "7.00", taxon_order: "Coleoptera", family: "Scarabaeidae",
+      common_name: null, weight_grams: 0, required_shipping_methods: null,
+      stock: 0, in_stock: false,
+    }));
+  });
+
+  test("bad request with dupe species", async function () {
+    await expect(Insect.create({ ...newInsect, species: "i1" }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with an unknown shipping method", async function () {
+    await expect(Insect.create({ ...newInsect, required_shipping_methods: ["teleport"] }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("can be found by taxonomy, case-insensitively", async function () {
+    await Insect.create(newInsect);
+    let { insects } = await Insect.findAll({ order: "coleoptera" });
+    expect(insects.map(i => i.species)).toEqual(["new"]);
+    ({ insects } = await Insect.findAll({ family: "SCARABAEIDAE" }));
+    expect(insects.map(i => i.species)).toEqual(["new"]);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const insect = await Insect.update(testInsectIds[0], {
+      price: 12, common_name: "Cricket",
+    });
+    expect(insect).toEqual(expect.objectContaining({
+      price: "12.00", common_name: "Cricket", stock: 10,
+    }));
+  });
+
+  test("not found if no such insect", async function () {
+    await expect(Insect.update(0, { price: 1 })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await Insect.remove(testInsectIds[2]);
+    await expect(Insect.get(testInsectIds[2])).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such insect", async function () {
+    await expect(Insect.remove(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** search */
+
+describe("search", function () {
+  beforeEach(async function () {
+    await Insect.create({
+      species: "Grasshopper", price: 8, url_image: "http://g.img",
+      common_name: "Meadow grasshopper", taxon_order: "Orthoptera",
+      description: "Jumps high in tall grass.",
+    });
+    await Insect.create({
+      species: "Stick insect", price: 30, url_image: "http://s.img",
+      taxon_order: "Phasmida",
+      description: "Looks like a twig; eats bramble. Not a grasshopper.",
+    });
+  });
+
+  test("works: name matches rank above description matches", async function () {
+    const { results, total } = await Insect.search("grasshopper");
+    expect(results.map(r => r.species)).toEqual(["Grasshopper", "Stick insect"]);
+    expect(results[0].rank).toBeGreaterThan(results[1].rank);
+    expect(results[1].snippet).toContain("<mark>grasshopper</mark>");
+    expect(total).toEqual(2);
+  });
+
+  test("works: matches prefixes and taxonomy", async function () {
+    let { results } = await Insect.search("phasm");
+    expect(results.map(r => r.species)).toEqual(["Stick insect"]);
+    ({ results } = await Insect.search("twig"));
+    expect(results.map(r => r.species)).toEqual(["Stick insect"]);
+  });
+
+  test("works: tolerates a misspelt name", async function () {
+    const { results } = await Insect.search("grashopper");
+    expect(results.map(r => r.species)).toContain("Grasshopper");
+  });
+
+  test("works: counts every match in price facets", async function () {
+    const { results, facets } = await Insect.search("grasshopper", { limit: 1 });
+    expect(results.length).toEqual(1);
+    expect(facets.price.map(f => [f.band, f.count])).toEqual([
+      ["under-10", 1], ["10-25", 0], ["25-50", 1], ["50-plus", 0],
+    ]);
+  });
+
+  test("works: no matches", async function () {
+    const { results, total } = await Insect.search("zebra");
+    expect(results).toEqual([]);
+    expect(total).toEqual(0);
+  });
+
+  test("bad request with nothing searchable", async function () {
+    await expect(Insect.search("!!! ???")).rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,243 @@
+"use strict";
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { withTransaction, onCommit, onRollback } = require("../helpers/transaction");
+const { getStorage } = require("../helpers/storage");
+
+const THUMBNAIL_SIZE = 300;
+
+/** Formats (as sharp names them) accepted for upload. Anything else, SVG
+ * above all, could carry script that /uploads would serve from our origin. */
+
+const IMAGE_FORMATS = ["jpeg", "png", "webp"];
+
+const IMAGE_COLUMNS = `id, url, thumbnail_url, width, height, position, is_primary`;
+
+/** Related functions for an insect's image gallery.
+ *
+ * Files live in the configured storage backend (helpers/storage.js); rows
+ * in insect_images record where, plus their order and which is primary.
+ */
+
+class InsectImage {
+  /** Store an uploaded image and a thumbnail of it and add it to the end of
+   * an insect's gallery. The first image an insect gets becomes primary.
+   *
+   * file is { buffer } as left on req.file by middleware/upload.js.
+   *
+   * Pass `client` to run inside a transaction the caller already opened;
+   * otherwise a new one is started. The stored files are deleted again if
+   * it rolls back.
+   *
+   * Returns { id, url, thumbnail_url, width, height, position, is_primary }
+   *
+   * Throws NotFoundError if insect not found, BadRequestError if the file
+   * isn't a JPEG, PNG or WebP image we can read.
+   */
+
+  static async add(insectId, file, client = null) {
+    if (!client) return withTransaction(c => InsectImage.add(insectId, file, c));
+
+    let metadata, thumbnail;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (err) {
+      throw new BadRequestError("Could not read image");
+    }
+    if (!IMAGE_FORMATS.includes(metadata.format)) {
+      throw new BadRequestError("Image must be a JPEG, PNG or WebP");
+    }
+    try {
+      thumbnail = await sharp(file.buffer)
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+          .webp()
+          .toBuffer();
+    } catch (err) {
+      throw new BadRequestError("Could not read image");
+    }
+
+    // Lock the insect so concurrent uploads get distinct positions.
+    const insectRes = await client.query(
+          `SELECT id FROM insects WHERE id = $1 FOR UPDATE`, [insectId]);
+    if (!insectRes.rows[0]) throw new NotFoundError(`No insect: ${insectId}`);
+
+    const storage = getStorage();
+    const name = crypto.randomBytes(12).toString("hex");
+    const storageKey = `insects/${insectId}/${name}.${metadata.format}`;
+    const thumbnailKey = `insects/${insectId}/${name}-thumb.webp`;
+    onRollback(client, async () => {
+      await storage.remove(storageKey);
+      await storage.remove(thumbnailKey);
+    });
+    const url = await storage.save(storageKey, file.buffer, `image/${metadata.format}`);
+    const thumbnailUrl = await storage.save(thumbnailKey, thumbnail, "image/webp");
+
+    const countRes = await client.query(
+          `SELECT COUNT(*)::int AS count,
+                  COALESCE(MAX(position), 0) AS last_position
+           FROM insect_images
+           WHERE insect_id = $1`,
+        [insectId]);
+    const { count, last_position } = countRes.rows[0];
+    const isPrimary = count === 0;
+
+    const result = await client.query(
+          `INSERT INTO insect_images
+           (insect_id, storage_key, thumbnail_key, url, thumbnail_url,
+            width, height, position, is_primary)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING ${IMAGE_COLUMNS}`,
+        [
+          insectId, storageKey, thumbnailKey, url, thumbnailUrl,
+          metadata.width, metadata.height, last_position + 1, isPrimary,
+        ]);
+
+    if (isPrimary) {
+      await client.query(
+          `UPDATE insects SET url_image = $1 WHERE id = $2`, [url, insectId]);
+    }
+
+    return result.rows[0];
+  }
+
+  /** Given an insect id, return its gallery in display order.
+   *
+   * Returns [{ id, url, thumbnail_url, width, height, position, is_primary }, ...]
+   */
+
+  static async findForInsect(insectId, client = db) {
+    const result = await client.query(
+          `SELECT ${IMAGE_COLUMNS}
+           FROM insect_images
+           WHERE insect_id = $1
+           ORDER BY position, id`,
+        [insectId]);
+    return result.rows;
+  }
+
+  /** Make an image its insect's primary image.
+   *
+   * Pass `client` to run inside a transaction the caller already opened;
+   * otherwise a new one is started.
+   *
+   * Returns the insect's gallery (see findForInsect).
+   *
+   * Throws NotFoundError if the image doesn't belong to the insect.
+   */
+
+  static async setPrimary(insectId, imageId, client = null) {
+    if (!client) return withTransaction(c => InsectImage.setPrimary(insectId, imageId, c));
+
+    const imageRes = await client.query(
+          `SELECT url
+           FROM insect_images
+           WHERE id = $1 AND insect_id = $2
+           FOR UPDATE`,
+        [imageId, insectId]);
+    const image = imageRes.rows[0];
+
+    if (!image) throw new NotFoundError(`No image ${imageId} for insect: ${insectId}`);
+
+    await client.query(
+        `UPDATE insect_images SET is_primary = FALSE
+         WHERE insect_id = $1 AND is_primary`,
+        [insectId]);
+    await client.query(
+        `UPDATE insect_images SET is_primary = TRUE WHERE id = $1`, [imageId]);
+    await client.query(
+        `UPDATE insects SET url_image = $1 WHERE id = $2`, [image.url, insectId]);
+
+    return InsectImage.findForInsect(insectId, client);
+  }
+
+  /** Put an insect's images in the given order.
+   *
+   * imageIds must list every image of the insect exactly once. Pass
+   * `client` to run inside a transaction the caller already opened;
+   * otherwise a new one is started.
+   *
+   * Returns the insect's gallery (see findForInsect).
+   *
+   * Throws BadRequestError if imageIds doesn't match the gallery.
+   */
+
+  static async reorder(insectId, imageIds, client = null) {
+    if (!client) return withTransaction(c => InsectImage.reorder(insectId, imageIds, c));
+
+    const currentRes = await client.query(
+          `SELECT id
+           FROM insect_images
+           WHERE insect_id = $1
+           FOR UPDATE`,
+        [insectId]);
+    const current = currentRes.rows.map(r => r.id).sort((a, b) => a - b);
+    const requested = [...imageIds].sort((a, b) => a - b);
+
+    if (current.length !== requested.length
+        || current.some((id, idx) => id !== requested[idx])) {
+      throw new BadRequestError("imageIds must list each of the insect's images once");
+    }
+
+    await client.query(
+          `UPDATE insect_images AS i
+           SET position = o.position
+           FROM UNNEST($1::int[]) WITH ORDINALITY AS o (id, position)
+           WHERE i.id = o.id`,
+        [imageIds]);
+
+    return InsectImage.findForInsect(insectId, client);
+  }
+
+  /** Delete an image and its files; returns undefined.
+   *
+   * If it was primary, the next image in the gallery becomes primary. The
+   * insect keeps its last url_image when its gallery is emptied. Pass
+   * `client` to run inside a transaction the caller already opened;
+   * otherwise a new one is started. The files are deleted once it commits.
+   *
+   * Throws NotFoundError if the image doesn't belong to the insect.
+   */
+
+  static async remove(insectId, imageId, client = null) {
+    if (!client) return withTransaction(c => InsectImage.remove(insectId, imageId, c));
+
+    const result = await client.query(
+          `DELETE
+           FROM insect_images
+           WHERE id = $1 AND insect_id = $2
+           RETURNING storage_key, thumbnail_key, is_primary`,
+        [imageId, insectId]);
+    const removed = result.rows[0];
+
+    if (!removed) throw new NotFoundError(`No image ${imageId} for insect: ${insectId}`);
+
+    if (removed.is_primary) {
+      const nextRes = await client.query(
+            `UPDATE insect_images
+             SET is_primary = TRUE
+             WHERE id = (SELECT id
+                         FROM insect_images
+                         WHERE insect_id = $1
+                         ORDER BY position, id
+                         LIMIT 1)
+             RETURNING url`,
+          [insectId]);
+      if (nextRes.rows[0]) {
+        await client.query(
+            `UPDATE insects SET url_image = $1 WHERE id = $2`,
+            [nextRes.rows[0].url, insectId]);
+      }
+    }
+
+    onCommit(client, async () => {
+      const storage = getStorage();
+      await storage.remove(removed.storage_key);
+      await storage.remove(removed.thumbnail_key);
+    });
+  }
+}
+
+module.exports = InsectImage;
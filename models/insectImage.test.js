@@ -0,0 +1,144 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
+const InsectImage = require("./insectImage.js");
+const Insect = require("./insect.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Return { buffer } for a small generated image in `format`. */
+
+async function imageFile(format = "png", width = 40, height = 30) {
+  const buffer = await sharp({
+    create: { width, height, channels: 3, background: "green" },
+  })[format]().toBuffer();
+  return { buffer };
+}
+
+/** Return the path an image at `url` (under /uploads) was stored at. */
+
+function storedPath(url) {
+  return path.join(process.env.UPLOAD_DIR, url.replace(/^\/uploads\//, ""));
+}
+
+/************************************** add */
+
+describe("add", function () {
+  test("works: stores the file and a thumbnail; first is primary", async function () {
+    const image = await InsectImage.add(testInsectIds[0], await imageFile());
+    expect(image).toEqual({
+      id: expect.any(Number),
+      url: expect.stringMatching(/^\/uploads\/insects\/\d+\/\w+\.png$/),
+      thumbnail_url: expect.stringMatching(/-thumb\.webp$/),
+      width: 40,
+      height: 30,
+      position: 1,
+      is_primary: true,
+    });
+    expect(fs.existsSync(storedPath(image.url))).toBe(true);
+    expect(fs.existsSync(storedPath(image.thumbnail_url))).toBe(true);
+
+    const insect = await Insect.get(testInsectIds[0]);
+    expect(insect.url_image).toEqual(image.url);
+  });
+
+  test("works: later images go on the end", async function () {
+    await InsectImage.add(testInsectIds[0], await imageFile());
+    const second = await InsectImage.add(testInsectIds[0], await imageFile("jpeg"));
+    expect(second).toEqual(expect.objectContaining({ position: 2, is_primary: false }));
+  });
+
+  test("bad request for SVG or anything unreadable", async function () {
+    const svg = {
+      buffer: Buffer.from(
+          `<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10">`
+          + `<script>alert(1)</script></svg>`),
+    };
+    await expect(InsectImage.add(testInsectIds[0], svg)).rejects.toThrow(BadRequestError);
+    await expect(InsectImage.add(testInsectIds[0], { buffer: Buffer.from("not an image") }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such insect", async function () {
+    await expect(InsectImage.add(0, await imageFile())).rejects.toThrow(NotFoundError);
+  });
+
+  test("removes the stored files if the transaction rolls back", async function () {
+    const file = await imageFile();
+    let image;
+    await expect(withTransaction(async (client) => {
+      image = await InsectImage.add(testInsectIds[0], file, client);
+      throw new Error("later step failed");
+    })).rejects.toThrow("later step failed");
+
+    expect(fs.existsSync(storedPath(image.url))).toBe(false);
+    expect(fs.existsSync(storedPath(image.thumbnail_url))).toBe(false);
+  });
+});
+
+/************************************** setPrimary / reorder */
+
+describe("setPrimary / reorder", function () {
+  test("works", async function () {
+    const first = await InsectImage.add(testInsectIds[0], await imageFile());
+    const second = await InsectImage.add(testInsectIds[0], await imageFile());
+
+    let images = await InsectImage.setPrimary(testInsectIds[0], second.id);
+    expect(images.map(i => [i.id, i.is_primary])).toEqual([
+      [first.id, false], [second.id, true],
+    ]);
+    expect((await Insect.get(testInsectIds[0])).url_image).toEqual(second.url);
+
+    images = await InsectImage.reorder(testInsectIds[0], [second.id, first.id]);
+    expect(images.map(i => i.id)).toEqual([second.id, first.id]);
+  });
+
+  test("not found for another insect's image", async function () {
+    const image = await InsectImage.add(testInsectIds[0], await imageFile());
+    await expect(InsectImage.setPrimary(testInsectIds[1], image.id))
+        .rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request reordering without every image", async function () {
+    const first = await InsectImage.add(testInsectIds[0], await imageFile());
+    await InsectImage.add(testInsectIds[0], await imageFile());
+    await expect(InsectImage.reorder(testInsectIds[0], [first.id]))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works: deletes the files; the next image becomes primary", async function () {
+    const first = await InsectImage.add(testInsectIds[0], await imageFile());
+    const second = await InsectImage.add(testInsectIds[0], await imageFile());
+
+    await InsectImage.remove(testInsectIds[0], first.id);
+    expect(fs.existsSync(storedPath(first.url))).toBe(false);
+    expect(fs.existsSync(storedPath(first.thumbnail_url))).toBe(false);
+
+    const images = await InsectImage.findForInsect(testInsectIds[0]);
+    expect(images).toEqual([expect.objectContaining({ id: second.id, is_primary: true })]);
+    expect((await Insect.get(testInsectIds[0])).url_image).toEqual(second.url);
+  });
+
+  test("not found if no such image", async function () {
+    await expect(InsectImage.remove(testInsectIds[0], 0)).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,181 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+const {
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_MAX_FAILURES_PER_USER,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_DELAY_BASE_MS,
+} = require("../config");
+
+/** Longest delay before a login attempt is checked. */
+
+const MAX_DELAY_MS = 8000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Related functions for slowing down and locking out password guessing.
+ *
+ * Failed logins are counted per username and per IP address. Each failure
+ * doubles the wait before the next attempt is checked; enough failures in
+ * LOGIN_FAILURE_WINDOW_MINUTES lock that username or IP out for
+ * LOGIN_LOCKOUT_MINUTES. A successful login clears the username's count.
+ *
+ * Guest order lookups (GET /orders/lookup) are guarded the same way, since a
+ * phone number is easy to guess at: failures count per order number (with
+ * the limit a username gets) and against the same per-IP count as logins.
+ */
+
+class LoginThrottle {
+  /** Call before checking a login: waits out any delay owed, and throws
+   * TooManyRequestsError if the username or IP is locked out.
+   */
+
+  static async check({ username, ip }) {
+    await LoginThrottle.checkKeys(
+        { username, ip }, "Too many failed login attempts; try again later");
+  }
+
+  /** Like check, before looking up a guest order: for its order number and
+   * the IP asking. */
+
+  static async checkLookup({ orderNumber, ip }) {
+    await LoginThrottle.checkKeys(
+        { order_number: orderNumber, ip }, "Too many failed order lookups; try again later");
+  }
+
+  /** Wait out the delay owed by the most failures among `keys` ({ scope:
+   * key }; null keys are skipped), or throw TooManyRequestsError with
+   * `message` if any of them is locked out. */
+
+  static async checkKeys(keys, message) {
+    const scopes = Object.keys(keys).filter(scope => keys[scope]);
+    const result = await db.query(
+          `SELECT failures,
+                  COALESCE(locked_until > CURRENT_TIMESTAMP, FALSE) AS locked
+           FROM login_lockouts
+           WHERE (scope, key) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+             AND (last_failure_at > CURRENT_TIMESTAMP - make_interval(mins => $3)
+                  OR locked_until > CURRENT_TIMESTAMP)`,
+        [scopes, scopes.map(scope => keys[scope]), LOGIN_FAILURE_WINDOW_MINUTES]);
+    const rows = result.rows;
+
+    if (rows.some(r => r.locked)) throw new TooManyRequestsError(message);
+
+    const failures = Math.max(0, ...rows.map(r => r.failures));
+    if (failures > 0 && LOGIN_DELAY_BASE_MS > 0) {
+      await sleep(Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - 1), MAX_DELAY_MS));
+    }
+  }
+
+  /** Record a login attempt; on failure, count it and lock out if needed. */
+
+  static async record({ username, ip, succeeded }) {
+    await db.query(
+          `INSERT INTO login_attempts (username, ip, succeeded)
+           VALUES ($1, $2, $3)`,
+        [username, ip, succeeded]);
+
+    if (succeeded) {
+      await db.query(
+            `DELETE FROM login_lockouts WHERE scope = 'username' AND key = $1`,
+          [username]);
+      return;
+    }
+
+    await LoginThrottle.countFailure("username", username, LOGIN_MAX_FAILURES_PER_USER);
+    if (ip) await LoginThrottle.countFailure("ip", ip, LOGIN_MAX_FAILURES_PER_IP);
+  }
+
+  /** Record a guest order lookup; a failed one counts against the order
+   * number and the IP, a successful one clears the order number's count. */
+
+  static async recordLookup({ orderNumber, ip, succeeded }) {
+    if (succeeded) {
+      await db.query(
+            `DELETE FROM login_lockouts WHERE scope = 'order_number' AND key = $1`,
+          [orderNumber]);
+      return;
+    }
+
+    await LoginThrottle.countFailure("order_number", orderNumber, LOGIN_MAX_FAILURES_PER_USER);
+    if (ip) await LoginThrottle.countFailure("ip", ip, LOGIN_MAX_FAILURES_PER_IP);
+  }
+
+  /** Add a failure to a username, order number or IP's count (restarting it if the last
+   * failure is outside the window), locking out at maxFailures.
+   */
+
+  static async countFailure(scope, key, maxFailures) {
+    await db.query(
+          `INSERT INTO login_lockouts AS ll (scope, key, failures, last_failure_at)
+           VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+           ON CONFLICT (scope, key) DO UPDATE
+           SET failures = CASE
+                 WHEN ll.last_failure_at
+                      > CURRENT_TIMESTAMP - make_interval(mins => $3)
+                 THEN ll.failures + 1
+                 ELSE 1 END,
+               last_failure_at = CURRENT_TIMESTAMP`,
+        [scope, key, LOGIN_FAILURE_WINDOW_MINUTES]);
+
+    await db.query(
+          `UPDATE login_lockouts
+           SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $3)
+           WHERE scope = $1 AND key = $2 AND failures >= $4`,
+        [scope, key, LOGIN_LOCKOUT_MINUTES, maxFailures]);
+  }
+
+  /** Return current lockouts and failure counts, most recent first.
+   *
+   * Returns [{ scope, key, failures, last_failure_at, locked_until, locked }, ...]
+   */
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT scope,
+                  key,
+                  failures,
+                  last_failure_at,
+                  locked_until,
+                  COALESCE(locked_until > CURRENT_TIMESTAMP, FALSE) AS locked
+           FROM login_lockouts
+           WHERE last_failure_at > CURRENT_TIMESTAMP - make_interval(mins => $1)
+              OR locked_until > CURRENT_TIMESTAMP
+           ORDER BY last_failure_at DESC`,
+        [LOGIN_FAILURE_WINDOW_MINUTES]);
+    return result.rows;
+  }
+
+  /** Return recent login attempts for a username, newest first. */
+
+  static async findAttempts(username, { limit = 50 } = {}) {
+    const result = await db.query(
+          `SELECT id, username, ip, succeeded, attempted_at
+           FROM login_attempts
+           WHERE username = $1
+           ORDER BY attempted_at DESC
+           LIMIT $2`,
+        [username, limit]);
+    return result.rows;
+  }
+
+  /** Clear the count and any lockout for a username, order number or IP.
+   *
+   * Throws NotFoundError if there is none.
+   */
+
+  static async clear(scope, key) {
+    const result = await db.query(
+          `DELETE FROM login_lockouts
+           WHERE scope = $1 AND key = $2
+           RETURNING key`,
+        [scope, key]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No lockout for ${scope}: ${key}`);
+  }
+}
+
+module.exports = LoginThrottle;
@@ -0,0 +1,161 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+const {
+  LOGIN_MAX_FAILURES_PER_USER,
+  LOGIN_MAX_FAILURES_PER_IP,
+} = require("../config");
+const LoginThrottle = require("./loginThrottle.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Record `times` failed logins for username from ip. */
+
+async function fail(username, ip, times) {
+  for (let i = 0; i < times; i++) {
+    await LoginThrottle.record({ username, ip, succeeded: false });
+  }
+}
+
+/************************************** check / record */
+
+describe("check / record", function () {
+  test("works: a few failures don't lock out", async function () {
+    await fail("u1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER - 1);
+    await LoginThrottle.check({ username: "u1", ip: "1.1.1.1" });
+  });
+
+  test("locks out the username, from any IP", async function () {
+    await fail("u1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER);
+    await expect(LoginThrottle.check({ username: "u1", ip: "2.2.2.2" }))
+        .rejects.toThrow(TooManyRequestsError);
+    await LoginThrottle.check({ username: "u2", ip: "2.2.2.2" });
+  });
+
+  test("locks out the IP, for any username", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES_PER_IP; i++) {
+      await fail(`guess${i}`, "1.1.1.1", 1);
+    }
+    await expect(LoginThrottle.check({ username: "u1", ip: "1.1.1.1" }))
+        .rejects.toThrow(TooManyRequestsError);
+    await LoginThrottle.check({ username: "u1", ip: "2.2.2.2" });
+  });
+
+  test("a success clears the username's count", async function () {
+    await fail("u1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER - 1);
+    await LoginThrottle.record({ username: "u1", ip: "1.1.1.1", succeeded: true });
+    await fail("u1", "1.1.1.1", 1);
+    await LoginThrottle.check({ username: "u1", ip: "1.1.1.1" });
+  });
+
+  test("failures outside the window start the count again", async function () {
+    await fail("u1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER - 1);
+    await db.query(
+        `UPDATE login_lockouts SET last_failure_at = CURRENT_TIMESTAMP - INTERVAL '1 day'`);
+    await fail("u1", "1.1.1.1", 1);
+
+    const lockouts = await LoginThrottle.findAll();
+    expect(lockouts.find(l => l.scope === "username").failures).toEqual(1);
+    await LoginThrottle.check({ username: "u1", ip: "1.1.1.1" });
+  });
+
+  test("a lockout ends when its time is up", async function () {
+    await fail("u1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER);
+    await db.query(
+        `UPDATE login_lockouts
+         SET locked_until = CURRENT_TIMESTAMP - INTERVAL '1 second',
+             last_failure_at = CURRENT_TIMESTAMP - INTERVAL '1 day'`);
+    await LoginThrottle.check({ username: "u1", ip: "1.1.1.1" });
+  });
+});
+
+/************************************** checkLookup / recordLookup */
+
+describe("checkLookup / recordLookup", function () {
+  /** Record `times` failed lookups of orderNumber from ip. */
+
+  async function failLookup(orderNumber, ip, times) {
+    for (let i = 0; i < times; i++) {
+      await LoginThrottle.recordLookup({ orderNumber, ip, succeeded: false });
+    }
+  }
+
+  test("locks out the order number, from any IP", async function () {
+    await failLookup("FP-1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER - 1);
+    await LoginThrottle.checkLookup({ orderNumber: "FP-1", ip: "2.2.2.2" });
+
+    await failLookup("FP-1", "1.1.1.1", 1);
+    await expect(LoginThrottle.checkLookup({ orderNumber: "FP-1", ip: "2.2.2.2" }))
+        .rejects.toThrow(TooManyRequestsError);
+    await LoginThrottle.checkLookup({ orderNumber: "FP-2", ip: "2.2.2.2" });
+  });
+
+  test("counts against the IP as failed logins do", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES_PER_IP; i++) {
+      await failLookup(`FP-${i}`, "1.1.1.1", 1);
+    }
+    await expect(LoginThrottle.checkLookup({ orderNumber: "FP-X", ip: "1.1.1.1" }))
+        .rejects.toThrow(TooManyRequestsError);
+    await expect(LoginThrottle.check({ username: "u1", ip: "1.1.1.1" }))
+        .rejects.toThrow(TooManyRequestsError);
+  });
+
+  test("a success clears the order number's count", async function () {
+    await failLookup("FP-1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER - 1);
+    await LoginThrottle.recordLookup({ orderNumber: "FP-1", ip: "1.1.1.1", succeeded: true });
+    await failLookup("FP-1", "1.1.1.1", 1);
+    await LoginThrottle.checkLookup({ orderNumber: "FP-1", ip: "1.1.1.1" });
+  });
+
+  test("doesn't touch the login attempt history", async function () {
+    await failLookup("FP-1", "1.1.1.1", 1);
+    const result = await db.query(`SELECT COUNT(*)::int AS count FROM login_attempts`);
+    expect(result.rows[0].count).toEqual(0);
+  });
+});
+
+/************************************** findAll / findAttempts */
+
+describe("findAll / findAttempts", function () {
+  test("works", async function () {
+    await fail("u1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER);
+    await LoginThrottle.record({ username: "u2", ip: "2.2.2.2", succeeded: true });
+
+    const lockouts = await LoginThrottle.findAll();
+    expect(lockouts).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        scope: "username", key: "u1", failures: LOGIN_MAX_FAILURES_PER_USER, locked: true,
+      }),
+      expect.objectContaining({ scope: "ip", key: "1.1.1.1", locked: false }),
+    ]));
+    expect(lockouts.length).toEqual(2);
+
+    const attempts = await LoginThrottle.findAttempts("u1");
+    expect(attempts.length).toEqual(LOGIN_MAX_FAILURES_PER_USER);
+    expect(attempts[0]).toEqual(expect.objectContaining({ ip: "1.1.1.1", succeeded: false }));
+  });
+});
+
+/************************************** clear */
+
+describe("clear", function () {
+  test("works", async function () {
+    await fail("u1", "1.1.1.1", LOGIN_MAX_FAILURES_PER_USER);
+    await LoginThrottle.clear("username", "u1");
+    await LoginThrottle.check({ username: "u1", ip: "2.2.2.2" });
+  });
+
+  test("not found if there is no lockout", async function () {
+    await expect(LoginThrottle.clear("username", "u1")).rejects.toThrow(NotFoundError);
+  });
+});
@@ -2,77 +2,327 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
+const { toCents, fromCents } = require("../helpers/money");
+const Insect = require("./insect");
+const TaxRule = require("./taxRule");
+const ShippingRule = require("./shippingRule");
+const ShippingMethod = require("./shippingMethod");
+const Promotion = require("./promotion");
+const Address = require("./address");
+const { priceOrder } = require("../helpers/pricing");
+const { paginate } = require("../helpers/paginate");
+const {
+  createOpaqueToken,
+  createOrderNumber,
+  hashToken,
+} = require("../helpers/tokens");
+
+/** Legal order status transitions: status => statuses it may move to.
+ *
+ * pending -> paid -> packed -> shipped -> delivered is the happy path. An
+ * unpaid order can be cancelled; once money has been taken it is refunded
+ * instead. cancelled and refunded are terminal.
+ */
+
+const STATUS_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["packed", "refunded"],
+  packed: ["shipped", "refunded"],
+  shipped: ["delivered"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+/** Statuses in which the insects are still in our warehouse, so cancelling
+ * or refunding puts them back into stock. */
+
+const RESTOCKABLE_STATUSES = ["pending", "paid", "packed"];
+
+/** The shipping method and dates stored on an order; dates come back as
+ * "YYYY-MM-DD" strings rather than Dates, which would shift by time zone. */
+
+const SHIPPING_COLUMNS = `shipping_method,
+                          ship_date::text AS ship_date,
+                          delivery_window_start::text AS delivery_window_start,
+                          delivery_window_end::text AS delivery_window_end`;
+
+/** Sort names accepted by findAll => the column they sort on and its type. */
+
+const SORT_FIELDS = {
+  submit_time: { sql: "submit_time", type: "timestamp" },
+  total: { sql: "total", type: "numeric" },
+};
 
 class Order {
-    /** Create a order (from data), update db, return new order data.
+  /** Create an order (from data), update db, return new order data.
+   *
+   * data should be { address_id, address, phone, items, shipping_method,
+   *                  promoCode, total, username, email }
+   *   where items is [{ id, quantity }, ...] (quantity defaults to 1) and
+   *   phone, shipping_method, promoCode and total are optional. username is the user placing
+   *   the order, or null for a guest, who must give an email instead.
+   *
+   * The order ships to address_id (one of the user's saved addresses) or to
+   * address, an inline { name, line1, line2, city, region, postal_code,
+   * country, phone } (see Address.forOrder). Either way a copy is stored on
+   * the order as shipping_address, so later changes to the address book
+   * don't alter it; delivery_address is its one-line form and region its
+   * region. phone defaults to the address's phone.
+   *
+   * shipping_method is a shipping method code (see ShippingMethod.forOrder
+   * for the default). The earliest date it can safely ship and the delivery
+   * window that gives are stored on the order.
+   *
+   * Prices are looked up from insects and captured on each line item, and
+   * tax and shipping come from the rules for the address's region plus the
+   * shipping method's rate (see helpers/pricing.js), so the whole breakdown
+   * is always computed here. If the client does send a total it must match
+   * the computed one.
+   *
+   * A promoCode is validated (see Promotion.forOrder), its discount taken off
+   * the subtotal and the redemption recorded with the order.
+   *
+   * Returns { id, phone, delivery_address, shipping_address, region,
+   *           submit_time, subtotal, promo_code, discount, tax, shipping,
+   *           total, status, payment_status, order_number, shipping_method,
+   *           ship_date, delivery_window_start, delivery_window_end,
+   *           username, items }
+   *   where items is [{ id, quantity, unit_price, line_total }, ...]
+   *
+   * Guest orders also include lookup_token, which with order_number finds
+   * the order again (see lookup). Only its hash is stored, so this is the
+   * one time it's available.
    *
-   * data should be { phone, delivery_address, items, total, user_order_id }
+   * New orders start out "pending".
    *
-   * Returns { id, phone, delivery_address, submit_time, items, total, user_order_id }
+   * Stock for every line is reserved in the same transaction as the order
+   * insert, so either the whole order goes through or nothing is taken.
+   * Pass `client` to run inside a transaction the caller already opened
+   * (e.g. Cart.checkout); otherwise a new one is started.
    *
-   * Throws BadRequestError if order already in database.
+   * Throws BadRequestError if an insect doesn't exist, is out of stock, the
+   * promotion can't be used, totals disagree, there's no address or
+   * phone, or the order can't be shipped safely; NotFoundError if username isn't a user or address_id isn't one of
+   * their addresses.
    * */
-    static async create({ phone, delivery_address, items, total, user_order_id }) {
-      // Ensure items is an array of objects with an 'id' property
-      if (!Array.isArray(items) || !items.every(item => typeof item === 'object' && typeof item.id === 'number')) {
-        throw new Error('Invalid items format');
+
+  static async create(data, client = null) {
+    if (!client) return withTransaction(c => Order.create(data, c));
+
+    const {
+      address_id, address, items, promoCode, total, shipping_method,
+      username = null, email = null,
+    } = data;
+
+    if (!username && !email) {
+      throw new BadRequestError("Guest orders need an email address");
+    }
+
+    let userId = null;
+    if (username) {
+      const userRes = await client.query(
+            `SELECT id FROM users WHERE username = $1`, [username]);
+      if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+      userId = userRes.rows[0].id;
+    }
+
+    const shippingAddress = await Address.forOrder(username, {
+      addressId: address_id, address,
+    }, client);
+    const region = shippingAddress.region;
+    const phone = data.phone || shippingAddress.phone;
+    if (!phone) throw new BadRequestError("Order needs a phone number");
+
+    const quantities = Order.mergeItems(items);
+    const insectIds = [...quantities.keys()];
+
+    // Lock the rows (in a stable order, to avoid deadlocks between orders
+    // sharing insects) so prices and stock can't change under us.
+    const insectsRes = await client.query(
+          `SELECT id,
+                  price,
+                  weight_grams,
+                  required_shipping_methods,
+                  ARRAY(SELECT category_id
+                        FROM insect_categories
+                        WHERE insect_id = insects.id) AS category_ids
+           FROM insects
+           WHERE id = ANY($1)
+           ORDER BY id
+           FOR UPDATE`,
+        [insectIds]);
+    const insects = new Map(insectsRes.rows.map(i => [i.id, i]));
+
+    const lines = insectIds.map(id => {
+      if (!insects.has(id)) throw new BadRequestError(`No insect: ${id}`);
+      const insect = insects.get(id);
+      return {
+        id,
+        quantity: quantities.get(id),
+        unitCents: toCents(insect.price),
+        weightGrams: insect.weight_grams,
+        categoryIds: insect.category_ids,
+        requiredMethods: insect.required_shipping_methods,
+      };
+    });
+
+    let promotion = null;
+    if (promoCode) {
+      const subtotalCents = lines.reduce(
+          (sum, l) => sum + l.unitCents * l.quantity, 0);
+      promotion = await Promotion.forOrder(promoCode, {
+        subtotal: fromCents(subtotalCents),
+        userId,
+      }, client);
+    }
+
+    const lookupToken = userId ? null : createOpaqueToken();
+
+    const { method, schedule } = await ShippingMethod.forOrder(
+        lines, shipping_method, client);
+
+    const prices = priceOrder({
+      lines,
+      taxRule: await TaxRule.forRegion(region, client),
+      // Nothing is posted for pickup, so regional shipping fees don't apply.
+      shippingRules: method.kind === "pickup"
+          ? [] : await ShippingRule.forRegion(region, client),
+      promotion,
+      shippingMethod: method,
+    });
+
+    if (promotion && prices.discount === 0) {
+      throw new BadRequestError(
+          `Promotion ${promotion.code} does not apply to any items in this order`);
+    }
+
+    if (total !== undefined && toCents(total) !== toCents(prices.total)) {
+      throw new BadRequestError(
+          `Order total ${total} does not match computed total ${prices.total}`);
+    }
+
+    const result = await client.query(
+          `INSERT INTO orders
+           (phone, delivery_address, shipping_address, region, subtotal,
+            promo_code, discount, tax, shipping, total, user_id, order_number,
+            guest_email, lookup_token_hash, shipping_method, ship_date,
+            delivery_window_start, delivery_window_end)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+                   $15, $16, $17, $18)
+           RETURNING id, phone, delivery_address, shipping_address, region,
+                     submit_time, subtotal, promo_code, discount, tax,
+                     shipping, total, status, payment_status, order_number,
+                     ${SHIPPING_COLUMNS}`,
+        [
+            phone, Address.format(shippingAddress),
+            JSON.stringify(shippingAddress), region,
+            prices.subtotal, promotion && promotion.code, prices.discount,
+            prices.tax, prices.shipping, prices.total, userId,
+            createOrderNumber(), userId ? null : email,
+            lookupToken && hashToken(lookupToken), method.code,
+            schedule.ship_date, schedule.delivery_window_start,
+            schedule.delivery_window_end,
+        ],
+    );
+    const order = { ...result.rows[0], username };
+    if (lookupToken) order.lookup_token = lookupToken;
+
+    if (promotion) {
+      await Promotion.recordRedemption(client, {
+        promotionId: promotion.id,
+        orderId: order.id,
+        userId,
+        discount: prices.discount,
+      });
+    }
+
+    await client.query(
+          `INSERT INTO order_items (order_id, insect_id, quantity, unit_price)
+           SELECT $1, *
+           FROM UNNEST($2::int[], $3::int[], $4::numeric[])`,
+        [
+            order.id,
+            lines.map(l => l.id),
+            lines.map(l => l.quantity),
+            lines.map(l => fromCents(l.unitCents)),
+        ],
+    );
+
+    for (const l of lines) {
+      await Insect.reserveStock(client, {
+        insectId: l.id, quantity: l.quantity, orderId: order.id,
+      });
+    }
+
+    await Order.recordStatusChange(client, {
+      orderId: order.id, fromStatus: null, toStatus: order.status,
+    });
+
+    order.items = lines.map(l => ({
+      id: l.id,
+      quantity: l.quantity,
+      unit_price: fromCents(l.unitCents),
+      line_total: fromCents(l.unitCents * l.quantity),
+    }));
+
+    return order;
+  }
+
+  /** Collapse posted items into a Map of insect id => total quantity.
+   *
+   * The same insect may appear more than once in a posted cart; those lines
+   * are merged so each insect gets a single order_items row.
+   *
+   * Throws BadRequestError if items is empty or malformed.
+   */
+
+  static mergeItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new BadRequestError("Order must contain at least one item");
+    }
+
+    const quantities = new Map();
+    for (const item of items) {
+      const quantity = item.quantity === undefined ? 1 : item.quantity;
+      if (!Number.isInteger(item.id) || !Number.isInteger(quantity) || quantity < 1) {
+        throw new BadRequestError("Invalid items format");
       }
-      // Need to revisit duplicate handling on front and back end because a user could mean to make the same order twice in some cases.
-      /* const duplicateCheck = await db.query(
-            `SELECT user_order_id, total
-             FROM orders
-             WHERE user_order_id = $1 AND total = $2`,
-          [user_order_id, total]);
-    
-      if (duplicateCheck.rows[0]) {
-        throw new BadRequestError(`Duplicate order: ${user_order_id} $${total}`);
-      } */
-    
-      // Transform items array of objects into an array of IDs
-      const itemIds = items.map(item => item.id);
-      const itemJson = JSON.stringify(itemIds); // Convert array to JSON string
-
-    
-      const result = await db.query(
-            `INSERT INTO orders
-             (phone, delivery_address, items, total, user_order_id)
-             VALUES ($1, $2, $3::jsonb, $4, $5)
-             RETURNING id, phone, delivery_address, submit_time, items, total, user_order_id`,
-          [
-              phone, delivery_address, itemJson, total, user_order_id
-          ],
-      );
-      const order = result.rows[0];
-    
-      return order;
-    }
-    
-    
-
-  /** Find all orders (optional filter on searchFilters).
+      quantities.set(item.id, (quantities.get(item.id) || 0) + quantity);
+    }
+    return quantities;
+  }
+
+  /** Find all orders (optional filter on searchFilters), a page at a time.
    *
    * searchFilters (all optional):
    * 
    * - minTotal (minimum total cost for the order)
    * - maxTotal (maximum total cost for the order)
-   * - user_order_id (will find case-insensitive, partial matches)
+   * - username (orders placed by that user)
+   * - status (exact match)
+   * - sort (a SORT_FIELDS name, "-" prefix for descending; default submit_time)
+   * - limit, after, before (see helpers/paginate.js)
    *
-   * Returns [{ id, phone, delivery_address, submit_time, items, total, user_order_id }, ...]
+   * Returns { orders, total, next, prev }
+   *   where orders is [{ id, phone, delivery_address, shipping_address,
+   *                      region, submit_time, subtotal, promo_code, discount,
+   *                      tax, shipping, total, status, payment_status,
+   *                      order_number, shipping_method, ship_date,
+   *                      delivery_window_start, delivery_window_end,
+   *                      username }, ...]
+   *   where username is null for guest orders
    * */
 
   static async findAll(searchFilters = {}) {
-    let query = `SELECT id,
-                        phone,
-                        delivery_address,
-                        submit_time,
-                        items,
-                        total,
-                        user_order_id
-                 FROM orders`;
     let whereExpressions = [];
     let queryValues = [];
 
-    const { minTotal, maxTotal, user_order_id } = searchFilters;
+    const {
+      minTotal, maxTotal, username, status,
+      sort = "submit_time", limit, after, before,
+    } = searchFilters;
 
     if (minTotal > maxTotal) {
       throw new BadRequestError("Min total cannot be greater than max");
@@ -91,33 +341,75 @@ class Order {
       whereExpressions.push(`total <= $${queryValues.length}`);
     }
 
-    if (user_order_id) {
-      queryValues.push(`%${user_order_id}%`);
-      whereExpressions.push(`user_order_id = $${queryValues.length}`);
+    if (username) {
+      queryValues.push(username);
+      whereExpressions.push(
+          `user_id = (SELECT id FROM users WHERE username = $${queryValues.length})`);
     }
 
-    if (whereExpressions.length > 0) {
-      query += " WHERE " + whereExpressions.join(" AND ");
+    if (status) {
+      queryValues.push(status);
+      whereExpressions.push(`status = $${queryValues.length}`);
     }
 
-    // Finalize query and return results
+    const page = await paginate({
+      select: `id,
+               phone,
+               delivery_address,
+               shipping_address,
+               region,
+               submit_time,
+               subtotal,
+               promo_code,
+               discount,
+               tax,
+               shipping,
+               total,
+               status,
+               payment_status,
+               order_number,
+               ${SHIPPING_COLUMNS},
+               (SELECT username FROM users WHERE users.id = orders.user_id) AS username`,
+      from: "orders",
+      whereExpressions,
+      queryValues,
+      sortFields: SORT_FIELDS,
+      sort,
+      limit,
+      after,
+      before,
+    });
 
-    query += " ORDER BY submit_time";
-    const ordersRes = await db.query(query, queryValues);
-    return ordersRes.rows;
+    return {
+      orders: page.rows, total: page.total, next: page.next, prev: page.prev,
+    };
   }
 
   /** Given a order id, return data about order.
    *
-   * Returns { id, phone, delivery_address, submit_time, items, total, user_order_id }
-   *   where items is [{ id, species, price, url_image }, ...]
+   * Returns { id, phone, delivery_address, shipping_address, region,
+   *           submit_time, subtotal, promo_code, discount, tax, shipping,
+   *           total, status, payment_status, order_number, shipping_method,
+   *           ship_date, delivery_window_start, delivery_window_end,
+   *           guest_email, username, items, status_history }
+   *   where items is [{ id, species, url_image, quantity, unit_price, line_total }, ...]
+   *   and status_history is [{ from_status, to_status, username, note, changed_at }, ...]
+   *   oldest first
+   *
+   * unit_price is the price captured when the order was placed, not the
+   * insect's current price. If the insect has since been deleted, id,
+   * species and url_image are null.
    *
    * Throws NotFoundError if not found.
    **/
 
-  static async get(id) {
-    const orderRes = await db.query(
-          `SELECT id, phone, delivery_address, submit_time, items, total, user_order_id
+  static async get(id, client = db) {
+    const orderRes = await client.query(
+          `SELECT id, phone, delivery_address, shipping_address, region,
+                  submit_time, subtotal, promo_code, discount, tax, shipping,
+                  total, status, payment_status, order_number, guest_email,
+                  ${SHIPPING_COLUMNS},
+                  (SELECT username FROM users WHERE users.id = orders.user_id) AS username
            FROM orders
            WHERE id = $1`,
         [id]);
@@ -126,21 +418,175 @@ class Order {
 
     if (!order) throw new NotFoundError(`No order: ${id}`);
 
-    const itemsRes = await db.query(
-          `SELECT id, species, price, url_image
-           FROM insects
-           WHERE id = $1
-           ORDER BY species`,
+    const itemsRes = await client.query(
+          `SELECT oi.insect_id AS id,
+                  i.species,
+                  i.url_image,
+                  oi.quantity,
+                  oi.unit_price,
+                  oi.quantity * oi.unit_price AS line_total
+           FROM order_items AS oi
+                LEFT JOIN insects AS i ON i.id = oi.insect_id
+           WHERE oi.order_id = $1
+           ORDER BY oi.id`,
         [id],
     );
 
     order.items = itemsRes.rows;
 
+    const historyRes = await client.query(
+          `SELECT from_status, to_status, username, note, changed_at
+           FROM order_status_history
+           WHERE order_id = $1
+           ORDER BY changed_at, id`,
+        [id],
+    );
+
+    order.status_history = historyRes.rows;
+
     return order;
   }
 
-  static async remove(id) {
+  /** Find a guest order from its order number plus either its lookup token
+   * or the phone number it was placed with. Phone numbers are compared by
+   * their digits alone, so "512-555-1234" finds an order placed with
+   * "5125551234".
+   *
+   * Returns the order as get does.
+   *
+   * Throws NotFoundError if nothing matches; a wrong token or phone gets the
+   * same error as a wrong number.
+   */
+
+  static async lookup({ orderNumber, token, phone }) {
     const result = await db.query(
+          `SELECT id
+           FROM orders
+           WHERE order_number = $1
+             AND user_id IS NULL
+             AND (lookup_token_hash = $2
+                  OR regexp_replace(phone, '[^0-9]', '', 'g') = $3)`,
+        [
+            orderNumber.toUpperCase(),
+            token ? hashToken(token) : null,
+            (phone && phone.replace(/[^0-9]/g, "")) || null,
+        ]);
+    const found = result.rows[0];
+
+    if (!found) throw new NotFoundError(`No order: ${orderNumber}`);
+
+    return Order.get(found.id);
+  }
+
+  /** Give a user the guest orders placed with their email address, once
+   * they've proved they own it (see EmailVerification.verify).
+   *
+   * Returns the order numbers attached.
+   */
+
+  static async attachGuestOrders(username, email, client = db) {
+    const result = await client.query(
+          `UPDATE orders
+           SET user_id = (SELECT id FROM users WHERE username = $1),
+               lookup_token_hash = NULL
+           WHERE user_id IS NULL
+             AND lower(guest_email) = lower($2)
+           RETURNING order_number`,
+        [username, email]);
+    return result.rows.map(r => r.order_number);
+  }
+
+  /** Move an order to a new status, recording who did it.
+   *
+   * data should be { status, note, username }
+   *
+   * Only transitions listed in STATUS_TRANSITIONS are allowed. Cancelling or
+   * refunding an order that hasn't shipped yet returns its items to stock.
+   * An order can't be cancelled while a payment for it is in progress
+   * (payment_status "processing"), as that could still take the money.
+   *
+   * Returns { id, status }
+   *
+   * Pass `client` to run inside a transaction the caller already opened
+   * (e.g. Payment.applyResult); otherwise a new one is started.
+   *
+   * Throws NotFoundError if order not found, BadRequestError if the
+   * transition isn't legal or a payment is in progress.
+   */
+
+  static async updateStatus(id, { status, note = null, username }, client = null) {
+    if (!client) {
+      return withTransaction(c => Order.updateStatus(id, { status, note, username }, c));
+    }
+
+    const orderRes = await client.query(
+          `SELECT status, payment_status
+           FROM orders
+           WHERE id = $1
+           FOR UPDATE`,
+        [id]);
+    const current = orderRes.rows[0];
+
+    if (!current) throw new NotFoundError(`No order: ${id}`);
+
+    const fromStatus = current.status;
+    if (!Order.canChangeStatus(fromStatus, status)) {
+      throw new BadRequestError(
+          `Cannot change order status from ${fromStatus} to ${status}`);
+    }
+    if (status === "cancelled" && current.payment_status === "processing") {
+      throw new BadRequestError(
+          "Cannot cancel an order while a payment for it is in progress");
+    }
+
+    const result = await client.query(
+          `UPDATE orders
+           SET status = $1
+           WHERE id = $2
+           RETURNING id, status`,
+        [status, id]);
+
+    if ((status === "cancelled" || status === "refunded")
+        && RESTOCKABLE_STATUSES.includes(fromStatus)) {
+      const itemsRes = await client.query(
+            `SELECT insect_id, quantity
+             FROM order_items
+             WHERE order_id = $1 AND insect_id IS NOT NULL
+             ORDER BY insect_id`,
+          [id]);
+      for (const item of itemsRes.rows) {
+        await Insect.releaseStock(client, {
+          insectId: item.insect_id, quantity: item.quantity, orderId: id,
+        });
+      }
+    }
+
+    await Order.recordStatusChange(client, {
+      orderId: id, fromStatus, toStatus: status, username, note,
+    });
+
+    return result.rows[0];
+  }
+
+  /** Return whether an order may move from status `from` to `to` (see
+   * STATUS_TRANSITIONS). */
+
+  static canChangeStatus(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /** Insert an order_status_history row using the given client. */
+
+  static async recordStatusChange(client, { orderId, fromStatus, toStatus, username = null, note = null }) {
+    await client.query(
+          `INSERT INTO order_status_history
+           (order_id, from_status, to_status, username, note)
+           VALUES ($1, $2, $3, $4, $5)`,
+        [orderId, fromStatus, toStatus, username, note]);
+  }
+
+  static async remove(id, client = db) {
+    const result = await client.query(
           `DELETE
            FROM orders
            WHERE id = $1
@@ -151,33 +597,28 @@ class Order {
     if (!order) throw new NotFoundError(`No order: ${id}`);
   }
 
-  /** Calculate the total cost of an order after applying standard sales tax.
-     *
-     * @param {number} orderId - The ID of the order to calculate the total for.
-     * @returns {Promise<number>} A promise that resolves to the total cost of the order.
-     */
+  /** Return the price breakdown stored on an order when it was placed.
+   *
+   * Tax and shipping were computed from the rules in force at that time, so
+   * later rule changes don't alter what the customer was charged.
+   *
+   * Returns { subtotal, discount, tax, shipping, total }
+   *
+   * Throws NotFoundError if not found.
+   */
+
   static async getTotal(orderId) {
     const orderRes = await db.query(
-        `SELECT items FROM orders WHERE id = $1`,
-        [orderId]
-    );
+          `SELECT subtotal, discount, tax, shipping, total
+           FROM orders
+           WHERE id = $1`,
+        [orderId]);
 
     const order = orderRes.rows[0];
     if (!order) throw new NotFoundError(`No order found with ID: ${orderId}`);
 
-    const items = order.items;
-    let totalCost = 0;
-
-    // Assuming each item has a price and quantity property
-    for (let item of items) {
-        const itemTotal = item.price;  //* item.quantity;  Calculate subtotal for each item
-        const taxRate = 0.10; // Standard sales tax rate (10%)
-        const taxedAmount = itemTotal * (1 + taxRate); // Apply sales tax
-        totalCost += taxedAmount; // Add to total cost
-    }
-
-    return Math.round(totalCost); // Round to nearest whole number and return
-}
+    return order;
+  }
 }
 
 module.exports = Order;
\ No newline at end of file
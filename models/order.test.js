@@ -0,0 +1,292 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Order = require("./order.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const address = {
+  name: "Ann Lee",
+  line1: "1 Main St",
+  city: "Austin",
+  region: "tx",
+  postal_code: "78701",
+  phone: "5125551234",
+};
+
+/** Place an order for u1 by local pickup (no shipping charge), so totals
+ * are just the items. */
+
+function newOrder(data = {}) {
+  return Order.create({
+    address,
+    items: [{ id: testInsectIds[0], quantity: 2 }, { id: testInsectIds[1] }],
+    shipping_method: "local_pickup",
+    username: "u1",
+    ...data,
+  });
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: prices lines and totals on the server", async function () {
+    const order = await newOrder();
+    expect(order).toEqual(expect.objectContaining({
+      subtotal: "40.50",
+      discount: "0.00",
+      tax: "0.00",
+      shipping: "0.00",
+      total: "40.50",
+      status: "pending",
+      username: "u1",
+    }));
+    expect(order.items).toEqual([
+      { id: testInsectIds[0], quantity: 2, unit_price: 10, line_total: 20 },
+      { id: testInsectIds[1], quantity: 1, unit_price: 20.5, line_total: 20.5 },
+    ]);
+
+    const itemsRes = await db.query(
+          `SELECT insect_id, quantity, unit_price
+           FROM order_items
+           WHERE order_id = $1
+           ORDER BY insect_id`, [order.id]);
+    expect(itemsRes.rows).toEqual([
+      { insect_id: testInsectIds[0], quantity: 2, unit_price: "10.00" },
+      { insect_id: testInsectIds[1], quantity: 1, unit_price: "20.50" },
+    ]);
+  });
+
+  test("merges repeated insects into one line", async function () {
+    const order = await newOrder({
+      items: [{ id: testInsectIds[0] }, { id: testInsectIds[0], quantity: 2 }],
+    });
+    expect(order.items).toEqual([
+      { id: testInsectIds[0], quantity: 3, unit_price: 10, line_total: 30 },
+    ]);
+  });
+
+  test("accepts a matching client total", async function () {
+    const order = await newOrder({ total: 40.5 });
+    expect(order.total).toEqual("40.50");
+  });
+
+  test("bad request if the client total disagrees", async function () {
+    await expect(newOrder({ total: 1 })).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with no items", async function () {
+    await expect(newOrder({ items: [] })).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with a bad quantity", async function () {
+    await expect(newOrder({ items: [{ id: testInsectIds[0], quantity: 0 }] }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if an insect doesn't exist", async function () {
+    await expect(newOrder({ items: [{ id: 0 }] })).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if the user doesn't exist", async function () {
+    await expect(newOrder({ username: "nope" })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works: keeps the price paid", async function () {
+    const { id } = await newOrder();
+    await db.query(`UPDATE insects SET price = 99 WHERE id = $1`, [testInsectIds[0]]);
+
+    const order = await Order.get(id);
+    expect(order.items[0]).toEqual(expect.objectContaining({
+      id: testInsectIds[0],
+      species: "i1",
+      quantity: 2,
+      unit_price: "10.00",
+      line_total: "20.00",
+    }));
+  });
+
+  test("not found if no such order", async function () {
+    await expect(Order.get(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** updateStatus */
+
+describe("updateStatus", function () {
+  test("works: moves along and records history", async function () {
+    const { id } = await newOrder();
+
+    const order = await Order.updateStatus(id, { status: "paid", note: "cash", username: "u1" });
+    expect(order).toEqual({ id, status: "paid" });
+
+    const { status_history } = await Order.get(id);
+    expect(status_history).toEqual([
+      expect.objectContaining({ from_status: null, to_status: "pending" }),
+      expect.objectContaining({
+        from_status: "pending", to_status: "paid", username: "u1", note: "cash",
+      }),
+    ]);
+  });
+
+  test("cancelling puts the items back in stock", async function () {
+    const { id } = await newOrder();
+    await Order.updateStatus(id, { status: "cancelled" });
+
+    const stockRes = await db.query(
+          `SELECT stock FROM insects WHERE id = ANY($1) ORDER BY id`,
+        [[testInsectIds[0], testInsectIds[1]]]);
+    expect(stockRes.rows).toEqual([{ stock: 10 }, { stock: 5 }]);
+  });
+
+  test("refunding a shipped order doesn't restock", async function () {
+    const { id } = await newOrder();
+    for (const status of ["paid", "packed", "shipped", "delivered", "refunded"]) {
+      await Order.updateStatus(id, { status });
+    }
+
+    const stockRes = await db.query(
+          `SELECT stock FROM insects WHERE id = $1`, [testInsectIds[0]]);
+    expect(stockRes.rows[0].stock).toEqual(8);
+  });
+
+  test("bad request for an illegal transition", async function () {
+    const { id } = await newOrder();
+    await expect(Order.updateStatus(id, { status: "shipped" }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such order", async function () {
+    await expect(Order.updateStatus(0, { status: "paid" }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** canChangeStatus */
+
+describe("canChangeStatus", function () {
+  test("follows the lifecycle", function () {
+    expect(Order.canChangeStatus("pending", "cancelled")).toEqual(true);
+    expect(Order.canChangeStatus("delivered", "refunded")).toEqual(true);
+    expect(Order.canChangeStatus("paid", "cancelled")).toEqual(false);
+    expect(Order.canChangeStatus("cancelled", "pending")).toEqual(false);
+    expect(Order.canChangeStatus("nonsense", "paid")).toEqual(false);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: filters by owner and status", async function () {
+    const mine = await newOrder();
+    const theirs = await newOrder({ username: "u2" });
+    const guest = await newOrder({ username: undefined, email: "guest@email.com" });
+    await Order.updateStatus(theirs.id, { status: "cancelled" });
+
+    let { orders, total } = await Order.findAll({ username: "u1" });
+    expect(orders.map(o => o.id)).toEqual([mine.id]);
+    expect(orders[0].username).toEqual("u1");
+    expect(total).toEqual(1);
+
+    ({ orders } = await Order.findAll({ status: "cancelled" }));
+    expect(orders.map(o => o.id)).toEqual([theirs.id]);
+
+    ({ orders } = await Order.findAll());
+    expect(orders.find(o => o.id === guest.id).username).toBeNull();
+  });
+
+  test("works: sorts and pages", async function () {
+    const small = await newOrder({ items: [{ id: testInsectIds[0] }] });
+    const big = await newOrder();
+
+    const first = await Order.findAll({ sort: "-total", limit: 1 });
+    expect(first.orders.map(o => o.id)).toEqual([big.id]);
+    const second = await Order.findAll({ sort: "-total", limit: 1, after: first.next });
+    expect(second.orders.map(o => o.id)).toEqual([small.id]);
+  });
+
+  test("bad request if min total is over max", async function () {
+    await expect(Order.findAll({ minTotal: 20, maxTotal: 10 }))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** guest orders */
+
+describe("guest orders", function () {
+  function guestOrder() {
+    return newOrder({ username: undefined, email: "guest@email.com" });
+  }
+
+  test("get a lookup token, which is only stored hashed", async function () {
+    const order = await guestOrder();
+    expect(order.lookup_token).toEqual(expect.any(String));
+    expect((await Order.get(order.id)).guest_email).toEqual("guest@email.com");
+
+    const result = await db.query(
+        `SELECT lookup_token_hash FROM orders WHERE id = $1`, [order.id]);
+    expect(result.rows[0].lookup_token_hash).not.toEqual(order.lookup_token);
+    expect((await Order.get(order.id)).lookup_token).toBeUndefined();
+  });
+
+  test("bad request without an email", async function () {
+    await expect(newOrder({ username: undefined })).rejects.toThrow(BadRequestError);
+  });
+
+  test("users' orders get no lookup token", async function () {
+    const order = await newOrder();
+    expect(order.lookup_token).toBeUndefined();
+  });
+});
+
+/************************************** lookup */
+
+describe("lookup", function () {
+  test("works with the token or the phone number", async function () {
+    const { id, order_number, lookup_token } = await newOrder({
+      username: undefined, email: "guest@email.com",
+    });
+
+    let order = await Order.lookup({ orderNumber: order_number, token: lookup_token });
+    expect(order.id).toEqual(id);
+    order = await Order.lookup({ orderNumber: order_number.toLowerCase(), phone: "5125551234" });
+    expect(order.id).toEqual(id);
+  });
+
+  test("compares phone numbers by their digits", async function () {
+    const { id, order_number } = await newOrder({
+      username: undefined, email: "guest@email.com", address: { ...address, phone: "(512) 555-1234" },
+    });
+    const order = await Order.lookup({ orderNumber: order_number, phone: "512-555-1234" });
+    expect(order.id).toEqual(id);
+  });
+
+  test("not found with a wrong token or phone", async function () {
+    const { order_number } = await newOrder({ username: undefined, email: "guest@email.com" });
+    await expect(Order.lookup({ orderNumber: order_number, token: "nope" }))
+        .rejects.toThrow(NotFoundError);
+    await expect(Order.lookup({ orderNumber: order_number, phone: "5550000000" }))
+        .rejects.toThrow(NotFoundError);
+  });
+
+  test("not found for a user's order, even with its phone", async function () {
+    const { order_number } = await newOrder();
+    await expect(Order.lookup({ orderNumber: order_number, phone: "5125551234" }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const { FRONTEND_URL, PASSWORD_RESET_TTL_MINUTES } = require("../config");
+const User = require("./user");
+
+/** Related functions for resetting forgotten passwords. */
+
+class PasswordReset {
+  /** Email a reset link to the account(s) matching { username } or { email }.
+   *
+   * Returns undefined whether or not anything matched, so callers can't
+   * tell which usernames or emails exist.
+   */
+
+  static async request({ username, email }) {
+    const usersRes = await db.query(
+          `SELECT id, username, email
+           FROM users
+           WHERE username = $1 OR email = $2`,
+        [username || null, email || null]);
+
+    for (const user of usersRes.rows) {
+      const token = createOpaqueToken();
+      await db.query(
+            `INSERT INTO password_reset_tokens (token_hash, user_id, expires_at)
+             VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+          [hashToken(token), user.id, PASSWORD_RESET_TTL_MINUTES]);
+
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Fuzzy Phids password",
+        text: `Hi ${user.username},\n\n`
+            + `Someone asked to reset your password. If it was you, go to\n\n`
+            + `${FRONTEND_URL}/reset-password?token=${token}\n\n`
+            + `within ${PASSWORD_RESET_TTL_MINUTES} minutes. `
+            + `Otherwise you can ignore this email.\n`,
+      });
+    }
+  }
+
+  /** Set a new password using a reset token.
+   *
+   * The token is used up, along with any other outstanding reset tokens for
+   * the user, and the user's sessions are revoked (by User.update).
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, used or expired.
+   */
+
+  static async reset(token, password) {
+    return withTransaction(async (client) => {
+      const tokenRes = await client.query(
+            `UPDATE password_reset_tokens AS prt
+             SET used_at = CURRENT_TIMESTAMP
+             FROM users AS u
+             WHERE prt.token_hash = $1
+               AND prt.used_at IS NULL
+               AND prt.expires_at > CURRENT_TIMESTAMP
+               AND u.id = prt.user_id
+             RETURNING prt.user_id, u.username`,
+          [hashToken(token)]);
+      const found = tokenRes.rows[0];
+
+      if (!found) throw new BadRequestError("Invalid or expired reset token");
+
+      await client.query(
+            `UPDATE password_reset_tokens
+             SET used_at = CURRENT_TIMESTAMP
+             WHERE user_id = $1 AND used_at IS NULL`,
+          [found.user_id]);
+
+      await User.update(found.username, { password }, client);
+      return { username: found.username };
+    });
+  }
+}
+
+module.exports = PasswordReset;
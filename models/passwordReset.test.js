@@ -0,0 +1,98 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { registerTransport } = require("../helpers/mail");
+const PasswordReset = require("./passwordReset.js");
+const Session = require("./session.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Mail sent during the current test. */
+
+const sent = [];
+registerTransport("outbox", () => ({ send: async message => sent.push(message) }));
+beforeEach(() => sent.splice(0));
+
+/** Return the reset token from the last email sent. */
+
+function lastResetToken() {
+  return sent[sent.length - 1].text.match(/token=(\S+)/)[1];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works by username or email", async function () {
+    await PasswordReset.request({ username: "u1" });
+    await PasswordReset.request({ email: "u2@email.com" });
+    expect(sent.map(m => m.to)).toEqual(["u1@email.com", "u2@email.com"]);
+    expect(sent[0].text).toContain("/reset-password?token=");
+  });
+
+  test("sends nothing, and says nothing, for an unknown account", async function () {
+    await expect(PasswordReset.request({ email: "nope@email.com" })).resolves.toBeUndefined();
+    expect(sent).toEqual([]);
+  });
+
+  test("stores only a hash of the token", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const result = await db.query(
+        `SELECT COUNT(*) FROM password_reset_tokens WHERE token_hash = $1`,
+        [lastResetToken()]);
+    expect(result.rows[0].count).toEqual("0");
+  });
+});
+
+/************************************** reset */
+
+describe("reset", function () {
+  test("works: sets the password and logs out every session", async function () {
+    const { refreshToken } = await Session.start({ username: "u1", isAdmin: false });
+    await PasswordReset.request({ username: "u1" });
+
+    const result = await PasswordReset.reset(lastResetToken(), "new-password");
+    expect(result).toEqual({ username: "u1" });
+
+    await User.authenticate("u1", "new-password");
+    await expect(User.authenticate("u1", "password1")).rejects.toThrow(UnauthorizedError);
+    await expect(Session.refresh(refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("a token works once, and uses up the user's other tokens", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const older = lastResetToken();
+    await PasswordReset.request({ username: "u1" });
+    const newer = lastResetToken();
+
+    await PasswordReset.reset(newer, "new-password");
+    await expect(PasswordReset.reset(newer, "other-password"))
+        .rejects.toThrow(BadRequestError);
+    await expect(PasswordReset.reset(older, "other-password"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with an expired token", async function () {
+    await PasswordReset.request({ username: "u1" });
+    await db.query(
+        `UPDATE password_reset_tokens
+         SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'`);
+    await expect(PasswordReset.reset(lastResetToken(), "new-password"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with an unknown token", async function () {
+    await expect(PasswordReset.reset("nope", "new-password"))
+        .rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,391 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
+const { toCents } = require("../helpers/money");
+const { getPaymentProvider } = require("../helpers/payments");
+const { PAYMENT_CURRENCY } = require("../config");
+const Order = require("./order");
+const AuditLog = require("./auditLog");
+
+/** Legal payment status transitions: status => statuses it may move to.
+ *
+ * Webhook events can arrive late or out of order, so a change that isn't
+ * listed here (like a failure reported after the capture) is ignored.
+ */
+
+const PAYMENT_TRANSITIONS = {
+  pending: ["authorized", "captured", "failed"],
+  authorized: ["captured", "failed"],
+  captured: ["refunded"],
+  failed: [],
+  refunded: [],
+};
+
+/** A provider intent's status => our payment status. */
+
+const INTENT_STATUSES = {
+  processing: "pending",
+  requires_capture: "authorized",
+  succeeded: "captured",
+  failed: "failed",
+};
+
+/** Webhook event type => the payment status it reports. */
+
+const EVENT_STATUSES = {
+  "payment.authorized": "authorized",
+  "payment.succeeded": "captured",
+  "payment.failed": "failed",
+  "payment.refunded": "refunded",
+};
+
+/** Payment status => the orders.payment_status it gives its order. */
+
+const ORDER_PAYMENT_STATUSES = {
+  pending: "processing",
+  authorized: "processing",
+  captured: "paid",
+  failed: "failed",
+  refunded: "refunded",
+};
+
+/** orders.payment_status values from which a new payment may be started. */
+
+const PAYABLE_STATUSES = ["unpaid", "failed"];
+
+const PAYMENT_COLUMNS = `id, order_id, provider, provider_payment_id, amount,
+                         status, failure_reason, created_at, updated_at`;
+
+/** Related functions for payments. */
+
+class Payment {
+  /** Pay for an order with the configured provider.
+   *
+   * paymentMethod is whatever the provider's client-side code handed the
+   * front end (for the mock provider, any string; "pm_card_declined" fails).
+   *
+   * The attempt is stored first, so even one the provider errors on is on
+   * record, then the payment is authorized and captured for the order's
+   * total. A capture marks the order paid. If the provider errors, the
+   * payment is marked failed, so the order can be paid for again, and the
+   * error is rethrown; an error capturing first cancels the authorization,
+   * so the customer's money isn't left on hold. (Should that fail too, the
+   * payment stays authorized, and the order can't be paid for again, until
+   * the provider's webhook settles it.) The outcome is written to the audit
+   * log along with it, as an "order.pay" entry by username.
+   *
+   * Returns { id, order_id, provider, provider_payment_id, amount, status,
+   *           failure_reason, created_at, updated_at }
+   *   where status is "captured" on success, "failed" if declined, or
+   *   "pending" / "authorized" if the provider will report back through the
+   *   webhook.
+   *
+   * Throws NotFoundError if the order doesn't exist; BadRequestError if it
+   * isn't pending or is already paid (or being paid) for.
+   */
+
+  static async pay(orderId, { paymentMethod, username = null }) {
+    const provider = getPaymentProvider();
+
+    const { payment, order } = await withTransaction(async (client) => {
+      const orderRes = await client.query(
+            `SELECT status, payment_status, total, order_number
+             FROM orders
+             WHERE id = $1
+             FOR UPDATE`,
+          [orderId]);
+      const order = orderRes.rows[0];
+
+      if (!order) throw new NotFoundError(`No order: ${orderId}`);
+      if (order.status !== "pending"
+          || !PAYABLE_STATUSES.includes(order.payment_status)) {
+        throw new BadRequestError(
+            `Order ${order.order_number} can't be paid for: status ${order.status}, payment ${order.payment_status}`);
+      }
+
+      const paymentRes = await client.query(
+            `INSERT INTO payments (order_id, provider, amount)
+             VALUES ($1, $2, $3)
+             RETURNING id`,
+          [orderId, provider.name, order.total]);
+
+      await client.query(
+            `UPDATE orders SET payment_status = 'processing' WHERE id = $1`,
+          [orderId]);
+
+      return { payment: paymentRes.rows[0], order };
+    });
+
+    const amount = toCents(order.total);
+
+    // Apply the attempt's final result for this request and audit it.
+    const settle = result => withTransaction(async (client) => {
+      const { payment: settled } = await Payment.applyResult(payment.id, result, client);
+      await AuditLog.record({
+        actor: username,
+        action: "order.pay",
+        entityType: "order",
+        entityId: orderId,
+        after: { payment_id: settled.id, status: settled.status, amount: settled.amount },
+      }, client);
+      return settled;
+    });
+
+    let intent;
+    try {
+      intent = await provider.createIntent({
+        amount,
+        currency: PAYMENT_CURRENCY,
+        reference: order.order_number,
+        paymentMethod,
+      });
+    } catch (err) {
+      await settle({ status: "failed", failureReason: err.message, username });
+      throw err;
+    }
+
+    const intentResult = {
+      status: INTENT_STATUSES[intent.status],
+      providerPaymentId: intent.id,
+      failureReason: intent.failureReason,
+      username,
+    };
+    if (intent.status !== "requires_capture") return settle(intentResult);
+
+    await Payment.applyResult(payment.id, intentResult);
+
+    let captured;
+    try {
+      captured = await provider.capture(intent.id, { amount });
+    } catch (err) {
+      const cancelled = await provider.cancel(intent.id).then(() => true, () => false);
+      if (cancelled) await settle({ status: "failed", failureReason: err.message, username });
+      throw err;
+    }
+    return settle({
+      status: INTENT_STATUSES[captured.status],
+      failureReason: captured.failureReason,
+      username,
+    });
+  }
+
+  /** Move a payment to a new status and bring its order in line.
+   *
+   * result is { status, providerPaymentId, failureReason, username }
+   *   where providerPaymentId, if given, is recorded, and username (null for
+   *   the provider or a guest) is noted on any order status change.
+   *
+   * Sets orders.payment_status to match; a capture also moves a pending
+   * order to "paid". A capture for an order that's no longer pending (one
+   * cancelled while the payment was in flight) is refunded straight away,
+   * through the provider. A refund made at the provider's end moves the
+   * order to "refunded", restocking it, where its status allows that.
+   * A transition PAYMENT_TRANSITIONS doesn't allow leaves
+   * everything as it was, except that a result repeating the current status
+   * still records its providerPaymentId (a provider that answers
+   * "processing" leaves the payment pending, and its webhook needs the id).
+   *
+   * Pass `client` to run inside a transaction the caller already opened;
+   * otherwise a new one is started.
+   *
+   * Returns { payment, changed }
+   *
+   * Throws NotFoundError if the payment doesn't exist.
+   */
+
+  static async applyResult(paymentId, result, client = null) {
+    if (!client) return withTransaction(c => Payment.applyResult(paymentId, result, c));
+
+    const { status, providerPaymentId = null, failureReason = null, username = null } = result;
+
+    const currentRes = await client.query(
+          `SELECT p.status, p.order_id, p.provider_payment_id, o.status AS order_status
+           FROM payments AS p
+                JOIN orders AS o ON o.id = p.order_id
+           WHERE p.id = $1
+           FOR UPDATE`,
+        [paymentId]);
+    const current = currentRes.rows[0];
+
+    if (!current) throw new NotFoundError(`No payment: ${paymentId}`);
+
+    if (!PAYMENT_TRANSITIONS[current.status].includes(status)) {
+      const paymentRes = status === current.status && providerPaymentId
+          ? await client.query(
+                `UPDATE payments
+                 SET provider_payment_id = $1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $2
+                 RETURNING ${PAYMENT_COLUMNS}`,
+              [providerPaymentId, paymentId])
+          : await client.query(
+                `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE id = $1`, [paymentId]);
+      return { payment: paymentRes.rows[0], changed: false };
+    }
+
+    const paymentRes = await client.query(
+          `UPDATE payments
+           SET status = $1,
+               provider_payment_id = COALESCE($2, provider_payment_id),
+               failure_reason = $3,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4
+           RETURNING ${PAYMENT_COLUMNS}`,
+        [status, providerPaymentId, failureReason, paymentId]);
+    const payment = paymentRes.rows[0];
+
+    await client.query(
+          `UPDATE orders SET payment_status = $1 WHERE id = $2`,
+        [ORDER_PAYMENT_STATUSES[status], current.order_id]);
+
+    if (status === "captured" && current.order_status === "pending") {
+      await Order.updateStatus(current.order_id, {
+        status: "paid",
+        note: `Payment ${payment.provider_payment_id}`,
+        username,
+      }, client);
+    } else if (status === "captured") {
+      return { payment: await Payment.refund(payment, client), changed: true };
+    }
+
+    // refundOrder's refunds come after the order has moved to "refunded".
+    if (status === "refunded" && Order.canChangeStatus(current.order_status, "refunded")) {
+      await Order.updateStatus(current.order_id, {
+        status: "refunded",
+        note: `Payment ${payment.provider_payment_id} refunded`,
+        username,
+      }, client);
+    }
+
+    return { payment, changed: true };
+  }
+
+  /** Apply a provider webhook event, once.
+   *
+   * event is { id, type, data: { payment_id, failure_reason } }
+   *   where payment_id is the provider's id for the payment and type is one
+   *   of EVENT_STATUSES.
+   *
+   * Each event id is recorded the first time it's seen; a redelivery does
+   * nothing. Events of types we don't handle are recorded and otherwise
+   * ignored. An event that changes a payment is written to the audit log as
+   * a "payment.webhook" entry.
+   *
+   * Returns { duplicate, applied, payment }
+   *   where payment is null unless the event changed one.
+   *
+   * Throws NotFoundError, without recording the event, if no payment has
+   * the provider's payment_id. pay() only saves that id once the provider
+   * answers, so an early event has to be delivered again later.
+   */
+
+  static async handleEvent({ id, type, data }) {
+    const provider = getPaymentProvider();
+
+    return withTransaction(async (client) => {
+      const paymentRes = await client.query(
+            `SELECT id
+             FROM payments
+             WHERE provider = $1 AND provider_payment_id = $2`,
+          [provider.name, data.payment_id]);
+      const found = paymentRes.rows[0];
+
+      if (!found) throw new NotFoundError(`No payment: ${data.payment_id}`);
+
+      const eventRes = await client.query(
+            `INSERT INTO payment_events (provider, event_id, type, payment_id)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT DO NOTHING
+             RETURNING event_id`,
+          [provider.name, id, type, found.id]);
+
+      if (!eventRes.rows[0]) return { duplicate: true, applied: false, payment: null };
+
+      const status = EVENT_STATUSES[type];
+      if (!status) return { duplicate: false, applied: false, payment: null };
+
+      const { payment, changed } = await Payment.applyResult(found.id, {
+        status, failureReason: data.failure_reason,
+      }, client);
+
+      if (changed) {
+        await AuditLog.record({
+          actor: null,
+          action: "payment.webhook",
+          entityType: "order",
+          entityId: payment.order_id,
+          after: { payment_id: payment.id, status: payment.status, event: id },
+        }, client);
+      }
+
+      return { duplicate: false, applied: changed, payment: changed ? payment : null };
+    });
+  }
+
+  /** Refund an order's captured payment in full through the provider.
+   *
+   * A provider that confirms the refund straight away marks the payment
+   * (and the order's payment_status) refunded; otherwise that waits for its
+   * webhook.
+   *
+   * Call it with the client of the transaction that moves the order to
+   * "refunded", after the status change (see PATCH /orders/[id]/status): if
+   * the provider refuses, the error rolls the status change back with it.
+   * Without `client` a new transaction is started.
+   *
+   * Returns the payment, or null if the order has no captured payment.
+   *
+   * Throws BadRequestError if the payment was taken by a different provider
+   * than the one configured.
+   */
+
+  static async refundOrder(orderId, client = null) {
+    if (!client) return withTransaction(c => Payment.refundOrder(orderId, c));
+
+    const paymentRes = await client.query(
+          `SELECT ${PAYMENT_COLUMNS}
+           FROM payments
+           WHERE order_id = $1 AND status = 'captured'
+           ORDER BY id DESC
+           LIMIT 1
+           FOR UPDATE`,
+        [orderId]);
+    const captured = paymentRes.rows[0];
+
+    if (!captured) return null;
+
+    return Payment.refund(captured, client);
+  }
+
+  /** Refund a captured payment in full through the provider, using the
+   * given client.
+   *
+   * A provider that confirms the refund straight away marks the payment
+   * (and the order's payment_status) refunded; otherwise that waits for its
+   * webhook.
+   *
+   * Returns the payment.
+   *
+   * Throws BadRequestError if the payment was taken by a different provider
+   * than the one configured.
+   */
+
+  static async refund(payment, client) {
+    const provider = getPaymentProvider();
+    if (payment.provider !== provider.name) {
+      throw new BadRequestError(
+          `Payment ${payment.id} was taken by ${payment.provider}, not ${provider.name}`);
+    }
+
+    const refund = await provider.refund(payment.provider_payment_id, {
+      amount: toCents(payment.amount),
+    });
+    if (refund.status !== "succeeded") return payment;
+
+    const { payment: refunded } = await Payment.applyResult(
+        payment.id, { status: "refunded" }, client);
+    return refunded;
+  }
+}
+
+module.exports = Payment;
@@ -0,0 +1,403 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { MockPaymentProvider, registerProvider } = require("../helpers/payments");
+const Order = require("./order.js");
+const Payment = require("./payment.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// Put the real mock provider back after tests that swap in their own.
+afterEach(() => registerProvider("mock", () => new MockPaymentProvider()));
+
+/** Use `overrides` in place of the mock provider's methods. */
+
+function useProvider(overrides) {
+  registerProvider("mock", () => Object.assign(new MockPaymentProvider(), overrides));
+}
+
+/** Place a $20 order for u1 by local pickup. */
+
+function newOrder() {
+  return Order.create({
+    address: {
+      name: "Ann Lee",
+      line1: "1 Main St",
+      city: "Austin",
+      region: "tx",
+      postal_code: "78701",
+      phone: "5125551234",
+    },
+    items: [{ id: testInsectIds[0], quantity: 2 }],
+    shipping_method: "local_pickup",
+    username: "u1",
+  });
+}
+
+async function orderStatus(orderId) {
+  const result = await db.query(
+        `SELECT status, payment_status FROM orders WHERE id = $1`, [orderId]);
+  return result.rows[0];
+}
+
+/************************************** pay */
+
+describe("pay", function () {
+  test("works: captures the total and marks the order paid", async function () {
+    const order = await newOrder();
+    const payment = await Payment.pay(order.id, { paymentMethod: "pm_card_visa", username: "u1" });
+    expect(payment).toEqual(expect.objectContaining({
+      order_id: order.id,
+      provider: "mock",
+      provider_payment_id: expect.stringMatching(/^mock_pi_/),
+      amount: "20.00",
+      status: "captured",
+      failure_reason: null,
+    }));
+    expect(await orderStatus(order.id)).toEqual({ status: "paid", payment_status: "paid" });
+
+    const auditRes = await db.query(
+          `SELECT actor, after FROM audit_log WHERE action = 'order.pay'`);
+    expect(auditRes.rows).toEqual([{
+      actor: "u1",
+      after: { payment_id: payment.id, status: "captured", amount: "20.00" },
+    }]);
+  });
+
+  test("charges the provider in cents", async function () {
+    const amounts = [];
+    useProvider({
+      async createIntent({ amount }) {
+        amounts.push(amount);
+        return { id: "pi_1", status: "requires_capture" };
+      },
+      async capture(id, { amount }) {
+        amounts.push(amount);
+        return { id, status: "succeeded" };
+      },
+    });
+    const order = await newOrder();
+    await Payment.pay(order.id, { paymentMethod: "pm" });
+    expect(amounts).toEqual([2000, 2000]);
+  });
+
+  test("a declined card fails and the order can be paid again", async function () {
+    const order = await newOrder();
+    const declined = await Payment.pay(order.id, { paymentMethod: "pm_card_declined" });
+    expect(declined).toEqual(expect.objectContaining({
+      status: "failed", failure_reason: "card_declined",
+    }));
+    expect(await orderStatus(order.id)).toEqual({ status: "pending", payment_status: "failed" });
+
+    const retried = await Payment.pay(order.id, { paymentMethod: "pm_card_visa" });
+    expect(retried.status).toEqual("captured");
+    expect(await orderStatus(order.id)).toEqual({ status: "paid", payment_status: "paid" });
+  });
+
+  test("a provider error on capture cancels the hold and fails the payment", async function () {
+    const cancelled = [];
+    useProvider({
+      async capture() {
+        throw new Error("gateway timeout");
+      },
+      async cancel(id) {
+        cancelled.push(id);
+        return { id, status: "cancelled" };
+      },
+    });
+    const order = await newOrder();
+    await expect(Payment.pay(order.id, { paymentMethod: "pm" }))
+        .rejects.toThrow("gateway timeout");
+
+    const paymentsRes = await db.query(
+          `SELECT status, failure_reason, provider_payment_id
+           FROM payments WHERE order_id = $1`, [order.id]);
+    expect(paymentsRes.rows).toEqual([{
+      status: "failed",
+      failure_reason: "gateway timeout",
+      provider_payment_id: expect.stringMatching(/^mock_pi_/),
+    }]);
+    expect(cancelled).toEqual([paymentsRes.rows[0].provider_payment_id]);
+    expect(await orderStatus(order.id)).toEqual({ status: "pending", payment_status: "failed" });
+  });
+
+  test("a hold that can't be cancelled stays authorized", async function () {
+    useProvider({
+      async capture() {
+        throw new Error("gateway timeout");
+      },
+      async cancel() {
+        throw new Error("gateway timeout");
+      },
+    });
+    const order = await newOrder();
+    await expect(Payment.pay(order.id, { paymentMethod: "pm" }))
+        .rejects.toThrow("gateway timeout");
+
+    const paymentsRes = await db.query(
+          `SELECT status FROM payments WHERE order_id = $1`, [order.id]);
+    expect(paymentsRes.rows).toEqual([{ status: "authorized" }]);
+    expect(await orderStatus(order.id))
+        .toEqual({ status: "pending", payment_status: "processing" });
+    // No second hold on the customer's money.
+    await expect(Payment.pay(order.id, { paymentMethod: "pm" }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("a provider error before an intent exists is recorded too", async function () {
+    useProvider({
+      async createIntent() {
+        throw new Error("connection refused");
+      },
+    });
+    const order = await newOrder();
+    await expect(Payment.pay(order.id, { paymentMethod: "pm" }))
+        .rejects.toThrow("connection refused");
+    expect(await orderStatus(order.id)).toEqual({ status: "pending", payment_status: "failed" });
+  });
+
+  test("an asynchronous provider leaves the payment pending", async function () {
+    useProvider({
+      async createIntent() {
+        return { id: "pi_async", status: "processing" };
+      },
+    });
+    const order = await newOrder();
+    const payment = await Payment.pay(order.id, { paymentMethod: "pm" });
+    expect(payment).toEqual(expect.objectContaining({
+      status: "pending", provider_payment_id: "pi_async",
+    }));
+    expect(await orderStatus(order.id))
+        .toEqual({ status: "pending", payment_status: "processing" });
+  });
+
+  test("the order can't be cancelled while a payment is in progress", async function () {
+    useProvider({
+      async createIntent() {
+        return { id: "pi_async", status: "processing" };
+      },
+    });
+    const order = await newOrder();
+    await Payment.pay(order.id, { paymentMethod: "pm" });
+    await expect(Order.updateStatus(order.id, { status: "cancelled", username: "u1" }))
+        .rejects.toThrow(BadRequestError);
+
+    await Payment.handleEvent({
+      id: "evt_1", type: "payment.failed", data: { payment_id: "pi_async" },
+    });
+    await Order.updateStatus(order.id, { status: "cancelled", username: "u1" });
+    expect((await orderStatus(order.id)).status).toEqual("cancelled");
+  });
+
+  test("bad request if already paid or being paid", async function () {
+    const order = await newOrder();
+    await Payment.pay(order.id, { paymentMethod: "pm_card_visa" });
+    await expect(Payment.pay(order.id, { paymentMethod: "pm_card_visa" }))
+        .rejects.toThrow(BadRequestError);
+
+    useProvider({
+      async createIntent() {
+        return { id: "pi_async", status: "processing" };
+      },
+    });
+    const other = await newOrder();
+    await Payment.pay(other.id, { paymentMethod: "pm" });
+    await expect(Payment.pay(other.id, { paymentMethod: "pm" }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if the order isn't pending", async function () {
+    const order = await newOrder();
+    await Order.updateStatus(order.id, { status: "cancelled", username: "u1" });
+    await expect(Payment.pay(order.id, { paymentMethod: "pm_card_visa" }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such order", async function () {
+    await expect(Payment.pay(0, { paymentMethod: "pm_card_visa" }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** applyResult */
+
+describe("applyResult", function () {
+  test("ignores transitions out of order", async function () {
+    const order = await newOrder();
+    const payment = await Payment.pay(order.id, { paymentMethod: "pm_card_visa" });
+
+    const { payment: after, changed } = await Payment.applyResult(
+        payment.id, { status: "failed", failureReason: "late" });
+    expect(changed).toEqual(false);
+    expect(after.status).toEqual("captured");
+    expect(await orderStatus(order.id)).toEqual({ status: "paid", payment_status: "paid" });
+  });
+
+  test("not found if no such payment", async function () {
+    await expect(Payment.applyResult(0, { status: "captured" }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** handleEvent */
+
+describe("handleEvent", function () {
+  async function pendingPayment() {
+    useProvider({
+      async createIntent() {
+        return { id: "pi_async", status: "processing" };
+      },
+    });
+    const order = await newOrder();
+    const payment = await Payment.pay(order.id, { paymentMethod: "pm" });
+    return { order, payment };
+  }
+
+  test("works: a success marks the order paid", async function () {
+    const { order, payment } = await pendingPayment();
+    const result = await Payment.handleEvent({
+      id: "evt_1", type: "payment.succeeded", data: { payment_id: "pi_async" },
+    });
+    expect(result).toEqual({
+      duplicate: false,
+      applied: true,
+      payment: expect.objectContaining({ id: payment.id, status: "captured" }),
+    });
+    expect(await orderStatus(order.id)).toEqual({ status: "paid", payment_status: "paid" });
+
+    const auditRes = await db.query(
+          `SELECT actor, entity_id FROM audit_log WHERE action = 'payment.webhook'`);
+    expect(auditRes.rows).toEqual([{ actor: null, entity_id: String(order.id) }]);
+  });
+
+  test("a redelivered event does nothing", async function () {
+    await pendingPayment();
+    const event = { id: "evt_1", type: "payment.succeeded", data: { payment_id: "pi_async" } };
+    await Payment.handleEvent(event);
+    expect(await Payment.handleEvent(event))
+        .toEqual({ duplicate: true, applied: false, payment: null });
+  });
+
+  test("a capture for a cancelled order is refunded", async function () {
+    const refunded = [];
+    const { order, payment } = await pendingPayment();
+    useProvider({
+      async refund(id) {
+        refunded.push(id);
+        return { id: "re_1", status: "succeeded" };
+      },
+    });
+    // Cancelled while the payment was in flight (Order.updateStatus won't
+    // do that any more, but orders from before might be).
+    await db.query(`UPDATE orders SET status = 'cancelled' WHERE id = $1`, [order.id]);
+
+    const result = await Payment.handleEvent({
+      id: "evt_1", type: "payment.succeeded", data: { payment_id: "pi_async" },
+    });
+    expect(result).toEqual({
+      duplicate: false,
+      applied: true,
+      payment: expect.objectContaining({ id: payment.id, status: "refunded" }),
+    });
+    expect(refunded).toEqual(["pi_async"]);
+    expect(await orderStatus(order.id))
+        .toEqual({ status: "cancelled", payment_status: "refunded" });
+  });
+
+  test("a refund made at the provider refunds and restocks the order", async function () {
+    const order = await newOrder();
+    const payment = await Payment.pay(order.id, { paymentMethod: "pm_card_visa" });
+
+    const result = await Payment.handleEvent({
+      id: "evt_1", type: "payment.refunded", data: { payment_id: payment.provider_payment_id },
+    });
+    expect(result.applied).toEqual(true);
+    expect(await orderStatus(order.id))
+        .toEqual({ status: "refunded", payment_status: "refunded" });
+
+    const stockRes = await db.query(
+          `SELECT stock FROM insects WHERE id = $1`, [testInsectIds[0]]);
+    expect(stockRes.rows[0].stock).toEqual(10);
+    const { status_history } = await Order.get(order.id);
+    expect(status_history.map(h => h.to_status)).toEqual(["pending", "paid", "refunded"]);
+  });
+
+  test("a late failure after the capture is ignored", async function () {
+    const { order } = await pendingPayment();
+    await Payment.handleEvent({
+      id: "evt_1", type: "payment.succeeded", data: { payment_id: "pi_async" },
+    });
+    const result = await Payment.handleEvent({
+      id: "evt_2", type: "payment.failed", data: { payment_id: "pi_async", failure_reason: "x" },
+    });
+    expect(result).toEqual({ duplicate: false, applied: false, payment: null });
+    expect(await orderStatus(order.id)).toEqual({ status: "paid", payment_status: "paid" });
+  });
+
+  test("records and ignores unknown event types", async function () {
+    await pendingPayment();
+    const result = await Payment.handleEvent({
+      id: "evt_1", type: "payment.disputed", data: { payment_id: "pi_async" },
+    });
+    expect(result).toEqual({ duplicate: false, applied: false, payment: null });
+    const eventsRes = await db.query(`SELECT event_id FROM payment_events`);
+    expect(eventsRes.rows).toEqual([{ event_id: "evt_1" }]);
+  });
+
+  test("not found, and not recorded, for an unknown payment", async function () {
+    await expect(Payment.handleEvent({
+      id: "evt_early", type: "payment.succeeded", data: { payment_id: "pi_unknown" },
+    })).rejects.toThrow(NotFoundError);
+    const eventsRes = await db.query(`SELECT event_id FROM payment_events`);
+    expect(eventsRes.rows).toEqual([]);
+  });
+});
+
+/************************************** refundOrder */
+
+describe("refundOrder", function () {
+  test("works: refunds the captured payment", async function () {
+    const order = await newOrder();
+    const payment = await Payment.pay(order.id, { paymentMethod: "pm_card_visa" });
+    await Order.updateStatus(order.id, { status: "refunded", username: "u1" });
+    const refunded = await Payment.refundOrder(order.id);
+    expect(refunded).toEqual(expect.objectContaining({ id: payment.id, status: "refunded" }));
+    expect(await orderStatus(order.id))
+        .toEqual({ status: "refunded", payment_status: "refunded" });
+  });
+
+  test("a refund the provider hasn't confirmed waits for the webhook", async function () {
+    const order = await newOrder();
+    await Payment.pay(order.id, { paymentMethod: "pm_card_visa" });
+    useProvider({
+      async refund() {
+        return { id: "re_1", status: "pending" };
+      },
+    });
+    const payment = await Payment.refundOrder(order.id);
+    expect(payment.status).toEqual("captured");
+  });
+
+  test("null if nothing was captured", async function () {
+    const order = await newOrder();
+    expect(await Payment.refundOrder(order.id)).toBeNull();
+  });
+
+  test("bad request if another provider took the payment", async function () {
+    const order = await newOrder();
+    await Payment.pay(order.id, { paymentMethod: "pm_card_visa" });
+    await db.query(`UPDATE payments SET provider = 'other' WHERE order_id = $1`, [order.id]);
+    await expect(Payment.refundOrder(order.id)).rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,243 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+const PROMOTION_COLUMNS = `id,
+                           code,
+                           description,
+                           discount_type,
+                           discount_value,
+                           min_subtotal,
+                           insect_ids,
+                           category_ids,
+                           starts_at,
+                           ends_at,
+                           max_uses,
+                           max_uses_per_user,
+                           active`;
+
+/** Related functions for promotions (discount codes).
+ *
+ * Codes are stored upper-cased and matched case-insensitively.
+ */
+
+class Promotion {
+  /** Create a promotion (from data), update db, return new promotion data.
+   *
+   * data should be { code, description, discount_type, discount_value,
+   *                  min_subtotal, insect_ids, category_ids, starts_at,
+   *                  ends_at, max_uses, max_uses_per_user, active }
+   *   where only code, discount_type and discount_value are required.
+   *
+   * Returns { id, code, description, discount_type, discount_value,
+   *           min_subtotal, insect_ids, category_ids, starts_at, ends_at,
+   *           max_uses, max_uses_per_user, active }
+   *
+   * Throws BadRequestError if the code is already in use.
+   * */
+
+  static async create(data) {
+    const code = data.code.toUpperCase();
+
+    const duplicateCheck = await db.query(
+          `SELECT id
+           FROM promotions
+           WHERE code = $1`,
+        [code]);
+
+    if (duplicateCheck.rows[0])
+      throw new BadRequestError(`Duplicate promotion code: ${code}`);
+
+    const result = await db.query(
+          `INSERT INTO promotions
+           (code, description, discount_type, discount_value, min_subtotal,
+            insect_ids, category_ids, starts_at, ends_at, max_uses,
+            max_uses_per_user, active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+           RETURNING ${PROMOTION_COLUMNS}`,
+        [
+          code,
+          data.description || null,
+          data.discount_type,
+          data.discount_value,
+          data.min_subtotal === undefined ? null : data.min_subtotal,
+          data.insect_ids || null,
+          data.category_ids || null,
+          data.starts_at || null,
+          data.ends_at || null,
+          data.max_uses || null,
+          data.max_uses_per_user || null,
+          data.active === undefined ? true : data.active,
+        ]);
+
+    return result.rows[0];
+  }
+
+  /** Find all promotions, with how many times each has been redeemed.
+   *
+   * Returns [{ id, code, ..., active, times_used }, ...]
+   * */
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT ${PROMOTION_COLUMNS},
+                  (SELECT COUNT(*)::int
+                   FROM promotion_redemptions AS r
+                   WHERE r.promotion_id = promotions.id) AS times_used
+           FROM promotions
+           ORDER BY code`);
+    return result.rows;
+  }
+
+  /** Given a promotion id, return data about it and its redemptions.
+   *
+   * Returns { id, code, ..., active, redemptions }
+   *   where redemptions is [{ order_id, user_id, discount, redeemed_at }, ...]
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    const result = await db.query(
+          `SELECT ${PROMOTION_COLUMNS}
+           FROM promotions
+           WHERE id = $1`,
+        [id]);
+    const promotion = result.rows[0];
+
+    if (!promotion) throw new NotFoundError(`No promotion: ${id}`);
+
+    const redemptionsRes = await db.query(
+          `SELECT order_id, user_id, discount, redeemed_at
+           FROM promotion_redemptions
+           WHERE promotion_id = $1
+           ORDER BY redeemed_at DESC`,
+        [id]);
+    promotion.redemptions = redemptionsRes.rows;
+
+    return promotion;
+  }
+
+  /** Look up the promotion for `code` and check it can be used on an order.
+   *
+   * subtotal is the order subtotal in dollars; userId may be null for
+   * orders not tied to an account. Redemptions on cancelled orders don't
+   * count towards usage limits.
+   *
+   * The promotion row is locked, so pass the client of the transaction that
+   * will also record the redemption; that way two orders racing for the last
+   * use of a code can't both get it.
+   *
+   * Returns the promotions row.
+   *
+   * Throws BadRequestError if the code doesn't exist or can't be used.
+   */
+
+  static async forOrder(code, { subtotal, userId = null }, client) {
+    const result = await client.query(
+          `SELECT ${PROMOTION_COLUMNS},
+                  (starts_at IS NULL OR starts_at <= NOW())
+                    AND (ends_at IS NULL OR ends_at > NOW()) AS in_window
+           FROM promotions
+           WHERE code = $1
+           FOR UPDATE`,
+        [code.toUpperCase()]);
+    const promotion = result.rows[0];
+
+    if (!promotion || !promotion.active || !promotion.in_window) {
+      throw new BadRequestError(`Invalid promotion code: ${code}`);
+    }
+    delete promotion.in_window;
+
+    if (promotion.min_subtotal !== null && subtotal < Number(promotion.min_subtotal)) {
+      throw new BadRequestError(
+          `Promotion ${promotion.code} requires a subtotal of at least ${promotion.min_subtotal}`);
+    }
+
+    if (promotion.max_uses_per_user !== null && userId === null) {
+      throw new BadRequestError(
+          `Promotion ${promotion.code} is only available to registered users`);
+    }
+
+    const usageRes = await client.query(
+          `SELECT COUNT(*)::int AS total,
+                  COUNT(*) FILTER (WHERE r.user_id = $2)::int AS by_user
+           FROM promotion_redemptions AS r
+                JOIN orders AS o ON o.id = r.order_id
+           WHERE r.promotion_id = $1 AND o.status <> 'cancelled'`,
+        [promotion.id, userId]);
+    const usage = usageRes.rows[0];
+
+    if (promotion.max_uses !== null && usage.total >= promotion.max_uses) {
+      throw new BadRequestError(`Promotion ${promotion.code} has been used up`);
+    }
+    if (promotion.max_uses_per_user !== null && usage.by_user >= promotion.max_uses_per_user) {
+      throw new BadRequestError(
+          `Promotion ${promotion.code} has already been used the maximum number of times`);
+    }
+
+    return promotion;
+  }
+
+  /** Insert a promotion_redemptions row using the given client.
+   *
+   * userId is the ordering user's id, or null for a guest order.
+   */
+
+  static async recordRedemption(client, { promotionId, orderId, userId = null, discount }) {
+    await client.query(
+          `INSERT INTO promotion_redemptions
+           (promotion_id, order_id, user_id, discount)
+           VALUES ($1, $2, $3, $4)`,
+        [promotionId, orderId, userId, discount]);
+  }
+
+  /** Update promotion data with `data` (partial update).
+   *
+   * Data can include any field accepted by create except code.
+   *
+   * Returns the updated promotion (without redemptions).
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async update(id, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const idVarIdx = "$" + (values.length + 1);
+
+    const result = await db.query(
+          `UPDATE promotions
+           SET ${setCols}
+           WHERE id = ${idVarIdx}
+           RETURNING ${PROMOTION_COLUMNS}`,
+        [...values, id]);
+    const promotion = result.rows[0];
+
+    if (!promotion) throw new NotFoundError(`No promotion: ${id}`);
+
+    return promotion;
+  }
+
+  /** Delete given promotion from database; returns undefined.
+   *
+   * Its redemption records go with it; orders keep their promo_code and
+   * discount.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(id) {
+    const result = await db.query(
+          `DELETE
+           FROM promotions
+           WHERE id = $1
+           RETURNING id`,
+        [id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No promotion: ${id}`);
+  }
+}
+
+module.exports = Promotion;
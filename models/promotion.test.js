@@ -0,0 +1,157 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Promotion = require("./promotion.js");
+const Order = require("./order.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const address = {
+  name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+  postal_code: "78701", phone: "5125551234",
+};
+
+/** Order 2 x i1 (20.00) by local pickup with promoCode, as username (or a
+ * guest). */
+
+function orderWith(promoCode, username = "u1", items = [{ id: testInsectIds[0], quantity: 2 }]) {
+  return Order.create({
+    address,
+    items,
+    promoCode,
+    shipping_method: "local_pickup",
+    username,
+    email: username ? undefined : "guest@email.com",
+  });
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: upper-cases the code", async function () {
+    const promotion = await Promotion.create({
+      code: "spring10", discount_type: "percent", discount_value: 10,
+    });
+    expect(promotion).toEqual(expect.objectContaining({
+      code: "SPRING10",
+      discount_type: "percent",
+      discount_value: "10.00",
+      active: true,
+    }));
+  });
+
+  test("bad request with dupe code", async function () {
+    await Promotion.create({ code: "SPRING10", discount_type: "percent", discount_value: 10 });
+    await expect(Promotion.create({
+      code: "spring10", discount_type: "fixed", discount_value: 5,
+    })).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** using a code on an order */
+
+describe("using a code on an order", function () {
+  test("works: discounts the order and records the redemption", async function () {
+    const { id } = await Promotion.create({
+      code: "FIVE", discount_type: "fixed", discount_value: 5,
+    });
+
+    const order = await orderWith("five");
+    expect(order).toEqual(expect.objectContaining({
+      promo_code: "FIVE", subtotal: "20.00", discount: "5.00", total: "15.00",
+    }));
+
+    const promotion = await Promotion.get(id);
+    expect(promotion.redemptions).toEqual([
+      expect.objectContaining({ order_id: order.id, discount: "5.00" }),
+    ]);
+  });
+
+  test("bad request for unknown, inactive or out-of-window codes", async function () {
+    await Promotion.create({
+      code: "OFF", discount_type: "fixed", discount_value: 5, active: false,
+    });
+    await Promotion.create({
+      code: "LATER", discount_type: "fixed", discount_value: 5,
+      starts_at: "2999-01-01T00:00:00Z",
+    });
+    await Promotion.create({
+      code: "OVER", discount_type: "fixed", discount_value: 5,
+      ends_at: "2000-01-01T00:00:00Z",
+    });
+
+    for (const code of ["NOPE", "OFF", "LATER", "OVER"]) {
+      await expect(orderWith(code)).rejects.toThrow(BadRequestError);
+    }
+  });
+
+  test("bad request under the minimum subtotal", async function () {
+    await Promotion.create({
+      code: "BIG", discount_type: "percent", discount_value: 10, min_subtotal: 50,
+    });
+    await expect(orderWith("BIG")).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if it applies to nothing in the order", async function () {
+    await Promotion.create({
+      code: "ONLYI2", discount_type: "percent", discount_value: 10,
+      insect_ids: [testInsectIds[1]],
+    });
+    await expect(orderWith("ONLYI2")).rejects.toThrow(BadRequestError);
+  });
+
+  test("enforces max_uses, not counting cancelled orders", async function () {
+    await Promotion.create({
+      code: "ONCE", discount_type: "fixed", discount_value: 1, max_uses: 1,
+    });
+
+    const first = await orderWith("ONCE", "u1");
+    await expect(orderWith("ONCE", "u2")).rejects.toThrow(BadRequestError);
+
+    await Order.updateStatus(first.id, { status: "cancelled" });
+    const again = await orderWith("ONCE", "u2");
+    expect(again.discount).toEqual("1.00");
+  });
+
+  test("enforces max_uses_per_user, and keeps those from guests", async function () {
+    await Promotion.create({
+      code: "MINE", discount_type: "fixed", discount_value: 1, max_uses_per_user: 1,
+    });
+
+    await orderWith("MINE", "u1");
+    await expect(orderWith("MINE", "u1")).rejects.toThrow(BadRequestError);
+    await orderWith("MINE", "u2");
+    await expect(orderWith("MINE", null)).rejects.toThrow(BadRequestError);
+  });
+
+  test("a failed order doesn't use the code up", async function () {
+    await Promotion.create({
+      code: "ONCE", discount_type: "fixed", discount_value: 1, max_uses: 1,
+    });
+    await expect(orderWith("ONCE", "u1", [{ id: testInsectIds[2] }]))
+        .rejects.toThrow(BadRequestError);
+
+    const redemptionsRes = await db.query(`SELECT COUNT(*) FROM promotion_redemptions`);
+    expect(redemptionsRes.rows[0].count).toEqual("0");
+    await orderWith("ONCE", "u1");
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("not found if no such promotion", async function () {
+    await expect(Promotion.get(0)).rejects.toThrow(NotFoundError);
+  });
+});
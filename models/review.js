@@ -0,0 +1,229 @@
+"use strict";
+
+const db = require("../db");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { withTransaction } = require("../helpers/transaction");
+
+const REVIEW_COLUMNS = `r.id,
+                        r.insect_id,
+                        u.username,
+                        r.rating,
+                        r.body,
+                        r.status,
+                        r.created_at,
+                        r.updated_at`;
+
+/** Order statuses that count as having bought what's in the order: paid
+ * for and not cancelled or refunded. */
+
+const PURCHASED_STATUSES = ["paid", "packed", "shipped", "delivered"];
+
+/** Related functions for insect reviews.
+ *
+ * Only customers who have bought (paid for) an insect may review it, once
+ * each.
+ * Every change to reviews refreshes the insect's average_rating and
+ * review_count, which count visible and flagged (not hidden) reviews.
+ */
+
+class Review {
+  /** Recompute an insect's rating summary inside the caller's transaction. */
+
+  static async refreshInsectRating(client, insectId) {
+    await client.query(
+          `UPDATE insects
+           SET average_rating = COALESCE(s.average, 0),
+               review_count = s.count
+           FROM (SELECT ROUND(AVG(rating), 2) AS average, COUNT(*)::int AS count
+                 FROM reviews
+                 WHERE insect_id = $1 AND status <> 'hidden') AS s
+           WHERE insects.id = $1`,
+        [insectId]);
+  }
+
+  /** Given a username, return the user's id.
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async getUserId(username, client = db) {
+    const result = await client.query(
+          `SELECT id FROM users WHERE username = $1`, [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.id;
+  }
+
+  /** Find an insect's reviews, newest first.
+   *
+   * Hidden reviews are only included when includeHidden is true (admins).
+   *
+   * Returns [{ id, insect_id, username, rating, body, status, created_at,
+   *            updated_at }, ...]
+   *
+   * Throws NotFoundError if insect not found.
+   */
+
+  static async findForInsect(insectId, { includeHidden = false } = {}) {
+    const insectRes = await db.query(
+          `SELECT id FROM insects WHERE id = $1`, [insectId]);
+    if (!insectRes.rows[0]) throw new NotFoundError(`No insect: ${insectId}`);
+
+    const result = await db.query(
+          `SELECT ${REVIEW_COLUMNS}
+           FROM reviews AS r
+                JOIN users AS u ON u.id = r.user_id
+           WHERE r.insect_id = $1 AND ($2 OR r.status <> 'hidden')
+           ORDER BY r.created_at DESC, r.id DESC`,
+        [insectId, includeHidden]);
+    return result.rows;
+  }
+
+  /** Post a review of an insect by a user.
+   *
+   * data should be { rating, body }
+   *
+   * Returns { id, insect_id, username, rating, body, status, created_at,
+   *           updated_at }
+   *
+   * Throws NotFoundError if insect or user not found, ForbiddenError if the
+   * user has never paid for an order of the insect, BadRequestError if they
+   * have already reviewed it.
+   */
+
+  static async create(insectId, username, { rating, body = null }) {
+    return withTransaction(async (client) => {
+      const userId = await Review.getUserId(username, client);
+
+      const insectRes = await client.query(
+            `SELECT id FROM insects WHERE id = $1 FOR UPDATE`, [insectId]);
+      if (!insectRes.rows[0]) throw new NotFoundError(`No insect: ${insectId}`);
+
+      const purchaseRes = await client.query(
+            `SELECT 1
+             FROM orders AS o
+                  JOIN order_items AS oi ON oi.order_id = o.id
+             WHERE o.user_id = $1
+               AND oi.insect_id = $2
+               AND o.status = ANY($3)
+             LIMIT 1`,
+          [userId, insectId, PURCHASED_STATUSES]);
+      if (!purchaseRes.rows[0]) {
+        throw new ForbiddenError("Only customers who bought this insect can review it");
+      }
+
+      const duplicateCheck = await client.query(
+            `SELECT id FROM reviews WHERE insect_id = $1 AND user_id = $2`,
+          [insectId, userId]);
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`${username} has already reviewed insect: ${insectId}`);
+      }
+
+      const result = await client.query(
+            `INSERT INTO reviews (insect_id, user_id, rating, body)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+          [insectId, userId, rating, body]);
+
+      await Review.refreshInsectRating(client, insectId);
+
+      return Review.get(insectId, result.rows[0].id, client);
+    });
+  }
+
+  /** Given an insect id and review id, return the review.
+   *
+   * Throws NotFoundError if the review doesn't exist for that insect.
+   */
+
+  static async get(insectId, reviewId, client = db) {
+    const result = await client.query(
+          `SELECT ${REVIEW_COLUMNS}
+           FROM reviews AS r
+                JOIN users AS u ON u.id = r.user_id
+           WHERE r.id = $1 AND r.insect_id = $2`,
+        [reviewId, insectId]);
+    const review = result.rows[0];
+
+    if (!review) throw new NotFoundError(`No review ${reviewId} for insect: ${insectId}`);
+
+    return review;
+  }
+
+  /** Edit a review's rating and/or body. Only its author may do this.
+   *
+   * Returns the updated review.
+   *
+   * Throws NotFoundError if not found, ForbiddenError if username isn't the
+   * author.
+   */
+
+  static async update(insectId, reviewId, username, data) {
+    return withTransaction(async (client) => {
+      const review = await Review.get(insectId, reviewId, client);
+      if (review.username !== username) {
+        throw new ForbiddenError("You can only edit your own reviews");
+      }
+
+      const { setCols, values } = sqlForPartialUpdate(data, {});
+      const idVarIdx = "$" + (values.length + 1);
+      await client.query(
+            `UPDATE reviews
+             SET ${setCols}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ${idVarIdx}`,
+          [...values, reviewId]);
+
+      await Review.refreshInsectRating(client, insectId);
+
+      return Review.get(insectId, reviewId, client);
+    });
+  }
+
+  /** Set a review's moderation status: "visible", "flagged" or "hidden".
+   *
+   * Returns the updated review.
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async moderate(insectId, reviewId, status) {
+    return withTransaction(async (client) => {
+      await Review.get(insectId, reviewId, client);
+
+      await client.query(
+            `UPDATE reviews SET status = $1 WHERE id = $2`, [status, reviewId]);
+
+      await Review.refreshInsectRating(client, insectId);
+
+      return Review.get(insectId, reviewId, client);
+    });
+  }
+
+  /** Delete a review; returns undefined. Authors may delete their own
+   * reviews, moderators (isModerator) any review.
+   *
+   * Throws NotFoundError if not found, ForbiddenError otherwise.
+   */
+
+  static async remove(insectId, reviewId, { username, isModerator }) {
+    await withTransaction(async (client) => {
+      const review = await Review.get(insectId, reviewId, client);
+      if (!isModerator && review.username !== username) {
+        throw new ForbiddenError("You can only delete your own reviews");
+      }
+
+      await client.query(`DELETE FROM reviews WHERE id = $1`, [reviewId]);
+
+      await Review.refreshInsectRating(client, insectId);
+    });
+  }
+}
+
+module.exports = Review;
@@ -0,0 +1,140 @@
+"use strict";
+
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../expressError");
+const Review = require("./review.js");
+const Insect = require("./insect.js");
+const Order = require("./order.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Place an order of insect i1 as username and move it to `status`. */
+
+async function buyI1(username, status = "paid") {
+  const order = await Order.create({
+    address: {
+      name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+      postal_code: "78701", phone: "5125551234",
+    },
+    items: [{ id: testInsectIds[0] }],
+    shipping_method: "local_pickup",
+    username,
+  });
+  if (status !== "pending") await Order.updateStatus(order.id, { status });
+  return order;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works after paying, and updates the rating", async function () {
+    await buyI1("u1");
+    const review = await Review.create(testInsectIds[0], "u1", { rating: 4, body: "Lively" });
+    expect(review).toEqual(expect.objectContaining({
+      insect_id: testInsectIds[0], username: "u1", rating: 4, body: "Lively", status: "visible",
+    }));
+
+    const insect = await Insect.get(testInsectIds[0]);
+    expect(insect).toEqual(expect.objectContaining({ average_rating: "4.00", review_count: 1 }));
+  });
+
+  test("forbidden without a paid order of the insect", async function () {
+    await expect(Review.create(testInsectIds[0], "u1", { rating: 5 }))
+        .rejects.toThrow(ForbiddenError);
+
+    await buyI1("u1", "pending");
+    await expect(Review.create(testInsectIds[0], "u1", { rating: 5 }))
+        .rejects.toThrow(ForbiddenError);
+  });
+
+  test("forbidden if the order was refunded", async function () {
+    const order = await buyI1("u1");
+    await Order.updateStatus(order.id, { status: "refunded" });
+    await expect(Review.create(testInsectIds[0], "u1", { rating: 5 }))
+        .rejects.toThrow(ForbiddenError);
+  });
+
+  test("bad request reviewing twice", async function () {
+    await buyI1("u1");
+    await Review.create(testInsectIds[0], "u1", { rating: 4 });
+    await expect(Review.create(testInsectIds[0], "u1", { rating: 1 }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such insect", async function () {
+    await expect(Review.create(0, "u1", { rating: 5 })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** update / remove */
+
+describe("update / remove", function () {
+  test("the author can edit and delete", async function () {
+    await buyI1("u1");
+    const { id } = await Review.create(testInsectIds[0], "u1", { rating: 2 });
+
+    const review = await Review.update(testInsectIds[0], id, "u1", { rating: 5 });
+    expect(review.rating).toEqual(5);
+    expect((await Insect.get(testInsectIds[0])).average_rating).toEqual("5.00");
+
+    await Review.remove(testInsectIds[0], id, { username: "u1", isModerator: false });
+    const insect = await Insect.get(testInsectIds[0]);
+    expect(insect).toEqual(expect.objectContaining({ average_rating: "0.00", review_count: 0 }));
+  });
+
+  test("forbidden for anyone else but a moderator", async function () {
+    await buyI1("u1");
+    const { id } = await Review.create(testInsectIds[0], "u1", { rating: 2 });
+
+    await expect(Review.update(testInsectIds[0], id, "u2", { rating: 5 }))
+        .rejects.toThrow(ForbiddenError);
+    await expect(Review.remove(testInsectIds[0], id, { username: "u2", isModerator: false }))
+        .rejects.toThrow(ForbiddenError);
+    await Review.remove(testInsectIds[0], id, { username: "u2", isModerator: true });
+  });
+});
+
+/************************************** moderate */
+
+describe("moderate", function () {
+  test("hidden reviews stop counting and are only listed on request", async function () {
+    await buyI1("u1");
+    await buyI1("u2");
+    const { id } = await Review.create(testInsectIds[0], "u1", { rating: 1 });
+    await Review.create(testInsectIds[0], "u2", { rating: 4 });
+    expect((await Insect.get(testInsectIds[0])).average_rating).toEqual("2.50");
+
+    await Review.moderate(testInsectIds[0], id, "flagged");
+    expect((await Insect.get(testInsectIds[0])).average_rating).toEqual("2.50");
+
+    const review = await Review.moderate(testInsectIds[0], id, "hidden");
+    expect(review.status).toEqual("hidden");
+    const insect = await Insect.get(testInsectIds[0]);
+    expect(insect).toEqual(expect.objectContaining({ average_rating: "4.00", review_count: 1 }));
+
+    let reviews = await Review.findForInsect(testInsectIds[0]);
+    expect(reviews.map(r => r.username)).toEqual(["u2"]);
+    reviews = await Review.findForInsect(testInsectIds[0], { includeHidden: true });
+    expect(reviews.map(r => r.username).sort()).toEqual(["u1", "u2"]);
+  });
+
+  test("not found for another insect's review", async function () {
+    await buyI1("u1");
+    const { id } = await Review.create(testInsectIds[0], "u1", { rating: 1 });
+    await expect(Review.moderate(testInsectIds[1], id, "hidden"))
+        .rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,162 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
+const {
+  createToken,
+  createOpaqueToken,
+  hashToken,
+} = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for login sessions and their refresh tokens. */
+
+class Session {
+  /** Start a session for a user and return its first pair of tokens.
+   *
+   * user is { username, isAdmin, roles }
+   *
+   * Returns { token, refreshToken }
+   *   where token is a short-lived access JWT and refreshToken is what
+   *   POST /auth/refresh takes to get new ones.
+   *
+   * Throws NotFoundError if user not found.
+   */
+
+  static async start(user) {
+    return withTransaction(async (client) => {
+      const userRes = await client.query(
+            `SELECT id FROM users WHERE username = $1`, [user.username]);
+      const found = userRes.rows[0];
+
+      if (!found) throw new NotFoundError(`No user: ${user.username}`);
+
+      const sessionRes = await client.query(
+            `INSERT INTO sessions (user_id, expires_at)
+             VALUES ($1, CURRENT_TIMESTAMP + make_interval(days => $2))
+             RETURNING id`,
+          [found.id, REFRESH_TOKEN_TTL_DAYS]);
+      const sessionId = sessionRes.rows[0].id;
+
+      const refreshToken = await Session.addRefreshToken(client, sessionId);
+
+      return { token: createToken(user, sessionId), refreshToken };
+    });
+  }
+
+  /** Store a new refresh token for a session; returns the token. */
+
+  static async addRefreshToken(client, sessionId) {
+    const refreshToken = createOpaqueToken();
+    await client.query(
+          `INSERT INTO refresh_tokens (token_hash, session_id)
+           VALUES ($1, $2)`,
+        [hashToken(refreshToken), sessionId]);
+    return refreshToken;
+  }
+
+  /** Trade a refresh token for a new access token and refresh token.
+   *
+   * The old refresh token is used up. If it had already been used, someone
+   * else has a copy of it, so the whole session is revoked.
+   *
+   * The new access token carries the user's current username and roles.
+   *
+   * Returns { token, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, reused, or its
+   * session is expired or revoked.
+   */
+
+  static async refresh(refreshToken) {
+    const result = await withTransaction(async (client) => {
+      const tokenRes = await client.query(
+            `SELECT rt.session_id,
+                    rt.used_at,
+                    s.revoked_at,
+                    s.expires_at < CURRENT_TIMESTAMP AS expired,
+                    u.username,
+                    'admin' = ANY(u.roles) AS "isAdmin",
+                    u.roles
+             FROM refresh_tokens AS rt
+                  JOIN sessions AS s ON s.id = rt.session_id
+                  JOIN users AS u ON u.id = s.user_id
+             WHERE rt.token_hash = $1
+             FOR UPDATE OF rt, s`,
+          [hashToken(refreshToken)]);
+      const found = tokenRes.rows[0];
+
+      if (!found || found.revoked_at || found.expired) return null;
+
+      if (found.used_at) {
+        await client.query(
+            `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [found.session_id]);
+        return null;
+      }
+
+      await client.query(
+          `UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE token_hash = $1`,
+          [hashToken(refreshToken)]);
+      const newRefreshToken = await Session.addRefreshToken(client, found.session_id);
+
+      return {
+        token: createToken(found, found.session_id),
+        refreshToken: newRefreshToken,
+      };
+    });
+
+    // Thrown outside the transaction so a reused token's revocation commits.
+    if (!result) throw new UnauthorizedError("Invalid refresh token");
+    return result;
+  }
+
+  /** Return { username, isAdmin, roles, emailVerified } for a live session, or null if it is
+   * unknown, expired or revoked. Used on every authenticated request.
+   */
+
+  static async getActive(sessionId) {
+    const result = await db.query(
+          `SELECT u.username,
+                  'admin' = ANY(u.roles) AS "isAdmin",
+                  u.roles,
+                  u.email_verified AS "emailVerified"
+           FROM sessions AS s
+                JOIN users AS u ON u.id = s.user_id
+           WHERE s.id = $1
+             AND s.revoked_at IS NULL
+             AND s.expires_at > CURRENT_TIMESTAMP`,
+        [sessionId]);
+    return result.rows[0] || null;
+  }
+
+  /** Revoke the session a refresh token belongs to; returns undefined.
+   *
+   * Unknown tokens are ignored, so logging out twice is harmless.
+   */
+
+  static async revokeByRefreshToken(refreshToken) {
+    await db.query(
+          `UPDATE sessions
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE revoked_at IS NULL
+             AND id = (SELECT session_id
+                       FROM refresh_tokens
+                       WHERE token_hash = $1)`,
+        [hashToken(refreshToken)]);
+  }
+
+  /** Revoke every session a user has, e.g. after a password change. */
+
+  static async revokeAllForUser(username, client = db) {
+    await client.query(
+          `UPDATE sessions
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE revoked_at IS NULL
+             AND user_id = (SELECT id FROM users WHERE username = $1)`,
+        [username]);
+  }
+}
+
+module.exports = Session;
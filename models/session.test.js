@@ -0,0 +1,122 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+
+const db = require("../db.js");
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const { SECRET_KEY } = require("../config");
+const Session = require("./session.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const u1 = { username: "u1", isAdmin: false, roles: ["customer"] };
+
+/************************************** start */
+
+describe("start", function () {
+  test("works", async function () {
+    const { token, refreshToken } = await Session.start(u1);
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual(expect.objectContaining({
+      username: "u1", isAdmin: false, sid: expect.any(Number),
+    }));
+    expect(refreshToken).toEqual(expect.any(String));
+
+    expect(await Session.getActive(payload.sid)).toEqual({
+      username: "u1", isAdmin: false, roles: ["customer"], emailVerified: true,
+    });
+  });
+
+  test("stores only a hash of the refresh token", async function () {
+    const { refreshToken } = await Session.start(u1);
+    const result = await db.query(
+        `SELECT COUNT(*) FROM refresh_tokens WHERE token_hash = $1`, [refreshToken]);
+    expect(result.rows[0].count).toEqual("0");
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Session.start({ username: "nope", isAdmin: false }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** refresh */
+
+describe("refresh", function () {
+  test("works: rotates the refresh token", async function () {
+    const first = await Session.start(u1);
+    const second = await Session.refresh(first.refreshToken);
+    expect(second.refreshToken).not.toEqual(first.refreshToken);
+    expect(jwt.verify(second.token, SECRET_KEY).sid)
+        .toEqual(jwt.verify(first.token, SECRET_KEY).sid);
+
+    const third = await Session.refresh(second.refreshToken);
+    expect(third.token).toEqual(expect.any(String));
+  });
+
+  test("picks up role changes", async function () {
+    const { refreshToken } = await Session.start(u1);
+    await db.query(`UPDATE users SET roles = '{admin}' WHERE username = 'u1'`);
+    const { token } = await Session.refresh(refreshToken);
+    expect(jwt.verify(token, SECRET_KEY)).toEqual(expect.objectContaining({
+      isAdmin: true, roles: ["admin"],
+    }));
+  });
+
+  test("reusing a token revokes the whole session", async function () {
+    const first = await Session.start(u1);
+    const { sid } = jwt.verify(first.token, SECRET_KEY);
+    const second = await Session.refresh(first.refreshToken);
+
+    await expect(Session.refresh(first.refreshToken)).rejects.toThrow(UnauthorizedError);
+    expect(await Session.getActive(sid)).toBeNull();
+    // ... including for whoever holds the newer token
+    await expect(Session.refresh(second.refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for an unknown token", async function () {
+    await expect(Session.refresh("nope")).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth once the session has expired", async function () {
+    const { token, refreshToken } = await Session.start(u1);
+    await db.query(
+        `UPDATE sessions SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'
+         WHERE id = $1`,
+        [jwt.verify(token, SECRET_KEY).sid]);
+    await expect(Session.refresh(refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** revoking */
+
+describe("revoking", function () {
+  test("revokeByRefreshToken ends just that session", async function () {
+    const first = await Session.start(u1);
+    const other = await Session.start(u1);
+
+    await Session.revokeByRefreshToken(first.refreshToken);
+    await Session.revokeByRefreshToken(first.refreshToken);
+    await expect(Session.refresh(first.refreshToken)).rejects.toThrow(UnauthorizedError);
+    expect(await Session.getActive(jwt.verify(other.token, SECRET_KEY).sid)).not.toBeNull();
+  });
+
+  test("revokeAllForUser ends every session the user has", async function () {
+    const first = await Session.start(u1);
+    const other = await Session.start(u1);
+
+    await Session.revokeAllForUser("u1");
+    for (const { token } of [first, other]) {
+      expect(await Session.getActive(jwt.verify(token, SECRET_KEY).sid)).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,305 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { toCents } = require("../helpers/money");
+const { priceOrder } = require("../helpers/pricing");
+const {
+  addDays,
+  earliestShipDate,
+  scheduleShipment,
+} = require("../helpers/shipping");
+const { SHIPPING_LOOKAHEAD_DAYS } = require("../config");
+const ShippingRule = require("./shippingRule");
+
+const METHOD_COLUMNS = `code, name, kind, rate, transit_days, ship_days, active`;
+
+/** Return the codes of `methods` that every line allows.
+ *
+ * A line's requiredMethods (from insects.required_shipping_methods) is null
+ * when any method will do.
+ */
+
+function allowedCodes(methods, lines) {
+  return methods
+      .map(m => m.code)
+      .filter(code => lines.every(l => !l.requiredMethods || l.requiredMethods.includes(code)));
+}
+
+/** Related functions for shipping methods (overnight, 2-day, local pickup)
+ * and the blackout dates they can't ship or travel on.
+ *
+ * See helpers/shipping.js for how ship dates are worked out.
+ */
+
+class ShippingMethod {
+  /** Find all shipping methods, cheapest first.
+   *
+   * Pass { active: true } for just the ones customers can choose.
+   *
+   * Returns [{ code, name, kind, rate, transit_days, ship_days, active }, ...]
+   */
+
+  static async findAll({ active } = {}, client = db) {
+    const result = await client.query(
+          `SELECT ${METHOD_COLUMNS}
+           FROM shipping_methods
+           WHERE $1::boolean IS NULL OR active = $1
+           ORDER BY rate, code`,
+        [active === undefined ? null : active]);
+    return result.rows;
+  }
+
+  /** Given a method code, return data about it.
+   *
+   * Returns { code, name, kind, rate, transit_days, ship_days, active }
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async get(code, client = db) {
+    const result = await client.query(
+          `SELECT ${METHOD_COLUMNS}
+           FROM shipping_methods
+           WHERE code = $1`,
+        [code]);
+    const method = result.rows[0];
+
+    if (!method) throw new NotFoundError(`No shipping method: ${code}`);
+
+    return method;
+  }
+
+  /** Update a shipping method with `data` (partial update).
+   *
+   * Data can include: { name, rate, transit_days, ship_days, active }
+   *   where ship_days is the ISO weekdays it ships on (1 = Monday).
+   *
+   * Returns { code, name, kind, rate, transit_days, ship_days, active }
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async update(code, data, client = db) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const codeVarIdx = "$" + (values.length + 1);
+
+    const result = await client.query(
+          `UPDATE shipping_methods
+           SET ${setCols}
+           WHERE code = ${codeVarIdx}
+           RETURNING ${METHOD_COLUMNS}`,
+        [...values, code]);
+    const method = result.rows[0];
+
+    if (!method) throw new NotFoundError(`No shipping method: ${code}`);
+
+    return method;
+  }
+
+  /** Throw BadRequestError unless every code in `codes` is a shipping
+   * method. */
+
+  static async checkCodes(codes, client = db) {
+    const result = await client.query(
+          `SELECT code FROM shipping_methods WHERE code = ANY($1)`, [codes]);
+    const known = new Set(result.rows.map(r => r.code));
+    const unknown = codes.filter(c => !known.has(c));
+    if (unknown.length > 0) {
+      throw new BadRequestError(`No shipping method: ${unknown.join(", ")}`);
+    }
+  }
+
+  /** Return blackout dates from `from` (a date; default today) on, soonest
+   * first.
+   *
+   * Returns [{ id, date, method_code, reason }, ...]
+   *   where a null method_code means every method.
+   */
+
+  static async findBlackoutDates({ from, to } = {}, client = db) {
+    const result = await client.query(
+          `SELECT id, date::text AS date, method_code, reason
+           FROM shipping_blackout_dates
+           WHERE date >= COALESCE($1::date, CURRENT_DATE)
+             AND ($2::date IS NULL OR date <= $2)
+           ORDER BY date, id`,
+        [from || null, to || null]);
+    return result.rows;
+  }
+
+  /** Add a blackout date.
+   *
+   * data should be { date, method_code, reason }
+   *   where method_code (null or left out for every method) and reason are
+   *   optional.
+   *
+   * Returns { id, date, method_code, reason }
+   *
+   * Throws BadRequestError if method_code isn't a shipping method.
+   */
+
+  static async addBlackoutDate({ date, method_code = null, reason = null }, client = db) {
+    if (method_code) await ShippingMethod.checkCodes([method_code], client);
+
+    const result = await client.query(
+          `INSERT INTO shipping_blackout_dates (date, method_code, reason)
+           VALUES ($1, $2, $3)
+           RETURNING id, date::text AS date, method_code, reason`,
+        [date, method_code, reason]);
+    return result.rows[0];
+  }
+
+  /** Delete a blackout date.
+   *
+   * Returns what was deleted: { id, date, method_code, reason }
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async removeBlackoutDate(id, client = db) {
+    const result = await client.query(
+          `DELETE
+           FROM shipping_blackout_dates
+           WHERE id = $1
+           RETURNING id, date::text AS date, method_code, reason`,
+        [id]);
+    const blackoutDate = result.rows[0];
+
+    if (!blackoutDate) throw new NotFoundError(`No blackout date: ${id}`);
+
+    return blackoutDate;
+  }
+
+  /** Return each active method's schedule for shipping `lines` now.
+   *
+   * lines is [{ requiredMethods }, ...] (see allowedCodes).
+   *
+   * Returns [{ method, allowed, schedule }, ...], cheapest method first,
+   *   where allowed is false if some insect needs a different method and
+   *   schedule is from scheduleShipment (null if not allowed or nothing is
+   *   safe soon enough).
+   */
+
+  static async schedules(lines, client = db) {
+    const methods = await ShippingMethod.findAll({ active: true }, client);
+    const from = earliestShipDate();
+    const longestTransit = Math.max(0, ...methods.map(m => m.transit_days));
+    const blackoutDates = await ShippingMethod.findBlackoutDates({
+      from, to: addDays(from, SHIPPING_LOOKAHEAD_DAYS + longestTransit),
+    }, client);
+    const allowed = allowedCodes(methods, lines);
+
+    return methods.map((method) => {
+      const isAllowed = allowed.includes(method.code);
+      return {
+        method,
+        allowed: isAllowed,
+        schedule: isAllowed ? scheduleShipment(method, { from, blackoutDates }) : null,
+      };
+    });
+  }
+
+  /** Pick the shipping method and dates for an order.
+   *
+   * code is the method the customer asked for; without one, the cheapest
+   * carrier method that's allowed and can ship is used (local pickup only
+   * if nothing else will do).
+   *
+   * Returns { method, schedule }
+   *   where schedule is { ship_date, delivery_window_start, delivery_window_end }
+   *
+   * Throws BadRequestError if the method doesn't exist or isn't active, an
+   * insect in the order needs a different one, or it can't ship safely
+   * within SHIPPING_LOOKAHEAD_DAYS.
+   */
+
+  static async forOrder(lines, code = null, client = db) {
+    const options = await ShippingMethod.schedules(lines, client);
+
+    if (!code) {
+      const usable = options.find(o => o.schedule && o.method.kind === "carrier")
+          || options.find(o => o.schedule);
+      if (!usable) {
+        throw new BadRequestError(
+            "No shipping method can deliver these insects safely at the moment");
+      }
+      return { method: usable.method, schedule: usable.schedule };
+    }
+
+    const chosen = options.find(o => o.method.code === code);
+    if (!chosen) throw new BadRequestError(`No shipping method: ${code}`);
+    if (!chosen.allowed) {
+      throw new BadRequestError(
+          `Some insects in this order can't be shipped by ${chosen.method.name}`);
+    }
+    if (!chosen.schedule) {
+      throw new BadRequestError(
+          `${chosen.method.name} can't deliver safely in the next ${SHIPPING_LOOKAHEAD_DAYS} days`);
+    }
+    return { method: chosen.method, schedule: chosen.schedule };
+  }
+
+  /** Quote every active shipping method for a prospective order.
+   *
+   * items is [{ id, quantity }, ...] (quantity defaults to 1); region is
+   * where it's going (for the shipping rules' fees).
+   *
+   * Returns [{ code, name, kind, available, shipping, ship_date,
+   *            delivery_window_start, delivery_window_end }, ...]
+   *   cheapest method first, where shipping is the whole shipping charge
+   *   (rules plus the method's rate, before any promotion) and available is
+   *   false, with null dates, if an insect needs a different method or it
+   *   can't ship safely soon enough.
+   *
+   * Throws BadRequestError if an insect doesn't exist.
+   */
+
+  static async quote({ items, region = null }) {
+    const quantities = new Map();
+    for (const { id, quantity = 1 } of items) {
+      quantities.set(id, (quantities.get(id) || 0) + quantity);
+    }
+
+    const insectsRes = await db.query(
+          `SELECT id, price, weight_grams, required_shipping_methods
+           FROM insects
+           WHERE id = ANY($1)`,
+        [[...quantities.keys()]]);
+    const insects = new Map(insectsRes.rows.map(i => [i.id, i]));
+
+    const lines = [...quantities.keys()].map((id) => {
+      if (!insects.has(id)) throw new BadRequestError(`No insect: ${id}`);
+      const insect = insects.get(id);
+      return {
+        id,
+        quantity: quantities.get(id),
+        unitCents: toCents(insect.price),
+        weightGrams: insect.weight_grams,
+        requiredMethods: insect.required_shipping_methods,
+      };
+    });
+
+    const shippingRules = await ShippingRule.forRegion(region);
+    const options = await ShippingMethod.schedules(lines);
+
+    return options.map(({ method, schedule }) => ({
+      code: method.code,
+      name: method.name,
+      kind: method.kind,
+      available: schedule !== null,
+      shipping: priceOrder({
+        lines,
+        taxRule: null,
+        shippingRules: method.kind === "pickup" ? [] : shippingRules,
+        shippingMethod: method,
+      }).shipping,
+      ship_date: schedule && schedule.ship_date,
+      delivery_window_start: schedule && schedule.delivery_window_start,
+      delivery_window_end: schedule && schedule.delivery_window_end,
+    }));
+  }
+}
+
+module.exports = ShippingMethod;
@@ -0,0 +1,248 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Order = require("./order.js");
+const ShippingMethod = require("./shippingMethod.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// Thursday 2030-05-23, 10am at the warehouse (before the noon cutoff). Only
+// Date is faked: the database needs real timers.
+beforeEach(function () {
+  jest.useFakeTimers({
+    now: new Date("2030-05-23T17:00:00Z"),
+    doNotFake: [
+      "hrtime", "nextTick", "performance", "queueMicrotask",
+      "setImmediate", "clearImmediate", "setInterval", "clearInterval",
+      "setTimeout", "clearTimeout",
+    ],
+  });
+});
+afterEach(() => jest.useRealTimers());
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: cheapest first", async function () {
+    const methods = await ShippingMethod.findAll();
+    expect(methods.map(m => m.code)).toEqual(["local_pickup", "two_day", "overnight"]);
+    expect(methods[1]).toEqual({
+      code: "two_day",
+      name: "2-Day",
+      kind: "carrier",
+      rate: "12.99",
+      transit_days: 2,
+      ship_days: [1, 2, 3],
+      active: true,
+    });
+  });
+
+  test("active only", async function () {
+    await ShippingMethod.update("overnight", { active: false });
+    const methods = await ShippingMethod.findAll({ active: true });
+    expect(methods.map(m => m.code)).toEqual(["local_pickup", "two_day"]);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const method = await ShippingMethod.update("two_day", { rate: "9.99", ship_days: [1, 2] });
+    expect(method).toEqual(expect.objectContaining({ rate: "9.99", ship_days: [1, 2] }));
+  });
+
+  test("not found if no such method", async function () {
+    await expect(ShippingMethod.update("nope", { rate: "1" })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** blackout dates */
+
+describe("blackout dates", function () {
+  test("add, find and remove", async function () {
+    const all = await ShippingMethod.addBlackoutDate({ date: "2030-05-28", reason: "Heat" });
+    const one = await ShippingMethod.addBlackoutDate({ date: "2030-05-27", method_code: "two_day" });
+    expect(all).toEqual({ id: expect.any(Number), date: "2030-05-28", method_code: null, reason: "Heat" });
+
+    expect(await ShippingMethod.findBlackoutDates({ from: "2030-05-01" })).toEqual([one, all]);
+    expect(await ShippingMethod.findBlackoutDates({ from: "2030-05-01", to: "2030-05-27" }))
+        .toEqual([one]);
+
+    expect(await ShippingMethod.removeBlackoutDate(one.id)).toEqual(one);
+    await expect(ShippingMethod.removeBlackoutDate(one.id)).rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request for an unknown method", async function () {
+    await expect(ShippingMethod.addBlackoutDate({ date: "2030-05-28", method_code: "nope" }))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** forOrder */
+
+describe("forOrder", function () {
+  test("defaults to the cheapest carrier that can ship", async function () {
+    expect(await ShippingMethod.forOrder([{ requiredMethods: null }])).toEqual({
+      method: expect.objectContaining({ code: "two_day" }),
+      schedule: {
+        ship_date: "2030-05-27",
+        delivery_window_start: "2030-05-28",
+        delivery_window_end: "2030-05-29",
+      },
+    });
+  });
+
+  test("uses the method asked for", async function () {
+    const { method, schedule } = await ShippingMethod.forOrder([{ requiredMethods: null }], "overnight");
+    expect(method.code).toEqual("overnight");
+    expect(schedule).toEqual({
+      ship_date: "2030-05-23",
+      delivery_window_start: "2030-05-24",
+      delivery_window_end: "2030-05-24",
+    });
+  });
+
+  test("after the cutoff, from tomorrow", async function () {
+    jest.setSystemTime(new Date("2030-05-23T20:00:00Z"));
+    const { schedule } = await ShippingMethod.forOrder([{ requiredMethods: null }], "overnight");
+    expect(schedule.ship_date).toEqual("2030-05-27");
+  });
+
+  test("skips a blacked-out method for the next cheapest", async function () {
+    for (let i = 0; i <= 40; i++) {
+      const date = new Date(Date.UTC(2030, 4, 23 + i)).toISOString().slice(0, 10);
+      await ShippingMethod.addBlackoutDate({ date, method_code: "two_day" });
+    }
+    const { method } = await ShippingMethod.forOrder([{ requiredMethods: null }]);
+    expect(method.code).toEqual("overnight");
+    await expect(ShippingMethod.forOrder([{ requiredMethods: null }], "two_day"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("falls back to pickup if no carrier will do", async function () {
+    const { method } = await ShippingMethod.forOrder([{ requiredMethods: ["local_pickup"] }]);
+    expect(method.code).toEqual("local_pickup");
+  });
+
+  test("bad request if an insect needs another method", async function () {
+    await expect(ShippingMethod.forOrder(
+        [{ requiredMethods: null }, { requiredMethods: ["overnight"] }], "two_day"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for an unknown or inactive method", async function () {
+    await expect(ShippingMethod.forOrder([{ requiredMethods: null }], "nope"))
+        .rejects.toThrow(BadRequestError);
+    await ShippingMethod.update("overnight", { active: false });
+    await expect(ShippingMethod.forOrder([{ requiredMethods: null }], "overnight"))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** orders */
+
+describe("orders", function () {
+  const address = {
+    name: "Ann Lee",
+    line1: "1 Main St",
+    city: "Austin",
+    region: "tx",
+    postal_code: "78701",
+    phone: "5125551234",
+  };
+
+  test("keep the method and dates they were placed with", async function () {
+    const order = await Order.create({
+      address,
+      items: [{ id: testInsectIds[0] }],
+      shipping_method: "two_day",
+      username: "u1",
+    });
+    await ShippingMethod.addBlackoutDate({ date: "2030-05-28" });
+
+    expect(await Order.get(order.id)).toEqual(expect.objectContaining({
+      shipping_method: "two_day",
+      ship_date: "2030-05-27",
+      delivery_window_start: "2030-05-28",
+      delivery_window_end: "2030-05-29",
+    }));
+  });
+
+  test("bad request for a method an insect can't travel by", async function () {
+    await db.query(
+          `UPDATE insects SET required_shipping_methods = '{overnight}'
+           WHERE id = $1`, [testInsectIds[0]]);
+    await expect(Order.create({
+      address,
+      items: [{ id: testInsectIds[0] }],
+      shipping_method: "two_day",
+      username: "u1",
+    })).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** quote */
+
+describe("quote", function () {
+  test("works", async function () {
+    await db.query(
+          `INSERT INTO shipping_rules (name, kind, region, fee)
+           VALUES ('Texas', 'flat', 'TX', 5.00)`);
+    await db.query(
+          `UPDATE insects SET required_shipping_methods = '{overnight,local_pickup}'
+           WHERE id = $1`, [testInsectIds[1]]);
+
+    const quotes = await ShippingMethod.quote({
+      items: [{ id: testInsectIds[0], quantity: 2 }, { id: testInsectIds[1] }],
+      region: "TX",
+    });
+    expect(quotes).toEqual([
+      {
+        code: "local_pickup",
+        name: "Local pickup",
+        kind: "pickup",
+        available: true,
+        shipping: 0,
+        ship_date: "2030-05-23",
+        delivery_window_start: "2030-05-23",
+        delivery_window_end: "2030-05-23",
+      },
+      {
+        code: "two_day",
+        name: "2-Day",
+        kind: "carrier",
+        available: false,
+        shipping: 17.99,
+        ship_date: null,
+        delivery_window_start: null,
+        delivery_window_end: null,
+      },
+      {
+        code: "overnight",
+        name: "Overnight",
+        kind: "carrier",
+        available: true,
+        shipping: 29.99,
+        ship_date: "2030-05-23",
+        delivery_window_start: "2030-05-24",
+        delivery_window_end: "2030-05-24",
+      },
+    ]);
+  });
+
+  test("bad request for an unknown insect", async function () {
+    await expect(ShippingMethod.quote({ items: [{ id: 0 }] })).rejects.toThrow(BadRequestError);
+  });
+});
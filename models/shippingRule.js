@@ -0,0 +1,137 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+/** Related functions for shipping fee rules.
+ *
+ * kind is one of:
+ * - flat: charges `fee`
+ * - weight: charges `fee` plus `per_kg_fee` per kilogram of insects
+ * - free_over: shipping is free once the subtotal reaches `min_subtotal`
+ *
+ * A rule with a null region applies to every destination. See
+ * helpers/pricing.js for how rules combine.
+ */
+
+class ShippingRule {
+  /** Create a shipping rule (from data), update db, return new rule data.
+   *
+   * data should be { name, kind, region, fee, per_kg_fee, min_subtotal, active }
+   *
+   * Returns { id, name, kind, region, fee, per_kg_fee, min_subtotal, active }
+   *
+   * Throws BadRequestError if a free_over rule has no min_subtotal.
+   * */
+
+  static async create({ name, kind, region = null, fee = 0, per_kg_fee = 0,
+                        min_subtotal = null, active = true }) {
+    if (kind === "free_over" && min_subtotal === null) {
+      throw new BadRequestError("free_over rules need a min_subtotal");
+    }
+
+    const result = await db.query(
+          `INSERT INTO shipping_rules
+           (name, kind, region, fee, per_kg_fee, min_subtotal, active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id, name, kind, region, fee, per_kg_fee, min_subtotal, active`,
+        [
+          name, kind, region && region.toUpperCase(), fee, per_kg_fee,
+          min_subtotal, active,
+        ]);
+
+    return result.rows[0];
+  }
+
+  /** Find all shipping rules.
+   *
+   * Returns [{ id, name, kind, region, fee, per_kg_fee, min_subtotal, active }, ...]
+   * */
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT id, name, kind, region, fee, per_kg_fee, min_subtotal, active
+           FROM shipping_rules
+           ORDER BY id`);
+    return result.rows;
+  }
+
+  /** Given a shipping rule id, return data about it.
+   *
+   * Returns { id, name, kind, region, fee, per_kg_fee, min_subtotal, active }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    const result = await db.query(
+          `SELECT id, name, kind, region, fee, per_kg_fee, min_subtotal, active
+           FROM shipping_rules
+           WHERE id = $1`,
+        [id]);
+    const rule = result.rows[0];
+
+    if (!rule) throw new NotFoundError(`No shipping rule: ${id}`);
+
+    return rule;
+  }
+
+  /** Return the active rules that apply to orders shipped to `region`. */
+
+  static async forRegion(region, client = db) {
+    const result = await client.query(
+          `SELECT id, name, kind, region, fee, per_kg_fee, min_subtotal, active
+           FROM shipping_rules
+           WHERE active AND (region IS NULL OR region = $1)
+           ORDER BY id`,
+        [region ? region.toUpperCase() : null]);
+    return result.rows;
+  }
+
+  /** Update shipping rule data with `data` (partial update).
+   *
+   * Data can include: { name, kind, region, fee, per_kg_fee, min_subtotal, active }
+   *
+   * Returns { id, name, kind, region, fee, per_kg_fee, min_subtotal, active }
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async update(id, data) {
+    if (data.region) data.region = data.region.toUpperCase();
+
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const idVarIdx = "$" + (values.length + 1);
+
+    const result = await db.query(
+          `UPDATE shipping_rules
+           SET ${setCols}
+           WHERE id = ${idVarIdx}
+           RETURNING id, name, kind, region, fee, per_kg_fee, min_subtotal, active`,
+        [...values, id]);
+    const rule = result.rows[0];
+
+    if (!rule) throw new NotFoundError(`No shipping rule: ${id}`);
+
+    return rule;
+  }
+
+  /** Delete given shipping rule from database; returns undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(id) {
+    const result = await db.query(
+          `DELETE
+           FROM shipping_rules
+           WHERE id = $1
+           RETURNING id`,
+        [id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No shipping rule: ${id}`);
+  }
+}
+
+module.exports = ShippingRule;
@@ -0,0 +1,74 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const ShippingRule = require("./shippingRule.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const rule = await ShippingRule.create({
+      name: "Texas", kind: "weight", region: "tx", fee: 1, per_kg_fee: 2.5,
+    });
+    expect(rule).toEqual({
+      id: expect.any(Number),
+      name: "Texas",
+      kind: "weight",
+      region: "TX",
+      fee: "1.00",
+      per_kg_fee: "2.50",
+      min_subtotal: null,
+      active: true,
+    });
+  });
+
+  test("bad request for free_over without a threshold", async function () {
+    await expect(ShippingRule.create({ name: "Free", kind: "free_over" }))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** forRegion */
+
+describe("forRegion", function () {
+  test("active rules for the region and everywhere", async function () {
+    const everywhere = await ShippingRule.create({ name: "Base", kind: "flat", fee: 5 });
+    const texas = await ShippingRule.create({ name: "TX", kind: "flat", region: "TX", fee: 1 });
+    await ShippingRule.create({ name: "CA", kind: "flat", region: "CA", fee: 2 });
+    await ShippingRule.create({ name: "Off", kind: "flat", fee: 3, active: false });
+
+    const rules = await ShippingRule.forRegion("tx");
+    expect(rules.map(r => r.id)).toEqual([everywhere.id, texas.id]);
+  });
+});
+
+/************************************** update / remove */
+
+describe("update", function () {
+  test("works", async function () {
+    const { id } = await ShippingRule.create({ name: "Base", kind: "flat", fee: 5 });
+    const rule = await ShippingRule.update(id, { fee: 6, region: "ca" });
+    expect(rule).toEqual(expect.objectContaining({ fee: "6.00", region: "CA" }));
+  });
+
+  test("not found if no such rule", async function () {
+    await expect(ShippingRule.update(0, { fee: 1 })).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("remove", function () {
+  test("not found if no such rule", async function () {
+    await expect(ShippingRule.remove(0)).rejects.toThrow(NotFoundError);
+  });
+});
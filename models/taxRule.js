@@ -0,0 +1,136 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+/** Related functions for tax rules, keyed by destination region.
+ *
+ * Regions are stored upper-cased; the rule with region "*" is the fallback
+ * for orders whose region has no rule of its own.
+ */
+
+class TaxRule {
+  /** Create a tax rule (from data), update db, return new rule data.
+   *
+   * data should be { region, rate, tax_shipping, description }
+   *
+   * Returns { id, region, rate, tax_shipping, description }
+   *
+   * Throws BadRequestError if the region already has a rule.
+   * */
+
+  static async create({ region, rate, tax_shipping = false, description = null }) {
+    region = region.toUpperCase();
+
+    const duplicateCheck = await db.query(
+          `SELECT id
+           FROM tax_rules
+           WHERE region = $1`,
+        [region]);
+
+    if (duplicateCheck.rows[0])
+      throw new BadRequestError(`Duplicate tax rule for region: ${region}`);
+
+    const result = await db.query(
+          `INSERT INTO tax_rules
+           (region, rate, tax_shipping, description)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id, region, rate, tax_shipping, description`,
+        [region, rate, tax_shipping, description]);
+
+    return result.rows[0];
+  }
+
+  /** Find all tax rules.
+   *
+   * Returns [{ id, region, rate, tax_shipping, description }, ...]
+   * */
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT id, region, rate, tax_shipping, description
+           FROM tax_rules
+           ORDER BY region`);
+    return result.rows;
+  }
+
+  /** Given a tax rule id, return data about it.
+   *
+   * Returns { id, region, rate, tax_shipping, description }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    const result = await db.query(
+          `SELECT id, region, rate, tax_shipping, description
+           FROM tax_rules
+           WHERE id = $1`,
+        [id]);
+    const rule = result.rows[0];
+
+    if (!rule) throw new NotFoundError(`No tax rule: ${id}`);
+
+    return rule;
+  }
+
+  /** Return the rule that applies to orders shipped to `region`: its own rule
+   * if it has one, else the "*" fallback, else null (no tax).
+   */
+
+  static async forRegion(region, client = db) {
+    const result = await client.query(
+          `SELECT id, region, rate, tax_shipping, description
+           FROM tax_rules
+           WHERE region = $1 OR region = '*'
+           ORDER BY region = '*'
+           LIMIT 1`,
+        [(region || "*").toUpperCase()]);
+    return result.rows[0] || null;
+  }
+
+  /** Update tax rule data with `data` (partial update).
+   *
+   * Data can include: { rate, tax_shipping, description }
+   *
+   * Returns { id, region, rate, tax_shipping, description }
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async update(id, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const idVarIdx = "$" + (values.length + 1);
+
+    const result = await db.query(
+          `UPDATE tax_rules
+           SET ${setCols}
+           WHERE id = ${idVarIdx}
+           RETURNING id, region, rate, tax_shipping, description`,
+        [...values, id]);
+    const rule = result.rows[0];
+
+    if (!rule) throw new NotFoundError(`No tax rule: ${id}`);
+
+    return rule;
+  }
+
+  /** Delete given tax rule from database; returns undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(id) {
+    const result = await db.query(
+          `DELETE
+           FROM tax_rules
+           WHERE id = $1
+           RETURNING id`,
+        [id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No tax rule: ${id}`);
+  }
+}
+
+module.exports = TaxRule;
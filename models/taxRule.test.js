@@ -0,0 +1,73 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const TaxRule = require("./taxRule.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: upper-cases the region", async function () {
+    const rule = await TaxRule.create({ region: "tx", rate: 0.0825 });
+    expect(rule).toEqual({
+      id: expect.any(Number),
+      region: "TX",
+      rate: "0.0825",
+      tax_shipping: false,
+      description: null,
+    });
+  });
+
+  test("bad request with dupe region", async function () {
+    await TaxRule.create({ region: "TX", rate: 0.0825 });
+    await expect(TaxRule.create({ region: "tx", rate: 0.05 }))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** forRegion */
+
+describe("forRegion", function () {
+  test("the region's own rule, else the fallback, else null", async function () {
+    expect(await TaxRule.forRegion("TX")).toEqual(null);
+
+    await TaxRule.create({ region: "*", rate: 0.05 });
+    expect((await TaxRule.forRegion("TX")).region).toEqual("*");
+    expect((await TaxRule.forRegion(null)).region).toEqual("*");
+
+    await TaxRule.create({ region: "TX", rate: 0.0825 });
+    expect((await TaxRule.forRegion("tx")).region).toEqual("TX");
+  });
+});
+
+/************************************** update / remove */
+
+describe("update", function () {
+  test("works", async function () {
+    const { id } = await TaxRule.create({ region: "TX", rate: 0.0825 });
+    const rule = await TaxRule.update(id, { tax_shipping: true });
+    expect(rule.tax_shipping).toEqual(true);
+  });
+
+  test("not found if no such rule", async function () {
+    await expect(TaxRule.update(0, { rate: 0.1 })).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await TaxRule.create({ region: "TX", rate: 0.0825 });
+    await TaxRule.remove(id);
+    await expect(TaxRule.get(id)).rejects.toThrow(NotFoundError);
+  });
+});
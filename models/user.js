@@ -3,6 +3,9 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { paginate } = require("../helpers/paginate");
+const { ROLES } = require("../helpers/permissions");
+const Session = require("./session");
 const {
   NotFoundError,
   BadRequestError,
@@ -11,14 +14,28 @@ const {
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
+/** Sort names accepted by findAll => the column they sort on and its type. */
+
+const SORT_FIELDS = {
+  username: { sql: "username", type: "text" },
+  email: { sql: "email", type: "text" },
+};
+
+/** Hash compared against when a username doesn't exist, so a miss takes as
+ * long as a wrong password. Made on first use.
+ */
+
+let missingUserHash;
+
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, email, is_admin }
+   * Returns { username, email, isAdmin, roles }
    *
-   * Throws UnauthorizedError is user not found or wrong password.
+   * Throws UnauthorizedError is user not found or wrong password; the error
+   * is the same in both cases, so it doesn't reveal which usernames exist.
    **/
 
   static async authenticate(username, password) {
@@ -28,7 +45,8 @@ class User {
         `SELECT username,
                 password,
                 email,
-                is_admin AS "isAdmin"
+                'admin' = ANY(roles) AS "isAdmin",
+                roles
          FROM users
          WHERE username = $1`,
         [username]
@@ -36,17 +54,20 @@ class User {
   
       // Check if the user was found
       if (result.rows.length === 0) {
-        throw new UnauthorizedError('User not found');
+        missingUserHash = missingUserHash
+            || await bcrypt.hash("no such user", BCRYPT_WORK_FACTOR);
+        await bcrypt.compare(password, missingUserHash);
+        throw new UnauthorizedError("Invalid username/password");
       }
   
       // Destructure the user row
-      const { password: storedPassword, isAdmin } = result.rows[0];
+      const { password: storedPassword, isAdmin, roles } = result.rows[0];
   
       // Compare the provided password with the stored hashed password
       const isMatch = await bcrypt.compare(password, storedPassword);
   
       if (!isMatch) {
-        throw new UnauthorizedError('Wrong password');
+        throw new UnauthorizedError("Invalid username/password");
       }
   
       // If everything checks out, return the user details
@@ -54,6 +75,7 @@ class User {
         username,
         email: result.rows[0].email,
         isAdmin,
+        roles,
       };
     } catch (error) {
       // Rethrow the error to be handled by the caller
@@ -63,14 +85,17 @@ class User {
 
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * isAdmin makes the user an admin; otherwise they're a customer. Other
+   * roles are given with addRole.
+   *
+   * Returns { username, password, email, isAdmin, roles }
    *
    * Throws BadRequestError on duplicates.
    **/
 
   static async register(
-      { username, password, email, isAdmin }) {
-    const duplicateCheck = await db.query(
+      { username, password, email, isAdmin }, client = db) {
+    const duplicateCheck = await client.query(
           `SELECT username
            FROM users
            WHERE username = $1`,
@@ -83,21 +108,23 @@ class User {
 
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
+    const result = await client.query(
           `INSERT INTO users
            (username,
             password,
             email,
-            is_admin,
-            orders)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING username, password, email, is_admin AS "isAdmin"`,
+            roles)
+           VALUES ($1, $2, $3, $4)
+           RETURNING username,
+                     password,
+                     email,
+                     'admin' = ANY(roles) AS "isAdmin",
+                     roles`,
         [
           username,
           hashedPassword,
           email,
-          isAdmin,
-          []
+          [isAdmin ? "admin" : "customer"],
         ],
     );
 
@@ -106,41 +133,55 @@ class User {
     return user;
   }
 
-  /** Find all users.
+  /** Find all users, a page at a time.
    *
-   * Returns [{ username, password, email, is_admin, orders }, ...]
+   * searchFilters (all optional):
+   * - sort (a SORT_FIELDS name, "-" prefix for descending; default username)
+   * - limit, after, before (see helpers/paginate.js)
+   *
+   * Returns { users, total, next, prev }
+   *   where users is [{ username, password, email, isAdmin, roles }, ...]
    **/
 
-  static async findAll() {
-    const result = await db.query(
-          `SELECT username,
-                  password,
-                  email,
-                  is_admin AS "isAdmin",
-                  orders
-           FROM users
-           ORDER BY username`,
-    );
-
-    return result.rows;
+  static async findAll(searchFilters = {}) {
+    const { sort = "username", limit, after, before } = searchFilters;
+
+    const page = await paginate({
+      select: `username,
+               password,
+               email,
+               'admin' = ANY(roles) AS "isAdmin",
+               roles`,
+      from: "users",
+      sortFields: SORT_FIELDS,
+      sort,
+      limit,
+      after,
+      before,
+    });
+
+    return {
+      users: page.rows, total: page.total, next: page.next, prev: page.prev,
+    };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, password, email, is_admin, orders }
-   *   where orders is { id, phone, delivery_address, submit_time, items, user_order_id }
+   * Returns { username, password, email, isAdmin, roles, orders }
+   *   where orders is [{ id, submit_time, total, status }, ...], newest first
+   *   (GET /users/:username/orders pages through them in full)
    *
    * Throws NotFoundError if user not found.
    **/
 
-  static async get(username) {
-    const userRes = await db.query(
+  static async get(username, client = db) {
+    const userRes = await client.query(
           `SELECT id,
                   username,
                   password,
                   email,
-                  is_admin AS "isAdmin",
-                  orders
+                  'admin' = ANY(roles) AS "isAdmin",
+                  roles
            FROM users
            WHERE username = $1`,
         [username],
@@ -150,10 +191,11 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
-    const userOrdersRes = await db.query(
-          `SELECT id, phone, delivery_address, submit_time, items, user_order_id
+    const userOrdersRes = await client.query(
+          `SELECT id, submit_time, total, status
            FROM orders
-           WHERE user_order_id = $1`, [user.id]);
+           WHERE user_id = $1
+           ORDER BY submit_time DESC, id DESC`, [user.id]);
 
     user.orders = userOrdersRes.rows;
     return user;
@@ -171,12 +213,15 @@ class User {
    *
    * Throws NotFoundError if not found.
    *
+   * Changing the password logs the user out everywhere: all their sessions
+   * are revoked. Changing the email means it has to be verified again.
+   *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
-  static async update(username, data) {
+  static async update(username, data, client = db) {
     if (data.password) {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
@@ -186,30 +231,38 @@ class User {
         {
           username: "username",
           password: "password",
-          isAdmin: "isAdmin",
         });
     const usernameVarIdx = "$" + (values.length + 1);
 
+    // Right-hand sides see the old row, so this compares old and new email.
+    const emailVarIdx = "$" + (Object.keys(data).indexOf("email") + 1);
+    const verifiedCol = data.email
+        ? `, email_verified = (email_verified AND email = ${emailVarIdx})`
+        : "";
+
     const querySql = `UPDATE users 
-                      SET ${setCols} 
+                      SET ${setCols}${verifiedCol} 
                       WHERE username = ${usernameVarIdx} 
                       RETURNING username,
                                 "password",
                                 email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
+                                'admin' = ANY(roles) AS "isAdmin",
+                                roles`;
+    const result = await client.query(querySql, [...values, username]);
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    if (data.password) await Session.revokeAllForUser(user.username, client);
+
     delete user.password;
     return user;
   }
 
   /** Delete given user from database; returns undefined. */
 
-  static async remove(username) {
-    let result = await db.query(
+  static async remove(username, client = db) {
+    let result = await client.query(
           `DELETE
            FROM users
            WHERE username = $1
@@ -220,6 +273,53 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
   }
+
+  /** Give a user a role (a no-op if they already have it).
+   *
+   * Returns { username, roles }
+   *
+   * Throws BadRequestError for an unknown role, NotFoundError if user not found.
+   */
+
+  static async addRole(username, role, client = db) {
+    if (!ROLES.includes(role)) throw new BadRequestError(`No role: ${role}`);
+
+    const result = await client.query(
+          `UPDATE users
+           SET roles = CASE WHEN $2 = ANY(roles) THEN roles
+                            ELSE array_append(roles, $2) END
+           WHERE username = $1
+           RETURNING username, roles`,
+        [username, role]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
+  }
+
+  /** Take a role away from a user (a no-op if they don't have it).
+   *
+   * Returns { username, roles }
+   *
+   * Throws BadRequestError for an unknown role, NotFoundError if user not found.
+   */
+
+  static async removeRole(username, role, client = db) {
+    if (!ROLES.includes(role)) throw new BadRequestError(`No role: ${role}`);
+
+    const result = await client.query(
+          `UPDATE users
+           SET roles = array_remove(roles, $2)
+           WHERE username = $1
+           RETURNING username, roles`,
+        [username, role]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user;
+  }
 }
 
 
@@ -0,0 +1,72 @@
+"use strict";
+
+const db = require("../db.js");
+const User = require("../models/user");
+const Insect = require("../models/insect");
+const Session = require("../models/session");
+
+/** Ids of the insects made by commonBeforeAll, in order: i1, i2, i3. */
+
+const testInsectIds = [];
+
+/** Access tokens for the users made by commonBeforeAll, by username: u1
+ * and u2 are customers (only u1 has verified their email), admin is an
+ * admin, and catalog and fulfillment have the catalog_manager and
+ * fulfillment roles.
+ */
+
+const tokens = {};
+
+async function commonBeforeAll() {
+  for (const [species, price, stock] of [["i1", 10, 10], ["i2", 20.5, 5], ["i3", 3, 0]]) {
+    const insect = await Insect.create({
+      species, price, url_image: `http://${species}.img`, weight_grams: 100,
+    });
+    if (stock) await Insect.adjustStock(insect.id, { change: stock, reason: "restock" });
+    testInsectIds.push(insect.id);
+  }
+
+  const users = [
+    { username: "u1", isAdmin: false },
+    { username: "u2", isAdmin: false },
+    { username: "admin", isAdmin: true },
+    { username: "catalog", isAdmin: false, role: "catalog_manager" },
+    { username: "fulfillment", isAdmin: false, role: "fulfillment" },
+  ];
+  for (const { username, isAdmin, role } of users) {
+    await User.register({
+      username, password: `password-${username}`, email: `${username}@user.com`, isAdmin,
+    });
+    if (role) await User.addRole(username, role);
+  }
+  await db.query(
+      `UPDATE users SET email_verified = TRUE WHERE username <> 'u2'`);
+
+  for (const { username } of users) {
+    const user = await User.get(username);
+    const { token } = await Session.start(user);
+    tokens[username] = token;
+  }
+}
+
+async function commonBeforeEach() {
+  await db.query("BEGIN");
+}
+
+async function commonAfterEach() {
+  await db.query("ROLLBACK");
+}
+
+async function commonAfterAll() {
+  await db.end();
+}
+
+
+module.exports = {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+};
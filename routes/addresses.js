@@ -0,0 +1,154 @@
+"use strict";
+
+/** Routes for a user's address book, mounted at /users/:username/addresses. */
+
+const jsonschema = require("jsonschema");
+
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const { requireSelfOrPermission } = require("../middleware/auth");
+const { withTransaction } = require("../helpers/transaction");
+const Address = require("../models/address");
+const AuditLog = require("../models/auditLog");
+const addressNewSchema = require("../schemas/addressNew.json");
+const addressUpdateSchema = require("../schemas/addressUpdate.json");
+
+const router = express.Router({ mergeParams: true });
+
+
+/** GET / => { addresses: [ { id, name, line1, line2, city, region,
+ *                            postal_code, country, phone, is_default,
+ *                            created_at }, ...] }
+ *
+ * The default address comes first.
+ *
+ * Authorization required: same-user-as-:username or users:read permission
+ */
+
+router.get("/", requireSelfOrPermission("users:read"), async function (req, res, next) {
+  try {
+    const addresses = await Address.findAll(req.params.username);
+    return res.json({ addresses });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST / { name, line1, line2, city, region, postal_code, country, phone,
+ *           is_default } => { address }
+ *
+ * line2 and phone are optional; country is a two-letter code, "US" if left
+ * out. The user's first address, or one sent with is_default true, becomes
+ * their default.
+ *
+ * Returns { id, name, line1, line2, city, region, postal_code, country,
+ *           phone, is_default, created_at }
+ *
+ * Authorization required: same-user-as-:username or users:update permission
+ */
+
+router.post("/", requireSelfOrPermission("users:update"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, addressNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const address = await withTransaction(async (client) => {
+      const address = await Address.create(req.params.username, req.body, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "address.create",
+        entityType: "address",
+        entityId: address.id,
+        after: address,
+      }, client);
+      return address;
+    });
+    return res.status(201).json({ address });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id] => { address }
+ *
+ * Authorization required: same-user-as-:username or users:read permission
+ */
+
+router.get("/:id", requireSelfOrPermission("users:read"), async function (req, res, next) {
+  try {
+    const address = await Address.get(req.params.username, req.params.id);
+    return res.json({ address });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id] { fld1, fld2, ... } => { address }
+ *
+ * Fields can be: { name, line1, line2, city, region, postal_code, country,
+ *                  phone, is_default }
+ *
+ * Orders already shipped to this address keep the copy they were placed
+ * with.
+ *
+ * Authorization required: same-user-as-:username or users:update permission
+ */
+
+router.patch("/:id", requireSelfOrPermission("users:update"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, addressUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const address = await withTransaction(async (client) => {
+      const before = await Address.get(req.params.username, req.params.id, client);
+      const address = await Address.update(
+          req.params.username, req.params.id, req.body, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "address.update",
+        entityType: "address",
+        entityId: address.id,
+        before,
+        after: address,
+      }, client);
+      return address;
+    });
+    return res.json({ address });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id]  =>  { deleted: id }
+ *
+ * Deleting the default address makes the oldest remaining one the default.
+ *
+ * Authorization required: same-user-as-:username or users:update permission
+ */
+
+router.delete("/:id", requireSelfOrPermission("users:update"), async function (req, res, next) {
+  try {
+    await withTransaction(async (client) => {
+      const before = await Address.get(req.params.username, req.params.id, client);
+      await Address.remove(req.params.username, req.params.id, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "address.delete",
+        entityType: "address",
+        entityId: before.id,
+        before,
+      }, client);
+    });
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const home = {
+  name: "Ann Lee",
+  line1: "1 Main St",
+  city: "Austin",
+  region: "TX",
+  postal_code: "78701",
+  phone: "5125551234",
+};
+
+/** POST an address to username's book as `as` (username by default). */
+
+function addAddress(username, data = home, as = username) {
+  return request(app)
+      .post(`/users/${username}/addresses`)
+      .send(data)
+      .set("authorization", `Bearer ${tokens[as]}`);
+}
+
+/************************************** POST /users/:username/addresses */
+
+describe("POST /users/:username/addresses", function () {
+  test("works for same user", async function () {
+    const resp = await addAddress("u1");
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.address).toEqual(expect.objectContaining({
+      ...home, line2: null, country: "US", is_default: true,
+    }));
+  });
+
+  test("works for admin, and is audited", async function () {
+    const resp = await addAddress("u1", home, "admin");
+    expect(resp.statusCode).toEqual(201);
+
+    const auditResp = await request(app)
+        .get("/admin/audit?action=address.create")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(auditResp.body.entries).toEqual([expect.objectContaining({
+      actor: "admin", entity_id: String(resp.body.address.id),
+    })]);
+  });
+
+  test("forbidden for another user", async function () {
+    const resp = await addAddress("u1", home, "fulfillment");
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/users/u1/addresses").send(home);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await addAddress("u1", { ...home, country: "USA" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/addresses */
+
+describe("GET /users/:username/addresses", function () {
+  test("works: default first", async function () {
+    const { body: { address: first } } = await addAddress("u1");
+    const { body: { address: second } } = await addAddress("u1", { ...home, is_default: true });
+
+    const resp = await request(app)
+        .get("/users/u1/addresses")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.addresses.map(a => [a.id, a.is_default]))
+        .toEqual([[second.id, true], [first.id, false]]);
+  });
+
+  test("forbidden for another user", async function () {
+    const resp = await request(app)
+        .get("/users/u1/addresses")
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /users/:username/addresses/:id */
+
+describe("GET /users/:username/addresses/:id", function () {
+  test("works for same user", async function () {
+    const { body: { address } } = await addAddress("u1");
+    const resp = await request(app)
+        .get(`/users/u1/addresses/${address.id}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body).toEqual({ address });
+  });
+
+  test("not found through another user's book", async function () {
+    const { body: { address } } = await addAddress("u1");
+    const resp = await request(app)
+        .get(`/users/admin/addresses/${address.id}`)
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/addresses/:id */
+
+describe("PATCH /users/:username/addresses/:id", function () {
+  test("works: moves the default", async function () {
+    const { body: { address: first } } = await addAddress("u1");
+    const { body: { address: second } } = await addAddress("u1");
+
+    const resp = await request(app)
+        .patch(`/users/u1/addresses/${second.id}`)
+        .send({ is_default: true, line2: "Apt 4" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.address).toEqual(expect.objectContaining({
+      id: second.id, is_default: true, line2: "Apt 4",
+    }));
+
+    const firstResp = await request(app)
+        .get(`/users/u1/addresses/${first.id}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(firstResp.body.address.is_default).toEqual(false);
+  });
+
+  test("not found through another user's book", async function () {
+    const { body: { address } } = await addAddress("u1");
+    const resp = await request(app)
+        .patch(`/users/admin/addresses/${address.id}`)
+        .send({ line2: "x" })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with invalid data", async function () {
+    const { body: { address } } = await addAddress("u1");
+    const resp = await request(app)
+        .patch(`/users/u1/addresses/${address.id}`)
+        .send({ user_id: 1 })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /users/:username/addresses/:id */
+
+describe("DELETE /users/:username/addresses/:id", function () {
+  test("works: the next oldest becomes the default", async function () {
+    const { body: { address: first } } = await addAddress("u1");
+    const { body: { address: second } } = await addAddress("u1");
+
+    const resp = await request(app)
+        .delete(`/users/u1/addresses/${first.id}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body).toEqual({ deleted: first.id });
+
+    const listResp = await request(app)
+        .get("/users/u1/addresses")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(listResp.body.addresses).toEqual([
+      expect.objectContaining({ id: second.id, is_default: true }),
+    ]);
+  });
+
+  test("forbidden for another user", async function () {
+    const { body: { address } } = await addAddress("u1");
+    const resp = await request(app)
+        .delete(`/users/u1/addresses/${address.id}`)
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** ordering to a saved address */
+
+describe("ordering to a saved address", function () {
+  test("works with the user's own address", async function () {
+    const { body: { address } } = await addAddress("u1");
+    const resp = await request(app)
+        .post("/orders")
+        .send({
+          address_id: address.id,
+          items: [{ id: testInsectIds[0] }],
+          shipping_method: "local_pickup",
+        })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.order.delivery_address)
+        .toEqual("Ann Lee, 1 Main St, Austin, TX 78701, US");
+  });
+
+  test("not found with someone else's", async function () {
+    const { body: { address } } = await addAddress("u1");
+    const resp = await request(app)
+        .post("/orders")
+        .send({
+          address_id: address.id,
+          items: [{ id: testInsectIds[0] }],
+          shipping_method: "local_pickup",
+        })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
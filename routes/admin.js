@@ -0,0 +1,117 @@
+"use strict";
+
+/** Routes for site administration. */
+
+const jsonschema = require("jsonschema");
+
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const { requirePermission } = require("../middleware/auth");
+const LoginThrottle = require("../models/loginThrottle");
+const AuditLog = require("../models/auditLog");
+const auditSearchSchema = require("../schemas/auditSearch.json");
+
+const router = express.Router();
+
+
+/** GET /lockouts => { lockouts: [ { scope, key, failures, last_failure_at,
+ *                                   locked_until, locked }, ...] }
+ *
+ * Usernames, IPs and order numbers with recent failed logins or guest order
+ * lookups, and whether they're locked out.
+ *
+ * Authorization required: logins:read permission
+ */
+
+router.get("/lockouts", requirePermission("logins:read"), async function (req, res, next) {
+  try {
+    const lockouts = await LoginThrottle.findAll();
+    return res.json({ lockouts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /login-attempts/[username] => { attempts: [ { id, username, ip,
+ *                                                   succeeded, attempted_at }, ...] }
+ *
+ * The latest login attempts made with a username, newest first.
+ *
+ * Authorization required: logins:read permission
+ */
+
+router.get("/login-attempts/:username", requirePermission("logins:read"), async function (req, res, next) {
+  try {
+    const attempts = await LoginThrottle.findAttempts(req.params.username);
+    return res.json({ attempts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /lockouts/[scope]/[key] => { cleared: key }
+ *
+ * Unlocks a username, IP or order number and resets its failure count.
+ * scope is "username", "ip" or "order_number".
+ *
+ * Authorization required: logins:unlock permission
+ */
+
+router.delete("/lockouts/:scope/:key", requirePermission("logins:unlock"), async function (req, res, next) {
+  try {
+    const { scope, key } = req.params;
+    if (!["username", "ip", "order_number"].includes(scope)) {
+      throw new BadRequestError(`Invalid scope: ${scope}`);
+    }
+
+    await LoginThrottle.clear(scope, key);
+    return res.json({ cleared: key });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /audit => { entries: [ { id, actor, action, entity_type, entity_id,
+ *                               before, after, created_at }, ...],
+ *                  total, next, prev }
+ *
+ * The audit log of changes to insects, users, orders, addresses, shipping
+ * methods and blackout dates, newest first.
+ *
+ * Can filter on:
+ * - actor (username)
+ * - entityType ("insect", "user", "order", "address", "shipping_method" or
+ *   "shipping_blackout_date") and entityId
+ * - action (like "insect.update")
+ * - from, to (date or timestamp; from inclusive, to exclusive)
+ *
+ * Paging: sort ("created_at" or "-created_at"), limit (default 50, max 100),
+ * and after / before set to the next / prev cursor of an earlier response.
+ *
+ * Authorization required: audit:read permission
+ */
+
+router.get("/audit", requirePermission("audit:read"), async function (req, res, next) {
+  const q = req.query;
+  // arrive as strings from querystring, but we want as int
+  if (q.limit !== undefined) q.limit = +q.limit;
+
+  try {
+    const validator = jsonschema.validate(q, auditSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { entries, ...page } = await AuditLog.findAll(q);
+    return res.json({ entries, ...page });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
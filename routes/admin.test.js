@@ -0,0 +1,129 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const { LOGIN_MAX_FAILURES_PER_USER } = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Try to log in as u1 with password; returns the response. */
+
+function logIn(password) {
+  return request(app).post("/auth/token").send({ username: "u1", password });
+}
+
+/************************************** lockouts */
+
+describe("login lockouts", function () {
+  test("repeated failures lock out even the right password", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES_PER_USER; i++) {
+      const resp = await logIn("wrong-password");
+      expect(resp.statusCode).toEqual(401);
+    }
+
+    let resp = await logIn("password-u1");
+    expect(resp.statusCode).toEqual(429);
+
+    const lockoutsResp = await request(app)
+        .get("/admin/lockouts")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(lockoutsResp.body.lockouts).toEqual(expect.arrayContaining([
+      expect.objectContaining({ scope: "username", key: "u1", locked: true }),
+    ]));
+
+    const clearResp = await request(app)
+        .delete("/admin/lockouts/username/u1")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(clearResp.body).toEqual({ cleared: "u1" });
+
+    resp = await logIn("password-u1");
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("login attempts are listed for admins", async function () {
+    await logIn("wrong-password");
+    await logIn("password-u1");
+
+    const resp = await request(app)
+        .get("/admin/login-attempts/u1")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body.attempts.map(a => a.succeeded).sort()).toEqual([false, true]);
+  });
+
+  test("bad request clearing an unknown scope", async function () {
+    const resp = await request(app)
+        .delete("/admin/lockouts/country/nz")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for a customer", async function () {
+    const resp = await request(app)
+        .get("/admin/lockouts")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  test("records who changed what", async function () {
+    await request(app)
+        .patch(`/insects/${testInsectIds[0]}`)
+        .send({ price: 12 })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ entityType: "insect", action: "insect.update" })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.entries).toEqual([expect.objectContaining({
+      actor: "catalog",
+      entity_id: String(testInsectIds[0]),
+      before: { price: "10.00" },
+      after: { price: "12.00" },
+    })]);
+  });
+
+  test("a failed change leaves no entry", async function () {
+    const patchResp = await request(app)
+        .patch(`/insects/${testInsectIds[0]}`)
+        .send({ required_shipping_methods: ["teleport"] })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(patchResp.statusCode).toEqual(400);
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ action: "insect.update" })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body.entries).toEqual([]);
+  });
+
+  test("bad request with an unknown entity type", async function () {
+    const resp = await request(app)
+        .get("/admin/audit?entityType=planet")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden without audit:read", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
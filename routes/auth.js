@@ -5,23 +5,35 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const Session = require("../models/session");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const LoginThrottle = require("../models/loginThrottle");
+const { ensureLoggedIn } = require("../middleware/auth");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const authForgotPasswordSchema = require("../schemas/authForgotPassword.json");
+const authResetPasswordSchema = require("../schemas/authResetPassword.json");
+const authVerifyEmailSchema = require("../schemas/authVerifyEmail.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns a short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token for getting new ones (POST /auth/refresh).
+ *
+ * A wrong username and a wrong password get the same 401. Repeated failures
+ * slow responses down and then lock the username or IP out for a while
+ * (429); see models/loginThrottle.js.
  *
  * Authorization required: none
  */
 
 router.post("/token", async function (req, res, next) {
   try {
-    console.log(req.body);
     const validator = jsonschema.validate(req.body, userAuthSchema);
     if (!validator.valid) {
       const errs = validator.errors.map(e => e.stack);
@@ -29,20 +41,34 @@ router.post("/token", async function (req, res, next) {
     }
 
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const ip = req.ip;
+    await LoginThrottle.check({ username, ip });
+
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        await LoginThrottle.record({ username, ip, succeeded: false });
+      }
+      throw err;
+    }
+    await LoginThrottle.record({ username, ip, succeeded: true });
+
+    const { token, refreshToken } = await Session.start(user);
+    return res.json({ token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns tokens as for /auth/token. The account starts unverified and a
+ * verification link is emailed; it can't place orders until verified.
  *
  * Authorization required: none
  */
@@ -56,12 +82,152 @@ router.post("/register", async function (req, res, next) {
     }
 
     const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    await EmailVerification.send(newUser.username);
+    const { token, refreshToken } = await Session.start(newUser);
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new access token and a new refresh token.
+ * Each refresh token works once; reusing one logs out its session.
+ *
+ * Authorization required: none (the refresh token is the credential)
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const tokens = await Session.refresh(req.body.refreshToken);
+    return res.json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the session, so its access and refresh tokens stop working.
+ * Logging out an already-ended session is not an error.
+ *
+ * Authorization required: none (the refresh token is the credential)
+ */
+
+router.post("/logout", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await Session.revokeByRefreshToken(req.body.refreshToken);
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/forgot-password:   { username } or { email } => { sent: true }
+ *
+ * Emails a single-use password reset link to the matching account. The
+ * response is the same whether or not the account exists.
+ *
+ * Authorization required: none
+ */
+
+router.post("/forgot-password", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authForgotPasswordSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.request(req.body);
+    return res.status(202).json({ sent: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/reset-password:   { token, password } => { reset: true }
+ *
+ * Sets a new password using the token from the reset email. All of the
+ * user's sessions are logged out; they log in again with the new password.
+ *
+ * Authorization required: none (the reset token is the credential)
+ */
+
+router.post("/reset-password", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authResetPasswordSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.reset(req.body.token, req.body.password);
+    return res.json({ reset: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email:   { token } => { verified: username, attachedOrders }
+ *
+ * Marks the account verified using the token from the verification email.
+ * Guest orders placed with the same email are attached to the account;
+ * attachedOrders lists their order numbers.
+ *
+ * Authorization required: none (the verification token is the credential)
+ */
+
+router.post("/verify-email", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authVerifyEmailSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const user = await EmailVerification.verify(req.body.token);
+    return res.json({ verified: user.username, attachedOrders: user.attachedOrders });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/resend-verification:   {} => { sent: true }
+ *
+ * Emails the logged-in user a new verification link. Limited to one every
+ * VERIFICATION_RESEND_SECONDS (429 otherwise).
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/resend-verification", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await EmailVerification.send(res.locals.user.username);
+    return res.status(202).json({ sent: true });
   } catch (err) {
     return next(err);
   }
 });
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,247 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const { registerTransport } = require("../helpers/mail");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Mail sent during the current test. */
+
+const sent = [];
+registerTransport("outbox", () => ({ send: async message => sent.push(message) }));
+beforeEach(() => sent.splice(0));
+
+/** Log u1 in; returns { token, refreshToken }. */
+
+async function logIn() {
+  const resp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password-u1" });
+  return resp.body;
+}
+
+/************************************** POST /auth/token */
+
+describe("POST /auth/token", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password-u1" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String), refreshToken: expect.any(String),
+    });
+  });
+
+  test("unauth with a wrong password or unknown user, alike", async function () {
+    const wrongPassword = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope-nope" });
+    const noUser = await request(app)
+        .post("/auth/token")
+        .send({ username: "nope", password: "nope-nope" });
+    expect(wrongPassword.statusCode).toEqual(401);
+    expect(noUser.statusCode).toEqual(401);
+    expect(noUser.body.error.message).toEqual(wrongPassword.body.error.message);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/register */
+
+describe("POST /auth/register", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({ username: "new", password: "password-new", email: "new@email.com" });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      token: expect.any(String), refreshToken: expect.any(String),
+    });
+  });
+
+  test("bad request with a taken username", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({ username: "u1", password: "password-new", email: "new@email.com" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  test("works, and each refresh token works once", async function () {
+    const { refreshToken } = await logIn();
+
+    const resp = await request(app).post("/auth/refresh").send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const me = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(me.statusCode).toEqual(200);
+
+    const reuse = await request(app).post("/auth/refresh").send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    // Reuse logged the session out, so the newer access token is dead too.
+    const after = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("unauth with an unknown token", async function () {
+    const resp = await request(app).post("/auth/refresh").send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works: both tokens stop working", async function () {
+    const { token, refreshToken } = await logIn();
+
+    const resp = await request(app).post("/auth/logout").send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const me = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(me.statusCode).toEqual(401);
+    const refresh = await request(app).post("/auth/refresh").send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("logging out twice is harmless", async function () {
+    const { refreshToken } = await logIn();
+    await request(app).post("/auth/logout").send({ refreshToken });
+    const resp = await request(app).post("/auth/logout").send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+  });
+});
+
+/************************************** password reset */
+
+describe("POST /auth/forgot-password and /auth/reset-password", function () {
+  test("works: the emailed token sets a new password", async function () {
+    const forgotResp = await request(app)
+        .post("/auth/forgot-password")
+        .send({ email: "u1@user.com" });
+    expect(forgotResp.statusCode).toEqual(202);
+    expect(forgotResp.body).toEqual({ sent: true });
+
+    const token = sent[sent.length - 1].text.match(/token=(\S+)/)[1];
+    const resetResp = await request(app)
+        .post("/auth/reset-password")
+        .send({ token, password: "new-password" });
+    expect(resetResp.body).toEqual({ reset: true });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("the same answer for an unknown account", async function () {
+    const resp = await request(app)
+        .post("/auth/forgot-password")
+        .send({ email: "nope@user.com" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ sent: true });
+    expect(sent).toEqual([]);
+  });
+
+  test("bad request with an unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/reset-password")
+        .send({ token: "nope", password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** email verification */
+
+describe("POST /auth/verify-email", function () {
+  test("works: a new account can order once verified", async function () {
+    const registerResp = await request(app)
+        .post("/auth/register")
+        .send({ username: "new", password: "password-new", email: "new@email.com" });
+    const { token } = registerResp.body;
+    expect(sent).toEqual([expect.objectContaining({ to: "new@email.com" })]);
+
+    const order = {
+      address: {
+        name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+        postal_code: "78701", phone: "5125551234",
+      },
+      items: [{ id: testInsectIds[0] }],
+      shipping_method: "local_pickup",
+    };
+    const beforeResp = await request(app)
+        .post("/orders")
+        .send(order)
+        .set("authorization", `Bearer ${token}`);
+    expect(beforeResp.statusCode).toEqual(403);
+
+    const verifyToken = sent[0].text.match(/token=(\S+)/)[1];
+    const verifyResp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: verifyToken });
+    expect(verifyResp.body).toEqual({ verified: "new", attachedOrders: [] });
+
+    const afterResp = await request(app)
+        .post("/orders")
+        .send(order)
+        .set("authorization", `Bearer ${token}`);
+    expect(afterResp.statusCode).toEqual(201);
+  });
+
+  test("bad request with a bad token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("POST /auth/resend-verification", function () {
+  test("works once, then 429", async function () {
+    const resp = await request(app)
+        .post("/auth/resend-verification")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(202);
+
+    const again = await request(app)
+        .post("/auth/resend-verification")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(again.statusCode).toEqual(429);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/resend-verification");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,137 @@
+"use strict";
+
+/** Routes for a user's saved cart, mounted at /users/:username/cart. */
+
+const jsonschema = require("jsonschema");
+
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const { requireSelfOrPermission, ensureVerified } = require("../middleware/auth");
+const Cart = require("../models/cart");
+const cartItemNewSchema = require("../schemas/cartItemNew.json");
+const cartItemUpdateSchema = require("../schemas/cartItemUpdate.json");
+const cartCheckoutSchema = require("../schemas/cartCheckout.json");
+
+const router = express.Router({ mergeParams: true });
+
+
+/** GET / => { cart }
+ *
+ * Returns { items, subtotal }
+ *   where items is [{ id, species, url_image, quantity, added_price, price,
+ *                     price_changed, deleted, in_stock }, ...]
+ *
+ * Authorization required: same-user-as-:username or users:read permission
+ */
+
+router.get("/", requireSelfOrPermission("users:read"), async function (req, res, next) {
+  try {
+    const cart = await Cart.get(req.params.username);
+    return res.json({ cart });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /items { insectId, quantity } => { cart }
+ *
+ * Adds an insect to the cart (quantity defaults to 1). Adding one that's
+ * already there increases its quantity.
+ *
+ * Authorization required: same-user-as-:username or users:update permission
+ */
+
+router.post("/items", requireSelfOrPermission("users:update"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, cartItemNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const cart = await Cart.addItem(req.params.username, req.body);
+    return res.status(201).json({ cart });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /items/[insectId] { quantity } => { cart }
+ *
+ * Authorization required: same-user-as-:username or users:update permission
+ */
+
+router.patch("/items/:insectId", requireSelfOrPermission("users:update"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, cartItemUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const cart = await Cart.updateItem(
+        req.params.username, +req.params.insectId, req.body.quantity);
+    return res.json({ cart });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /items/[insectId] => { removed: insectId }
+ *
+ * Authorization required: same-user-as-:username or users:update permission
+ */
+
+router.delete("/items/:insectId", requireSelfOrPermission("users:update"), async function (req, res, next) {
+  try {
+    await Cart.removeItem(req.params.username, +req.params.insectId);
+    return res.json({ removed: +req.params.insectId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE / => { cleared: username }
+ *
+ * Authorization required: same-user-as-:username or users:update permission
+ */
+
+router.delete("/", requireSelfOrPermission("users:update"), async function (req, res, next) {
+  try {
+    await Cart.clear(req.params.username);
+    return res.json({ cleared: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /checkout { address_id | address, phone, shipping_method, promoCode, total }
+ *   => { order }
+ *
+ * Places an order for everything in the cart at current prices and empties
+ * the cart. Address and shipping_method work as for POST /orders. total is
+ * optional; if sent it must match the computed total.
+ *
+ * Returns the new order, as POST /orders does.
+ *
+ * Authorization required: same-user-as-:username or users:update permission,
+ *   with a verified email
+ */
+
+router.post("/checkout", requireSelfOrPermission("users:update"), ensureVerified, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, cartCheckoutSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const order = await Cart.checkout(req.params.username, req.body);
+    return res.status(201).json({ order });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,100 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const address = {
+  name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+  postal_code: "78701", phone: "5125551234",
+};
+
+/************************************** POST /users/:username/cart/items */
+
+describe("POST /users/:username/cart/items", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post("/users/u1/cart/items")
+        .send({ insectId: testInsectIds[0], quantity: 2 })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.cart.subtotal).toEqual(20);
+  });
+
+  test("forbidden for another customer", async function () {
+    const resp = await request(app)
+        .post("/users/u1/cart/items")
+        .send({ insectId: testInsectIds[0] })
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/users/u1/cart/items")
+        .send({ insectId: testInsectIds[0], quantity: 0 })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/cart */
+
+describe("GET /users/:username/cart", function () {
+  test("works for a user with users:read", async function () {
+    const resp = await request(app)
+        .get("/users/u1/cart")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ cart: { items: [], subtotal: 0 } });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/users/u1/cart");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/cart/checkout */
+
+describe("POST /users/:username/cart/checkout", function () {
+  test("works", async function () {
+    await request(app)
+        .post("/users/u1/cart/items")
+        .send({ insectId: testInsectIds[0] })
+        .set("authorization", `Bearer ${tokens.u1}`);
+
+    const resp = await request(app)
+        .post("/users/u1/cart/checkout")
+        .send({ address, shipping_method: "local_pickup" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.order.total).toEqual("10.00");
+  });
+
+  test("forbidden until the email is verified", async function () {
+    await request(app)
+        .post("/users/u2/cart/items")
+        .send({ insectId: testInsectIds[0] })
+        .set("authorization", `Bearer ${tokens.u2}`);
+
+    const resp = await request(app)
+        .post("/users/u2/cart/checkout")
+        .send({ address, shipping_method: "local_pickup" })
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
@@ -0,0 +1,138 @@
+"use strict";
+
+/** Routes for categories. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { requirePermission } = require("../middleware/auth");
+const Category = require("../models/category");
+const Insect = require("../models/insect");
+
+const categoryNewSchema = require("../schemas/categoryNew.json");
+const categoryUpdateSchema = require("../schemas/categoryUpdate.json");
+
+const router = new express.Router();
+
+
+/** POST / { slug, name, description } => { category }
+ *
+ * slug is the lower-case, dash-separated name used in URLs and in
+ * GET /insects?category=.
+ *
+ * Authorization required: categories:manage permission
+ */
+
+router.post("/", requirePermission("categories:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, categoryNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const category = await Category.create(req.body);
+    return res.status(201).json({ category });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET / => { categories: [ { id, slug, name, description, insect_count }, ...] }
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const categories = await Category.findAll();
+    return res.json({ categories });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[slug] => { category }
+ *
+ * category is { id, slug, name, description, insects }
+ *   where insects is the first page of GET /insects?category=[slug]
+ *
+ * Authorization required: none
+ */
+
+router.get("/:slug", async function (req, res, next) {
+  try {
+    const category = await Category.get(req.params.slug);
+    const { insects } = await Insect.findAll({ category: category.slug });
+    category.insects = insects;
+    return res.json({ category });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[slug] { name, description } => { category }
+ *
+ * Authorization required: categories:manage permission
+ */
+
+router.patch("/:slug", requirePermission("categories:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, categoryUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const category = await Category.update(req.params.slug, req.body);
+    return res.json({ category });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[slug] => { deleted: slug }
+ *
+ * Authorization required: categories:manage permission
+ */
+
+router.delete("/:slug", requirePermission("categories:manage"), async function (req, res, next) {
+  try {
+    await Category.remove(req.params.slug);
+    return res.json({ deleted: req.params.slug });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[slug]/insects/[id] => { assigned: id }
+ *
+ * Authorization required: categories:manage permission
+ */
+
+router.post("/:slug/insects/:id", requirePermission("categories:manage"), async function (req, res, next) {
+  try {
+    await Category.addInsect(req.params.slug, +req.params.id);
+    return res.status(201).json({ assigned: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[slug]/insects/[id] => { unassigned: id }
+ *
+ * Authorization required: categories:manage permission
+ */
+
+router.delete("/:slug/insects/:id", requirePermission("categories:manage"), async function (req, res, next) {
+  try {
+    await Category.removeInsect(req.params.slug, +req.params.id);
+    return res.json({ unassigned: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,99 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newCategory = { slug: "beetles", name: "Beetles" };
+
+/************************************** POST /categories */
+
+describe("POST /categories", function () {
+  test("works for a catalog manager", async function () {
+    const resp = await request(app)
+        .post("/categories")
+        .send(newCategory)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.category).toEqual(
+        { id: expect.any(Number), ...newCategory, description: null });
+  });
+
+  test("forbidden for a customer", async function () {
+    const resp = await request(app)
+        .post("/categories")
+        .send(newCategory)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with a bad slug", async function () {
+    const resp = await request(app)
+        .post("/categories")
+        .send({ ...newCategory, slug: "Big Beetles" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** browsing */
+
+describe("browsing a category", function () {
+  test("works for anon", async function () {
+    await request(app)
+        .post("/categories")
+        .send(newCategory)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    const assignResp = await request(app)
+        .post(`/categories/beetles/insects/${testInsectIds[1]}`)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(assignResp.statusCode).toEqual(201);
+    expect(assignResp.body).toEqual({ assigned: testInsectIds[1] });
+
+    const listResp = await request(app).get("/categories");
+    expect(listResp.body.categories).toEqual([
+      expect.objectContaining({ slug: "beetles", insect_count: 1 }),
+    ]);
+
+    const insectsResp = await request(app).get("/insects?category=beetles");
+    expect(insectsResp.body.insects.map(i => i.id)).toEqual([testInsectIds[1]]);
+  });
+
+  test("not found for an unknown category", async function () {
+    const resp = await request(app).get("/categories/nope");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /categories/:slug */
+
+describe("DELETE /categories/:slug", function () {
+  test("works for a catalog manager", async function () {
+    await request(app)
+        .post("/categories")
+        .send(newCategory)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    const resp = await request(app)
+        .delete("/categories/beetles")
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.body).toEqual({ deleted: "beetles" });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).delete("/categories/beetles");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
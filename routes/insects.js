@@ -6,26 +6,40 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureAdmin } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { uploadImage } = require("../middleware/upload");
+const { withTransaction } = require("../helpers/transaction");
 const Insect = require("../models/insect");
+const InsectImage = require("../models/insectImage");
+const AuditLog = require("../models/auditLog");
 
 const insectNewSchema = require("../schemas/insectNew.json");
 const insectUpdateSchema = require("../schemas/insectUpdate.json");
 const insectSearchSchema = require("../schemas/insectSearch.json");
+const insectStockAdjustSchema = require("../schemas/insectStockAdjust.json");
+const insectTextSearchSchema = require("../schemas/insectTextSearch.json");
+const insectImageOrderSchema = require("../schemas/insectImageOrder.json");
 
 const router = new express.Router();
 
 
 /** POST / { insect } =>  { insect }
  *
- * insect should be { species, price, logoUrl }
+ * insect should be { species, price, url_image, weight_grams,
+ *                    required_shipping_methods, scientific_name, common_name,
+ *                    taxon_order, family, description }
+ *   where species, price and url_image are required. New insects start with
+ *   no stock; add some through POST /[id]/stock.
  *
- * Returns { id, species, price, logoUrl }
+ * Returns { id, species, scientific_name, common_name, taxon_order, family,
+ *           description, price, url_image, weight_grams,
+ *           required_shipping_methods, stock, in_stock, average_rating,
+ *           review_count }
  *
- * Authorization required: admin
+ * Authorization required: insects:create permission
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requirePermission("insects:create"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, insectNewSchema);
     if (!validator.valid) {
@@ -33,7 +47,17 @@ router.post("/", ensureAdmin, async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const insect = await Insect.create(req.body);
+    const insect = await withTransaction(async (client) => {
+      const insect = await Insect.create(req.body, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "insect.create",
+        entityType: "insect",
+        entityId: insect.id,
+        after: insect,
+      }, client);
+      return insect;
+    });
     return res.status(201).json({ insect });
   } catch (err) {
     return next(err);
@@ -41,12 +65,23 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { insects: [ { id, species, price, logoUrl }, ...] }
+ *   { insects: [ { id, species, scientific_name, common_name, taxon_order,
+ *                  family, description, price, url_image, weight_grams,
+ *                  required_shipping_methods, stock, in_stock,
+ *                  average_rating, review_count }, ...],
+ *     total, next, prev }
  *
  * Can filter on provided search filters:
  * - minPrice
  * - maxPrice
  * - speciesLike (will find case-insensitive, partial matches)
+ * - inStock ("true" or "false")
+ * - category (category slug)
+ * - order, family (taxonomic order / family, case-insensitive)
+ *
+ * Paging: sort (species, price, stock or rating; "-" prefix for descending), limit
+ * (default 50, max 100), and after / before set to the next / prev cursor
+ * of an earlier response. total counts all matches, not just this page.
  *
  * Authorization required: none
  */
@@ -56,6 +91,10 @@ router.get("/", async function (req, res, next) {
   // arrive as strings from querystring, but we want as ints
   if (q.minPrice !== undefined) q.minPrice = +q.minPrice;
   if (q.maxPrice !== undefined) q.maxPrice = +q.maxPrice;
+  if (q.limit !== undefined) q.limit = +q.limit;
+  // leave anything but "true"/"false" as a string so validation rejects it
+  if (q.inStock === "true") q.inStock = true;
+  if (q.inStock === "false") q.inStock = false;
 
   try {
     const validator = jsonschema.validate(q, insectSearchSchema);
@@ -64,8 +103,39 @@ router.get("/", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const insects = await Insect.findAll(q);
-    return res.json({ insects });
+    const { insects, ...page } = await Insect.findAll(q);
+    return res.json({ insects, ...page });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /search?q=  =>  { results, total, facets }
+ *
+ * Full-text search over names, taxonomy and description, best match first.
+ * Tolerates typos in names. limit defaults to 20 (max 50).
+ *
+ * results is [{ id, species, ..., rank, snippet }, ...] where snippet has
+ * the matched words wrapped in <mark></mark>; facets is
+ * { price: [{ band, min, max, count }, ...] } over all matches.
+ *
+ * Authorization required: none
+ */
+
+router.get("/search", async function (req, res, next) {
+  const q = req.query;
+  // arrives as a string from querystring, but we want as int
+  if (q.limit !== undefined) q.limit = +q.limit;
+
+  try {
+    const validator = jsonschema.validate(q, insectTextSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { results, total, facets } = await Insect.search(q.q, { limit: q.limit });
+    return res.json({ results, total, facets });
   } catch (err) {
     return next(err);
   }
@@ -73,14 +143,18 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[id]  =>  { insect }
  *
- *  insect is { id, species, price, logoUrl }
+ *  insect is { id, species, scientific_name, common_name, taxon_order, family,
+ *              description, price, url_image, weight_grams,
+ *              required_shipping_methods, stock, in_stock, average_rating,
+ *              review_count, categories, images }
+ *   where categories is [{ id, slug, name }, ...]
+ *   and images is [{ id, url, thumbnail_url, width, height, position, is_primary }, ...]
  *
  * Authorization required: none
  */
 
 router.get("/:id", async function (req, res, next) {
   try {
-    console.log("ID: ", req.params.id);
     const insect = await Insect.get(req.params.id);
     return res.json({ insect });
   } catch (err) {
@@ -92,14 +166,23 @@ router.get("/:id", async function (req, res, next) {
  *
  * Patches insect data.
  *
- * fields can be: { price, url_image }
+ * fields can be: { species, price, url_image, weight_grams,
+ *                  required_shipping_methods, scientific_name, common_name,
+ *                  taxon_order, family, description }
+ *
+ * required_shipping_methods lists the shipping methods this species may
+ * travel by (e.g. ["overnight"]); null allows any. Stock is changed through
+ * POST /[id]/stock instead.
  *
- * Returns { id, species, price, url_image }
+ *  insect is { id, species, scientific_name, common_name, taxon_order, family,
+ *              description, price, url_image, weight_grams,
+ *              required_shipping_methods, stock, in_stock, average_rating,
+ *              review_count, categories, images }, as from GET /[id]
  *
- * Authorization required: admin
+ * Authorization required: insects:update permission
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
+router.patch("/:id", requirePermission("insects:update"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, insectUpdateSchema);
     if (!validator.valid) {
@@ -107,21 +190,232 @@ router.patch("/:id", ensureAdmin, async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const insect = await Insect.update(req.params.id, req.body);
+    const insect = await withTransaction(async (client) => {
+      const before = await Insect.get(req.params.id, client);
+      await Insect.update(req.params.id, req.body, client);
+      const insect = await Insect.get(req.params.id, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "insect.update",
+        entityType: "insect",
+        entityId: insect.id,
+        before,
+        after: insect,
+      }, client);
+      return insect;
+    });
     return res.json({ insect });
   } catch (err) {
     return next(err);
   }
 });
 
+/** GET /[id]/stock  =>  { stock, movements }
+ *
+ * Returns the current stock and its audit trail, newest first:
+ *   { stock, movements: [{ id, change, reason, order_id, username, created_at }, ...] }
+ *
+ * Authorization required: stock:read permission
+ */
+
+router.get("/:id/stock", requirePermission("stock:read"), async function (req, res, next) {
+  try {
+    const insect = await Insect.get(req.params.id);
+    const movements = await Insect.getStockMovements(req.params.id);
+    return res.json({ stock: insect.stock, movements });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/stock { change, reason } => { insect }
+ *
+ * Adjusts stock by `change` units (negative to remove) and records who did it.
+ * reason is one of "restock", "adjustment", "loss".
+ *
+ * Returns { id, species, stock, in_stock }
+ *
+ * Authorization required: stock:adjust permission
+ */
+
+router.post("/:id/stock", requirePermission("stock:adjust"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, insectStockAdjustSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const insect = await withTransaction(async (client) => {
+      const insect = await Insect.adjustStock(req.params.id, {
+        ...req.body,
+        username: res.locals.user.username,
+      }, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "insect.stock.adjust",
+        entityType: "insect",
+        entityId: insect.id,
+        before: { stock: insect.stock - req.body.change },
+        after: { stock: insect.stock, reason: req.body.reason },
+      }, client);
+      return insect;
+    });
+    return res.json({ insect });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id]/images  =>  { images }
+ *
+ * images is [{ id, url, thumbnail_url, width, height, position, is_primary }, ...]
+ * in display order.
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/images", async function (req, res, next) {
+  try {
+    await Insect.get(req.params.id);
+    const images = await InsectImage.findForInsect(req.params.id);
+    return res.json({ images });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/images  (multipart/form-data, file in field "image")
+ *   =>  { image }
+ *
+ * Stores the image plus a thumbnail and adds it to the end of the gallery.
+ * The first image uploaded for an insect becomes its primary image.
+ *
+ * Authorization required: insects:update permission
+ */
+
+router.post("/:id/images", requirePermission("insects:update"), uploadImage("image"), async function (req, res, next) {
+  try {
+    if (!req.file) throw new BadRequestError("No image uploaded");
+
+    const image = await withTransaction(async (client) => {
+      const image = await InsectImage.add(req.params.id, req.file, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "insect.image.add",
+        entityType: "insect",
+        entityId: req.params.id,
+        after: image,
+      }, client);
+      return image;
+    });
+    return res.status(201).json({ image });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id]/images { imageIds } =>  { images }
+ *
+ * Reorders the gallery; imageIds lists every image id in the new order.
+ *
+ * Authorization required: insects:update permission
+ */
+
+router.patch("/:id/images", requirePermission("insects:update"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, insectImageOrderSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const images = await withTransaction(async (client) => {
+      const before = await InsectImage.findForInsect(req.params.id, client);
+      const images = await InsectImage.reorder(req.params.id, req.body.imageIds, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "insect.image.reorder",
+        entityType: "insect",
+        entityId: req.params.id,
+        before: { imageIds: before.map(i => i.id) },
+        after: { imageIds: images.map(i => i.id) },
+      }, client);
+      return images;
+    });
+    return res.json({ images });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/images/[imageId]/primary  =>  { images }
+ *
+ * Makes the image the insect's primary image (also its url_image).
+ *
+ * Authorization required: insects:update permission
+ */
+
+router.post("/:id/images/:imageId/primary", requirePermission("insects:update"), async function (req, res, next) {
+  try {
+    const images = await withTransaction(async (client) => {
+      const images = await InsectImage.setPrimary(req.params.id, req.params.imageId, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "insect.image.primary",
+        entityType: "insect",
+        entityId: req.params.id,
+        after: { primaryImageId: +req.params.imageId },
+      }, client);
+      return images;
+    });
+    return res.json({ images });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id]/images/[imageId]  =>  { deleted: imageId }
+ *
+ * Authorization required: insects:update permission
+ */
+
+router.delete("/:id/images/:imageId", requirePermission("insects:update"), async function (req, res, next) {
+  try {
+    await withTransaction(async (client) => {
+      await InsectImage.remove(req.params.id, req.params.imageId, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "insect.image.remove",
+        entityType: "insect",
+        entityId: req.params.id,
+        before: { imageId: +req.params.imageId },
+      }, client);
+    });
+    return res.json({ deleted: +req.params.imageId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: admin
+ * Authorization required: insects:delete permission
  */
 
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.delete("/:id", requirePermission("insects:delete"), async function (req, res, next) {
   try {
-    await Insect.remove(req.params.id);
+    await withTransaction(async (client) => {
+      const before = await Insect.get(req.params.id, client);
+      await Insect.remove(req.params.id, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "insect.delete",
+        entityType: "insect",
+        entityId: req.params.id,
+        before,
+      }, client);
+    });
     return res.json({ deleted: req.params.id });
   } catch (err) {
     return next(err);
@@ -0,0 +1,268 @@
+"use strict";
+
+const request = require("supertest");
+const sharp = require("sharp");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /insects/:id/stock */
+
+describe("POST /insects/:id/stock", function () {
+  test("works for a catalog manager", async function () {
+    const resp = await request(app)
+        .post(`/insects/${testInsectIds[2]}/stock`)
+        .send({ change: 3, reason: "restock" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      insect: { id: testInsectIds[2], species: "i3", stock: 3, in_stock: true },
+    });
+  });
+
+  test("forbidden for a customer", async function () {
+    const resp = await request(app)
+        .post(`/insects/${testInsectIds[2]}/stock`)
+        .send({ change: 3, reason: "restock" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request if it would go below zero", async function () {
+    const resp = await request(app)
+        .post(`/insects/${testInsectIds[1]}/stock`)
+        .send({ change: -6, reason: "loss" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown reason", async function () {
+    const resp = await request(app)
+        .post(`/insects/${testInsectIds[1]}/stock`)
+        .send({ change: 1, reason: "found" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /insects/:id/stock */
+
+describe("GET /insects/:id/stock", function () {
+  test("works for fulfillment", async function () {
+    const resp = await request(app)
+        .get(`/insects/${testInsectIds[0]}/stock`)
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.stock).toEqual(10);
+    expect(resp.body.movements).toEqual([
+      expect.objectContaining({ change: 10, reason: "restock" }),
+    ]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/insects/${testInsectIds[0]}/stock`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /insects */
+
+describe("GET /insects", function () {
+  test("works: sorts and pages", async function () {
+    const first = await request(app).get("/insects?sort=price&limit=2");
+    expect(first.statusCode).toEqual(200);
+    expect(first.body.insects.map(i => i.species)).toEqual(["i3", "i1"]);
+    expect(first.body.total).toEqual(3);
+
+    const second = await request(app)
+        .get("/insects").query({ sort: "price", limit: 2, after: first.body.next });
+    expect(second.body.insects.map(i => i.species)).toEqual(["i2"]);
+    expect(second.body.next).toBeNull();
+  });
+
+  test("works: inStock filter", async function () {
+    const resp = await request(app).get("/insects?inStock=true");
+    expect(resp.body.insects.map(i => i.species)).toEqual(["i1", "i2"]);
+  });
+
+  test("bad request with a bad cursor", async function () {
+    const resp = await request(app).get("/insects?after=nope");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown sort or too big a limit", async function () {
+    let resp = await request(app).get("/insects?sort=weight");
+    expect(resp.statusCode).toEqual(400);
+    resp = await request(app).get("/insects?limit=1000");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /insects */
+
+describe("POST /insects", function () {
+  const newInsect = {
+    species: "new", price: 7, url_image: "http://new.img", taxon_order: "Coleoptera",
+  };
+
+  test("works for a catalog manager", async function () {
+    const resp = await request(app)
+        .post("/insects")
+        .send(newInsect)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.insect).toEqual(expect.objectContaining({
+      species: "new", taxon_order: "Coleoptera", stock: 0,
+    }));
+  });
+
+  test("forbidden for a customer", async function () {
+    const resp = await request(app)
+        .post("/insects")
+        .send(newInsect)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request without an image", async function () {
+    const { url_image, ...noImage } = newInsect;
+    const resp = await request(app)
+        .post("/insects")
+        .send(noImage)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** PATCH /insects/:id */
+
+describe("PATCH /insects/:id", function () {
+  test("works for a catalog manager", async function () {
+    const resp = await request(app)
+        .patch(`/insects/${testInsectIds[0]}`)
+        .send({ family: "Gryllidae" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.insect).toEqual(expect.objectContaining({
+      family: "Gryllidae", categories: [], images: [],
+    }));
+  });
+
+  test("bad request trying to set stock", async function () {
+    const resp = await request(app)
+        .patch(`/insects/${testInsectIds[0]}`)
+        .send({ stock: 100 })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such insect", async function () {
+    const resp = await request(app)
+        .patch("/insects/0")
+        .send({ family: "Gryllidae" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /insects/search */
+
+describe("GET /insects/search", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/insects/search?q=i2");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.results[0]).toEqual(expect.objectContaining({
+      id: testInsectIds[1], rank: expect.any(Number), snippet: expect.any(String),
+    }));
+    expect(resp.body.facets.price).toHaveLength(4);
+  });
+
+  test("bad request without q or with too big a limit", async function () {
+    let resp = await request(app).get("/insects/search");
+    expect(resp.statusCode).toEqual(400);
+    resp = await request(app).get("/insects/search?q=i2&limit=500");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /insects/:id/images */
+
+describe("POST /insects/:id/images", function () {
+  test("works for a catalog manager", async function () {
+    const png = await sharp({
+      create: { width: 20, height: 20, channels: 3, background: "green" },
+    }).png().toBuffer();
+
+    const resp = await request(app)
+        .post(`/insects/${testInsectIds[0]}/images`)
+        .attach("image", png, { filename: "bug.png", contentType: "image/png" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.image).toEqual(expect.objectContaining({ is_primary: true }));
+
+    const served = await request(app).get(resp.body.image.url);
+    expect(served.statusCode).toEqual(200);
+
+    const galleryResp = await request(app).get(`/insects/${testInsectIds[0]}/images`);
+    expect(galleryResp.body.images).toEqual([resp.body.image]);
+  });
+
+  test("Idempotency-Key covers the uploaded file", async function () {
+    const image = color => sharp({
+      create: { width: 20, height: 20, channels: 3, background: color },
+    }).png().toBuffer();
+    const green = await image("green");
+    const upload = png => request(app)
+        .post(`/insects/${testInsectIds[0]}/images`)
+        .attach("image", png, { filename: "bug.png", contentType: "image/png" })
+        .set("Idempotency-Key", "image-1")
+        .set("authorization", `Bearer ${tokens.catalog}`);
+
+    const first = await upload(green);
+    const repeat = await upload(green);
+    expect(repeat.statusCode).toEqual(201);
+    expect(repeat.headers["idempotent-replayed"]).toEqual("true");
+    expect(repeat.body).toEqual(first.body);
+
+    const different = await upload(await image("red"));
+    expect(different.statusCode).toEqual(422);
+
+    const galleryResp = await request(app).get(`/insects/${testInsectIds[0]}/images`);
+    expect(galleryResp.body.images).toHaveLength(1);
+  });
+
+  test("bad request for a non-image upload", async function () {
+    const resp = await request(app)
+        .post(`/insects/${testInsectIds[0]}/images`)
+        .attach("image", Buffer.from("hello"), { filename: "a.txt", contentType: "text/plain" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with no file", async function () {
+    const resp = await request(app)
+        .post(`/insects/${testInsectIds[0]}/images`)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for a customer", async function () {
+    const resp = await request(app)
+        .post(`/insects/${testInsectIds[0]}/images`)
+        .attach("image", Buffer.from("x"), { filename: "a.png", contentType: "image/png" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
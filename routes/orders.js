@@ -5,33 +5,86 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { BadRequestError } = require("../expressError");
-const { ensureAdmin } = require("../middleware/auth");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  ensureVerified,
+  requirePermission,
+} = require("../middleware/auth");
+const { hasPermissions } = require("../helpers/permissions");
+const { withTransaction } = require("../helpers/transaction");
 const Order = require("../models/order");
+const Payment = require("../models/payment");
+const AuditLog = require("../models/auditLog");
+const LoginThrottle = require("../models/loginThrottle");
 const orderNew = require("../schemas/orderNew.json");
 const ordersearchSchema = require("../schemas/orderSearch.json");
+const orderStatusUpdateSchema = require("../schemas/orderStatusUpdate.json");
+const orderLookupSchema = require("../schemas/orderLookup.json");
+const orderPaySchema = require("../schemas/orderPay.json");
 
 const router = express.Router({ mergeParams: true });
 
 
 /** POST / { order } => { order }
  *
- * order should be { phone, delivery_address, items, total, user_order_id }
+ * order should be { address_id | address, phone, items, shipping_method,
+ *                   promoCode, email }
+ *   where items is [{ id, quantity }, ...]. The order ships to address_id,
+ *   one of the user's saved addresses, or to address, an inline { name,
+ *   line1, line2, city, region, postal_code, country, phone }; its region
+ *   (e.g. a state code) picks the tax and shipping rules. phone defaults to
+ *   the address's. shipping_method is "overnight", "two_day" or
+ *   "local_pickup" (see GET /shipping/quote); left out, the cheapest one
+ *   that can ship these insects is used. promoCode is an optional discount
+ *   code. total is optional and, if sent, must match the total computed
+ *   from current prices and rules.
  *
- * Returns { id, phone, delivery_address, submit_time, items, total, user_order_id  }
+ * The order belongs to the logged-in user; without a token it's a guest
+ * order, and email is required. A guest order's response also has
+ * lookup_token: keep it, with order_number, to see the order again through
+ * GET /orders/lookup. Verifying an account with the same email later
+ * attaches the order to it.
  *
- * Authorization required: none
+ * Send an Idempotency-Key header to make retrying safe: a repeat with the
+ * same key returns the first order instead of placing another (see
+ * middleware/idempotency.js), though without its lookup_token, which is
+ * never stored.
+ *
+ * The address is copied onto the order as shipping_address, so editing the
+ * address book later doesn't change it.
+ *
+ * Returns { id, phone, delivery_address, shipping_address, region,
+ *           submit_time, subtotal, promo_code, discount, tax, shipping,
+ *           total, status, payment_status, order_number, shipping_method,
+ *           ship_date, delivery_window_start, delivery_window_end, username,
+ *           items, [lookup_token] }
+ *
+ * Authorization required: none, but a logged-in user must have a verified email
  */
 
-router.post("/", async function (req, res, next) {
+router.post("/", ensureVerified, async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, orderNew);
     if (!validator.valid) {
       const errs = validator.errors.map(e => e.stack);
       throw new BadRequestError(errs);
     }
-    console.log(req.body);
-    const order = await Order.create(req.body);
+
+    const order = await withTransaction(async (client) => {
+      const order = await Order.create({
+        ...req.body,
+        username: res.locals.user ? res.locals.user.username : null,
+      }, client);
+      await AuditLog.record({
+        actor: res.locals.user && res.locals.user.username,
+        action: "order.create",
+        entityType: "order",
+        entityId: order.id,
+        after: order,
+      }, client);
+      return order;
+    });
     return res.status(201).json({ order });
   } catch (err) {
     return next(err);
@@ -39,21 +92,35 @@ router.post("/", async function (req, res, next) {
 });
 
 /** GET / =>
- *   { orders: [ { id, phone, delivery_address, submit_time, items, total, user_order_id }, ...] }
+ *   { orders: [ { id, phone, delivery_address, shipping_address, region,
+ *                 submit_time, subtotal, promo_code, discount, tax, shipping,
+ *                 total, status, payment_status, order_number,
+ *                 shipping_method, ship_date, delivery_window_start,
+ *                 delivery_window_end, username }, ...],
+ *     total, next, prev }
+ *
+ * Every customer's orders; customers list their own with
+ * GET /users/:username/orders.
  *
  * Can provide search filter in query:
  * - minTotal (total greater than minimum)
  * - maxTotal (total less than maximum)
- * - user_order_id (will find match);
-
- * Authorization required: none
+ * - username (orders placed by that user)
+ * - status (will find match)
+ *
+ * Paging: sort (submit_time or total; "-" prefix for descending), limit
+ * (default 50, max 100), and after / before set to the next / prev cursor
+ * of an earlier response.
+ *
+ * Authorization required: orders:read permission
  */
 
-router.get("/", async function (req, res, next) {
+router.get("/", requirePermission("orders:read"), async function (req, res, next) {
   const q = req.query;
   // arrive as strings from querystring, but we want as int/bool
   if (q.minTotal !== undefined) q.minTotal = +q.minTotal;
   if (q.maxTotal !== undefined) q.maxTotal = +q.maxTotal;
+  if (q.limit !== undefined) q.limit = +q.limit;
 
   try {
     const validator = jsonschema.validate(q, ordersearchSchema);
@@ -62,8 +129,49 @@ router.get("/", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const orders = await Order.findAll(q);
-    return res.json({ orders });
+    const { orders, ...page } = await Order.findAll(q);
+    return res.json({ orders, ...page });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /lookup?orderNumber=...&token=... (or &phone=...) => { order }
+ *
+ * Finds a guest order from its order number plus the lookup token returned
+ * when it was placed, or the phone number it was placed with.
+ *
+ * Returns the order as GET /[orderId] does; a wrong token or phone is a 404.
+ * Repeated failures slow responses down and then lock the order number or
+ * IP out for a while (429), as for logins (see models/loginThrottle.js).
+ *
+ * Authorization required: none (the token or phone is the credential)
+ */
+
+router.get("/lookup", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.query, orderLookupSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const orderNumber = req.query.orderNumber.toUpperCase();
+    const ip = req.ip;
+    await LoginThrottle.checkLookup({ orderNumber, ip });
+
+    let order;
+    try {
+      order = await Order.lookup(req.query);
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        await LoginThrottle.recordLookup({ orderNumber, ip, succeeded: false });
+      }
+      throw err;
+    }
+    await LoginThrottle.recordLookup({ orderNumber, ip, succeeded: true });
+
+    return res.json({ order });
   } catch (err) {
     return next(err);
   }
@@ -71,15 +179,121 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[orderId] => { order }
  *
- * Returns { id, phone, delivery_address, submit_time, items, total, user_order_id }
- *   where items is [{ id, species, price, url_image }, ...]
+ * Returns { id, phone, delivery_address, shipping_address, region,
+ *           submit_time, subtotal, promo_code, discount, tax, shipping,
+ *           total, status, payment_status, order_number, shipping_method,
+ *           ship_date, delivery_window_start, delivery_window_end,
+ *           guest_email, username, items, status_history }
+ *   where items is [{ id, species, url_image, quantity, unit_price, line_total }, ...]
+ *   and status_history is [{ from_status, to_status, username, note, changed_at }, ...]
  *
- * Authorization required: none
+ * Authorization required: the order's owner, or orders:read permission
  */
 
-router.get("/:id", async function (req, res, next) {
+router.get("/:id", ensureLoggedIn, async function (req, res, next) {
   try {
     const order = await Order.get(req.params.id);
+    const user = res.locals.user;
+    // Someone else's order looks the same as a missing one.
+    if (order.username !== user.username && !hasPermissions(user, ["orders:read"])) {
+      throw new NotFoundError(`No order: ${req.params.id}`);
+    }
+    return res.json({ order });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/pay { paymentMethod, lookupToken } => { payment }
+ *
+ * Pays for a pending order through the payment provider (see
+ * helpers/payments.js). paymentMethod comes from the provider's client-side
+ * code. A guest pays for their order with the lookup_token they were given
+ * when placing it.
+ *
+ * Every attempt is recorded; a declined one comes back with status "failed"
+ * and the order can be paid for again. A captured payment moves the order
+ * to "paid".
+ *
+ * Returns { id, order_id, provider, provider_payment_id, amount, status,
+ *           failure_reason, created_at, updated_at }
+ *
+ * Authorization required: the order's owner, or the lookup token for a
+ * guest order
+ */
+
+router.post("/:id/pay", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, orderPaySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const order = await Order.get(req.params.id);
+    const user = res.locals.user;
+    if (order.username) {
+      if (!user || user.username !== order.username) {
+        throw new NotFoundError(`No order: ${req.params.id}`);
+      }
+    } else {
+      await Order.lookup({
+        orderNumber: order.order_number, token: req.body.lookupToken,
+      });
+    }
+
+    const payment = await Payment.pay(order.id, {
+      paymentMethod: req.body.paymentMethod,
+      username: user ? user.username : null,
+    });
+    return res.status(201).json({ payment });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id]/status { status, note } => { order }
+ *
+ * Moves the order along its lifecycle:
+ *   pending -> paid -> packed -> shipped -> delivered,
+ *   pending -> cancelled, paid/packed/delivered -> refunded.
+ * Any other transition is rejected.
+ *
+ * Refunding an order also refunds its captured payment, if it has one,
+ * through the payment provider; if the provider refuses, the order keeps
+ * its status.
+ *
+ * Returns { id, status }
+ *
+ * Authorization required: orders:update-status permission
+ */
+
+router.patch("/:id/status", requirePermission("orders:update-status"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, orderStatusUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const order = await withTransaction(async (client) => {
+      const before = await Order.get(req.params.id, client);
+      const order = await Order.updateStatus(req.params.id, {
+        ...req.body,
+        username: res.locals.user.username,
+      }, client);
+      // After the status change, so a refund the provider refuses undoes it.
+      if (order.status === "refunded") await Payment.refundOrder(order.id, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "order.status",
+        entityType: "order",
+        entityId: order.id,
+        before,
+        after: { ...order, note: req.body.note },
+      }, client);
+      return order;
+    });
     return res.json({ order });
   } catch (err) {
     return next(err);
@@ -88,12 +302,22 @@ router.get("/:id", async function (req, res, next) {
 
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization required: admin
+ * Authorization required: orders:delete permission
  */
 
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.delete("/:id", requirePermission("orders:delete"), async function (req, res, next) {
   try {
-    await Order.remove(req.params.id);
+    await withTransaction(async (client) => {
+      const before = await Order.get(req.params.id, client);
+      await Order.remove(req.params.id, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "order.delete",
+        entityType: "order",
+        entityId: req.params.id,
+        before,
+      }, client);
+    });
     return res.json({ deleted: +req.params.id });
   } catch (err) {
     return next(err);
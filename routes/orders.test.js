@@ -0,0 +1,400 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const { LOGIN_MAX_FAILURES_PER_USER } = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const address = {
+  name: "Ann Lee",
+  line1: "1 Main St",
+  city: "Austin",
+  region: "TX",
+  postal_code: "78701",
+  phone: "5125551234",
+};
+
+/** POST /orders as username (a guest if none), by local pickup. */
+
+function placeOrder(username, data = {}) {
+  const req = request(app).post("/orders");
+  if (username) req.set("authorization", `Bearer ${tokens[username]}`);
+  return req.send({
+    address,
+    items: [{ id: testInsectIds[0], quantity: 2 }],
+    shipping_method: "local_pickup",
+    ...data,
+  });
+}
+
+/************************************** POST /orders */
+
+describe("POST /orders", function () {
+  test("works for a user", async function () {
+    const resp = await placeOrder("u1");
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.order).toEqual(expect.objectContaining({
+      subtotal: "20.00",
+      total: "20.00",
+      status: "pending",
+      username: "u1",
+      items: [{ id: testInsectIds[0], quantity: 2, unit_price: 10, line_total: 20 }],
+    }));
+  });
+
+  test("bad request if the total sent disagrees", async function () {
+    const resp = await placeOrder("u1", { total: 5 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid items", async function () {
+    const resp = await placeOrder("u1", { items: [{ id: "one" }] });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** PATCH /orders/:id/status */
+
+describe("PATCH /orders/:id/status", function () {
+  test("works for fulfillment", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+
+    const resp = await request(app)
+        .patch(`/orders/${id}/status`)
+        .send({ status: "cancelled", note: "changed their mind" })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ order: { id, status: "cancelled" } });
+
+    const getResp = await request(app)
+        .get(`/orders/${id}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(getResp.body.order.status_history[1]).toEqual(expect.objectContaining({
+      from_status: "pending",
+      to_status: "cancelled",
+      username: "fulfillment",
+      note: "changed their mind",
+    }));
+  });
+
+  test("bad request for an illegal transition", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+
+    const resp = await request(app)
+        .patch(`/orders/${id}/status`)
+        .send({ status: "delivered" })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for the customer", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+
+    const resp = await request(app)
+        .patch(`/orders/${id}/status`)
+        .send({ status: "cancelled" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /orders/:id/pay */
+
+describe("POST /orders/:id/pay", function () {
+  test("works for the owner", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+
+    const resp = await request(app)
+        .post(`/orders/${id}/pay`)
+        .send({ paymentMethod: "pm_card_visa" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.payment).toEqual(expect.objectContaining({
+      order_id: id, amount: "20.00", status: "captured",
+    }));
+
+    const getResp = await request(app)
+        .get(`/orders/${id}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(getResp.body.order).toEqual(expect.objectContaining({
+      status: "paid", payment_status: "paid",
+    }));
+  });
+
+  test("a declined card comes back failed and can be retried", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+
+    const declined = await request(app)
+        .post(`/orders/${id}/pay`)
+        .send({ paymentMethod: "pm_card_declined" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(declined.statusCode).toEqual(201);
+    expect(declined.body.payment.status).toEqual("failed");
+
+    const retried = await request(app)
+        .post(`/orders/${id}/pay`)
+        .send({ paymentMethod: "pm_card_visa" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(retried.body.payment.status).toEqual("captured");
+  });
+
+  test("bad request paying twice", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+    const pay = () => request(app)
+        .post(`/orders/${id}/pay`)
+        .send({ paymentMethod: "pm_card_visa" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    await pay();
+    expect((await pay()).statusCode).toEqual(400);
+  });
+
+  test("not found for another user or anon", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+
+    let resp = await request(app)
+        .post(`/orders/${id}/pay`)
+        .send({ paymentMethod: "pm_card_visa" })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+    resp = await request(app)
+        .post(`/orders/${id}/pay`)
+        .send({ paymentMethod: "pm_card_visa" });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("a guest pays with the lookup token", async function () {
+    const { body: { order } } = await placeOrder(null, { email: "guest@email.com" });
+
+    const noToken = await request(app)
+        .post(`/orders/${order.id}/pay`)
+        .send({ paymentMethod: "pm_card_visa" });
+    expect(noToken.statusCode).toEqual(404);
+
+    const resp = await request(app)
+        .post(`/orders/${order.id}/pay`)
+        .send({ paymentMethod: "pm_card_visa", lookupToken: order.lookup_token });
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.payment.status).toEqual("captured");
+  });
+
+  test("bad request without a payment method", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+
+    const resp = await request(app)
+        .post(`/orders/${id}/pay`)
+        .send({})
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("refunding the order refunds its payment", async function () {
+    const { body: { order: { id } } } = await placeOrder("u1");
+    await request(app)
+        .post(`/orders/${id}/pay`)
+        .send({ paymentMethod: "pm_card_visa" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+
+    const resp = await request(app)
+        .patch(`/orders/${id}/status`)
+        .send({ status: "refunded" })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const getResp = await request(app)
+        .get(`/orders/${id}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(getResp.body.order).toEqual(expect.objectContaining({
+      status: "refunded", payment_status: "refunded",
+    }));
+  });
+});
+
+/************************************** GET /orders/:id */
+
+describe("GET /orders/:id", function () {
+  test("works for its owner and for fulfillment", async function () {
+    const { body: { order } } = await placeOrder("u1");
+    for (const username of ["u1", "fulfillment"]) {
+      const resp = await request(app)
+          .get(`/orders/${order.id}`)
+          .set("authorization", `Bearer ${tokens[username]}`);
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.order.id).toEqual(order.id);
+    }
+  });
+
+  test("looks missing to another customer", async function () {
+    const { body: { order } } = await placeOrder("u1");
+    const resp = await request(app)
+        .get(`/orders/${order.id}`)
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for anon", async function () {
+    const { body: { order } } = await placeOrder("u1");
+    const resp = await request(app).get(`/orders/${order.id}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /orders */
+
+describe("GET /orders", function () {
+  test("works for fulfillment, filtered by owner", async function () {
+    await placeOrder("u1");
+    await placeOrder("admin");
+
+    const resp = await request(app)
+        .get("/orders?username=u1")
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.orders.map(o => o.username)).toEqual(["u1"]);
+    expect(resp.body.total).toEqual(1);
+  });
+
+  test("forbidden for a customer", async function () {
+    const resp = await request(app)
+        .get("/orders")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** guest checkout */
+
+describe("guest checkout", function () {
+  test("a guest can place an order and look it up again", async function () {
+    const resp = await placeOrder(null, { email: "guest@email.com" });
+    expect(resp.statusCode).toEqual(201);
+    const { order_number, lookup_token } = resp.body.order;
+    expect(lookup_token).toEqual(expect.any(String));
+
+    const lookupResp = await request(app)
+        .get("/orders/lookup")
+        .query({ orderNumber: order_number, token: lookup_token });
+    expect(lookupResp.statusCode).toEqual(200);
+    expect(lookupResp.body.order).toEqual(expect.objectContaining({
+      order_number, guest_email: "guest@email.com",
+    }));
+  });
+
+  test("the lookup token never reaches the audit log", async function () {
+    const resp = await placeOrder(null, { email: "guest@email.com" });
+
+    const auditResp = await request(app)
+        .get("/admin/audit")
+        .query({ action: "order.create" })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(auditResp.body.entries).toHaveLength(1);
+    expect(JSON.stringify(auditResp.body)).not.toContain(resp.body.order.lookup_token);
+  });
+
+  test("bad request for a guest without an email", async function () {
+    const resp = await placeOrder(null);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("lookup: a wrong token is the same 404 as a wrong number", async function () {
+    const { body: { order } } = await placeOrder(null, { email: "guest@email.com" });
+
+    const wrongToken = await request(app)
+        .get("/orders/lookup")
+        .query({ orderNumber: order.order_number, token: "nope" });
+    const wrongNumber = await request(app)
+        .get("/orders/lookup")
+        .query({ orderNumber: "FP-NOPE", token: order.lookup_token });
+    expect(wrongToken.statusCode).toEqual(404);
+    expect(wrongNumber.statusCode).toEqual(404);
+  });
+
+  test("lookup: locks out an order number after repeated failures", async function () {
+    const { body: { order } } = await placeOrder(null, { email: "guest@email.com" });
+    const lookup = phone => request(app)
+        .get("/orders/lookup")
+        .query({ orderNumber: order.order_number, phone });
+
+    expect((await lookup("512-555-1234")).statusCode).toEqual(200);
+    for (let i = 0; i < LOGIN_MAX_FAILURES_PER_USER; i++) {
+      expect((await lookup(`512555000${i}`)).statusCode).toEqual(404);
+    }
+    // Locked out now, even with the right phone number.
+    expect((await lookup("5125551234")).statusCode).toEqual(429);
+
+    const lockoutsResp = await request(app)
+        .get("/admin/lockouts")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(lockoutsResp.body.lockouts).toEqual(expect.arrayContaining([
+      expect.objectContaining({ scope: "order_number", key: order.order_number, locked: true }),
+    ]));
+
+    const clearResp = await request(app)
+        .delete(`/admin/lockouts/order_number/${order.order_number}`)
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(clearResp.statusCode).toEqual(200);
+  });
+
+  test("lookup: bad request with both or neither of token and phone", async function () {
+    let resp = await request(app).get("/orders/lookup?orderNumber=FP-X");
+    expect(resp.statusCode).toEqual(400);
+    resp = await request(app).get("/orders/lookup?orderNumber=FP-X&token=t&phone=5125551234");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** Idempotency-Key */
+
+describe("Idempotency-Key", function () {
+  test("a repeated order is placed once", async function () {
+    const first = await placeOrder("u1").set("Idempotency-Key", "order-1");
+    const repeat = await placeOrder("u1").set("Idempotency-Key", "order-1");
+    expect(repeat.statusCode).toEqual(201);
+    expect(repeat.headers["idempotent-replayed"]).toEqual("true");
+    expect(repeat.body.order.id).toEqual(first.body.order.id);
+
+    const listResp = await request(app)
+        .get("/users/u1/orders")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(listResp.body.orders).toHaveLength(1);
+  });
+
+  test("422 reusing a key for a different order", async function () {
+    await placeOrder("u1").set("Idempotency-Key", "order-1");
+    const resp = await placeOrder("u1", { items: [{ id: testInsectIds[1] }] })
+        .set("Idempotency-Key", "order-1");
+    expect(resp.statusCode).toEqual(422);
+  });
+
+  test("another user's key of the same name is theirs", async function () {
+    const mine = await placeOrder("u1").set("Idempotency-Key", "order-1");
+    const theirs = await placeOrder("admin").set("Idempotency-Key", "order-1");
+    expect(theirs.statusCode).toEqual(201);
+    expect(theirs.headers["idempotent-replayed"]).toBeUndefined();
+    expect(theirs.body.order.id).not.toEqual(mine.body.order.id);
+  });
+
+  test("a replayed guest order has no lookup token", async function () {
+    const first = await placeOrder(null, { email: "guest@email.com" })
+        .set("Idempotency-Key", "order-1");
+    expect(first.body.order.lookup_token).toEqual(expect.any(String));
+
+    const repeat = await placeOrder(null, { email: "guest@email.com" })
+        .set("Idempotency-Key", "order-1");
+    expect(repeat.headers["idempotent-replayed"]).toEqual("true");
+    expect(repeat.body.order.id).toEqual(first.body.order.id);
+    expect(repeat.body.order).not.toHaveProperty("lookup_token");
+  });
+});
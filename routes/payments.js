@@ -0,0 +1,51 @@
+"use strict";
+
+/** Routes for payments. */
+
+const jsonschema = require("jsonschema");
+
+const express = require("express");
+const { BadRequestError } = require("../expressError");
+const { verifyWebhookSignature } = require("../helpers/payments");
+const Payment = require("../models/payment");
+const paymentWebhookSchema = require("../schemas/paymentWebhook.json");
+
+const router = express.Router();
+
+
+/** POST /webhook { id, type, data: { payment_id, failure_reason } }
+ *   => { received: true, duplicate, applied }
+ *
+ * Where the payment provider reports what happened to a payment (types
+ * payment.authorized, payment.succeeded, payment.failed, payment.refunded).
+ * The Payment-Signature header must be a valid HMAC of the raw body (see
+ * helpers/payments.js).
+ *
+ * Safe to deliver more than once: an event id that's already been handled
+ * returns duplicate: true and changes nothing. An event for a payment that
+ * isn't on record yet gets a 404 and isn't recorded, so the provider
+ * delivers it again later.
+ *
+ * Authorization required: a valid signature
+ */
+
+router.post("/webhook", async function (req, res, next) {
+  try {
+    if (!verifyWebhookSignature(req.rawBody, req.get("Payment-Signature"))) {
+      throw new BadRequestError("Invalid webhook signature");
+    }
+
+    const validator = jsonschema.validate(req.body, paymentWebhookSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { duplicate, applied } = await Payment.handleEvent(req.body);
+    return res.json({ received: true, duplicate, applied });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const { signWebhook } = require("../helpers/payments");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Place and pay for an order as u1; return the order id and payment. */
+
+async function paidOrder() {
+  const { body: { order } } = await request(app)
+      .post("/orders")
+      .send({
+        address: {
+          name: "Ann Lee",
+          line1: "1 Main St",
+          city: "Austin",
+          region: "TX",
+          postal_code: "78701",
+          phone: "5125551234",
+        },
+        items: [{ id: testInsectIds[0] }],
+        shipping_method: "local_pickup",
+      })
+      .set("authorization", `Bearer ${tokens.u1}`);
+  const { body: { payment } } = await request(app)
+      .post(`/orders/${order.id}/pay`)
+      .send({ paymentMethod: "pm_card_visa" })
+      .set("authorization", `Bearer ${tokens.u1}`);
+  return { orderId: order.id, payment };
+}
+
+/** POST /payments/webhook with event, signed unless told otherwise. */
+
+function deliver(event, { signature } = {}) {
+  const body = JSON.stringify(event);
+  return request(app)
+      .post("/payments/webhook")
+      .set("content-type", "application/json")
+      .set("payment-signature", signature === undefined ? signWebhook(body) : signature)
+      .send(body);
+}
+
+/************************************** POST /payments/webhook */
+
+describe("POST /payments/webhook", function () {
+  test("works: applies a refund once, refunding the order", async function () {
+    const { orderId, payment } = await paidOrder();
+    const event = {
+      id: "evt_1",
+      type: "payment.refunded",
+      data: { payment_id: payment.provider_payment_id },
+    };
+
+    const resp = await deliver(event);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ received: true, duplicate: false, applied: true });
+
+    const again = await deliver(event);
+    expect(again.body).toEqual({ received: true, duplicate: true, applied: false });
+
+    const orderResp = await request(app)
+        .get(`/orders/${orderId}`)
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(orderResp.body.order).toEqual(expect.objectContaining({
+      status: "refunded", payment_status: "refunded",
+    }));
+  });
+
+  test("bad request with a bad or missing signature", async function () {
+    const { payment } = await paidOrder();
+    const event = {
+      id: "evt_1",
+      type: "payment.refunded",
+      data: { payment_id: payment.provider_payment_id },
+    };
+
+    let resp = await deliver(event, { signature: signWebhook("{}") });
+    expect(resp.statusCode).toEqual(400);
+    resp = await deliver(event, { signature: "" });
+    expect(resp.statusCode).toEqual(400);
+    resp = await deliver(event, {
+      signature: signWebhook(JSON.stringify(event), { timestamp: 1000 }),
+    });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("checks the signature against the body exactly as sent", async function () {
+    const { payment } = await paidOrder();
+    const event = {
+      id: "evt_1",
+      type: "payment.refunded",
+      data: { payment_id: payment.provider_payment_id },
+    };
+    const spaced = JSON.stringify(event, null, 2);
+
+    const post = signature => request(app)
+        .post("/payments/webhook")
+        .set("content-type", "application/json")
+        .set("payment-signature", signature)
+        .send(spaced);
+    // Signed as parsed and re-serialized, it's not what was sent.
+    expect((await post(signWebhook(JSON.stringify(event)))).statusCode).toEqual(400);
+    expect((await post(signWebhook(spaced))).statusCode).toEqual(200);
+  });
+
+  test("not found for a payment not on record yet", async function () {
+    const resp = await deliver({
+      id: "evt_early", type: "payment.succeeded", data: { payment_id: "pi_unknown" },
+    });
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with an invalid event", async function () {
+    const resp = await deliver({ id: "evt_1" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
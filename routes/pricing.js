@@ -0,0 +1,194 @@
+"use strict";
+
+/** Routes for the tax and shipping rules used to price orders. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { requirePermission } = require("../middleware/auth");
+const TaxRule = require("../models/taxRule");
+const ShippingRule = require("../models/shippingRule");
+
+const taxRuleNewSchema = require("../schemas/taxRuleNew.json");
+const taxRuleUpdateSchema = require("../schemas/taxRuleUpdate.json");
+const shippingRuleNewSchema = require("../schemas/shippingRuleNew.json");
+const shippingRuleUpdateSchema = require("../schemas/shippingRuleUpdate.json");
+
+const router = new express.Router();
+
+
+/** GET /tax-rules => { taxRules: [{ id, region, rate, tax_shipping, description }, ...] }
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.get("/tax-rules", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    const taxRules = await TaxRule.findAll();
+    return res.json({ taxRules });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /tax-rules { region, rate, tax_shipping, description } => { taxRule }
+ *
+ * rate is a fraction (0.0825 for 8.25%). Use region "*" for the rule applied
+ * when a destination has no rule of its own.
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.post("/tax-rules", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, taxRuleNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const taxRule = await TaxRule.create(req.body);
+    return res.status(201).json({ taxRule });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /tax-rules/[id] => { taxRule }
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.get("/tax-rules/:id", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    const taxRule = await TaxRule.get(req.params.id);
+    return res.json({ taxRule });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /tax-rules/[id] { rate, tax_shipping, description } => { taxRule }
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.patch("/tax-rules/:id", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, taxRuleUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const taxRule = await TaxRule.update(req.params.id, req.body);
+    return res.json({ taxRule });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /tax-rules/[id] => { deleted: id }
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.delete("/tax-rules/:id", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    await TaxRule.remove(req.params.id);
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /shipping-rules =>
+ *   { shippingRules: [{ id, name, kind, region, fee, per_kg_fee, min_subtotal, active }, ...] }
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.get("/shipping-rules", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    const shippingRules = await ShippingRule.findAll();
+    return res.json({ shippingRules });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /shipping-rules { name, kind, region, fee, per_kg_fee, min_subtotal, active }
+ *   => { shippingRule }
+ *
+ * kind is "flat", "weight" or "free_over" (which needs min_subtotal).
+ * Leave region out for a rule that applies everywhere.
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.post("/shipping-rules", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, shippingRuleNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const shippingRule = await ShippingRule.create(req.body);
+    return res.status(201).json({ shippingRule });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /shipping-rules/[id] => { shippingRule }
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.get("/shipping-rules/:id", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    const shippingRule = await ShippingRule.get(req.params.id);
+    return res.json({ shippingRule });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /shipping-rules/[id] { fld1, fld2, ... } => { shippingRule }
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.patch("/shipping-rules/:id", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, shippingRuleUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const shippingRule = await ShippingRule.update(req.params.id, req.body);
+    return res.json({ shippingRule });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /shipping-rules/[id] => { deleted: id }
+ *
+ * Authorization required: pricing:manage permission
+ */
+
+router.delete("/shipping-rules/:id", requirePermission("pricing:manage"), async function (req, res, next) {
+  try {
+    await ShippingRule.remove(req.params.id);
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
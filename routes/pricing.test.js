@@ -0,0 +1,78 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /pricing/tax-rules */
+
+describe("POST /pricing/tax-rules", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post("/pricing/tax-rules")
+        .send({ region: "TX", rate: 0.0825 })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.taxRule).toEqual(expect.objectContaining({ region: "TX", rate: "0.0825" }));
+  });
+
+  test("forbidden without pricing:manage", async function () {
+    const resp = await request(app)
+        .post("/pricing/tax-rules")
+        .send({ region: "TX", rate: 0.0825 })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with a rate of 1 or more", async function () {
+    const resp = await request(app)
+        .post("/pricing/tax-rules")
+        .send({ region: "TX", rate: 1 })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** rules applied to orders */
+
+describe("rules applied to orders", function () {
+  test("an order pays its region's tax and shipping", async function () {
+    await request(app)
+        .post("/pricing/tax-rules")
+        .send({ region: "TX", rate: 0.0825, tax_shipping: true })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    await request(app)
+        .post("/pricing/shipping-rules")
+        .send({ name: "Texas", kind: "flat", region: "TX", fee: 5 })
+        .set("authorization", `Bearer ${tokens.admin}`);
+
+    const resp = await request(app)
+        .post("/orders")
+        .send({
+          address: {
+            name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+            postal_code: "78701", phone: "5125551234",
+          },
+          items: [{ id: testInsectIds[0], quantity: 2 }],
+          shipping_method: "two_day",
+        })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    // 20.00 + (5.00 + 12.99 shipping) + 8.25% of 37.99
+    expect(resp.body.order).toEqual(expect.objectContaining({
+      subtotal: "20.00", shipping: "17.99", tax: "3.13", total: "41.12",
+    }));
+  });
+});
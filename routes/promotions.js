@@ -0,0 +1,114 @@
+"use strict";
+
+/** Routes for promotions (discount codes). */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { requirePermission } = require("../middleware/auth");
+const Promotion = require("../models/promotion");
+
+const promotionNewSchema = require("../schemas/promotionNew.json");
+const promotionUpdateSchema = require("../schemas/promotionUpdate.json");
+
+const router = new express.Router();
+
+
+/** POST / { promotion } => { promotion }
+ *
+ * promotion should be { code, discount_type, discount_value } and can also
+ * include { description, min_subtotal, insect_ids, category_ids, starts_at,
+ * ends_at, max_uses, max_uses_per_user, active }
+ *
+ * discount_type is "percent" (discount_value is 0-100) or "fixed" (dollars).
+ * insect_ids / category_ids limit the discount to those insects / insects in
+ * those categories.
+ *
+ * Authorization required: promotions:manage permission
+ */
+
+router.post("/", requirePermission("promotions:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, promotionNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const promotion = await Promotion.create(req.body);
+    return res.status(201).json({ promotion });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET / => { promotions: [ { id, code, ..., times_used }, ...] }
+ *
+ * Authorization required: promotions:manage permission
+ */
+
+router.get("/", requirePermission("promotions:manage"), async function (req, res, next) {
+  try {
+    const promotions = await Promotion.findAll();
+    return res.json({ promotions });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id] => { promotion }
+ *
+ * promotion is { id, code, ..., redemptions }
+ *   where redemptions is [{ order_id, user_id, discount, redeemed_at }, ...]
+ *
+ * Authorization required: promotions:manage permission
+ */
+
+router.get("/:id", requirePermission("promotions:manage"), async function (req, res, next) {
+  try {
+    const promotion = await Promotion.get(req.params.id);
+    return res.json({ promotion });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id] { fld1, fld2, ... } => { promotion }
+ *
+ * Any field but code can be changed; send null to remove a limit.
+ *
+ * Authorization required: promotions:manage permission
+ */
+
+router.patch("/:id", requirePermission("promotions:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, promotionUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const promotion = await Promotion.update(req.params.id, req.body);
+    return res.json({ promotion });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id] => { deleted: id }
+ *
+ * Authorization required: promotions:manage permission
+ */
+
+router.delete("/:id", requirePermission("promotions:manage"), async function (req, res, next) {
+  try {
+    await Promotion.remove(req.params.id);
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
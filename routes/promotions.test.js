@@ -0,0 +1,72 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /promotions */
+
+describe("POST /promotions", function () {
+  const newPromotion = { code: "SPRING10", discount_type: "percent", discount_value: 10 };
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post("/promotions")
+        .send(newPromotion)
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.promotion).toEqual(expect.objectContaining({ code: "SPRING10" }));
+  });
+
+  test("forbidden without promotions:manage", async function () {
+    const resp = await request(app)
+        .post("/promotions")
+        .send(newPromotion)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with a bad discount type", async function () {
+    const resp = await request(app)
+        .post("/promotions")
+        .send({ ...newPromotion, discount_type: "bogo" })
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /promotions */
+
+describe("GET /promotions", function () {
+  test("counts uses", async function () {
+    await request(app)
+        .post("/promotions")
+        .send({ code: "SPRING10", discount_type: "percent", discount_value: 10 })
+        .set("authorization", `Bearer ${tokens.admin}`);
+
+    const resp = await request(app)
+        .get("/promotions")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.promotions).toEqual([
+      expect.objectContaining({ code: "SPRING10", times_used: 0 }),
+    ]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/promotions");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
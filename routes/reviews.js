@@ -0,0 +1,127 @@
+"use strict";
+
+/** Routes for an insect's reviews, mounted at /insects/:id/reviews. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensureLoggedIn, requirePermission } = require("../middleware/auth");
+const { hasPermissions } = require("../helpers/permissions");
+const Review = require("../models/review");
+
+const reviewNewSchema = require("../schemas/reviewNew.json");
+const reviewUpdateSchema = require("../schemas/reviewUpdate.json");
+const reviewModerateSchema = require("../schemas/reviewModerate.json");
+
+const router = express.Router({ mergeParams: true });
+
+
+/** GET / => { reviews: [ { id, insect_id, username, rating, body, status,
+ *                          created_at, updated_at }, ...] }
+ *
+ * Newest first. Hidden reviews are only listed for users with the
+ * reviews:moderate permission.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const includeHidden = hasPermissions(res.locals.user, ["reviews:moderate"]);
+    const reviews = await Review.findForInsect(req.params.id, { includeHidden });
+    return res.json({ reviews });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST / { rating, body } => { review }
+ *
+ * rating is 1-5. Only users with a paid order containing the insect can
+ * review it, and only once.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, reviewNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const review = await Review.create(
+        req.params.id, res.locals.user.username, req.body);
+    return res.status(201).json({ review });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[reviewId] { rating, body } => { review }
+ *
+ * Authorization required: the review's author
+ */
+
+router.patch("/:reviewId", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, reviewUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const review = await Review.update(
+        req.params.id, req.params.reviewId, res.locals.user.username, req.body);
+    return res.json({ review });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[reviewId]/moderation { status } => { review }
+ *
+ * status is "visible", "flagged" or "hidden". Hidden reviews stop counting
+ * towards the insect's rating.
+ *
+ * Authorization required: reviews:moderate permission
+ */
+
+router.patch("/:reviewId/moderation", requirePermission("reviews:moderate"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, reviewModerateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const review = await Review.moderate(
+        req.params.id, req.params.reviewId, req.body.status);
+    return res.json({ review });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[reviewId] => { deleted: reviewId }
+ *
+ * Authorization required: the review's author or reviews:moderate permission
+ */
+
+router.delete("/:reviewId", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const user = res.locals.user;
+    await Review.remove(req.params.id, req.params.reviewId, {
+      username: user.username,
+      isModerator: hasPermissions(user, ["reviews:moderate"]),
+    });
+    return res.json({ deleted: +req.params.reviewId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
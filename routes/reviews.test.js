@@ -0,0 +1,112 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const Order = require("../models/order");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Give u1 a paid order of insect i1, and return the reviews URL for i1. */
+
+async function u1BoughtI1() {
+  const order = await Order.create({
+    address: {
+      name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+      postal_code: "78701", phone: "5125551234",
+    },
+    items: [{ id: testInsectIds[0] }],
+    shipping_method: "local_pickup",
+    username: "u1",
+  });
+  await Order.updateStatus(order.id, { status: "paid" });
+  return `/insects/${testInsectIds[0]}/reviews`;
+}
+
+/************************************** POST /insects/:id/reviews */
+
+describe("POST /insects/:id/reviews", function () {
+  test("works for a customer who bought it", async function () {
+    const url = await u1BoughtI1();
+    const resp = await request(app)
+        .post(url)
+        .send({ rating: 5, body: "Great" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.review).toEqual(expect.objectContaining({ username: "u1", rating: 5 }));
+  });
+
+  test("forbidden for a customer who didn't", async function () {
+    const url = await u1BoughtI1();
+    const resp = await request(app)
+        .post(url)
+        .send({ rating: 5 })
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with a rating out of range", async function () {
+    const url = await u1BoughtI1();
+    const resp = await request(app)
+        .post(url)
+        .send({ rating: 6 })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const url = await u1BoughtI1();
+    const resp = await request(app).post(url).send({ rating: 5 });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** moderation */
+
+describe("PATCH /insects/:id/reviews/:reviewId/moderation", function () {
+  test("a moderator can hide a review; anon no longer sees it", async function () {
+    const url = await u1BoughtI1();
+    const { body: { review } } = await request(app)
+        .post(url)
+        .send({ rating: 1 })
+        .set("authorization", `Bearer ${tokens.u1}`);
+
+    const resp = await request(app)
+        .patch(`${url}/${review.id}/moderation`)
+        .send({ status: "hidden" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const anonResp = await request(app).get(url);
+    expect(anonResp.body.reviews).toEqual([]);
+    const moderatorResp = await request(app)
+        .get(url)
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(moderatorResp.body.reviews.map(r => r.id)).toEqual([review.id]);
+  });
+
+  test("forbidden for the author", async function () {
+    const url = await u1BoughtI1();
+    const { body: { review } } = await request(app)
+        .post(url)
+        .send({ rating: 1 })
+        .set("authorization", `Bearer ${tokens.u1}`);
+
+    const resp = await request(app)
+        .patch(`${url}/${review.id}/moderation`)
+        .send({ status: "visible" })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
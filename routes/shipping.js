@@ -0,0 +1,187 @@
+"use strict";
+
+/** Routes for shipping methods, blackout dates and delivery quotes. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { requirePermission } = require("../middleware/auth");
+const { withTransaction } = require("../helpers/transaction");
+const ShippingMethod = require("../models/shippingMethod");
+const AuditLog = require("../models/auditLog");
+
+const shippingMethodUpdateSchema = require("../schemas/shippingMethodUpdate.json");
+const shippingBlackoutNewSchema = require("../schemas/shippingBlackoutNew.json");
+const shippingQuoteSchema = require("../schemas/shippingQuote.json");
+
+const router = new express.Router();
+
+
+/** GET /quote?items=12:2,7&region=TX => { quotes: [ { code, name, kind,
+ *     available, shipping, ship_date, delivery_window_start,
+ *     delivery_window_end }, ...] }
+ *
+ * What each shipping method would cost and when it would arrive if these
+ * insects were ordered now. items is a comma-separated list of insect ids,
+ * each optionally followed by ":quantity". region is the destination's
+ * region, for regional shipping fees.
+ *
+ * A method is unavailable (available false, dates null) if some insect
+ * can't travel by it, or it has no safe ship date coming up: live insects
+ * only ship when no day in transit falls on a weekend or blackout date.
+ *
+ * Authorization required: none
+ */
+
+router.get("/quote", async function (req, res, next) {
+  const q = { ...req.query };
+  // "12:2,7" => [{ id: 12, quantity: 2 }, { id: 7 }]
+  if (typeof q.items === "string") {
+    q.items = q.items.split(",").map((item) => {
+      const [id, quantity] = item.split(":");
+      return quantity === undefined ? { id: +id } : { id: +id, quantity: +quantity };
+    });
+  }
+
+  try {
+    const validator = jsonschema.validate(q, shippingQuoteSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const quotes = await ShippingMethod.quote(q);
+    return res.json({ quotes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /methods =>
+ *   { methods: [{ code, name, kind, rate, transit_days, ship_days, active }, ...] }
+ *
+ * The shipping methods customers can choose, cheapest first. ship_days are
+ * ISO weekdays (1 = Monday).
+ *
+ * Authorization required: none
+ */
+
+router.get("/methods", async function (req, res, next) {
+  try {
+    const methods = await ShippingMethod.findAll({ active: true });
+    return res.json({ methods });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /methods/[code] { name, rate, transit_days, ship_days, active }
+ *   => { method }
+ *
+ * Authorization required: shipping:manage permission
+ */
+
+router.patch("/methods/:code", requirePermission("shipping:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, shippingMethodUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const method = await withTransaction(async (client) => {
+      const before = await ShippingMethod.get(req.params.code, client);
+      const method = await ShippingMethod.update(req.params.code, req.body, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "shipping_method.update",
+        entityType: "shipping_method",
+        entityId: method.code,
+        before,
+        after: method,
+      }, client);
+      return method;
+    });
+    return res.json({ method });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /blackout-dates => { blackoutDates: [{ id, date, method_code, reason }, ...] }
+ *
+ * Upcoming blackout dates, soonest first. A null method_code applies to
+ * every method.
+ *
+ * Authorization required: shipping:manage permission
+ */
+
+router.get("/blackout-dates", requirePermission("shipping:manage"), async function (req, res, next) {
+  try {
+    const blackoutDates = await ShippingMethod.findBlackoutDates();
+    return res.json({ blackoutDates });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /blackout-dates { date, method_code, reason } => { blackoutDate }
+ *
+ * A day nothing (or, with method_code, nothing by that method) ships or is
+ * in transit: a carrier holiday, a heat wave, a cold snap. Orders already
+ * placed keep their dates.
+ *
+ * Authorization required: shipping:manage permission
+ */
+
+router.post("/blackout-dates", requirePermission("shipping:manage"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, shippingBlackoutNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const blackoutDate = await withTransaction(async (client) => {
+      const blackoutDate = await ShippingMethod.addBlackoutDate(req.body, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "shipping_blackout_date.create",
+        entityType: "shipping_blackout_date",
+        entityId: blackoutDate.id,
+        after: blackoutDate,
+      }, client);
+      return blackoutDate;
+    });
+    return res.status(201).json({ blackoutDate });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /blackout-dates/[id] => { deleted: id }
+ *
+ * Authorization required: shipping:manage permission
+ */
+
+router.delete("/blackout-dates/:id", requirePermission("shipping:manage"), async function (req, res, next) {
+  try {
+    await withTransaction(async (client) => {
+      const before = await ShippingMethod.removeBlackoutDate(req.params.id, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "shipping_blackout_date.delete",
+        entityType: "shipping_blackout_date",
+        entityId: before.id,
+        before,
+      }, client);
+    });
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,184 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** The audit log entries for action, as admin sees them. */
+
+async function auditEntries(action) {
+  const resp = await request(app)
+      .get(`/admin/audit?action=${action}`)
+      .set("authorization", `Bearer ${tokens.admin}`);
+  return resp.body.entries;
+}
+
+/************************************** GET /shipping/quote */
+
+describe("GET /shipping/quote", function () {
+  test("works for anon", async function () {
+    const resp = await request(app)
+        .get(`/shipping/quote?items=${testInsectIds[0]}:2,${testInsectIds[1]}&region=TX`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.quotes.map(q => q.code)).toEqual(["local_pickup", "two_day", "overnight"]);
+    for (const quote of resp.body.quotes) {
+      expect(quote.available).toEqual(true);
+      expect(quote.ship_date <= quote.delivery_window_start).toEqual(true);
+      expect(quote.delivery_window_start <= quote.delivery_window_end).toEqual(true);
+    }
+    expect(resp.body.quotes[0].shipping).toEqual(0);
+  });
+
+  test("bad request without items, or with bad ones", async function () {
+    let resp = await request(app).get("/shipping/quote");
+    expect(resp.statusCode).toEqual(400);
+    resp = await request(app).get("/shipping/quote?items=abc");
+    expect(resp.statusCode).toEqual(400);
+    resp = await request(app).get(`/shipping/quote?items=${testInsectIds[0]}:0`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for an unknown insect", async function () {
+    const resp = await request(app).get("/shipping/quote?items=0");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /shipping/methods */
+
+describe("GET /shipping/methods", function () {
+  test("works for anon: active methods only", async function () {
+    await request(app)
+        .patch("/shipping/methods/overnight")
+        .send({ active: false })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+
+    const resp = await request(app).get("/shipping/methods");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.methods.map(m => m.code)).toEqual(["local_pickup", "two_day"]);
+  });
+});
+
+/************************************** PATCH /shipping/methods/:code */
+
+describe("PATCH /shipping/methods/:code", function () {
+  test("works for fulfillment, and is audited", async function () {
+    const resp = await request(app)
+        .patch("/shipping/methods/two_day")
+        .send({ rate: 9.99, ship_days: [1, 2] })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.method).toEqual(expect.objectContaining({
+      code: "two_day", rate: "9.99", ship_days: [1, 2],
+    }));
+
+    expect(await auditEntries("shipping_method.update")).toEqual([expect.objectContaining({
+      actor: "fulfillment",
+      entity_id: "two_day",
+      before: expect.objectContaining({ rate: "12.99" }),
+      after: expect.objectContaining({ rate: "9.99" }),
+    })]);
+  });
+
+  test("forbidden without shipping:manage", async function () {
+    for (const username of ["u1", "catalog"]) {
+      const resp = await request(app)
+          .patch("/shipping/methods/two_day")
+          .send({ rate: 0 })
+          .set("authorization", `Bearer ${tokens[username]}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .patch("/shipping/methods/two_day")
+        .send({ ship_days: [8] })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such method", async function () {
+    const resp = await request(app)
+        .patch("/shipping/methods/nope")
+        .send({ rate: 1 })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /shipping/blackout-dates */
+
+describe("/shipping/blackout-dates", function () {
+  test("add, list and delete, audited", async function () {
+    const postResp = await request(app)
+        .post("/shipping/blackout-dates")
+        .send({ date: "2099-07-04", reason: "Holiday" })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(postResp.statusCode).toEqual(201);
+    const { blackoutDate } = postResp.body;
+    expect(blackoutDate).toEqual({
+      id: expect.any(Number), date: "2099-07-04", method_code: null, reason: "Holiday",
+    });
+
+    const listResp = await request(app)
+        .get("/shipping/blackout-dates")
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(listResp.body).toEqual({ blackoutDates: [blackoutDate] });
+
+    const deleteResp = await request(app)
+        .delete(`/shipping/blackout-dates/${blackoutDate.id}`)
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(deleteResp.body).toEqual({ deleted: blackoutDate.id });
+
+    expect(await auditEntries("shipping_blackout_date.create")).toHaveLength(1);
+    expect(await auditEntries("shipping_blackout_date.delete")).toEqual([
+      expect.objectContaining({ actor: "fulfillment", entity_id: String(blackoutDate.id) }),
+    ]);
+  });
+
+  test("bad request for an unknown method or a bad date", async function () {
+    let resp = await request(app)
+        .post("/shipping/blackout-dates")
+        .send({ date: "2099-07-04", method_code: "nope" })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(400);
+    resp = await request(app)
+        .post("/shipping/blackout-dates")
+        .send({ date: "July 4th" })
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden without shipping:manage", async function () {
+    let resp = await request(app)
+        .get("/shipping/blackout-dates")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+    resp = await request(app)
+        .post("/shipping/blackout-dates")
+        .send({ date: "2099-07-04" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found deleting one that doesn't exist", async function () {
+    const resp = await request(app)
+        .delete("/shipping/blackout-dates/0")
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -5,29 +5,37 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureCorrectUserOrAdmin, ensureAdmin } = require("../middleware/auth");
+const {
+  requirePermission,
+  requireSelfOrPermission,
+} = require("../middleware/auth");
 const { BadRequestError } = require("../expressError");
+const { withTransaction } = require("../helpers/transaction");
 const User = require("../models/user");
-const { createToken } = require("../helpers/tokens");
+const AuditLog = require("../models/auditLog");
+const Order = require("../models/order");
+const Session = require("../models/session");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userSearchSchema = require("../schemas/userSearch.json");
+const orderSearchSchema = require("../schemas/orderSearch.json");
 
 const router = express.Router();
 
 
-/** POST / { user }  => { user, token }
+/** POST / { user }  => { user, token, refreshToken }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
  * only for admin users to add new users. The new user being added can be an
  * admin.
  *
- * This returns the newly created user and an authentication token for them:
- *  {user: { username, password, email, isAdmin, orders }, token }
+ * This returns the newly created user and a session's tokens for them:
+ *  {user: { username, password, email, isAdmin, roles }, token, refreshToken }
  *
- * Authorization required: admin
+ * Authorization required: users:create permission
  **/
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requirePermission("users:create"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userNewSchema);
     if (!validator.valid) {
@@ -35,26 +43,51 @@ router.post("/", ensureAdmin, async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const user = await User.register(req.body);
-    const token = createToken(user);
-    return res.status(201).json({ user, token });
+    const user = await withTransaction(async (client) => {
+      const user = await User.register(req.body, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "user.create",
+        entityType: "user",
+        entityId: user.username,
+        after: user,
+      }, client);
+      return user;
+    });
+    const { token, refreshToken } = await Session.start(user);
+    return res.status(201).json({ user, token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** GET / => { users: [ { username, password, email, isAdmin, orders }, ... ] }
+/** GET / => { users: [ { username, password, email, isAdmin, roles }, ... ],
+ *             total, next, prev }
  *
- * Returns list of all users.
+ * Returns a page of users.
  *
- * Authorization required: admin
+ * Paging: sort (username or email; "-" prefix for descending), limit
+ * (default 50, max 100), and after / before set to the next / prev cursor
+ * of an earlier response.
+ *
+ * Authorization required: users:read permission
  **/
 
-router.get("/", ensureAdmin, async function (req, res, next) {
+router.get("/", requirePermission("users:read"), async function (req, res, next) {
+  const q = req.query;
+  // arrive as strings from querystring, but we want as int
+  if (q.limit !== undefined) q.limit = +q.limit;
+
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const validator = jsonschema.validate(q, userSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { users, ...page } = await User.findAll(q);
+    return res.json({ users, ...page });
   } catch (err) {
     return next(err);
   }
@@ -63,15 +96,14 @@ router.get("/", ensureAdmin, async function (req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, password, email, isAdmin, orders }
- *   where orders is [{ id, phone, delivery_address, submit_time, items, user_order_id }, ...]
+ * Returns { username, password, email, isAdmin, roles, orders }
+ *   where orders is [{ id, submit_time, total, status }, ...], newest first
  *
- * Authorization required: admin or same user-as-:username
+ * Authorization required: same-user-as-:username or users:read permission
  **/
 
-router.get("/:username", async function (req, res, next) {
+router.get("/:username", requireSelfOrPermission("users:read"), async function (req, res, next) {
   try {
-    console.log("USERNAME: ",req.params.username);
     const user = await User.get(req.params.username);
     return res.json({ user });
   } catch (err) {
@@ -80,6 +112,49 @@ router.get("/:username", async function (req, res, next) {
 });
 
 
+/** GET /[username]/orders => { orders: [ { id, phone, delivery_address,
+ *                                        shipping_address, region,
+ *                                        submit_time, subtotal, promo_code,
+ *                                        discount, tax, shipping, total,
+ *                                        status, payment_status,
+ *                                        order_number, username }, ...],
+ *                              total, next, prev }
+ *
+ * The user's order history, newest first by default. Takes the same filters
+ * and paging as GET /orders (minTotal, maxTotal, status, sort, limit, after,
+ * before).
+ *
+ * Authorization required: same-user-as-:username or orders:read permission
+ **/
+
+router.get("/:username/orders", requireSelfOrPermission("orders:read"), async function (req, res, next) {
+  const q = req.query;
+  // arrive as strings from querystring, but we want as int
+  if (q.minTotal !== undefined) q.minTotal = +q.minTotal;
+  if (q.maxTotal !== undefined) q.maxTotal = +q.maxTotal;
+  if (q.limit !== undefined) q.limit = +q.limit;
+
+  try {
+    const validator = jsonschema.validate(q, orderSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    // 404 for unknown users rather than an empty list
+    await User.get(req.params.username);
+    const { orders, ...page } = await Order.findAll({
+      sort: "-submit_time",
+      ...q,
+      username: req.params.username,
+    });
+    return res.json({ orders, ...page });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
@@ -87,10 +162,10 @@ router.get("/:username", async function (req, res, next) {
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
- * Authorization required: admin or same-user-as-:username
+ * Authorization required: same-user-as-:username or users:update permission
  **/
 
-router.patch("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.patch("/:username", requireSelfOrPermission("users:update"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userUpdateSchema);
     if (!validator.valid) {
@@ -98,7 +173,20 @@ router.patch("/:username", ensureCorrectUserOrAdmin, async function (req, res, n
       throw new BadRequestError(errs);
     }
 
-    const user = await User.update(req.params.username, req.body);
+    const user = await withTransaction(async (client) => {
+      const before = await User.get(req.params.username, client);
+      const user = await User.update(req.params.username, req.body, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "user.update",
+        entityType: "user",
+        entityId: req.params.username,
+        before,
+        // the password itself is never logged, only that it changed
+        after: req.body.password ? { ...user, password_changed: true } : user,
+      }, client);
+      return user;
+    });
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -108,12 +196,22 @@ router.patch("/:username", ensureCorrectUserOrAdmin, async function (req, res, n
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: admin or same-user-as-:username
+ * Authorization required: same-user-as-:username or users:delete permission
  **/
 
-router.delete("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.delete("/:username", requireSelfOrPermission("users:delete"), async function (req, res, next) {
   try {
-    await User.remove(req.params.username);
+    await withTransaction(async (client) => {
+      const before = await User.get(req.params.username, client);
+      await User.remove(req.params.username, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "user.delete",
+        entityType: "user",
+        entityId: req.params.username,
+        before,
+      }, client);
+    });
     return res.json({ deleted: req.params.username });
   } catch (err) {
     return next(err);
@@ -121,18 +219,59 @@ router.delete("/:username", ensureCorrectUserOrAdmin, async function (req, res,
 });
 
 
-/** POST /[username]/jobs/[id]  { state } => { application }
+/** POST /[username]/roles/[role]  =>  { user: { username, roles } }
  *
- * Returns {"applied": jobId}
+ * Gives the user a role: one of customer, fulfillment, catalog_manager or
+ * admin (see helpers/permissions.js for what each may do).
  *
- * Authorization required: admin or same-user-as-:username
- * */
+ * Authorization required: users:assign-roles permission
+ **/
 
-router.post("/:username/jobs/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+router.post("/:username/roles/:role", requirePermission("users:assign-roles"), async function (req, res, next) {
   try {
-    const jobId = +req.params.id;
-    await User.applyToJob(req.params.username, jobId);
-    return res.json({ applied: jobId });
+    const user = await withTransaction(async (client) => {
+      const before = await User.get(req.params.username, client);
+      const user = await User.addRole(req.params.username, req.params.role, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "user.role.add",
+        entityType: "user",
+        entityId: req.params.username,
+        before,
+        after: user,
+      }, client);
+      return user;
+    });
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/roles/[role]  =>  { user: { username, roles } }
+ *
+ * Takes a role away from the user.
+ *
+ * Authorization required: users:assign-roles permission
+ **/
+
+router.delete("/:username/roles/:role", requirePermission("users:assign-roles"), async function (req, res, next) {
+  try {
+    const user = await withTransaction(async (client) => {
+      const before = await User.get(req.params.username, client);
+      const user = await User.removeRole(req.params.username, req.params.role, client);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: "user.role.remove",
+        entityType: "user",
+        entityId: req.params.username,
+        before,
+        after: user,
+      }, client);
+      return user;
+    });
+    return res.json({ user });
   } catch (err) {
     return next(err);
   }
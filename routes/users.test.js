@@ -0,0 +1,173 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testInsectIds,
+  tokens,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /users/:username/roles/:role */
+
+describe("POST /users/:username/roles/:role", function () {
+  test("works for admin, and applies to the user's current token", async function () {
+    const before = await request(app)
+        .get("/orders")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(before.statusCode).toEqual(403);
+
+    const resp = await request(app)
+        .post("/users/u1/roles/fulfillment")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body).toEqual({ user: { username: "u1", roles: ["customer", "fulfillment"] } });
+
+    const after = await request(app)
+        .get("/orders")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(after.statusCode).toEqual(200);
+  });
+
+  test("bad request with an unknown role", async function () {
+    const resp = await request(app)
+        .post("/users/u1/roles/wizard")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden without users:assign-roles", async function () {
+    const resp = await request(app)
+        .post("/users/u1/roles/admin")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** DELETE /users/:username/roles/:role */
+
+describe("DELETE /users/:username/roles/:role", function () {
+  test("works for admin, and applies to the user's current token", async function () {
+    const resp = await request(app)
+        .delete("/users/catalog/roles/catalog_manager")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.body).toEqual({ user: { username: "catalog", roles: ["customer"] } });
+
+    const after = await request(app)
+        .post("/categories")
+        .send({ slug: "beetles", name: "Beetles" })
+        .set("authorization", `Bearer ${tokens.catalog}`);
+    expect(after.statusCode).toEqual(403);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .delete("/users/nope/roles/admin")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username */
+
+describe("GET /users/:username", function () {
+  test("works for the same user", async function () {
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user.username).toEqual("u1");
+  });
+
+  test("forbidden for another customer", async function () {
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /users/:username/orders */
+
+describe("GET /users/:username/orders", function () {
+  /** POST /orders for u1 of `quantity` x insect i1, by local pickup. */
+
+  async function u1Orders(quantity) {
+    const resp = await request(app)
+        .post("/orders")
+        .send({
+          address: {
+            name: "Ann Lee", line1: "1 Main St", city: "Austin", region: "TX",
+            postal_code: "78701", phone: "5125551234",
+          },
+          items: [{ id: testInsectIds[0], quantity }],
+          shipping_method: "local_pickup",
+        })
+        .set("authorization", `Bearer ${tokens.u1}`);
+    return resp.body.order;
+  }
+
+  test("works for the user: their orders only, newest first", async function () {
+    const older = await u1Orders(1);
+    const newer = await u1Orders(2);
+    await request(app)
+        .post("/orders")
+        .send({
+          address: {
+            name: "Bo Lee", line1: "2 Main St", city: "Austin", region: "TX",
+            postal_code: "78701", phone: "5125551234",
+          },
+          items: [{ id: testInsectIds[0] }],
+          shipping_method: "local_pickup",
+        })
+        .set("authorization", `Bearer ${tokens.admin}`);
+
+    const resp = await request(app)
+        .get("/users/u1/orders")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.orders.map(o => o.id)).toEqual([newer.id, older.id]);
+    expect(resp.body.total).toEqual(2);
+  });
+
+  test("works: filters and pages", async function () {
+    await u1Orders(1);
+    const big = await u1Orders(3);
+
+    const resp = await request(app)
+        .get("/users/u1/orders?minTotal=25&limit=1")
+        .set("authorization", `Bearer ${tokens.u1}`);
+    expect(resp.body.orders.map(o => o.id)).toEqual([big.id]);
+    expect(resp.body.next).toBeNull();
+  });
+
+  test("works for fulfillment", async function () {
+    await u1Orders(1);
+    const resp = await request(app)
+        .get("/users/u1/orders")
+        .set("authorization", `Bearer ${tokens.fulfillment}`);
+    expect(resp.body.orders.length).toEqual(1);
+  });
+
+  test("forbidden for another customer", async function () {
+    const resp = await request(app)
+        .get("/users/u1/orders")
+        .set("authorization", `Bearer ${tokens.u2}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for an unknown user", async function () {
+    const resp = await request(app)
+        .get("/users/nope/orders")
+        .set("authorization", `Bearer ${tokens.admin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,18 @@
+"use strict";
+
+/** Named fixture sets for seedDatabase.js: how many of each thing to make. */
+
+const FIXTURE_SETS = {
+  // small and quick, for automated tests
+  test: { insects: 10, users: 3, orders: 5 },
+  // enough to click around the site with
+  demo: { insects: 60, users: 25, orders: 150 },
+  // for profiling list endpoints and search
+  "load-test": { insects: 2000, users: 500, orders: 5000 },
+};
+
+/** The random seed used unless one is given, so every run makes the same data. */
+
+const DEFAULT_SEED = 1337;
+
+module.exports = { FIXTURE_SETS, DEFAULT_SEED };
@@ -0,0 +1,111 @@
+"use strict";
+
+const { faker } = require("@faker-js/faker");
+
+/**
+ * Deterministic fake catalog, users and orders.
+ *
+ * Everything comes from faker seeded with a fixed number and a fixed
+ * reference date, so the same seed and sizes always give the same data.
+ * Nothing here touches the database or network.
+ */
+
+/** "Now" as far as generated dates are concerned. */
+
+const REFERENCE_DATE = new Date("2024-06-01T12:00:00Z");
+
+const TAXA = [
+  { order: "Lepidoptera", family: "Nymphalidae" },
+  { order: "Coleoptera", family: "Scarabaeidae" },
+  { order: "Coleoptera", family: "Coccinellidae" },
+  { order: "Hymenoptera", family: "Apidae" },
+  { order: "Mantodea", family: "Mantidae" },
+  { order: "Phasmatodea", family: "Phasmatidae" },
+  { order: "Orthoptera", family: "Gryllidae" },
+  { order: "Odonata", family: "Libellulidae" },
+  { order: "Hemiptera", family: "Cicadidae" },
+];
+
+const REGIONS = ["CA", "NY", "TX", "WA", "FL"];
+
+const STATUSES = ["pending", "paid", "packed", "shipped", "delivered", "delivered", "cancelled"];
+
+/** The password every generated user has (for logging in to a seeded site). */
+
+const SEED_PASSWORD = "password";
+
+/** Return { insects, users, orders } for the given sizes and seed.
+ *
+ * insects are [{ species, common_name, taxon_order, family, description,
+ *                price, stock, weight_grams }, ...]
+ * users are [{ username, email, roles }, ...] (the first two are always
+ *   "admin" and "testuser")
+ * orders are [{ order_number, user, shipping_address, submit_time, status,
+ *               items: [{ insect, quantity, unit_price }] }, ...]
+ *   where shipping_address is { name, line1, line2, city, region,
+ *   postal_code, country, phone }
+ *   where user and insect are indexes into users and insects.
+ */
+
+function generateFixtures({ insects = 0, users = 0, orders = 0 }, { seed }) {
+  faker.seed(seed);
+  faker.setDefaultRefDate(REFERENCE_DATE);
+
+  const insectRows = [];
+  for (let i = 0; i < insects; i++) {
+    const species = faker.animal.insect();
+    const taxon = faker.helpers.arrayElement(TAXA);
+    insectRows.push({
+      species,
+      common_name: species,
+      taxon_order: taxon.order,
+      family: taxon.family,
+      description: faker.lorem.sentences(2),
+      price: faker.commerce.price({ min: 2, max: 80 }),
+      stock: faker.number.int({ min: 0, max: 100 }),
+      weight_grams: faker.number.int({ min: 1, max: 200 }),
+    });
+  }
+
+  const userRows = [
+    { username: "admin", email: "admin@example.com", roles: ["admin"] },
+    { username: "testuser", email: "testuser@example.com", roles: ["customer"] },
+  ].slice(0, users);
+  while (userRows.length < users) {
+    const base = faker.internet.userName().toLowerCase().replace(/[^a-z0-9_]/g, "");
+    const username = `${base.slice(0, 18)}${userRows.length}`;
+    userRows.push({ username, email: `${username}@example.com`, roles: ["customer"] });
+  }
+
+  const orderRows = [];
+  for (let i = 0; i < orders && insects > 0 && users > 0; i++) {
+    const picked = faker.helpers.arrayElements(insectRows.map((_, idx) => idx),
+        { min: 1, max: Math.min(4, insects) });
+    const shippingAddress = {
+      name: faker.person.fullName(),
+      line1: faker.location.streetAddress(),
+      line2: null,
+      city: faker.location.city(),
+      region: faker.helpers.arrayElement(REGIONS),
+      postal_code: faker.location.zipCode("#####"),
+      country: "US",
+      phone: faker.string.numeric(10),
+    };
+    orderRows.push({
+      order_number: `FP-${faker.string.fromCharacters("23456789ABCDEFGHJKMNPQRSTUVWXYZ", 8)}`,
+      user: faker.number.int({ min: 0, max: users - 1 }),
+      shipping_address: shippingAddress,
+      submit_time: faker.date.past({ years: 1 }),
+      status: faker.helpers.arrayElement(STATUSES),
+      items: picked.map(insect => ({
+        insect,
+        quantity: faker.number.int({ min: 1, max: 3 }),
+        unit_price: insectRows[insect].price,
+      })),
+    });
+  }
+
+  return { insects: insectRows, users: userRows, orders: orderRows };
+}
+
+module.exports = { generateFixtures, SEED_PASSWORD, REFERENCE_DATE };
@@ -0,0 +1,52 @@
+"use strict";
+
+const { generateFixtures } = require("./generate");
+const { FIXTURE_SETS, DEFAULT_SEED } = require("./fixtures");
+
+describe("generateFixtures", function () {
+  test("works: makes the sizes asked for", function () {
+    const fixtures = generateFixtures(FIXTURE_SETS.test, { seed: DEFAULT_SEED });
+    expect(fixtures.insects.length).toEqual(FIXTURE_SETS.test.insects);
+    expect(fixtures.users.length).toEqual(FIXTURE_SETS.test.users);
+    expect(fixtures.orders.length).toEqual(FIXTURE_SETS.test.orders);
+    expect(fixtures.users.slice(0, 2).map(u => u.username)).toEqual(["admin", "testuser"]);
+  });
+
+  test("the same seed always gives the same data", function () {
+    const first = generateFixtures(FIXTURE_SETS.test, { seed: 42 });
+    const second = generateFixtures(FIXTURE_SETS.test, { seed: 42 });
+    expect(second).toEqual(first);
+
+    const other = generateFixtures(FIXTURE_SETS.test, { seed: 43 });
+    expect(other).not.toEqual(first);
+  });
+
+  test("doesn't depend on today's date", function () {
+    const first = generateFixtures(FIXTURE_SETS.test, { seed: 42 });
+    jest.useFakeTimers({ now: new Date("2031-01-01T00:00:00Z") });
+    try {
+      expect(generateFixtures(FIXTURE_SETS.test, { seed: 42 })).toEqual(first);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("orders point at real insects and users, at the insect's price", function () {
+    const { insects, users, orders } = generateFixtures(FIXTURE_SETS.demo, { seed: 7 });
+    const usernames = new Set(users.map(u => u.username));
+    expect(usernames.size).toEqual(users.length);
+
+    for (const order of orders) {
+      expect(users[order.user]).toBeDefined();
+      expect(order.order_number).toMatch(/^FP-[2-9A-HJKMNP-Z]{8}$/);
+      for (const item of order.items) {
+        expect(item.unit_price).toEqual(insects[item.insect].price);
+      }
+    }
+  });
+
+  test("no orders without insects or users", function () {
+    const fixtures = generateFixtures({ insects: 0, users: 2, orders: 5 }, { seed: 1 });
+    expect(fixtures.orders).toEqual([]);
+  });
+});
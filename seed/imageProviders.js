@@ -0,0 +1,93 @@
+"use strict";
+
+const axios = require("axios");
+const { getStorage } = require("../helpers/storage");
+const { SEED_IMAGE_PROVIDER, PEXELS_API_KEY } = require("../config");
+
+/**
+ * Pluggable sources of insect pictures for seeding.
+ *
+ * A provider is any object with:
+ *   - imageFor(species) => Promise<url>
+ *
+ * The provider in use is picked by the SEED_IMAGE_PROVIDER setting (or the
+ * seed command's --images option); add new ones with registerProvider.
+ */
+
+const PALETTE = ["#6b8e23", "#b8860b", "#8b4513", "#2e8b57", "#4682b4", "#9932cc"];
+
+/** Make a simple SVG card naming the species, through the upload storage.
+ * Needs no network, and the same species always gets the same picture.
+ */
+
+class PlaceholderImageProvider {
+  constructor({ storage = getStorage() } = {}) {
+    this.storage = storage;
+    this.urls = new Map();
+  }
+
+  async imageFor(species) {
+    if (!this.urls.has(species)) {
+      const slug = species.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+      const hash = [...species].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 7);
+      const label = species.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="400">`
+          + `<rect width="600" height="400" fill="${PALETTE[hash % PALETTE.length]}"/>`
+          + `<text x="300" y="210" font-family="sans-serif" font-size="36" fill="#fff" `
+          + `text-anchor="middle">${label}</text></svg>`;
+      const url = await this.storage.save(
+          `placeholders/${slug || "insect"}.svg`, Buffer.from(svg), "image/svg+xml");
+      this.urls.set(species, url);
+    }
+    return this.urls.get(species);
+  }
+}
+
+/** Look the species up on Pexels and use the first photo. */
+
+class PexelsImageProvider {
+  constructor({ apiKey = PEXELS_API_KEY } = {}) {
+    if (!apiKey) throw new Error("The pexels image provider needs PEXELS_API_KEY");
+    this.apiKey = apiKey;
+    this.urls = new Map();
+  }
+
+  async imageFor(species) {
+    if (!this.urls.has(species)) {
+      const response = await axios.get("https://api.pexels.com/v1/search", {
+        params: { query: species, per_page: 1, page: 1 },
+        headers: { Authorization: this.apiKey },
+      });
+      const photo = response.data.photos[0];
+      if (!photo) throw new Error(`No Pexels photo for: ${species}`);
+      this.urls.set(species, photo.src.large);
+    }
+    return this.urls.get(species);
+  }
+}
+
+const providers = {
+  placeholder: () => new PlaceholderImageProvider(),
+  pexels: () => new PexelsImageProvider(),
+};
+
+/** Register a factory for an image provider under `name`. */
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/** Return a new image provider by name (default: SEED_IMAGE_PROVIDER). */
+
+function getProvider(name = SEED_IMAGE_PROVIDER) {
+  const factory = providers[name];
+  if (!factory) throw new Error(`Unknown image provider: ${name}`);
+  return factory();
+}
+
+module.exports = {
+  PlaceholderImageProvider,
+  PexelsImageProvider,
+  registerProvider,
+  getProvider,
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+const axios = require("axios");
+const {
+  PlaceholderImageProvider,
+  PexelsImageProvider,
+  registerProvider,
+  getProvider,
+} = require("./imageProviders");
+
+/** A storage backend that keeps files in a Map. */
+
+function memoryStorage() {
+  const files = new Map();
+  return {
+    files,
+    async save(key, buffer) {
+      files.set(key, buffer.toString());
+      return `/uploads/${key}`;
+    },
+    async remove(key) {
+      files.delete(key);
+    },
+  };
+}
+
+describe("PlaceholderImageProvider", function () {
+  test("works: the same species always gets the same picture", async function () {
+    const storage = memoryStorage();
+    const provider = new PlaceholderImageProvider({ storage });
+
+    const url = await provider.imageFor("Stag Beetle");
+    expect(url).toEqual("/uploads/placeholders/stag-beetle.svg");
+    expect(await provider.imageFor("Stag Beetle")).toEqual(url);
+    expect(storage.files.size).toEqual(1);
+
+    const again = memoryStorage();
+    await new PlaceholderImageProvider({ storage: again }).imageFor("Stag Beetle");
+    expect(again.files.get("placeholders/stag-beetle.svg"))
+        .toEqual(storage.files.get("placeholders/stag-beetle.svg"));
+  });
+
+  test("escapes the species name", async function () {
+    const storage = memoryStorage();
+    await new PlaceholderImageProvider({ storage }).imageFor(`<b>"Bug"</b>`);
+    const svg = [...storage.files.values()][0];
+    expect(svg).not.toContain("<b>");
+    expect(svg).toContain("&#60;b&#62;");
+  });
+});
+
+describe("PexelsImageProvider", function () {
+  afterEach(() => jest.restoreAllMocks());
+
+  test("needs an API key", function () {
+    expect(() => new PexelsImageProvider({ apiKey: "" })).toThrow(/PEXELS_API_KEY/);
+  });
+
+  test("works: uses the first photo, looking each species up once", async function () {
+    const get = jest.spyOn(axios, "get").mockResolvedValue({
+      data: { photos: [{ src: { large: "https://images.pexels.com/1.jpg" } }] },
+    });
+    const provider = new PexelsImageProvider({ apiKey: "key" });
+
+    expect(await provider.imageFor("Ant")).toEqual("https://images.pexels.com/1.jpg");
+    await provider.imageFor("Ant");
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(get.mock.calls[0][1].headers).toEqual({ Authorization: "key" });
+  });
+
+  test("throws if there's no photo", async function () {
+    jest.spyOn(axios, "get").mockResolvedValue({ data: { photos: [] } });
+    const provider = new PexelsImageProvider({ apiKey: "key" });
+    await expect(provider.imageFor("Ant")).rejects.toThrow(/No Pexels photo/);
+  });
+});
+
+describe("getProvider", function () {
+  test("works with registered providers", function () {
+    const provider = { imageFor: async () => "x" };
+    registerProvider("fixed", () => provider);
+    expect(getProvider("fixed")).toBe(provider);
+  });
+
+  test("throws for an unknown provider", function () {
+    expect(() => getProvider("nope")).toThrow(/Unknown image provider/);
+  });
+});
@@ -1,55 +1,173 @@
-const fs = require('fs');
-const { Pool } = require('pg');
-const generateData = require('./api'); // Adjust the path as necessary
-
-// Initialize connection pool
-const pool = new Pool({
-    user: 'noah',
-    host: 'localhost',
-    database: 'fuzzy_phids',
-    password: 'password',
-    port: 5432,
-});
-
-async function main() {
-    try {
-        await runSQLFile('./fuzzy.sql');
-        await runSQLFile('./fuzzy-schema.sql');
-        await seedDatabase();
-        console.log('Database setup and seeding completed successfully.');
-    } catch (err) {
-       // console.error(err);
-    } finally {
-        pool.end();
-    }
+"use strict";
+
+/** Fill the database with fake insects, users and orders.
+ *
+ *   node seedDatabase.js [set] [--seed N] [--images provider] [--reset]
+ *
+ * set is a fixture set from seed/fixtures.js (test, demo or load-test;
+ * default demo). The same set and seed always give the same data, and the
+ * default "placeholder" image provider needs no network access.
+ *
+ * --reset empties the insect, user and order tables first (and everything
+ * hanging off them); without it, seeding a non-empty database is refused.
+ * Create the schema first with `npm run migrate`.
+ */
+
+const bcrypt = require("bcrypt");
+const db = require("./db");
+const { withTransaction } = require("./helpers/transaction");
+const { toCents, fromCents } = require("./helpers/money");
+const Address = require("./models/address");
+const { BCRYPT_WORK_FACTOR } = require("./config");
+const { FIXTURE_SETS, DEFAULT_SEED } = require("./seed/fixtures");
+const { generateFixtures, SEED_PASSWORD } = require("./seed/generate");
+const { getProvider } = require("./seed/imageProviders");
+
+/** Parse command line arguments into { set, seed, images, reset }. */
+
+function parseArgs(args) {
+  const options = { set: "demo", seed: DEFAULT_SEED, images: undefined, reset: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--reset") options.reset = true;
+    else if (arg === "--seed") options.seed = +args[++i];
+    else if (arg === "--images") options.images = args[++i];
+    else if (!arg.startsWith("--")) options.set = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  if (!FIXTURE_SETS[options.set]) {
+    throw new Error(`Unknown fixture set: ${options.set} `
+        + `(one of ${Object.keys(FIXTURE_SETS).join(", ")})`);
+  }
+  if (!Number.isInteger(options.seed)) throw new Error("--seed must be an integer");
+  return options;
 }
 
-main().catch(console.error);
+/** Insert the insects; returns their new ids, in order. */
 
-async function runSQLFile(filePath) {
-    const sqlCommands = fs.readFileSync(filePath, 'utf8');
-    try {
-        await pool.query(sqlCommands);
-        console.log(`Schema created successfully.`);
-    } catch (err) {
-        //console.error(`Error executing SQL file ${filePath}:`, err.stack);
-    }
+async function insertInsects(client, insects, imageUrls) {
+  const result = await client.query(
+        `INSERT INTO insects
+         (species, common_name, taxon_order, family, description,
+          price, stock, weight_grams, url_image)
+         SELECT species, common_name, taxon_order, family, description,
+                price, stock, weight_grams, url_image
+         FROM UNNEST($1::text[], $2::text[], $3::text[], $4::text[],
+                     $5::text[], $6::numeric[], $7::int[], $8::int[],
+                     $9::text[])
+              WITH ORDINALITY AS t(species, common_name, taxon_order, family,
+                                   description, price, stock, weight_grams,
+                                   url_image, n)
+         ORDER BY n
+         RETURNING id`,
+      [
+        insects.map(i => i.species),
+        insects.map(i => i.common_name),
+        insects.map(i => i.taxon_order),
+        insects.map(i => i.family),
+        insects.map(i => i.description),
+        insects.map(i => i.price),
+        insects.map(i => i.stock),
+        insects.map(i => i.weight_grams),
+        imageUrls,
+      ]);
+  // ids are handed out in ORDER BY n order, so sorting them restores it
+  return result.rows.map(r => r.id).sort((a, b) => a - b);
 }
 
-async function seedDatabase() {
-    const data = await generateData();
+/** Insert the users, all with SEED_PASSWORD; returns their new ids, in order. */
+
+async function insertUsers(client, users) {
+  // One hash for everyone: hashing thousands of passwords would take minutes.
+  const hashedPassword = await bcrypt.hash(SEED_PASSWORD, BCRYPT_WORK_FACTOR);
+  const ids = [];
+  for (const user of users) {
+    const result = await client.query(
+          `INSERT INTO users
+           (username, password, email, roles, email_verified)
+           VALUES ($1, $2, $3, $4, TRUE)
+           RETURNING id`,
+        [user.username, hashedPassword, user.email, user.roles]);
+    ids.push(result.rows[0].id);
+  }
+  return ids;
+}
 
-    // Format data for SQL insertion
-    const formattedData = data.map(item => {
-        return `('${item.species}', ${item.price}, '${item.url_image}')`;
-    });
+/** Insert the orders and their items. Totals are just the item subtotal,
+ * and every order past pending (other than a cancelled one) counts as paid. */
 
-    const sqlInsertCommand = `INSERT INTO insects (species, price, url_image) VALUES ${formattedData};`;
+async function insertOrders(client, orders, insectIds, userIds) {
+  for (const order of orders) {
+    const subtotal = fromCents(order.items.reduce(
+        (sum, item) => sum + toCents(item.unit_price) * item.quantity, 0));
 
-    try {
-        await pool.query(sqlInsertCommand);
-        console.log('Data seeded successfully.');
-    } catch (err) {
-        console.error('Error seeding data:', err.stack);
+    const result = await client.query(
+          `INSERT INTO orders
+           (order_number, phone, delivery_address, shipping_address, region,
+            submit_time, subtotal, total, status, user_id, payment_status)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $8, $9, $10)
+           RETURNING id`,
+        [
+          order.order_number,
+          order.shipping_address.phone,
+          Address.format(order.shipping_address),
+          JSON.stringify(order.shipping_address),
+          order.shipping_address.region,
+          order.submit_time,
+          subtotal,
+          order.status,
+          userIds[order.user],
+          ["pending", "cancelled"].includes(order.status) ? "unpaid" : "paid",
+        ]);
+
+    await client.query(
+          `INSERT INTO order_items (order_id, insect_id, quantity, unit_price)
+           SELECT $1, * FROM UNNEST($2::int[], $3::int[], $4::numeric[])`,
+        [
+          result.rows[0].id,
+          order.items.map(item => insectIds[item.insect]),
+          order.items.map(item => item.quantity),
+          order.items.map(item => item.unit_price),
+        ]);
+  }
+}
+
+async function main(args) {
+  const { set, seed, images, reset } = parseArgs(args);
+  const fixtures = generateFixtures(FIXTURE_SETS[set], { seed });
+
+  // Fetch pictures before the transaction, so it isn't held open over the network.
+  const provider = getProvider(images);
+  const imageUrls = [];
+  for (const insect of fixtures.insects) {
+    imageUrls.push(await provider.imageFor(insect.species));
+  }
+
+  await withTransaction(async (client) => {
+    if (reset) {
+      await client.query(`TRUNCATE insects, users, orders RESTART IDENTITY CASCADE`);
+    } else {
+      const existing = await client.query(
+          `SELECT (SELECT COUNT(*) FROM insects) + (SELECT COUNT(*) FROM users)
+                  + (SELECT COUNT(*) FROM orders) AS count`);
+      if (+existing.rows[0].count > 0) {
+        throw new Error("Database already has data; use --reset to replace it");
+      }
     }
+
+    const insectIds = await insertInsects(client, fixtures.insects, imageUrls);
+    const userIds = await insertUsers(client, fixtures.users);
+    await insertOrders(client, fixtures.orders, insectIds, userIds);
+  });
+
+  console.log(`Seeded "${set}" (seed ${seed}): ${fixtures.insects.length} insects, `
+      + `${fixtures.users.length} users, ${fixtures.orders.length} orders.`);
 }
+
+main(process.argv.slice(2))
+    .catch(err => {
+      console.error("Seeding failed:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
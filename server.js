@@ -1,8 +1,29 @@
 "use strict";
 
 const app = require("./app");
+const db = require("./db");
 const { PORT } = require("./config");
+const { pending } = require("./helpers/migrations");
 
-app.listen(PORT, function () {
-  console.log(`Started on http://localhost:${PORT}`);
-});
\ No newline at end of file
+/** Start the server, unless the database is missing migrations: running
+ * against an old schema fails in confusing ways, so refuse instead.
+ */
+
+async function start() {
+  const todo = await pending(db);
+  if (todo.length > 0) {
+    console.error("Database has unapplied migrations:");
+    for (const m of todo) console.error(`  ${m.version}_${m.name}`);
+    console.error("Run `npm run migrate` first.");
+    process.exit(1);
+  }
+
+  app.listen(PORT, function () {
+    console.log(`Started on http://localhost:${PORT}`);
+  });
+}
+
+start().catch(err => {
+  console.error("Could not start:", err.message);
+  process.exit(1);
+});